@@ -0,0 +1,83 @@
+using System;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace Backend.Auth;
+
+public static class PasswordHasher
+{
+    // Salted PBKDF2 hashes stored as "pbkdf2$<iterations>$<salt>$<hash>" (base64 parts)
+    private const string Scheme = "pbkdf2";
+    private const int Iterations = 210_000;
+    private const int SaltSize = 16;
+    private const int HashSize = 32;
+    private static readonly HashAlgorithmName Algorithm = HashAlgorithmName.SHA256;
+
+    // Same rule the frontend shows: 5+ characters with a number and a special character
+    public const string PolicyMessage = "Password requires 5 characters, 1 number, and 1 special character.";
+    private static readonly Regex Policy = new(@"^(?=.*[0-9])(?=.*[!@#$%^&*]).{5,}$", RegexOptions.Compiled);
+
+    public static bool MeetsPolicy(string? password)
+    {
+        return !string.IsNullOrEmpty(password) && Policy.IsMatch(password);
+    }
+
+    public static string Hash(string password)
+    {
+        if (string.IsNullOrEmpty(password))
+        {
+            throw new ArgumentException("Password must be provided.", nameof(password));
+        }
+
+        var salt = RandomNumberGenerator.GetBytes(SaltSize);
+        var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, Iterations, Algorithm, HashSize);
+        return $"{Scheme}${Iterations}${Convert.ToBase64String(salt)}${Convert.ToBase64String(hash)}";
+    }
+
+    public static PasswordCheck Verify(string password, string? stored)
+    {
+        if (string.IsNullOrEmpty(password) || string.IsNullOrWhiteSpace(stored))
+        {
+            return PasswordCheck.Failed;
+        }
+
+        var parts = stored.Split('$');
+        if (parts.Length == 4 && parts[0] == Scheme && int.TryParse(parts[1], out var iterations))
+        {
+            byte[] salt, expected;
+            try
+            {
+                salt = Convert.FromBase64String(parts[2]);
+                expected = Convert.FromBase64String(parts[3]);
+            }
+            catch (FormatException)
+            {
+                return PasswordCheck.Failed;
+            }
+
+            var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, iterations, Algorithm, expected.Length);
+            if (!CryptographicOperations.FixedTimeEquals(actual, expected))
+            {
+                return PasswordCheck.Failed;
+            }
+
+            return iterations < Iterations ? PasswordCheck.SuccessRehashNeeded : PasswordCheck.Success;
+        }
+
+        // Accounts registered before server-side hashing hold an unsalted SHA-256 hex digest
+        var legacy = Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(password)));
+        return CryptographicOperations.FixedTimeEquals(
+                Encoding.ASCII.GetBytes(legacy.ToLowerInvariant()),
+                Encoding.ASCII.GetBytes(stored.Trim().ToLowerInvariant()))
+            ? PasswordCheck.SuccessRehashNeeded
+            : PasswordCheck.Failed;
+    }
+}
+
+public enum PasswordCheck
+{
+    Failed,
+    Success,
+    SuccessRehashNeeded
+}
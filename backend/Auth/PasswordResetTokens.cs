@@ -0,0 +1,29 @@
+using System;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.AspNetCore.WebUtilities;
+
+namespace Backend.Auth;
+
+public static class PasswordResetTokens
+{
+    // Single-use reset tokens. The emailed token is random; only its SHA-256
+    // digest is stored on the profile, so a leaked database can't reset anyone.
+    public static readonly TimeSpan Lifetime = TimeSpan.FromHours(1);
+    private const int TokenSize = 32;
+
+    public static string Create()
+    {
+        return WebEncoders.Base64UrlEncode(RandomNumberGenerator.GetBytes(TokenSize));
+    }
+
+    public static string Digest(string token)
+    {
+        if (string.IsNullOrWhiteSpace(token))
+        {
+            throw new ArgumentException("Token must be provided.", nameof(token));
+        }
+
+        return Convert.ToHexString(SHA256.HashData(Encoding.ASCII.GetBytes(token.Trim()))).ToLowerInvariant();
+    }
+}
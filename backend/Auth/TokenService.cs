@@ -0,0 +1,114 @@
+using System;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.Extensions.Options;
+
+namespace Backend.Auth;
+
+public sealed class TokenService
+{
+    // Issues and validates compact HMAC-SHA256 bearer tokens: base64url(payload).base64url(signature)
+    public const string OwnerIdItemKey = "hippo.ownerId";
+
+    private readonly byte[] _key;
+    private readonly TimeSpan _lifetime;
+
+    public TokenService(IOptions<AuthOptions> options)
+    {
+        var value = options?.Value ?? throw new ArgumentNullException(nameof(options));
+
+        // Without a configured key, tokens are only valid until the process restarts
+        _key = string.IsNullOrWhiteSpace(value.SigningKey)
+            ? RandomNumberGenerator.GetBytes(32)
+            : Encoding.UTF8.GetBytes(value.SigningKey);
+        _lifetime = TimeSpan.FromHours(value.TokenLifetimeHours > 0 ? value.TokenLifetimeHours : 168);
+    }
+
+    public IssuedToken Issue(string ownerId, int tokenVersion)
+    {
+        if (string.IsNullOrWhiteSpace(ownerId))
+        {
+            throw new ArgumentException("Owner ID must be provided.", nameof(ownerId));
+        }
+
+        var expiresAt = DateTimeOffset.UtcNow.Add(_lifetime);
+        var payload = JsonSerializer.SerializeToUtf8Bytes(new TokenPayload(ownerId, expiresAt.ToUnixTimeSeconds(), tokenVersion));
+        var body = WebEncoders.Base64UrlEncode(payload);
+        var signature = WebEncoders.Base64UrlEncode(Sign(body));
+
+        return new IssuedToken($"{body}.{signature}", expiresAt.UtcDateTime);
+    }
+
+    public TokenClaims? Validate(string? token)
+    {
+        // Returns the claims of a valid, unexpired token; null otherwise. The caller still has
+        // to check the version against the profile, which this class can't see
+        if (string.IsNullOrWhiteSpace(token))
+        {
+            return null;
+        }
+
+        var parts = token.Split('.');
+        if (parts.Length != 2)
+        {
+            return null;
+        }
+
+        try
+        {
+            var expected = Sign(parts[0]);
+            var actual = WebEncoders.Base64UrlDecode(parts[1]);
+            if (!CryptographicOperations.FixedTimeEquals(expected, actual))
+            {
+                return null;
+            }
+
+            var payload = JsonSerializer.Deserialize<TokenPayload>(WebEncoders.Base64UrlDecode(parts[0]));
+            if (payload is null || DateTimeOffset.UtcNow.ToUnixTimeSeconds() >= payload.Exp)
+            {
+                return null;
+            }
+
+            return new TokenClaims(payload.Sub, payload.Ver);
+        }
+        catch (Exception ex) when (ex is FormatException or JsonException)
+        {
+            return null;
+        }
+    }
+
+    public static string? CurrentOwnerId(HttpContext context)
+    {
+        // Set by the bearer token middleware for authenticated /api requests
+        return context.Items.TryGetValue(OwnerIdItemKey, out var value) ? value as string : null;
+    }
+
+    public static string? ReadBearer(HttpRequest request)
+    {
+        var header = request.Headers.Authorization.ToString();
+        return header.StartsWith("Bearer ", StringComparison.OrdinalIgnoreCase)
+            ? header["Bearer ".Length..].Trim()
+            : null;
+    }
+
+    private byte[] Sign(string body)
+    {
+        return HMACSHA256.HashData(_key, Encoding.ASCII.GetBytes(body));
+    }
+
+    // Tokens issued before versions existed have no "Ver" and read as 0, the starting version
+    private sealed record TokenPayload(string Sub, long Exp, int Ver = 0);
+}
+
+public sealed record IssuedToken(string Token, DateTime ExpiresAt);
+
+public sealed record TokenClaims(string OwnerId, int Version);
+
+public sealed class AuthOptions
+{
+    public string SigningKey { get; set; } = string.Empty;
+    public int TokenLifetimeHours { get; set; } = 168;
+}
@@ -0,0 +1,97 @@
+using Google.Cloud.Firestore;
+
+namespace Data.Firestore;
+
+public sealed class FsAlerts
+{
+    private const string CollectionName = "alerts";
+    private readonly FirestoreDb _db;
+    private readonly CollectionReference _collection;
+
+    public FsAlerts(FirestoreDb db)
+    {
+        _db = db ?? throw new ArgumentNullException(nameof(db));
+        _collection = _db.Collection(CollectionName);
+    }
+
+    public async Task CreateManyAsync(IEnumerable<AlertEntity> alerts, CancellationToken ct = default)
+    {
+        // Firestore batches hold up to 500 writes
+        foreach (var chunk in alerts.Chunk(500))
+        {
+            var batch = _db.StartBatch();
+            foreach (var alert in chunk)
+            {
+                batch.Create(_collection.Document(), alert);
+            }
+            await batch.CommitAsync(ct);
+        }
+    }
+
+    public async Task<IReadOnlyList<AlertEntity>> ListUnreadAsync(string userId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(userId)) return Array.Empty<AlertEntity>();
+        var snapshot = await UnreadQuery(userId).GetSnapshotAsync(ct);
+        return Newest(snapshot);
+    }
+
+    // Pushes the user's unread alerts on every change; the caller must StopAsync the listener
+    public FirestoreChangeListener ListenForUnread(string userId, Action<IReadOnlyList<AlertEntity>> onChange)
+    {
+        return UnreadQuery(userId).Listen(snapshot => onChange(Newest(snapshot)));
+    }
+
+    // IDs that belong to someone else are skipped
+    public async Task<int> MarkReadAsync(string userId, IEnumerable<string> alertIds, CancellationToken ct = default)
+    {
+        var marked = 0;
+        foreach (var id in alertIds.Where(id => !string.IsNullOrWhiteSpace(id)).Distinct())
+        {
+            var snapshot = await _collection.Document(id).GetSnapshotAsync(ct);
+            if (!snapshot.Exists) continue;
+
+            var alert = snapshot.ConvertTo<AlertEntity>();
+            if (alert.UserId != userId || alert.ReadAt is not null) continue;
+
+            await snapshot.Reference.UpdateAsync(
+                new Dictionary<string, object> { { "readAt", DateTime.UtcNow } },
+                cancellationToken: ct
+            );
+            marked++;
+        }
+        return marked;
+    }
+
+    private Query UnreadQuery(string userId) =>
+        _collection.WhereEqualTo("userId", userId).WhereEqualTo("readAt", null);
+
+    private static IReadOnlyList<AlertEntity> Newest(QuerySnapshot snapshot) =>
+        snapshot.Documents
+            .Select(d => d.ConvertTo<AlertEntity>())
+            .OrderByDescending(a => a.CreatedAt)
+            .ToList();
+}
+
+[FirestoreData]
+public sealed class AlertEntity
+{
+    [FirestoreDocumentId] public string AlertId { get; set; } = string.Empty;
+
+    // who is told
+    [FirestoreProperty("userId")] public string UserId { get; set; } = string.Empty;
+
+    // available: a favorited item was returned | new-listing: an item matching a saved search was listed
+    [FirestoreProperty("kind")] public string Kind { get; set; } = string.Empty;
+
+    [FirestoreProperty("itemId")] public string ItemId { get; set; } = string.Empty;
+    [FirestoreProperty("itemName")] public string ItemName { get; set; } = string.Empty;
+
+    // the saved search that matched; only set on new-listing alerts
+    [FirestoreProperty("searchId")] public string? SearchId { get; set; }
+    [FirestoreProperty("searchName")] public string? SearchName { get; set; }
+
+    [FirestoreProperty("createdAt")] public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // when the user dismissed it from the bell; null = unread
+    [FirestoreProperty("readAt")] public DateTime? ReadAt { get; set; }
+}
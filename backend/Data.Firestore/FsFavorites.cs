@@ -0,0 +1,59 @@
+using Google.Cloud.Firestore;
+
+namespace Data.Firestore;
+
+public sealed class FsFavorites
+{
+    private const string CollectionName = "favorites";
+    private readonly FirestoreDb _db;
+    private readonly CollectionReference _collection;
+
+    public FsFavorites(FirestoreDb db)
+    {
+        _db = db ?? throw new ArgumentNullException(nameof(db));
+        _collection = _db.Collection(CollectionName);
+    }
+
+    // One document per user and item, so favoriting twice is harmless
+    private DocumentReference DocumentFor(string userId, string itemId) => _collection.Document($"{userId}_{itemId}");
+
+    public async Task AddAsync(string userId, string itemId, CancellationToken ct = default)
+    {
+        await DocumentFor(userId, itemId).SetAsync(
+            new FavoriteEntity { UserId = userId, ItemId = itemId },
+            cancellationToken: ct);
+    }
+
+    public async Task RemoveAsync(string userId, string itemId, CancellationToken ct = default)
+    {
+        await DocumentFor(userId, itemId).DeleteAsync(cancellationToken: ct);
+    }
+
+    // The user's favorites, most recently added first
+    public async Task<IReadOnlyList<string>> ListItemIdsForUserAsync(string userId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(userId)) return Array.Empty<string>();
+        var snapshot = await _collection.WhereEqualTo("userId", userId).GetSnapshotAsync(ct);
+        return snapshot.Documents
+            .Select(d => d.ConvertTo<FavoriteEntity>())
+            .OrderByDescending(f => f.CreatedAt)
+            .Select(f => f.ItemId)
+            .ToList();
+    }
+
+    // Everyone to tell when the item comes back
+    public async Task<IReadOnlyList<string>> ListUserIdsForItemAsync(string itemId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(itemId)) return Array.Empty<string>();
+        var snapshot = await _collection.WhereEqualTo("itemId", itemId).GetSnapshotAsync(ct);
+        return snapshot.Documents.Select(d => d.ConvertTo<FavoriteEntity>().UserId).ToList();
+    }
+}
+
+[FirestoreData]
+public sealed class FavoriteEntity
+{
+    [FirestoreProperty("userId")] public string UserId { get; set; } = string.Empty;
+    [FirestoreProperty("itemId")] public string ItemId { get; set; } = string.Empty;
+    [FirestoreProperty("createdAt")] public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+}
@@ -2,6 +2,7 @@
 using System.Threading;
 using System.Threading.Tasks;
 using System.Collections.Generic;
+using System.Globalization;
 using System.Linq;
 using Google.Cloud.Firestore;
 
@@ -14,6 +15,13 @@ public sealed class FsItems
     private readonly FirestoreDb _db;
     private readonly CollectionReference _collection;
 
+    // "Nearest first" bands, by the radius in miles each one reaches; the last takes in
+    // the whole globe
+    private static readonly double[] NearestRadiiMiles = { 10, 50, 250, 12500 };
+
+    // Most documents one "nearest first" page reads before handing back what it has
+    private const int MaxNearestReads = 500;
+
     public FsItems(string projectId)
         : this(CreateDb(projectId)) 
     {
@@ -25,9 +33,10 @@ public sealed class FsItems
         _collection = _db.Collection(CollectionName);
     }
 
-    public async Task<InventoryItem> CreateAsync(InventoryItemRequest item, CancellationToken cancellationToken = default)
+    public async Task<InventoryItem> CreateAsync(InventoryItemRequest item, GeoPoint? ownerLocation, CancellationToken cancellationToken = default)
     {
-        // Persists a new inventory item. Validation is assumed to happen upstream
+        // Persists a new inventory item. Validation is assumed to happen upstream. The owner's
+        // coordinates are copied on so the catalog can find the item by area
         if (item is null)
         {
             throw new ArgumentNullException(nameof(item));
@@ -50,16 +59,20 @@ public sealed class FsItems
             ItemId = itemId,
             Name = item.Name ?? string.Empty,
             PricePerDay = item.PricePerDay,
-            Picture = item.Picture ?? string.Empty,
             Location = item.Location ?? string.Empty,
             IsLent = item.IsLent,
             Condition = item.Condition ?? string.Empty,
             OwnerRef = ownerRef,
             BorrowerRef = borrowerRef,
             BorrowedOn = item.BorrowedOn,
-            DueAt = item.DueAt
+            DueAt = item.DueAt,
+            CreatedAt = DateTime.UtcNow,
+            Coordinates = ownerLocation,
+            Geohash = ownerLocation is { } point ? GeoHash.Encode(point) : string.Empty
         };
 
+        ItemPhotos.Apply(payload, item.Pictures, item.Picture);
+
         payload.IsLent = payload.IsLent && payload.BorrowerRef is not null;
 
         if (!payload.IsLent)
@@ -111,6 +124,22 @@ public sealed class FsItems
         return true;
     }
 
+    public async Task<bool> LendAsync(InventoryItem item, string borrowerId, DateTime? dueAt, CancellationToken cancellationToken = default)
+    {
+        // Hands the item over to a borrower from today until dueAt
+        if (item is null)
+        {
+            throw new ArgumentNullException(nameof(item));
+        }
+
+        item.IsLent = true;
+        item.BorrowerRef = CreateProfileReference(borrowerId);
+        item.BorrowedOn = DateTime.UtcNow;
+        item.DueAt = dueAt;
+
+        return await UpdateAsync(item, cancellationToken).ConfigureAwait(false);
+    }
+
     public async Task<bool> DeleteAsync(string itemId, CancellationToken cancellationToken = default)
     {
         // Deletes an item document by ID. Returns false for invalid IDs to avoid unnecessary Firestore calls
@@ -165,6 +194,264 @@ public sealed class FsItems
         return results;
     }
 
+    public async Task<ItemPage> ListPageAsync(ItemQuery query, CancellationToken cancellationToken = default)
+    {
+        // Cursor-paged catalog listing. Equality filters and ordering run in Firestore; free-text and
+        // price range are checked while scanning so no composite range index is needed.
+        if (query is null)
+        {
+            throw new ArgumentNullException(nameof(query));
+        }
+
+        var pageSize = Math.Clamp(query.PageSize, 1, ItemQuery.MaxPageSize);
+        var firestoreQuery = ApplyEqualityFilters(_collection, query);
+
+        firestoreQuery = query.Sort switch
+        {
+            "price-asc" => firestoreQuery.OrderBy("pricePerDay"),
+            "price-desc" => firestoreQuery.OrderByDescending("pricePerDay"),
+            // Firestore leaves out documents without createdAt; the migrate command's BackfillCreatedAtAsync fills it in
+            "newest" => firestoreQuery.OrderByDescending("createdAt"),
+            _ => firestoreQuery
+        };
+        firestoreQuery = firestoreQuery.OrderBy(FieldPath.DocumentId);
+
+        return await ScanPageAsync(firestoreQuery, query, query.Cursor, pageSize, cancellationToken).ConfigureAwait(false);
+    }
+
+    private async Task<ItemPage> ScanPageAsync(Query firestoreQuery, ItemQuery query, string? cursorId, int pageSize, CancellationToken cancellationToken)
+    {
+        // Reads the ordered query in batches after the cursor document, keeping items that pass
+        // the in-memory filters, until the page is full or the query runs out
+        DocumentSnapshot? cursor = null;
+        if (!string.IsNullOrWhiteSpace(cursorId))
+        {
+            var cursorSnapshot = await _collection.Document(cursorId.Trim())
+                .GetSnapshotAsync(cancellationToken)
+                .ConfigureAwait(false);
+            cursor = cursorSnapshot.Exists ? cursorSnapshot : null;
+        }
+
+        var results = new List<InventoryItem>(pageSize);
+        var exhausted = false;
+        string? lastDocumentId = null;
+
+        while (results.Count < pageSize && !exhausted)
+        {
+            var batchQuery = firestoreQuery.Limit(ItemQuery.ScanBatchSize);
+            if (cursor is not null)
+            {
+                batchQuery = batchQuery.StartAfter(cursor);
+            }
+
+            var snapshot = await batchQuery.GetSnapshotAsync(cancellationToken).ConfigureAwait(false);
+            var documents = snapshot.Documents;
+            exhausted = documents.Count < ItemQuery.ScanBatchSize;
+            lastDocumentId = documents.Count > 0 ? documents[^1].Id : lastDocumentId;
+
+            foreach (var document in documents)
+            {
+                cursor = document;
+                var item = await ConvertSnapshotAsync(document, cancellationToken).ConfigureAwait(false);
+                if (item is not null && query.Matches(item))
+                {
+                    results.Add(item);
+                }
+
+                if (results.Count == pageSize)
+                {
+                    break;
+                }
+            }
+        }
+
+        // Another page exists unless the scan consumed the very last document
+        var hasMore = cursor is not null && !(exhausted && cursor.Id == lastDocumentId);
+        return new ItemPage(results, hasMore ? cursor?.Id : null);
+    }
+
+    public async Task<ItemPage> ListNearestPageAsync(ItemQuery query, GeoPoint? origin, CancellationToken cancellationToken = default)
+    {
+        // "Nearest first" catalog page. Items carry their owner's coordinates and geohash, so the
+        // search works outward one band of cells at a time (within 10 miles, 50, 250, then
+        // everywhere) and reads each document once across all pages. Each page is sorted by
+        // distance; the bands keep the order close across pages. Items without a location come
+        // last in ID order, as does everything for a caller without one.
+        // Cursors are "near:<band>:<range>[:<geohash>:<itemId>]", then "rest:<itemId>".
+        if (query is null)
+        {
+            throw new ArgumentNullException(nameof(query));
+        }
+
+        var pageSize = Math.Clamp(query.PageSize, 1, ItemQuery.MaxPageSize);
+        var cursor = query.Cursor?.Trim() ?? string.Empty;
+
+        if (origin is not { } callerPoint)
+        {
+            var unranked = ApplyEqualityFilters(_collection, query).OrderBy(FieldPath.DocumentId);
+            return await ScanPageAsync(unranked, query, cursor, pageSize, cancellationToken).ConfigureAwait(false);
+        }
+
+        var found = new List<(InventoryItem Item, double Miles)>(pageSize);
+        if (!cursor.StartsWith("rest:", StringComparison.Ordinal))
+        {
+            var (band, range, afterGeohash, afterId) = ParseNearestCursor(cursor);
+            var ranges = band < NearestRadiiMiles.Length ? NearestRanges(callerPoint, band) : new();
+            var reads = 0;
+
+            while (band < NearestRadiiMiles.Length && found.Count < pageSize && reads < MaxNearestReads)
+            {
+                if (range >= ranges.Count)
+                {
+                    band++;
+                    range = 0;
+                    afterGeohash = afterId = null;
+                    ranges = band < NearestRadiiMiles.Length ? NearestRanges(callerPoint, band) : new();
+                    continue;
+                }
+
+                var limit = Math.Min(ItemQuery.ScanBatchSize, MaxNearestReads - reads);
+                var batchQuery = ApplyEqualityFilters(_collection, query)
+                    .WhereGreaterThanOrEqualTo("geohash", ranges[range].From)
+                    .WhereLessThan("geohash", ranges[range].To)
+                    .OrderBy("geohash")
+                    .OrderBy(FieldPath.DocumentId)
+                    .Limit(limit);
+                if (afterId is not null)
+                {
+                    batchQuery = batchQuery.StartAfter(afterGeohash, afterId);
+                }
+
+                var snapshot = await batchQuery.GetSnapshotAsync(cancellationToken).ConfigureAwait(false);
+                var documents = snapshot.Documents;
+                reads += documents.Count;
+
+                var consumed = 0;
+                foreach (var document in documents)
+                {
+                    consumed++;
+                    afterGeohash = document.GetValue<string>("geohash");
+                    afterId = document.Id;
+
+                    var item = await ConvertSnapshotAsync(document, cancellationToken).ConfigureAwait(false);
+                    if (item?.Coordinates is { } point && query.Matches(item))
+                    {
+                        found.Add((item, GeoDistance.Miles(callerPoint, point)));
+                    }
+
+                    if (found.Count == pageSize)
+                    {
+                        break;
+                    }
+                }
+
+                // A short batch read to its end means the range is done
+                if (documents.Count < limit && consumed == documents.Count)
+                {
+                    range++;
+                    afterGeohash = afterId = null;
+                }
+            }
+
+            if (band < NearestRadiiMiles.Length)
+            {
+                var next = afterId is null
+                    ? $"near:{band}:{range}"
+                    : $"near:{band}:{range}:{afterGeohash}:{afterId}";
+                return new ItemPage(ByDistance(found), next);
+            }
+
+            cursor = "rest:";
+        }
+
+        // Located items are used up; fill the page from those without a location
+        var results = ByDistance(found);
+        var unlocated = ApplyEqualityFilters(_collection.WhereEqualTo("geohash", string.Empty), query)
+            .OrderBy(FieldPath.DocumentId);
+        var rest = await ScanPageAsync(unlocated, query, cursor["rest:".Length..], pageSize - results.Count, cancellationToken)
+            .ConfigureAwait(false);
+
+        results.AddRange(rest.Items);
+        return new ItemPage(results, rest.NextCursor is null ? null : $"rest:{rest.NextCursor}");
+    }
+
+    private static List<InventoryItem> ByDistance(IEnumerable<(InventoryItem Item, double Miles)> found)
+    {
+        return found
+            .OrderBy(entry => entry.Miles)
+            .ThenBy(entry => entry.Item.ItemId, StringComparer.Ordinal)
+            .Select(entry => entry.Item)
+            .ToList();
+    }
+
+    private static (int Band, int Range, string? AfterGeohash, string? AfterId) ParseNearestCursor(string cursor)
+    {
+        // Anything unreadable starts from the caller's own cells
+        var parts = cursor.Split(':', 5);
+        if (parts.Length < 3 || parts[0] != "near" ||
+            !int.TryParse(parts[1], NumberStyles.None, CultureInfo.InvariantCulture, out var band) ||
+            !int.TryParse(parts[2], NumberStyles.None, CultureInfo.InvariantCulture, out var range))
+        {
+            return (0, 0, null, null);
+        }
+
+        return parts.Length == 5 ? (band, range, parts[3], parts[4]) : (band, range, null, null);
+    }
+
+    private static List<(string From, string To)> NearestRanges(GeoPoint origin, int band)
+    {
+        // Geohash ranges for one band: its cells minus the narrower bands' cells, which earlier
+        // pages have already read. Hashes only use the base32 alphabet, so "~" sorts after them.
+        var covered = NearestRadiiMiles
+            .Take(band)
+            .SelectMany(radius => GeoHash.CoveringPrefixes(origin, radius))
+            .Distinct(StringComparer.Ordinal)
+            .ToList();
+        covered = covered
+            .Where(prefix => !covered.Any(other => other.Length < prefix.Length && prefix.StartsWith(other, StringComparison.Ordinal)))
+            .OrderBy(prefix => prefix, StringComparer.Ordinal)
+            .ToList();
+
+        var ranges = new List<(string From, string To)>();
+        foreach (var prefix in GeoHash.CoveringPrefixes(origin, NearestRadiiMiles[band]).OrderBy(prefix => prefix, StringComparer.Ordinal))
+        {
+            // The whole-globe band starts at "0" so unlocated items (empty geohash) stay out
+            var from = prefix.Length == 0 ? "0" : prefix;
+            var to = prefix + "~";
+            foreach (var hole in covered.Where(hole => hole.StartsWith(prefix, StringComparison.Ordinal)))
+            {
+                if (string.CompareOrdinal(from, hole) < 0)
+                {
+                    ranges.Add((from, hole));
+                }
+
+                from = hole + "~";
+            }
+
+            if (string.CompareOrdinal(from, to) < 0)
+            {
+                ranges.Add((from, to));
+            }
+        }
+
+        return ranges;
+    }
+
+    private static Query ApplyEqualityFilters(Query firestoreQuery, ItemQuery query)
+    {
+        if (!string.IsNullOrWhiteSpace(query.Condition))
+        {
+            firestoreQuery = firestoreQuery.WhereEqualTo("condition", query.Condition.Trim());
+        }
+
+        if (query.AvailableOnly)
+        {
+            firestoreQuery = firestoreQuery.WhereEqualTo("isLent", false);
+        }
+
+        return firestoreQuery;
+    }
+
     public async Task<IReadOnlyList<InventoryItem>> ListByOwnerAsync(string ownerId, CancellationToken cancellationToken = default)
     {
         // Filtered load by owner
@@ -272,6 +559,102 @@ public sealed class FsItems
     }
 
 
+    public async Task<int> BackfillCreatedAtAsync(CancellationToken cancellationToken = default)
+    {
+        // Items created before catalog sorting have no createdAt, so an ordered query would skip
+        // them. Stamps each with the document's own creation time; once done this is a read-only scan.
+        var snapshot = await _collection.GetSnapshotAsync(cancellationToken).ConfigureAwait(false);
+        var missing = snapshot.Documents
+            .Where(document => !document.TryGetValue<Timestamp?>("createdAt", out var createdAt) || createdAt is null)
+            .ToList();
+
+        // Firestore batches hold up to 500 writes
+        foreach (var chunk in missing.Chunk(500))
+        {
+            var batch = _db.StartBatch();
+            foreach (var document in chunk)
+            {
+                var createdAt = (document.CreateTime ?? document.ReadTime).ToDateTime();
+                batch.Update(document.Reference, new Dictionary<string, object> { ["createdAt"] = createdAt });
+            }
+
+            await batch.CommitAsync(cancellationToken).ConfigureAwait(false);
+        }
+
+        return missing.Count;
+    }
+
+    public async Task<int> SetOwnerLocationAsync(string ownerId, GeoPoint? coordinates, CancellationToken cancellationToken = default)
+    {
+        // Moves an owner's items along with them when their postal code changes
+        var owned = await ListByOwnerAsync(ownerId, cancellationToken).ConfigureAwait(false);
+
+        foreach (var chunk in owned.Chunk(500))
+        {
+            var batch = _db.StartBatch();
+            foreach (var item in chunk)
+            {
+                batch.Update(_collection.Document(item.ItemId), LocationFields(coordinates));
+            }
+
+            await batch.CommitAsync(cancellationToken).ConfigureAwait(false);
+        }
+
+        return owned.Count;
+    }
+
+    public async Task<int> BackfillLocationsAsync(FsProfiles profiles, CancellationToken cancellationToken = default)
+    {
+        // Items listed before they carried a location have no geohash, which hides them from
+        // "nearest first". Copies each owner's coordinates on; once done this is a read-only scan.
+        if (profiles is null)
+        {
+            throw new ArgumentNullException(nameof(profiles));
+        }
+
+        var snapshot = await _collection.GetSnapshotAsync(cancellationToken).ConfigureAwait(false);
+        var missing = snapshot.Documents.Where(document => !document.ContainsField("geohash")).ToList();
+        if (missing.Count == 0)
+        {
+            return 0;
+        }
+
+        // Legacy documents still hold the owner as a plain string ID
+        static string OwnerIdOf(DocumentSnapshot document) =>
+            document.TryGetValue<object>("ownerId", out var owner) switch
+            {
+                true when owner is DocumentReference reference => reference.Id,
+                true when owner is string id => id,
+                _ => string.Empty
+            };
+
+        var owners = await profiles.GetProfilesByIdsAsync(missing.Select(OwnerIdOf), cancellationToken)
+            .ConfigureAwait(false);
+
+        foreach (var chunk in missing.Chunk(500))
+        {
+            var batch = _db.StartBatch();
+            foreach (var document in chunk)
+            {
+                var coordinates = owners.TryGetValue(OwnerIdOf(document), out var owner) ? owner.Coordinates : null;
+                batch.Update(document.Reference, LocationFields(coordinates));
+            }
+
+            await batch.CommitAsync(cancellationToken).ConfigureAwait(false);
+        }
+
+        return missing.Count;
+    }
+
+    private static Dictionary<string, object> LocationFields(GeoPoint? coordinates)
+    {
+        return new Dictionary<string, object>
+        {
+            ["coordinates"] = coordinates.HasValue ? coordinates.Value : FieldValue.Delete,
+            ["geohash"] = coordinates is { } point ? GeoHash.Encode(point) : string.Empty
+        };
+    }
+
     private async Task<InventoryItem?> ConvertSnapshotAsync(DocumentSnapshot snapshot, CancellationToken cancellationToken)
     {
         if (snapshot is null || !snapshot.Exists)
@@ -319,16 +702,22 @@ public sealed class FsItems
             ItemId = string.IsNullOrWhiteSpace(legacy.ItemId) ? snapshot.Id : legacy.ItemId,
             Name = legacy.Name ?? string.Empty,
             PricePerDay = legacy.PricePerDay,
-            Picture = legacy.Picture ?? string.Empty,
             Location = legacy.Location ?? string.Empty,
             IsLent = legacy.IsLent,
             Condition = legacy.Condition ?? string.Empty,
             OwnerRef = ownerRef,
             BorrowerRef = borrowerRef,
             BorrowedOn = legacy.BorrowedOn,
-            DueAt = legacy.DueAt
+            DueAt = legacy.DueAt,
+            Coordinates = snapshot.TryGetValue<GeoPoint?>("coordinates", out var coordinates) ? coordinates : null,
+            Geohash = snapshot.TryGetValue<string>("geohash", out var geohash) ? geohash ?? string.Empty : string.Empty,
+            // UpdateAsync merges every field, so anything left out here would be wiped on the next save
+            CreatedAt = snapshot.TryGetValue<DateTime?>("createdAt", out var createdAt) ? createdAt : null,
+            Rating = snapshot.TryGetValue<RatingTally?>("rating", out var rating) ? rating : null
         };
 
+        ItemPhotos.Apply(item, null, legacy.Picture);
+
         item.IsLent = item.IsLent && borrowerRef is not null;
         if (!item.IsLent)
         {
@@ -406,9 +795,14 @@ public sealed class InventoryItem
     [FirestoreProperty("pricePerDay")]
     public double PricePerDay { get; set; }
 
+    // Cover photo shown on catalog cards; always one of Pictures when any exist
     [FirestoreProperty("picture")]
     public string Picture { get; set; } = string.Empty;
 
+    // Gallery in display order. Missing on items created before galleries existed
+    [FirestoreProperty("pictures")]
+    public List<string> Pictures { get; set; } = new();
+
     [FirestoreProperty("location")]
     public string Location { get; set; } = string.Empty;
 
@@ -429,6 +823,119 @@ public sealed class InventoryItem
 
     [FirestoreProperty("dueAt")]
     public DateTime? DueAt { get; set; }
+
+    // Missing on items created before catalog sorting existed
+    [FirestoreProperty("createdAt")]
+    public DateTime? CreatedAt { get; set; }
+
+    // The owner's location, copied from their profile so "nearest first" can query by area.
+    // Geohash is empty when the owner hasn't given a postal code.
+    [FirestoreProperty("coordinates")]
+    public GeoPoint? Coordinates { get; set; }
+
+    [FirestoreProperty("geohash")]
+    public string Geohash { get; set; } = string.Empty;
+
+    // Stars borrowers gave the item itself after returning it
+    [FirestoreProperty("rating")]
+    public RatingTally? Rating { get; set; }
+}
+
+public sealed class ItemQuery
+{
+    // Catalog page request; field names mirror the home page's URL filter keys
+    public const int MaxPageSize = 50;
+    public const int ScanBatchSize = 50;
+
+    public string? Search { get; init; }
+    public double? MinPrice { get; init; }
+    public double? MaxPrice { get; init; }
+    public string? Condition { get; init; }
+    public bool AvailableOnly { get; init; }
+    public string? Sort { get; init; }   // price-asc, price-desc, newest or nearest
+    public int PageSize { get; init; } = 12;
+    public string? Cursor { get; init; }
+
+    public bool Matches(InventoryItem item)
+    {
+        if (MinPrice is not null && item.PricePerDay < MinPrice)
+        {
+            return false;
+        }
+
+        if (MaxPrice is not null && item.PricePerDay > MaxPrice)
+        {
+            return false;
+        }
+
+        if (string.IsNullOrWhiteSpace(Search))
+        {
+            return true;
+        }
+
+        var needle = Search.Trim();
+        return item.Name.Contains(needle, StringComparison.OrdinalIgnoreCase) ||
+               item.Condition.Contains(needle, StringComparison.OrdinalIgnoreCase);
+    }
+
+    // Matches() plus the filters ApplyEqualityFilters leaves to Firestore, for checking
+    // a single item (a new listing against saved searches) without a query
+    public bool MatchesAll(InventoryItem item)
+    {
+        if (!string.IsNullOrWhiteSpace(Condition) && item.Condition != Condition.Trim())
+        {
+            return false;
+        }
+
+        if (AvailableOnly && item.IsLent)
+        {
+            return false;
+        }
+
+        return Matches(item);
+    }
+}
+
+public sealed record ItemPage(IReadOnlyList<InventoryItem> Items, string? NextCursor);
+
+public static class ItemPhotos
+{
+    public const int MaxPhotos = 10;
+
+    // Normalizes the gallery and keeps the cover inside it. A cover that isn't in
+    // the list (single-photo clients, legacy documents) is placed first.
+    public static void Apply(InventoryItem item, IEnumerable<string>? pictures, string? cover)
+    {
+        var gallery = (pictures ?? item.Pictures ?? Enumerable.Empty<string>())
+            .Where(url => !string.IsNullOrWhiteSpace(url))
+            .Select(url => url.Trim())
+            .Distinct(StringComparer.Ordinal)
+            .ToList();
+
+        var chosen = string.IsNullOrWhiteSpace(cover) ? null : cover.Trim();
+        if (chosen is not null && !gallery.Contains(chosen))
+        {
+            gallery.Insert(0, chosen);
+        }
+
+        item.Pictures = gallery.Take(MaxPhotos).ToList();
+        item.Picture = chosen is not null && item.Pictures.Contains(chosen)
+            ? chosen
+            : item.Pictures.FirstOrDefault() ?? string.Empty;
+    }
+
+    // Legacy documents only carry the single `picture` field
+    public static IReadOnlyList<string> Gallery(InventoryItem item)
+    {
+        if (item.Pictures is { Count: > 0 })
+        {
+            return item.Pictures;
+        }
+
+        return string.IsNullOrWhiteSpace(item.Picture)
+            ? Array.Empty<string>()
+            : new[] { item.Picture };
+    }
 }
 
 public sealed class InventoryItemRequest
@@ -437,6 +944,7 @@ public sealed class InventoryItemRequest
     public string Name { get; set; } = string.Empty;
     public double PricePerDay { get; set; }
     public string Picture { get; set; } = string.Empty;
+    public List<string>? Pictures { get; set; }
     public string Location { get; set; } = string.Empty;
     public bool IsLent { get; set; }
     public string Condition { get; set; } = string.Empty;
@@ -452,6 +960,7 @@ public sealed class InventoryItemView
     public string Name { get; init; } = string.Empty;
     public double PricePerDay { get; init; }
     public string Picture { get; init; } = string.Empty;
+    public IReadOnlyList<string> Pictures { get; init; } = Array.Empty<string>();
     public string Location { get; init; } = string.Empty;
     public bool IsLent { get; init; }
     public string Condition { get; init; } = string.Empty;
@@ -461,11 +970,24 @@ public sealed class InventoryItemView
     public string BorrowerName { get; init; } = string.Empty;
     public DateTime? BorrowedOn { get; init; }
     public DateTime? DueAt { get; init; }
+    public DateTime? CreatedAt { get; init; }
+
+    // Miles between the caller's and the owner's postal codes; null when either is unknown
+    public double? DistanceMiles { get; init; }
+
+    // The owner's score as a lender, and the item's own score; null until rated
+    public RatingSummary? OwnerRating { get; init; }
+    public RatingSummary? ItemRating { get; init; }
 }
 
 public static class InventoryItemMapper
 {
-    public static async Task<IReadOnlyList<InventoryItemView>> ToViewListAsync(IEnumerable<InventoryItem> items, FsProfiles profiles, CancellationToken cancellationToken = default)
+    public static Task<IReadOnlyList<InventoryItemView>> ToViewListAsync(IEnumerable<InventoryItem> items, FsProfiles profiles, CancellationToken cancellationToken = default)
+    {
+        return ToViewListAsync(items, profiles, null, cancellationToken);
+    }
+
+    public static async Task<IReadOnlyList<InventoryItemView>> ToViewListAsync(IEnumerable<InventoryItem> items, FsProfiles profiles, GeoPoint? origin, CancellationToken cancellationToken = default)
     {
         if (profiles is null)
         {
@@ -491,7 +1013,7 @@ public static class InventoryItemMapper
             .ConfigureAwait(false);
 
         return materialized
-            .Select(item => CreateView(item, profileMap))
+            .Select(item => CreateView(item, profileMap, origin))
             .ToList();
     }
 
@@ -511,7 +1033,7 @@ public static class InventoryItemMapper
         return CreateView(item, profileMap);
     }
 
-    private static InventoryItemView CreateView(InventoryItem item, IReadOnlyDictionary<string, UserProfile> profiles)
+    private static InventoryItemView CreateView(InventoryItem item, IReadOnlyDictionary<string, UserProfile> profiles, GeoPoint? origin = null)
     {
         var ownerId = item.OwnerRef?.Id ?? string.Empty;
         var borrowerId = item.BorrowerRef?.Id ?? string.Empty;
@@ -530,6 +1052,7 @@ public static class InventoryItemMapper
             Name = item.Name,
             PricePerDay = item.PricePerDay,
             Picture = item.Picture,
+            Pictures = ItemPhotos.Gallery(item),
             Location = item.Location,
             IsLent = item.IsLent,
             Condition = item.Condition,
@@ -538,7 +1061,13 @@ public static class InventoryItemMapper
             BorrowerId = borrowerId,
             BorrowerName = borrowerName,
             BorrowedOn = item.BorrowedOn,
-            DueAt = item.DueAt
+            DueAt = item.DueAt,
+            CreatedAt = item.CreatedAt,
+            DistanceMiles = origin is { } callerPoint && ownerProfile?.Coordinates is { } ownerPoint
+                ? Math.Round(GeoDistance.Miles(callerPoint, ownerPoint), 1)
+                : null,
+            OwnerRating = RatingSummary.From(ownerProfile?.OwnerRating),
+            ItemRating = RatingSummary.From(item.Rating)
         };
     }
 
@@ -0,0 +1,105 @@
+using Google.Cloud.Firestore;
+
+namespace Data.Firestore;
+
+public sealed class FsMessages
+{
+    private const string CollectionName = "messages";
+    private readonly FirestoreDb _db;
+    private readonly CollectionReference _collection;
+
+    public FsMessages(FirestoreDb db)
+    {
+        _db = db ?? throw new ArgumentNullException(nameof(db));
+        _collection = _db.Collection(CollectionName);
+    }
+
+    public async Task<MessageEntity> CreateAsync(MessageEntity message, CancellationToken ct = default)
+    {
+        var doc = _collection.Document();
+        message.MessageId = doc.Id;
+        await doc.SetAsync(message, cancellationToken: ct);
+        return message;
+    }
+
+    // The whole conversation on one request, oldest first
+    public async Task<IReadOnlyList<MessageEntity>> ListForRequestAsync(string requestId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(requestId)) return Array.Empty<MessageEntity>();
+        var snapshot = await _collection.WhereEqualTo("requestId", requestId).GetSnapshotAsync(ct);
+        return snapshot.Documents
+            .Select(d => d.ConvertTo<MessageEntity>())
+            .OrderBy(m => m.CreatedAt)
+            .ToList();
+    }
+
+    public async Task<IReadOnlyList<MessageEntity>> ListUnreadAsync(string recipientId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(recipientId)) return Array.Empty<MessageEntity>();
+        var snapshot = await UnreadQuery(recipientId).GetSnapshotAsync(ct);
+        return snapshot.Documents.Select(d => d.ConvertTo<MessageEntity>()).ToList();
+    }
+
+    // Pushes every message waiting for the recipient on each change; the caller must StopAsync the listener
+    public FirestoreChangeListener ListenForUnread(string recipientId, Action<IReadOnlyList<MessageEntity>> onChange)
+    {
+        return UnreadQuery(recipientId).Listen(snapshot => onChange(snapshot.Documents.Select(d => d.ConvertTo<MessageEntity>()).ToList()));
+    }
+
+    // Opening a thread reads everything the other person sent in it
+    public async Task<int> MarkThreadReadAsync(string requestId, string recipientId, CancellationToken ct = default)
+    {
+        var snapshot = await UnreadQuery(recipientId).WhereEqualTo("requestId", requestId).GetSnapshotAsync(ct);
+        if (snapshot.Count == 0) return 0;
+
+        var batch = _db.StartBatch();
+        foreach (var doc in snapshot.Documents)
+        {
+            batch.Update(doc.Reference, new Dictionary<string, object> { { "readAt", DateTime.UtcNow } });
+        }
+        await batch.CommitAsync(ct);
+        return snapshot.Count;
+    }
+
+    private Query UnreadQuery(string recipientId) =>
+        _collection.WhereEqualTo("recipientId", recipientId).WhereEqualTo("readAt", null);
+
+    // One line per thread for the bell: how many are waiting and the newest one
+    public static IReadOnlyList<UnreadThread> Summarize(IEnumerable<MessageEntity> unread) =>
+        unread
+            .GroupBy(m => m.RequestId)
+            .Select(g =>
+            {
+                var latest = g.MaxBy(m => m.CreatedAt)!;
+                return new UnreadThread(g.Key, latest.ItemName, latest.SenderId, g.Count(), latest.CreatedAt, latest.Text);
+            })
+            .OrderByDescending(thread => thread.LatestAt)
+            .ToList();
+}
+
+// Preview is the newest message's text, empty when it was only photos
+public sealed record UnreadThread(string RequestId, string ItemName, string SenderId, int Count, DateTime LatestAt, string Preview);
+
+[FirestoreData]
+public sealed class MessageEntity
+{
+    [FirestoreDocumentId] public string MessageId { get; set; } = string.Empty;
+
+    // the borrow request this thread belongs to; item name copied so the bell needn't look it up
+    [FirestoreProperty("requestId")] public string RequestId { get; set; } = string.Empty;
+    [FirestoreProperty("itemName")] public string ItemName { get; set; } = string.Empty;
+
+    // always the request's owner and borrower, one each way
+    [FirestoreProperty("senderId")] public string SenderId { get; set; } = string.Empty;
+    [FirestoreProperty("recipientId")] public string RecipientId { get; set; } = string.Empty;
+
+    [FirestoreProperty("text")] public string Text { get; set; } = string.Empty;
+
+    // public URLs of photos uploaded through /api/uploads/items
+    [FirestoreProperty("attachments")] public List<string> Attachments { get; set; } = new();
+
+    [FirestoreProperty("createdAt")] public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    // when the recipient opened the thread; null = unread
+    [FirestoreProperty("readAt")] public DateTime? ReadAt { get; set; }
+}
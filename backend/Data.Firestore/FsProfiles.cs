@@ -1,6 +1,7 @@
 using System;
 using System.Collections.Generic;
 using System.Linq;
+using System.Text;
 using System.Threading;
 using System.Threading.Tasks;
 using Google.Cloud.Firestore;
@@ -44,6 +45,11 @@ public sealed class FsProfiles
             LastName = profile.LastName ?? string.Empty,
             Email = profile.Email ?? string.Empty,
             Address = profile.Address ?? string.Empty,
+            Street = profile.Street ?? string.Empty,
+            City = profile.City ?? string.Empty,
+            State = profile.State ?? string.Empty,
+            PostalCode = profile.PostalCode ?? string.Empty,
+            Coordinates = profile.Coordinates,
             Role = string.IsNullOrWhiteSpace(profile.Role) ? "owner" : profile.Role,
             Pfp = (profile.Pfp ?? string.Empty).Trim(),
             Password = profile.Password ?? string.Empty
@@ -87,6 +93,19 @@ public sealed class FsProfiles
         return document?.ConvertTo<UserProfile>();
     }
 
+    public async Task<UserProfile?> FindByResetTokenAsync(string tokenDigest, CancellationToken cancellationToken = default)
+    {
+        // Looks up the profile holding a password reset token (by its digest, never the raw token)
+        if (string.IsNullOrWhiteSpace(tokenDigest))
+        {
+            return null;
+        }
+
+        var query = _collection.WhereEqualTo("resetTokenHash", tokenDigest).Limit(1);
+        var snapshot = await query.GetSnapshotAsync(cancellationToken).ConfigureAwait(false);
+        return snapshot.Documents.FirstOrDefault()?.ConvertTo<UserProfile>();
+    }
+
     public async Task<IReadOnlyDictionary<string, UserProfile>> GetProfilesByIdsAsync(IEnumerable<string> ownerIds, CancellationToken cancellationToken = default)
     {
         if (ownerIds is null)
@@ -187,9 +206,27 @@ public sealed class UserProfile
     [FirestoreProperty("email")]
     public string Email { get; set; } = string.Empty;
 
+    // One-line form of the fields below. Profiles saved before addresses were
+    // structured only have this free-text value.
     [FirestoreProperty("address")]
     public string Address { get; set; } = string.Empty;
 
+    [FirestoreProperty("street")]
+    public string Street { get; set; } = string.Empty;
+
+    [FirestoreProperty("city")]
+    public string City { get; set; } = string.Empty;
+
+    [FirestoreProperty("state")]
+    public string State { get; set; } = string.Empty;
+
+    [FirestoreProperty("postalCode")]
+    public string PostalCode { get; set; } = string.Empty;
+
+    // Resolved from the postal code on save; used for distances, never sent to clients
+    [FirestoreProperty("coordinates")]
+    public GeoPoint? Coordinates { get; set; }
+
     [FirestoreProperty("role")]
     public string Role { get; set; } = "owner";
 
@@ -198,4 +235,129 @@ public sealed class UserProfile
 
     [FirestoreProperty("password")]
     public string Password { get; set; } = string.Empty;
+
+    // Outstanding "forgot password" token: SHA-256 digest plus expiry; cleared once used
+    [FirestoreProperty("resetTokenHash")]
+    public string ResetTokenHash { get; set; } = string.Empty;
+
+    [FirestoreProperty("resetTokenExpiresAt")]
+    public DateTime? ResetTokenExpiresAt { get; set; }
+
+    // Copied into every bearer token. Bumping it when the password changes signs out
+    // every session issued before, so profile edits must carry it over
+    [FirestoreProperty("tokenVersion")]
+    public int TokenVersion { get; set; }
+
+    // Stars from borrowers for lending, and from owners for borrowing; only ever
+    // incremented as reviews come in, so profile edits must carry them over
+    [FirestoreProperty("ownerRating")]
+    public RatingTally? OwnerRating { get; set; }
+
+    [FirestoreProperty("borrowerRating")]
+    public RatingTally? BorrowerRating { get; set; }
+}
+
+public static class GeoDistance
+{
+    private const double EarthRadiusMiles = 3958.8;
+
+    // Great-circle (haversine) distance
+    public static double Miles(GeoPoint origin, GeoPoint destination)
+    {
+        static double Radians(double degrees) => degrees * Math.PI / 180;
+
+        var dLat = Radians(destination.Latitude - origin.Latitude);
+        var dLon = Radians(destination.Longitude - origin.Longitude);
+        var a = Math.Pow(Math.Sin(dLat / 2), 2) +
+                Math.Cos(Radians(origin.Latitude)) * Math.Cos(Radians(destination.Latitude)) * Math.Pow(Math.Sin(dLon / 2), 2);
+        return 2 * EarthRadiusMiles * Math.Asin(Math.Sqrt(a));
+    }
+}
+
+public static class GeoHash
+{
+    // Points in the same geohash cell share its hash as a prefix, so "what's near here"
+    // becomes a handful of string range queries Firestore can answer from an index
+    public const int StoredPrecision = 9;
+    private const string Alphabet = "0123456789bcdefghjkmnpqrstuvwxyz";
+    private const double MilesPerDegreeLatitude = 69.0;
+
+    public static string Encode(GeoPoint point, int precision = StoredPrecision)
+    {
+        double minLat = -90, maxLat = 90, minLon = -180, maxLon = 180;
+        var hash = new StringBuilder(precision);
+        var longitudeBit = true;
+        var bits = 0;
+        var value = 0;
+
+        while (hash.Length < precision)
+        {
+            if (longitudeBit)
+            {
+                var mid = (minLon + maxLon) / 2;
+                value = value * 2 + (point.Longitude >= mid ? 1 : 0);
+                if (point.Longitude >= mid) minLon = mid; else maxLon = mid;
+            }
+            else
+            {
+                var mid = (minLat + maxLat) / 2;
+                value = value * 2 + (point.Latitude >= mid ? 1 : 0);
+                if (point.Latitude >= mid) minLat = mid; else maxLat = mid;
+            }
+
+            longitudeBit = !longitudeBit;
+            if (++bits == 5)
+            {
+                hash.Append(Alphabet[value]);
+                bits = 0;
+                value = 0;
+            }
+        }
+
+        return hash.ToString();
+    }
+
+    // Prefixes whose cells together hold every point within radiusMiles of center.
+    // The cells are picked at least as large as the search box, so each one the box
+    // overlaps contains one of its corners. An empty prefix means the whole range.
+    public static IReadOnlyList<string> CoveringPrefixes(GeoPoint center, double radiusMiles)
+    {
+        var latDelta = radiusMiles / MilesPerDegreeLatitude;
+        var lonDelta = latDelta / Math.Max(Math.Cos(center.Latitude * Math.PI / 180), 0.01);
+
+        var precision = 0;
+        while (precision < StoredPrecision &&
+               CellHeight(precision + 1) >= 2 * latDelta &&
+               CellWidth(precision + 1) >= 2 * lonDelta)
+        {
+            precision++;
+        }
+
+        if (precision == 0)
+        {
+            return new[] { string.Empty };
+        }
+
+        var corners = new[]
+        {
+            Corner(center, -latDelta, -lonDelta),
+            Corner(center, -latDelta, lonDelta),
+            Corner(center, latDelta, -lonDelta),
+            Corner(center, latDelta, lonDelta)
+        };
+
+        return corners.Select(corner => Encode(corner, precision)).Distinct(StringComparer.Ordinal).ToList();
+    }
+
+    // A cell of n characters splits 5n bits between longitude (first) and latitude
+    private static double CellWidth(int precision) => 360 / Math.Pow(2, (5 * precision + 1) / 2);
+
+    private static double CellHeight(int precision) => 180 / Math.Pow(2, 5 * precision / 2);
+
+    private static GeoPoint Corner(GeoPoint center, double latOffset, double lonOffset)
+    {
+        var latitude = Math.Clamp(center.Latitude + latOffset, -90, 90);
+        var longitude = (center.Longitude + lonOffset + 540) % 360 - 180;
+        return new GeoPoint(latitude, longitude);
+    }
 }
@@ -40,17 +40,227 @@ public sealed class FsRequests
         return snapshot.Documents.Select(d => d.ConvertTo<BorrowRequestEntity>()).ToList();
     }
 
-    public async Task<bool> UpdateStatusAsync(string id, string status, CancellationToken ct = default)
+    public async Task<IReadOnlyList<BorrowRequestEntity>> ListForBorrowerAsync(string borrowerId, CancellationToken ct = default)
     {
-        await _collection.Document(id).UpdateAsync(
-            new Dictionary<string, object> { { "status", status } },
-            cancellationToken: ct
-        );
-        return true;
+        if (string.IsNullOrWhiteSpace(borrowerId)) return Array.Empty<BorrowRequestEntity>();
+        var snapshot = await _collection.WhereEqualTo("borrowerId", borrowerId).GetSnapshotAsync(ct);
+        return snapshot.Documents
+            .Select(d => d.ConvertTo<BorrowRequestEntity>())
+            .OrderByDescending(r => r.CreatedAt)
+            .ToList();
+    }
+
+    // Requests the owner has already answered (or the borrower withdrew), most recent first
+    public async Task<IReadOnlyList<BorrowRequestEntity>> ListHistoryForOwnerAsync(string ownerId, int limit = 50, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(ownerId)) return Array.Empty<BorrowRequestEntity>();
+        var snapshot = await _collection.WhereEqualTo("ownerId", ownerId).GetSnapshotAsync(ct);
+        return snapshot.Documents
+            .Select(d => d.ConvertTo<BorrowRequestEntity>())
+            .Where(r => r.Status != "pending")
+            .OrderByDescending(r => r.RespondedAt ?? r.CreatedAt)
+            .Take(limit)
+            .ToList();
+    }
+
+    // Pushes the owner's pending list on every change; the caller must StopAsync the listener
+    public FirestoreChangeListener ListenForOwner(string ownerId, Action<IReadOnlyList<BorrowRequestEntity>> onChange)
+    {
+        var q = _collection.WhereEqualTo("ownerId", ownerId).WhereEqualTo("status", "pending");
+        return q.Listen(snapshot => onChange(snapshot.Documents.Select(d => d.ConvertTo<BorrowRequestEntity>()).ToList()));
+    }
+
+    // Pushes the borrower's answered-but-unread requests on every change
+    public FirestoreChangeListener ListenForBorrowerResponses(string borrowerId, Action<IReadOnlyList<BorrowRequestEntity>> onChange)
+    {
+        var q = _collection.WhereEqualTo("borrowerId", borrowerId);
+        return q.Listen(snapshot => onChange(snapshot.Documents
+            .Select(d => d.ConvertTo<BorrowRequestEntity>())
+            .Where(r => r.IsUnreadResponse)
+            .ToList()));
+    }
+
+    // Owners read incoming requests; borrowers read the owner's answer. The caller's
+    // side of each request decides which timestamp is set.
+    public async Task<int> MarkReadAsync(string userId, IEnumerable<string> requestIds, CancellationToken ct = default)
+    {
+        var marked = 0;
+        foreach (var id in requestIds.Where(id => !string.IsNullOrWhiteSpace(id)).Distinct())
+        {
+            var req = await ReadAsync(id, ct);
+            if (req is null) continue;
+
+            string? field = null;
+            if (req.OwnerId == userId && req.OwnerReadAt is null) field = "ownerReadAt";
+            else if (req.BorrowerId == userId && req.IsUnreadResponse) field = "borrowerReadAt";
+            if (field is null) continue;
+
+            await _collection.Document(id).UpdateAsync(
+                new Dictionary<string, object> { { field, DateTime.UtcNow } },
+                cancellationToken: ct
+            );
+            marked++;
+        }
+        return marked;
+    }
+
+    // Accept/deny a pending request: the borrower is notified until they read it.
+    // False when it was no longer pending.
+    public Task<bool> RecordResponseAsync(string id, string status, CancellationToken ct = default) =>
+        TransitionAsync(id, "pending",
+            new Dictionary<string, object> { { "status", status }, { "respondedAt", DateTime.UtcNow } },
+            ct);
+
+    // Owner proposes a different return date; the borrower is notified like any other answer
+    public Task<bool> RecordCounterAsync(string id, DateTime dueAt, CancellationToken ct = default) =>
+        TransitionAsync(id, "pending",
+            new Dictionary<string, object>
+            {
+                { "status", "countered" },
+                { "counterDueAt", dueAt },
+                { "respondedAt", DateTime.UtcNow }
+            },
+            ct);
+
+    // Borrower takes the owner's proposed return date; the quote follows the new length
+    public Task<bool> AcceptCounterAsync(string id, DateTime dueAt, RentalQuote? quote, CancellationToken ct = default)
+    {
+        var updates = new Dictionary<string, object> { { "status", "accepted" }, { "dueAt", dueAt } };
+        if (quote is not null) updates["quote"] = quote;
+        return TransitionAsync(id, "countered", updates, ct);
+    }
+
+    // Borrower withdraws a pending request or turns down a counter-offer
+    public Task<bool> CancelAsync(string id, string from, CancellationToken ct = default) =>
+        TransitionAsync(id, from, new Dictionary<string, object> { { "status", "cancelled" } }, ct);
+
+    // Reads the status and writes the change in one transaction, so an owner and borrower
+    // answering the same request at once can't both go through. False when the request is
+    // gone or has already left the expected status.
+    private async Task<bool> TransitionAsync(string id, string from, Dictionary<string, object> updates, CancellationToken ct)
+    {
+        var doc = _collection.Document(id);
+        return await _db.RunTransactionAsync(async transaction =>
+        {
+            var snap = await transaction.GetSnapshotAsync(doc, ct);
+            if (!snap.Exists || !snap.TryGetValue<string>("status", out var status) ||
+                !string.Equals(status, from, StringComparison.OrdinalIgnoreCase))
+            {
+                return false;
+            }
+
+            transaction.Update(doc, updates);
+            return true;
+        }, cancellationToken: ct);
+    }
+
+    public async Task<IReadOnlyList<BorrowRequestEntity>> ListAcceptedForItemAsync(string itemId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(itemId)) return Array.Empty<BorrowRequestEntity>();
+        var q = _collection.WhereEqualTo("itemId", itemId).WhereEqualTo("status", "accepted");
+        var snapshot = await q.GetSnapshotAsync(ct);
+        return snapshot.Documents.Select(d => d.ConvertTo<BorrowRequestEntity>()).ToList();
+    }
+
+    // Accepted bookings that start before the given time, across all items; some of these are
+    // already out on loan, the rest are waiting for their item to be handed over
+    public async Task<IReadOnlyList<BorrowRequestEntity>> ListAcceptedStartingBeforeAsync(DateTime before, CancellationToken ct = default)
+    {
+        var q = _collection.WhereEqualTo("status", "accepted").WhereLessThan("startAt", before);
+        var snapshot = await q.GetSnapshotAsync(ct);
+        return snapshot.Documents.Select(d => d.ConvertTo<BorrowRequestEntity>()).ToList();
+    }
+
+    // Dates nobody else can book: the current loan plus every accepted booking that hasn't ended
+    public async Task<IReadOnlyList<BookingRange>> ListBookedRangesAsync(InventoryItem item, CancellationToken ct = default)
+    {
+        var today = DateTime.UtcNow.Date;
+        var ranges = new List<BookingRange>();
+
+        if (item.IsLent)
+        {
+            ranges.Add(new BookingRange(item.BorrowedOn ?? today, item.DueAt));
+        }
+
+        var accepted = await ListAcceptedForItemAsync(item.ItemId, ct);
+        ranges.AddRange(accepted
+            .Select(r => r.ToRange())
+            .Where(range => range.End is null || range.End.Value.Date >= today));
+
+        return ranges.OrderBy(range => range.Start).ToList();
+    }
+
+    // Closes out the borrower's bookings a finished loan was fulfilling so their dates free up
+    public async Task CompleteStartedAsync(string itemId, string borrowerId, CancellationToken ct = default)
+    {
+        var today = DateTime.UtcNow.Date;
+        var accepted = await ListAcceptedForItemAsync(itemId, ct);
+        foreach (var booking in accepted.Where(r => r.BorrowerId == borrowerId && r.ToRange().Start.Date <= today))
+        {
+            await _collection.Document(booking.RequestId).UpdateAsync(
+                new Dictionary<string, object> { { "status", "returned" }, { "completedAt", DateTime.UtcNow } },
+                cancellationToken: ct
+            );
+        }
+    }
+
+    // Finished loans on the owner's items, for the earnings ledger
+    public async Task<IReadOnlyList<BorrowRequestEntity>> ListCompletedForOwnerAsync(string ownerId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(ownerId)) return Array.Empty<BorrowRequestEntity>();
+        var q = _collection.WhereEqualTo("ownerId", ownerId).WhereEqualTo("status", "returned");
+        var snapshot = await q.GetSnapshotAsync(ct);
+        return snapshot.Documents.Select(d => d.ConvertTo<BorrowRequestEntity>()).ToList();
     }
 
 }
 
+// What a loan costs, worked out when the request is made so later price changes
+// don't affect it. Days are inclusive: picking up and returning on the same day is one day.
+[FirestoreData]
+public sealed class RentalQuote
+{
+    [FirestoreProperty("days")] public int Days { get; set; }
+    [FirestoreProperty("pricePerDay")] public double PricePerDay { get; set; }
+    [FirestoreProperty("subtotal")] public double Subtotal { get; set; }
+    [FirestoreProperty("serviceFee")] public double ServiceFee { get; set; }
+    [FirestoreProperty("total")] public double Total { get; set; }
+
+    public static RentalQuote For(double pricePerDay, DateTime start, DateTime due, double serviceFeeRate)
+    {
+        var days = Math.Max(1, (int)(due.Date - start.Date).TotalDays + 1);
+        var subtotal = Math.Round(days * pricePerDay, 2);
+        var fee = Math.Round(subtotal * serviceFeeRate, 2);
+        return new RentalQuote
+        {
+            Days = days,
+            PricePerDay = pricePerDay,
+            Subtotal = subtotal,
+            ServiceFee = fee,
+            Total = subtotal + fee
+        };
+    }
+}
+
+// Which accepted booking an available item should go out on
+public static class BookingSchedule
+{
+    // The earliest booking that has started by the given day; null while they're all still ahead
+    public static BorrowRequestEntity? DueToStart(IEnumerable<BorrowRequestEntity> accepted, DateTime today) =>
+        accepted
+            .Where(r => r.ToRange().Start.Date <= today.Date)
+            .OrderBy(r => r.ToRange().Start)
+            .FirstOrDefault();
+}
+
+// Inclusive whole-day date range. A null End is open-ended (a loan with no due date).
+public readonly record struct BookingRange(DateTime Start, DateTime? End)
+{
+    public bool Overlaps(BookingRange other) =>
+        Start.Date <= (other.End?.Date ?? DateTime.MaxValue.Date) &&
+        other.Start.Date <= (End?.Date ?? DateTime.MaxValue.Date);
+}
+
 [FirestoreData]
 public sealed class BorrowRequestEntity
 {
@@ -66,12 +276,33 @@ public sealed class BorrowRequestEntity
     [FirestoreProperty("itemId")] public string ItemId { get; set; } = string.Empty;
     [FirestoreProperty("itemName")] public string ItemName { get; set; } = string.Empty;
 
-    // requested due date
+    // requested loan window; requests made before date ranges existed have no startAt
+    [FirestoreProperty("startAt")] public DateTime? StartAt { get; set; }
     [FirestoreProperty("dueAt")] public DateTime? DueAt { get; set; }
 
-    // pending | accepted | denied
+    // pending | countered | accepted | denied | cancelled | returned
     [FirestoreProperty("status")] public string Status { get; set; } = "pending";
 
+    // return date the owner proposed instead of dueAt; only set while countered or after
+    [FirestoreProperty("counterDueAt")] public DateTime? CounterDueAt { get; set; }
+
+    // when the owner marked the notification read; null = unread
+    [FirestoreProperty("ownerReadAt")] public DateTime? OwnerReadAt { get; set; }
+
+    // when the owner accepted/denied, and when the borrower saw that answer
+    [FirestoreProperty("respondedAt")] public DateTime? RespondedAt { get; set; }
+    [FirestoreProperty("borrowerReadAt")] public DateTime? BorrowerReadAt { get; set; }
+
+    // price agreed for the requested (or counter-offered) dates; null on requests made before quotes
+    [FirestoreProperty("quote")] public RentalQuote? Quote { get; set; }
+
+    // when the item came back; set as the request moves to returned
+    [FirestoreProperty("completedAt")] public DateTime? CompletedAt { get; set; }
+
     // created
     [FirestoreProperty("createdAt")] public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    public BookingRange ToRange() => new(StartAt ?? CreatedAt, DueAt);
+
+    public bool IsUnreadResponse => RespondedAt is not null && BorrowerReadAt is null;
 }
@@ -0,0 +1,124 @@
+using Google.Cloud.Firestore;
+
+namespace Data.Firestore;
+
+public sealed class FsReviews
+{
+    private const string CollectionName = "reviews";
+    private readonly FirestoreDb _db;
+    private readonly CollectionReference _collection;
+
+    public FsReviews(FirestoreDb db)
+    {
+        _db = db ?? throw new ArgumentNullException(nameof(db));
+        _collection = _db.Collection(CollectionName);
+    }
+
+    // One review per side of a loan, so the document ID is the request plus the reviewer's role
+    public static string ReviewIdFor(string requestId, string role) => $"{requestId}_{role}";
+
+    // Stores the review and folds it into the running tallies in one transaction: the
+    // reviewee's score for the role they played, and the item's score when the
+    // borrower rated it. Returns false when this side of the loan was already reviewed.
+    public async Task<bool> CreateAsync(ReviewEntity review, CancellationToken ct = default)
+    {
+        review.ReviewId = ReviewIdFor(review.RequestId, review.Role);
+        var reviewRef = _collection.Document(review.ReviewId);
+        var revieweeRef = _db.Collection("profiles").Document(review.RevieweeId);
+        var itemRef = _db.Collection("items").Document(review.ItemId);
+
+        return await _db.RunTransactionAsync(async transaction =>
+        {
+            var existing = await transaction.GetSnapshotAsync(reviewRef, ct);
+            if (existing.Exists) return false;
+
+            // Accounts and items can be deleted after the loan; their tallies go with them
+            var reviewee = await transaction.GetSnapshotAsync(revieweeRef, ct);
+            var item = review.ItemRating is null ? null : await transaction.GetSnapshotAsync(itemRef, ct);
+
+            transaction.Create(reviewRef, review);
+
+            // The borrower rates the owner as a lender, and the owner rates the borrower
+            var tally = review.Role == "borrower" ? "ownerRating" : "borrowerRating";
+            if (reviewee.Exists)
+            {
+                transaction.Update(revieweeRef, new Dictionary<string, object>
+                {
+                    { $"{tally}.sum", FieldValue.Increment(review.Rating) },
+                    { $"{tally}.count", FieldValue.Increment(1) }
+                });
+            }
+
+            if (item?.Exists == true)
+            {
+                transaction.Update(itemRef, new Dictionary<string, object>
+                {
+                    { "rating.sum", FieldValue.Increment(review.ItemRating!.Value) },
+                    { "rating.count", FieldValue.Increment(1) }
+                });
+            }
+
+            return true;
+        }, cancellationToken: ct);
+    }
+
+    // IDs of every review the user has written, to tell which finished loans still need one
+    public async Task<IReadOnlySet<string>> ListIdsByReviewerAsync(string reviewerId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(reviewerId)) return new HashSet<string>();
+        var snapshot = await _collection.WhereEqualTo("reviewerId", reviewerId).GetSnapshotAsync(ct);
+        return snapshot.Documents.Select(d => d.Id).ToHashSet();
+    }
+
+    // Reviews the user has received from either side of their loans, most recent first
+    public async Task<IReadOnlyList<ReviewEntity>> ListForRevieweeAsync(string revieweeId, int limit = 20, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(revieweeId)) return Array.Empty<ReviewEntity>();
+        var snapshot = await _collection.WhereEqualTo("revieweeId", revieweeId).GetSnapshotAsync(ct);
+        return snapshot.Documents
+            .Select(d => d.ConvertTo<ReviewEntity>())
+            .OrderByDescending(r => r.CreatedAt)
+            .Take(limit)
+            .ToList();
+    }
+}
+
+// Running total of star ratings, kept on the rated profile or item so cards can show
+// a score without reading every review
+[FirestoreData]
+public sealed class RatingTally
+{
+    [FirestoreProperty("sum")] public long Sum { get; set; }
+    [FirestoreProperty("count")] public long Count { get; set; }
+}
+
+// Average to one decimal; null until there is at least one rating
+public sealed record RatingSummary(double Average, long Count)
+{
+    public static RatingSummary? From(RatingTally? tally) =>
+        tally is { Count: > 0 } ? new RatingSummary(Math.Round((double)tally.Sum / tally.Count, 1), tally.Count) : null;
+}
+
+[FirestoreData]
+public sealed class ReviewEntity
+{
+    [FirestoreDocumentId] public string ReviewId { get; set; } = string.Empty;
+
+    // the finished loan being reviewed
+    [FirestoreProperty("requestId")] public string RequestId { get; set; } = string.Empty;
+    [FirestoreProperty("itemId")] public string ItemId { get; set; } = string.Empty;
+    [FirestoreProperty("itemName")] public string ItemName { get; set; } = string.Empty;
+
+    // who wrote it, about whom, and which side of the loan the writer was on: owner | borrower
+    [FirestoreProperty("reviewerId")] public string ReviewerId { get; set; } = string.Empty;
+    [FirestoreProperty("revieweeId")] public string RevieweeId { get; set; } = string.Empty;
+    [FirestoreProperty("role")] public string Role { get; set; } = string.Empty;
+
+    // 1-5 stars for the other person; borrowers may also rate the item itself
+    [FirestoreProperty("rating")] public int Rating { get; set; }
+    [FirestoreProperty("itemRating")] public int? ItemRating { get; set; }
+
+    [FirestoreProperty("comment")] public string Comment { get; set; } = string.Empty;
+
+    [FirestoreProperty("createdAt")] public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+}
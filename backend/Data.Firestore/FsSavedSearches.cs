@@ -0,0 +1,123 @@
+using Google.Cloud.Firestore;
+
+namespace Data.Firestore;
+
+public sealed class FsSavedSearches
+{
+    private const string CollectionName = "savedSearches";
+    private readonly FirestoreDb _db;
+    private readonly CollectionReference _collection;
+
+    public FsSavedSearches(FirestoreDb db)
+    {
+        _db = db ?? throw new ArgumentNullException(nameof(db));
+        _collection = _db.Collection(CollectionName);
+    }
+
+    public async Task<SavedSearchEntity> CreateAsync(SavedSearchEntity search, CancellationToken ct = default)
+    {
+        var doc = _collection.Document();
+        search.SearchId = doc.Id;
+        search.QKey = SavedSearchEntity.KeyFor(search.Q);
+        await doc.SetAsync(search, cancellationToken: ct);
+        return search;
+    }
+
+    public async Task<IReadOnlyList<SavedSearchEntity>> ListForUserAsync(string userId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(userId)) return Array.Empty<SavedSearchEntity>();
+        var snapshot = await _collection.WhereEqualTo("userId", userId).GetSnapshotAsync(ct);
+        return snapshot.Documents
+            .Select(d => d.ConvertTo<SavedSearchEntity>())
+            .OrderByDescending(s => s.CreatedAt)
+            .ToList();
+    }
+
+    // Searches that might match a new listing, for the caller to check with MatchesAll.
+    // Only searches keyed by a piece of the item's name or condition are read, plus the
+    // ones without text that allow its condition.
+    public async Task<IReadOnlyList<SavedSearchEntity>> ListCandidatesAsync(InventoryItem item, CancellationToken ct = default)
+    {
+        var found = new Dictionary<string, SavedSearchEntity>(StringComparer.Ordinal);
+
+        var conditions = new[] { item.Condition.Trim(), string.Empty }.Distinct().ToList();
+        await AddAsync(_collection.WhereEqualTo("qKey", string.Empty).WhereIn("condition", conditions));
+
+        // Firestore takes at most 30 values per "in"
+        foreach (var keys in SavedSearchEntity.KeysIn(item.Name, item.Condition).Chunk(30))
+        {
+            await AddAsync(_collection.WhereIn("qKey", keys));
+        }
+
+        return found.Values.ToList();
+
+        async Task AddAsync(Query query)
+        {
+            var snapshot = await query.GetSnapshotAsync(ct);
+            foreach (var d in snapshot.Documents) found[d.Id] = d.ConvertTo<SavedSearchEntity>();
+        }
+    }
+
+    // Only the user who saved it may delete it; false when it isn't theirs or is already gone
+    public async Task<bool> DeleteAsync(string searchId, string userId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(searchId)) return false;
+        var doc = _collection.Document(searchId);
+        var snapshot = await doc.GetSnapshotAsync(ct);
+        if (!snapshot.Exists || snapshot.ConvertTo<SavedSearchEntity>().UserId != userId) return false;
+
+        await doc.DeleteAsync(cancellationToken: ct);
+        return true;
+    }
+}
+
+// Catalog filters kept for alerts. Field names mirror the home page's URL filter keys;
+// sorting and paging aren't saved because they don't change what matches.
+[FirestoreData]
+public sealed class SavedSearchEntity
+{
+    [FirestoreDocumentId] public string SearchId { get; set; } = string.Empty;
+    [FirestoreProperty("userId")] public string UserId { get; set; } = string.Empty;
+    [FirestoreProperty("name")] public string Name { get; set; } = string.Empty;
+
+    [FirestoreProperty("q")] public string Q { get; set; } = string.Empty;
+    [FirestoreProperty("minPrice")] public double? MinPrice { get; set; }
+    [FirestoreProperty("maxPrice")] public double? MaxPrice { get; set; }
+    [FirestoreProperty("condition")] public string Condition { get; set; } = string.Empty;
+    [FirestoreProperty("available")] public bool Available { get; set; }
+
+    // Matching index: Q lowercased and cut to KeyLength characters, empty without text.
+    // Any name or condition that Q matches contains this piece.
+    [FirestoreProperty("qKey")] public string QKey { get; set; } = string.Empty;
+
+    [FirestoreProperty("createdAt")] public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    public bool HasFilters =>
+        Q.Length > 0 || MinPrice is not null || MaxPrice is not null || Condition.Length > 0 || Available;
+
+    public const int KeyLength = 3;
+
+    public static string KeyFor(string q)
+    {
+        var text = q.Trim().ToLowerInvariant();
+        return text.Length <= KeyLength ? text : text[..KeyLength];
+    }
+
+    // Every key a search matching one of these texts can have: their pieces up to KeyLength long
+    public static IEnumerable<string> KeysIn(params string[] texts) =>
+        texts
+            .Select(text => text.ToLowerInvariant())
+            .SelectMany(text => Enumerable.Range(1, KeyLength)
+                .SelectMany(length => Enumerable.Range(0, Math.Max(text.Length - length + 1, 0))
+                    .Select(start => text.Substring(start, length))))
+            .Distinct(StringComparer.Ordinal);
+
+    public ItemQuery ToQuery() => new()
+    {
+        Search = Q,
+        MinPrice = MinPrice,
+        MaxPrice = MaxPrice,
+        Condition = Condition,
+        AvailableOnly = Available
+    };
+}
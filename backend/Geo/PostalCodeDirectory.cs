@@ -0,0 +1,79 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Text.RegularExpressions;
+using Google.Cloud.Firestore;
+
+namespace Backend.Geo;
+
+public sealed class PostalCodeDirectory
+{
+    // Offline ZIP code -> coordinates lookup backed by the bundled postal-codes.csv,
+    // so distances never depend on a geocoding service. Rows are keyed by either a
+    // full 5-digit ZIP or a 3-digit prefix (the area's sectional center); the most
+    // specific row wins. The shipped table has one row per prefix, which is close
+    // enough for "how far away" and can be extended with exact ZIPs later.
+    public const string FormatMessage = "Postal code must be a 5-digit ZIP code.";
+    private const string ResourceName = "postal-codes.csv";
+    private static readonly Regex ZipPattern = new(@"^\d{5}(-\d{4})?$", RegexOptions.Compiled);
+
+    private readonly Dictionary<string, GeoPoint> _points;
+
+    public PostalCodeDirectory(Dictionary<string, GeoPoint> points)
+    {
+        _points = points ?? throw new ArgumentNullException(nameof(points));
+    }
+
+    public static PostalCodeDirectory LoadBundled()
+    {
+        using var stream = typeof(PostalCodeDirectory).Assembly.GetManifestResourceStream(ResourceName)
+            ?? throw new InvalidOperationException($"Embedded resource '{ResourceName}' is missing.");
+        using var reader = new StreamReader(stream);
+        return Parse(reader);
+    }
+
+    public static PostalCodeDirectory Parse(TextReader reader)
+    {
+        // postalCode,latitude,longitude,place -- the place name is only for people reading the file
+        var points = new Dictionary<string, GeoPoint>(StringComparer.Ordinal);
+        reader.ReadLine();
+
+        string? line;
+        while ((line = reader.ReadLine()) is not null)
+        {
+            var columns = line.Split(',', 4);
+            if (columns.Length < 3 ||
+                !double.TryParse(columns[1], NumberStyles.Float, CultureInfo.InvariantCulture, out var latitude) ||
+                !double.TryParse(columns[2], NumberStyles.Float, CultureInfo.InvariantCulture, out var longitude))
+            {
+                continue;
+            }
+
+            points[columns[0].Trim()] = new GeoPoint(latitude, longitude);
+        }
+
+        return new PostalCodeDirectory(points);
+    }
+
+    public static bool IsValid(string? postalCode)
+    {
+        return postalCode is not null && ZipPattern.IsMatch(postalCode.Trim());
+    }
+
+    public GeoPoint? Locate(string? postalCode)
+    {
+        if (!IsValid(postalCode))
+        {
+            return null;
+        }
+
+        var zip = postalCode!.Trim()[..5];
+        if (_points.TryGetValue(zip, out var exact))
+        {
+            return exact;
+        }
+
+        return _points.TryGetValue(zip[..3], out var area) ? area : null;
+    }
+}
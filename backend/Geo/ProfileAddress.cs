@@ -0,0 +1,44 @@
+using System;
+using System.Linq;
+using Data.Firestore;
+
+namespace Backend.Geo;
+
+public static class ProfileAddress
+{
+    // Tidies the structured address on a profile about to be saved, rebuilds the
+    // one-line Address from it and resolves the postal code to coordinates.
+    // Returns an error message when the postal code isn't a ZIP code.
+    public static string? Apply(UserProfile profile, PostalCodeDirectory directory)
+    {
+        if (profile is null)
+        {
+            throw new ArgumentNullException(nameof(profile));
+        }
+
+        profile.Street = (profile.Street ?? string.Empty).Trim();
+        profile.City = (profile.City ?? string.Empty).Trim();
+        profile.State = (profile.State ?? string.Empty).Trim().ToUpperInvariant();
+        profile.PostalCode = (profile.PostalCode ?? string.Empty).Trim();
+
+        if (profile.PostalCode.Length > 0 && !PostalCodeDirectory.IsValid(profile.PostalCode))
+        {
+            return PostalCodeDirectory.FormatMessage;
+        }
+
+        // Clients that still send a single free-text address keep it as is
+        var parts = new[] { profile.Street, profile.City, profile.State, profile.PostalCode };
+        if (parts.Any(part => part.Length > 0))
+        {
+            var region = string.Join(" ", new[] { profile.State, profile.PostalCode }.Where(part => part.Length > 0));
+            profile.Address = string.Join(", ", new[] { profile.Street, profile.City, region }.Where(part => part.Length > 0));
+        }
+        else
+        {
+            profile.Address = (profile.Address ?? string.Empty).Trim();
+        }
+
+        profile.Coordinates = directory.Locate(profile.PostalCode);
+        return null;
+    }
+}
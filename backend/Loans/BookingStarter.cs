@@ -0,0 +1,80 @@
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Data.Firestore;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Backend.Loans;
+
+public sealed class BookingStarter : BackgroundService
+{
+    // Starts accepted bookings whose start date has arrived. Accepting a booking only hands
+    // the item over when it starts that day, and a return only passes it on to a booking
+    // that has already started, so a booking for later on an idle item waits for this.
+    private static readonly TimeSpan Interval = TimeSpan.FromHours(1);
+
+    private readonly FsRequests _requests;
+    private readonly FsItems _items;
+    private readonly ILogger<BookingStarter> _logger;
+
+    public BookingStarter(FsRequests requests, FsItems items, ILogger<BookingStarter> logger)
+    {
+        _requests = requests ?? throw new ArgumentNullException(nameof(requests));
+        _items = items ?? throw new ArgumentNullException(nameof(items));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(Interval);
+        do
+        {
+            try
+            {
+                var started = await StartDueAsync(stoppingToken);
+                if (started > 0)
+                {
+                    _logger.LogInformation("Started {Count} booked loans.", started);
+                }
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                // Try again next round rather than stopping the host
+                _logger.LogError(ex, "Starting booked loans failed.");
+            }
+        }
+        while (await timer.WaitForNextTickAsync(stoppingToken));
+    }
+
+    public async Task<int> StartDueAsync(CancellationToken cancellationToken = default)
+    {
+        var today = DateTime.UtcNow.Date;
+        var accepted = await _requests.ListAcceptedStartingBeforeAsync(today.AddDays(1), cancellationToken);
+        var started = 0;
+
+        // Bookings already out on loan are in the list too; their item is lent, so they're skipped
+        foreach (var bookings in accepted.GroupBy(r => r.ItemId))
+        {
+            var next = BookingSchedule.DueToStart(bookings, today);
+            if (next is null)
+            {
+                continue;
+            }
+
+            var item = await _items.ReadAsync(bookings.Key, cancellationToken);
+            if (item is null || item.IsLent)
+            {
+                continue;
+            }
+
+            if (await _items.LendAsync(item, next.BorrowerId, next.DueAt, cancellationToken))
+            {
+                started++;
+            }
+        }
+
+        return started;
+    }
+}
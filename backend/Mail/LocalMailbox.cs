@@ -0,0 +1,59 @@
+using System;
+using System.IO;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace Backend.Mail;
+
+public sealed class LocalMailbox
+{
+    // Stand-in for a real mail provider: each message is written to the outbox
+    // folder as a plain-text .eml file and logged, so reset links can be picked
+    // up locally. Swap this class out when the app gets an SMTP/API sender.
+    private readonly MailOptions _options;
+    private readonly ILogger<LocalMailbox> _logger;
+
+    public LocalMailbox(IOptions<MailOptions> options, ILogger<LocalMailbox> logger)
+    {
+        _options = options?.Value ?? throw new ArgumentNullException(nameof(options));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    public async Task SendAsync(string to, string subject, string body, CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(to))
+        {
+            throw new ArgumentException("Recipient must be provided.", nameof(to));
+        }
+
+        var outbox = Path.GetFullPath(_options.OutboxPath);
+        Directory.CreateDirectory(outbox);
+
+        var sentAt = DateTimeOffset.UtcNow;
+        var fileName = $"{sentAt:yyyyMMdd-HHmmss}-{Guid.NewGuid():N}.eml";
+        var message = new StringBuilder()
+            .AppendLine($"From: {_options.From}")
+            .AppendLine($"To: {to}")
+            .AppendLine($"Subject: {subject}")
+            .AppendLine($"Date: {sentAt:R}")
+            .AppendLine("Content-Type: text/plain; charset=utf-8")
+            .AppendLine()
+            .AppendLine(body)
+            .ToString();
+
+        await File.WriteAllTextAsync(Path.Combine(outbox, fileName), message, cancellationToken).ConfigureAwait(false);
+        _logger.LogInformation("Mail to {Recipient} ({Subject}) written to {File}", to, subject, fileName);
+    }
+}
+
+public sealed class MailOptions
+{
+    public string OutboxPath { get; set; } = "mail-outbox";
+    public string From { get; set; } = "Hippo Exchange <no-reply@hippoexchange.com>";
+
+    // Page the reset link opens; the token is appended as ?reset=...
+    public string ResetPageUrl { get; set; } = "http://localhost:8000/index.html";
+}
@@ -1,5 +1,121 @@
+using Data.Firestore;
+
 namespace Backend.Models;
 
 public sealed record BorrowRequest(string BorrowerId, DateTime? BorrowedOn, DateTime? DueAt);
-public sealed record CreateRequestDto(string ItemId, string BorrowerId, DateTime? DueAt);
+public sealed record CreateRequestDto(string ItemId, string? BorrowerId, DateTime? StartAt, DateTime? DueAt);
+public sealed record BookedRangeView(DateTime StartAt, DateTime? DueAt);
 public sealed record RespondRequestDto(bool Accepted);
+public sealed record CounterRequestDto(DateTime? DueAt);
+public sealed record MarkReadDto(IReadOnlyList<string> RequestIds);
+public sealed record LoginRequest(string Email, string Password);
+public sealed record AuthResponse(string OwnerId, string Token, DateTime ExpiresAt);
+public sealed record ForgotPasswordDto(string Email);
+public sealed record ResetPasswordDto(string Token, string NewPassword);
+public sealed record ChangePasswordDto(string CurrentPassword, string NewPassword);
+public sealed record DeleteAccountDto(string Confirmation, string Password);
+public sealed record ReviewDto(int Rating, int? ItemRating, string? Comment);
+public sealed record SendMessageDto(string? Text, IReadOnlyList<string>? Attachments);
+public sealed record SaveSearchDto(string? Name, string? Q, double? MinPrice, double? MaxPrice, string? Condition, bool? Available);
+public sealed record MarkAlertsReadDto(IReadOnlyList<string> AlertIds);
+
+// Profile shape returned to clients; never carries the password hash
+public sealed record UserProfileView(
+    string OwnerId,
+    string FirstName,
+    string LastName,
+    string Email,
+    string Address,
+    string Street,
+    string City,
+    string State,
+    string PostalCode,
+    string Role,
+    string Pfp,
+    RatingSummary? OwnerRating,
+    RatingSummary? BorrowerRating)
+{
+    public static UserProfileView From(UserProfile profile) => new(
+        profile.OwnerId,
+        profile.FirstName,
+        profile.LastName,
+        profile.Email,
+        profile.Address,
+        profile.Street,
+        profile.City,
+        profile.State,
+        profile.PostalCode,
+        profile.Role,
+        profile.Pfp,
+        RatingSummary.From(profile.OwnerRating),
+        RatingSummary.From(profile.BorrowerRating));
+}
+
+// Someone else's profile: enough to recognise and rate them, located to the city only
+public sealed record PublicProfileView(
+    string OwnerId,
+    string FirstName,
+    string LastName,
+    string City,
+    string State,
+    string Pfp,
+    RatingSummary? OwnerRating,
+    RatingSummary? BorrowerRating)
+{
+    public static PublicProfileView From(UserProfile profile) => new(
+        profile.OwnerId,
+        profile.FirstName,
+        profile.LastName,
+        profile.City,
+        profile.State,
+        profile.Pfp,
+        RatingSummary.From(profile.OwnerRating),
+        RatingSummary.From(profile.BorrowerRating));
+}
+
+// What an owner sees about someone asking to borrow; counts cover requests to every owner
+public sealed record BorrowerSummaryView(
+    string OwnerId,
+    string Name,
+    string Pfp,
+    int Completed,
+    int Active,
+    int Declined,
+    int Cancelled,
+    int WithYou,
+    RatingSummary? Rating);
+
+// A finished loan the caller hasn't reviewed yet. Role is the caller's side of it.
+public sealed record PendingReviewView(
+    string RequestId,
+    string ItemId,
+    string ItemName,
+    string Role,
+    string OtherPartyId,
+    string OtherPartyName,
+    DateTime? CompletedAt);
+
+// A review someone received. Role is the reviewer's side of the loan.
+public sealed record ReviewView(
+    string ReviewId,
+    string ItemName,
+    string Role,
+    string ReviewerId,
+    string ReviewerName,
+    int Rating,
+    string Comment,
+    DateTime CreatedAt);
+
+// Owner earnings from completed loans. Amounts are the rental subtotal; service fees aren't the owner's.
+public sealed record EarningsLine(string Key, string Label, int Loans, double Total);
+public sealed record EarningsView(double Total, int Loans, IReadOnlyList<EarningsLine> ByItem, IReadOnlyList<EarningsLine> ByMonth);
+
+// A request's conversation as the caller sees it. OtherParty is whoever the caller is talking to.
+public sealed record MessageThreadView(
+    string RequestId,
+    string ItemId,
+    string ItemName,
+    string Status,
+    string OtherPartyId,
+    string OtherPartyName,
+    IReadOnlyList<MessageEntity> Messages);
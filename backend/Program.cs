@@ -1,9 +1,16 @@
+using Backend.Auth;
+using Backend.Geo;
+using Backend.Loans;
+using Backend.Mail;
 using Backend.Storage;
 using Data.Firestore;
 using Google.Cloud.Firestore;
 using Google.Cloud.Storage.V1;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.Extensions.Options;
 using System.Text.Json;
+using System.Threading.Channels;
 using Microsoft.AspNetCore.StaticFiles;
 using Backend.Models;
 
@@ -13,9 +20,34 @@ using Backend.Models;
 var builder = WebApplication.CreateBuilder(args);
 
 builder.Services.Configure<StorageOptions>(builder.Configuration.GetSection("Storage"));
+
+// Share of each rental added on top as a service fee (0.05 = 5%); no fee unless configured
+var serviceFeeRate = builder.Configuration.GetValue("Pricing:ServiceFeeRate", 0.0);
 builder.Services.AddSingleton(_ => StorageClient.Create());
 builder.Services.AddSingleton<FirebaseStorageService>();
 
+// ===============================
+// Auth Configuration
+// ===============================
+// Token signing key comes from configuration or the AUTH_SIGNING_KEY environment variable.
+// If neither is set, a random key is generated and tokens are lost on restart.
+builder.Services.Configure<AuthOptions>(builder.Configuration.GetSection("Auth"));
+builder.Services.PostConfigure<AuthOptions>(options =>
+{
+    if (string.IsNullOrWhiteSpace(options.SigningKey))
+    {
+        options.SigningKey = Environment.GetEnvironmentVariable("AUTH_SIGNING_KEY") ?? string.Empty;
+    }
+});
+builder.Services.AddSingleton<TokenService>();
+
+// Password reset mail goes to a local outbox folder until a real provider is wired up
+builder.Services.Configure<MailOptions>(builder.Configuration.GetSection("Mail"));
+builder.Services.AddSingleton<LocalMailbox>();
+
+// ZIP code -> coordinates table bundled with the app (Geo/postal-codes.csv)
+builder.Services.AddSingleton(PostalCodeDirectory.LoadBundled());
+
 // ===============================
 // Firestore Configuration
 // ===============================
@@ -45,6 +77,14 @@ builder.Services.AddSingleton(db);
 builder.Services.AddSingleton<FsProfiles>(sp => new FsProfiles(db));
 builder.Services.AddSingleton<FsItems>(sp => new FsItems(db));
 builder.Services.AddSingleton<FsRequests>(sp => new FsRequests(db));
+builder.Services.AddSingleton<FsReviews>(sp => new FsReviews(db));
+builder.Services.AddSingleton<FsMessages>(sp => new FsMessages(db));
+builder.Services.AddSingleton<FsFavorites>(sp => new FsFavorites(db));
+builder.Services.AddSingleton<FsSavedSearches>(sp => new FsSavedSearches(db));
+builder.Services.AddSingleton<FsAlerts>(sp => new FsAlerts(db));
+
+// Hands items over to accepted bookings once their start date arrives
+builder.Services.AddHostedService<BookingStarter>();
 builder.Services.AddSingleton(_ => new FirestoreDbBuilder
 {
     ProjectId = projectId,
@@ -73,7 +113,69 @@ builder.Services.ConfigureHttpJsonOptions(options =>
 
 var app = builder.Build();
 
+// One-off data migrations scan every item, so they run on request (`dotnet backend.dll migrate`)
+// and exit rather than on every startup
+if (args.Contains("migrate"))
+{
+    // Items listed before catalog sorting existed need a createdAt to show up under "newest"
+    var backfilled = await app.Services.GetRequiredService<FsItems>().BackfillCreatedAtAsync();
+    app.Logger.LogInformation("Backfilled createdAt on {Count} items.", backfilled);
+
+    // ...and their owner's location to show up under "nearest"
+    var located = await app.Services.GetRequiredService<FsItems>().BackfillLocationsAsync(app.Services.GetRequiredService<FsProfiles>());
+    app.Logger.LogInformation("Backfilled locations on {Count} items.", located);
+    return;
+}
+
 app.UseCors(DevCorsPolicy);
+
+// ===============================
+// Bearer Token Authentication
+// ===============================
+// Every /api route needs a valid token except the ones used before an account exists
+var anonymousApiRoutes = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+{
+    "POST /api/auth/login",
+    "POST /api/auth/forgot-password",
+    "POST /api/auth/reset-password",
+    "POST /api/users",
+    "POST /api/uploads/profiles"
+};
+
+app.Use(async (context, next) =>
+{
+    var request = context.Request;
+    if (!request.Path.StartsWithSegments("/api") || HttpMethods.IsOptions(request.Method))
+    {
+        await next();
+        return;
+    }
+
+    // A signed token only counts while its account exists and its version is current:
+    // changing or resetting the password, or deleting the account, ends older sessions
+    var tokens = context.RequestServices.GetRequiredService<TokenService>();
+    var claims = tokens.Validate(TokenService.ReadBearer(request));
+    if (claims is not null)
+    {
+        var profile = await context.RequestServices.GetRequiredService<FsProfiles>().ReadAsync(claims.OwnerId, context.RequestAborted);
+        if (profile is null || profile.TokenVersion != claims.Version)
+        {
+            claims = null;
+        }
+    }
+
+    if (claims is not null)
+    {
+        context.Items[TokenService.OwnerIdItemKey] = claims.OwnerId;
+    }
+    else if (!anonymousApiRoutes.Contains($"{request.Method} {request.Path.Value?.TrimEnd('/')}"))
+    {
+        context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+        return;
+    }
+
+    await next();
+});
 // Binding the dev URL here so the app can be run without elevated permissions
 app.Urls.Add("http://localhost:8000");
 
@@ -90,51 +192,263 @@ app.UseStaticFiles(new StaticFileOptions
 });
 
 // ===============================
-// USER ROUTES
+// AUTH ROUTES
 // ===============================
 
-// Create new user profile
-app.MapPost("/api/users", async (UserProfile profile, FsProfiles profiles, CancellationToken cancellationToken) =>
+// Exchange email + password for a signed bearer token
+app.MapPost("/api/auth/login", async (LoginRequest body, FsProfiles profiles, TokenService tokens, CancellationToken cancellationToken) =>
 {
-    var created = await profiles.CreateAsync(profile, cancellationToken);
-    return Results.Created($"/api/users/{created.OwnerId}", created);
+    if (body is null || string.IsNullOrWhiteSpace(body.Email) || string.IsNullOrEmpty(body.Password))
+    {
+        return Results.BadRequest("Email and password are required.");
+    }
+
+    var profile = await profiles.FindByEmailAsync(body.Email.Trim(), cancellationToken);
+    var check = PasswordHasher.Verify(body.Password, profile?.Password);
+    if (profile is null || check == PasswordCheck.Failed)
+    {
+        // Same response for unknown email and wrong password so accounts can't be probed
+        return Results.Unauthorized();
+    }
+
+    if (check == PasswordCheck.SuccessRehashNeeded)
+    {
+        profile.Password = PasswordHasher.Hash(body.Password);
+        await profiles.UpdateAsync(profile, cancellationToken);
+    }
+
+    var issued = tokens.Issue(profile.OwnerId, profile.TokenVersion);
+    return Results.Ok(new AuthResponse(profile.OwnerId, issued.Token, issued.ExpiresAt));
+});
+
+// Email a single-use reset link. The answer is the same whether or not the
+// address has an account, so this can't be used to probe for users.
+app.MapPost("/api/auth/forgot-password", async (ForgotPasswordDto body, FsProfiles profiles, LocalMailbox mailbox, IOptions<MailOptions> mailOptions, CancellationToken cancellationToken) =>
+{
+    if (body is null || string.IsNullOrWhiteSpace(body.Email))
+    {
+        return Results.BadRequest("Email is required.");
+    }
+
+    var profile = await profiles.FindByEmailAsync(body.Email.Trim(), cancellationToken);
+    if (profile is not null)
+    {
+        var token = PasswordResetTokens.Create();
+        profile.ResetTokenHash = PasswordResetTokens.Digest(token);
+        profile.ResetTokenExpiresAt = DateTime.UtcNow.Add(PasswordResetTokens.Lifetime);
+        await profiles.UpdateAsync(profile, cancellationToken);
+
+        var link = QueryHelpers.AddQueryString(mailOptions.Value.ResetPageUrl, "reset", token);
+        await mailbox.SendAsync(profile.Email, "Reset your Hippo Exchange password",
+            $"Someone asked to reset the password for this account.\n\nOpen this link within {PasswordResetTokens.Lifetime.TotalMinutes:0} minutes to choose a new one:\n{link}\n\nIf it wasn't you, ignore this email; your password hasn't changed.",
+            cancellationToken);
+    }
+
+    return Results.Accepted();
+});
+
+// Set a new password with a token from the reset email; the token is then spent
+app.MapPost("/api/auth/reset-password", async (ResetPasswordDto body, FsProfiles profiles, CancellationToken cancellationToken) =>
+{
+    if (body is null || string.IsNullOrWhiteSpace(body.Token))
+    {
+        return Results.BadRequest("Reset token is required.");
+    }
+
+    if (!PasswordHasher.MeetsPolicy(body.NewPassword))
+    {
+        return Results.BadRequest(PasswordHasher.PolicyMessage);
+    }
+
+    var profile = await profiles.FindByResetTokenAsync(PasswordResetTokens.Digest(body.Token), cancellationToken);
+    if (profile is null || profile.ResetTokenExpiresAt is not { } expiresAt || expiresAt <= DateTime.UtcNow)
+    {
+        return Results.BadRequest("This reset link has expired or was already used. Ask for a new one.");
+    }
+
+    profile.Password = PasswordHasher.Hash(body.NewPassword);
+    profile.ResetTokenHash = string.Empty;
+    profile.ResetTokenExpiresAt = null;
+    profile.TokenVersion++;
+    await profiles.UpdateAsync(profile, cancellationToken);
+    return Results.NoContent();
 });
 
-// Get user by email (used for login)
-app.MapGet("/api/users", async ([FromQuery] string? email, FsProfiles profiles, FirestoreDb db, CancellationToken cancellationToken) =>
+// ===============================
+// USER ROUTES
+// ===============================
+
+// Create new user profile (registration). The plain password is hashed here, never stored as sent.
+app.MapPost("/api/users", async (UserProfile profile, FsProfiles profiles, PostalCodeDirectory postalCodes, CancellationToken cancellationToken) =>
 {
-    if (string.IsNullOrWhiteSpace(email))
+    if (string.IsNullOrWhiteSpace(profile.Email) || string.IsNullOrEmpty(profile.Password))
+    {
+        return Results.BadRequest("Email and password are required.");
+    }
+
+    if (!PasswordHasher.MeetsPolicy(profile.Password))
+    {
+        return Results.BadRequest(PasswordHasher.PolicyMessage);
+    }
+
+    if (ProfileAddress.Apply(profile, postalCodes) is { } addressError)
     {
-        // Debug fallback returns the entire collection
-        var collection = db.Collection("profiles");
-        var snapshot = await collection.GetSnapshotAsync(cancellationToken);
-        var allUsers = snapshot.Documents.Select(doc => doc.ConvertTo<UserProfile>()).ToList();
-        return Results.Ok(allUsers);
+        return Results.BadRequest(addressError);
     }
 
-    // Firestore query runs client-side
-    var profile = await profiles.FindByEmailAsync(email, cancellationToken);
-    return profile is null ? Results.NotFound() : Results.Ok(profile);
+    if (await profiles.FindByEmailAsync(profile.Email.Trim(), cancellationToken) is not null)
+    {
+        return Results.Conflict("An account with that email already exists.");
+    }
+
+    profile.Email = profile.Email.Trim();
+    profile.Password = PasswordHasher.Hash(profile.Password);
+
+    var created = await profiles.CreateAsync(profile, cancellationToken);
+    return Results.Created($"/api/users/{created.OwnerId}", UserProfileView.From(created));
 });
 
-// Get user by ID
-app.MapGet("/api/users/{ownerId}", async (string ownerId, FsProfiles profiles, CancellationToken cancellationToken) =>
+// Get user by ID. Other users only see the public side: no email or street address.
+app.MapGet("/api/users/{ownerId}", async (string ownerId, HttpContext http, FsProfiles profiles, CancellationToken cancellationToken) =>
 {
     var profile = await profiles.ReadAsync(ownerId, cancellationToken);
-    return profile is null ? Results.NotFound() : Results.Ok(profile);
+    if (profile is null)
+    {
+        return Results.NotFound();
+    }
+
+    return ownerId == TokenService.CurrentOwnerId(http)
+        ? Results.Ok(UserProfileView.From(profile))
+        : Results.Ok(PublicProfileView.From(profile));
 });
 
-// Update user profile
-app.MapPut("/api/users/{ownerId}", async (string ownerId, UserProfile profile, FsProfiles profiles, CancellationToken cancellationToken) =>
+// Update user profile. The stored password hash is kept; profile edits never change it.
+app.MapPut("/api/users/{ownerId}", async (string ownerId, UserProfile profile, HttpContext http, FsProfiles profiles, FsItems items, PostalCodeDirectory postalCodes, CancellationToken cancellationToken) =>
 {
+    if (ownerId != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("You can only edit your own profile.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    var existing = await profiles.ReadAsync(ownerId, cancellationToken);
+    if (existing is null)
+    {
+        return Results.NotFound();
+    }
+
+    // The email is the login, so changing it takes the current password, sent
+    // in the otherwise ignored "password" field
+    profile.Email = (profile.Email ?? string.Empty).Trim();
+    if (profile.Email.Length == 0)
+    {
+        return Results.BadRequest("Email is required.");
+    }
+
+    if (profile.Email != existing.Email)
+    {
+        if (PasswordHasher.Verify(profile.Password ?? string.Empty, existing.Password) == PasswordCheck.Failed)
+        {
+            return Results.Json("Your current password is required to change your email.", statusCode: StatusCodes.Status403Forbidden);
+        }
+
+        if (await profiles.FindByEmailAsync(profile.Email, cancellationToken) is not null)
+        {
+            return Results.Conflict("An account with that email already exists.");
+        }
+    }
+
+    if (ProfileAddress.Apply(profile, postalCodes) is { } addressError)
+    {
+        return Results.BadRequest(addressError);
+    }
+
     profile.OwnerId = ownerId;
+    profile.Password = existing.Password;
+    profile.ResetTokenHash = existing.ResetTokenHash;
+    profile.ResetTokenExpiresAt = existing.ResetTokenExpiresAt;
+    profile.TokenVersion = existing.TokenVersion;
+    profile.OwnerRating = existing.OwnerRating;
+    profile.BorrowerRating = existing.BorrowerRating;
     var updated = await profiles.UpdateAsync(profile, cancellationToken);
+    if (updated && !Nullable.Equals(profile.Coordinates, existing.Coordinates))
+    {
+        await items.SetOwnerLocationAsync(ownerId, profile.Coordinates, cancellationToken);
+    }
+
     return updated ? Results.NoContent() : Results.NotFound();
 });
 
-// Delete user
-app.MapDelete("/api/users/{ownerId}", async (string ownerId, FsProfiles profiles, CancellationToken cancellationToken) =>
+// Change password. The current one must be given again, even with a valid token.
+// Every other session is signed out; the caller gets a fresh token to carry on with.
+app.MapPost("/api/users/{ownerId}/password", async (string ownerId, ChangePasswordDto body, HttpContext http, FsProfiles profiles, TokenService tokens, CancellationToken cancellationToken) =>
 {
+    if (ownerId != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("You can only change your own password.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    var profile = await profiles.ReadAsync(ownerId, cancellationToken);
+    if (profile is null)
+    {
+        return Results.NotFound();
+    }
+
+    // 403 rather than 401: a wrong password here shouldn't end the session
+    if (PasswordHasher.Verify(body?.CurrentPassword ?? string.Empty, profile.Password) == PasswordCheck.Failed)
+    {
+        return Results.Json("Your current password is incorrect.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    if (!PasswordHasher.MeetsPolicy(body?.NewPassword))
+    {
+        return Results.BadRequest(PasswordHasher.PolicyMessage);
+    }
+
+    profile.Password = PasswordHasher.Hash(body!.NewPassword);
+    profile.ResetTokenHash = string.Empty;
+    profile.ResetTokenExpiresAt = null;
+    profile.TokenVersion++;
+    await profiles.UpdateAsync(profile, cancellationToken);
+
+    var issued = tokens.Issue(profile.OwnerId, profile.TokenVersion);
+    return Results.Ok(new AuthResponse(profile.OwnerId, issued.Token, issued.ExpiresAt));
+});
+
+// Delete user. The caller must type their email to confirm and re-enter their
+// password, and can't leave while items are out on loan to or from them.
+app.MapDelete("/api/users/{ownerId}", async (string ownerId, [FromBody] DeleteAccountDto body, HttpContext http, FsProfiles profiles, FsItems items, CancellationToken cancellationToken) =>
+{
+    if (ownerId != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("You can only delete your own account.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    var profile = await profiles.ReadAsync(ownerId, cancellationToken);
+    if (profile is null)
+    {
+        return Results.NotFound();
+    }
+
+    if (!string.Equals(body?.Confirmation?.Trim(), profile.Email, StringComparison.OrdinalIgnoreCase))
+    {
+        return Results.BadRequest("Type your account email to confirm.");
+    }
+
+    if (PasswordHasher.Verify(body!.Password ?? string.Empty, profile.Password) == PasswordCheck.Failed)
+    {
+        return Results.Json("Your password is incorrect.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    if ((await items.ListByBorrowerAsync(ownerId, cancellationToken)).Count > 0)
+    {
+        return Results.Conflict("Return the items you're borrowing before deleting your account.");
+    }
+
+    if ((await items.ListByOwnerAsync(ownerId, cancellationToken)).Any(item => item.IsLent))
+    {
+        return Results.Conflict("Some of your items are still out on loan. Delete your account once they're returned.");
+    }
+
     var deleted = await profiles.DeleteAsync(ownerId, cancellationToken);
     return deleted ? Results.NoContent() : Results.NotFound();
 });
@@ -147,6 +461,34 @@ app.MapGet("/api/users/{ownerId}/items", async (string ownerId, FsItems items, F
     return Results.Ok(response);
 });
 
+// Earnings from the owner's completed loans, per item and per month (newest first)
+app.MapGet("/api/users/{ownerId}/earnings", async (string ownerId, HttpContext http, FsRequests requests, CancellationToken ct) =>
+{
+    if (ownerId != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("You can only view your own earnings.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    // Loans finished before quotes were stored have no agreed price, so they aren't counted
+    var loans = (await requests.ListCompletedForOwnerAsync(ownerId, ct))
+        .Where(r => r.Quote is not null)
+        .ToList();
+
+    var byItem = loans
+        .GroupBy(r => r.ItemId)
+        .Select(g => new EarningsLine(g.Key, g.First().ItemName, g.Count(), Math.Round(g.Sum(r => r.Quote!.Subtotal), 2)))
+        .OrderByDescending(line => line.Total)
+        .ToList();
+
+    var byMonth = loans
+        .GroupBy(r => (r.CompletedAt ?? r.DueAt ?? r.CreatedAt).ToString("yyyy-MM"))
+        .Select(g => new EarningsLine(g.Key, g.Key, g.Count(), Math.Round(g.Sum(r => r.Quote!.Subtotal), 2)))
+        .OrderByDescending(line => line.Key)
+        .ToList();
+
+    return Results.Ok(new EarningsView(Math.Round(byItem.Sum(line => line.Total), 2), loans.Count, byItem, byMonth));
+});
+
 // List all items a user is currently borrowing
 app.MapGet("/api/users/{ownerId}/borrowing", async (string ownerId, FsItems items, FsProfiles profiles, CancellationToken cancellationToken) =>
 {
@@ -215,21 +557,44 @@ app.MapPost("/api/uploads/profiles", async (HttpRequest request, FirebaseStorage
     }
 });
 
-// Create item
-app.MapPost("/api/items", async (InventoryItemRequest item, FsItems items, FsProfiles profiles, CancellationToken cancellationToken) =>
+// Create item. The owner is always the caller, whatever the body says.
+app.MapPost("/api/items", async (InventoryItemRequest item, HttpContext http, FsItems items, FsProfiles profiles, FsSavedSearches savedSearches, FsAlerts alerts, CancellationToken cancellationToken) =>
 {
-    if (item is null || string.IsNullOrWhiteSpace(item.OwnerId))
+    if (item is null)
     {
-        return Results.BadRequest("OwnerId is required.");
+        return Results.BadRequest("Item details are required.");
     }
 
-    var created = await items.CreateAsync(item, cancellationToken);
+    // A client-chosen ID must not overwrite somebody else's item
+    if (!string.IsNullOrWhiteSpace(item.ItemId) && await items.ReadAsync(item.ItemId.Trim(), cancellationToken) is not null)
+    {
+        return Results.Conflict("An item with that ID already exists.");
+    }
+
+    item.OwnerId = TokenService.CurrentOwnerId(http)!;
+    var owner = await profiles.ReadAsync(item.OwnerId, cancellationToken);
+
+    var created = await items.CreateAsync(item, owner?.Coordinates, cancellationToken);
+    await AlertSavedSearchesAsync(created, savedSearches, alerts, cancellationToken);
     var response = await InventoryItemMapper.ToViewAsync(created, profiles, cancellationToken);
     return Results.Created($"/api/items/{created.ItemId}", response);
 });
 
-// Get all items or filter by OwnerId
-app.MapGet("/api/items", async ([FromQuery] string? ownerId, FsItems items, FsProfiles profiles, CancellationToken cancellationToken) =>
+// Get all items, filter by OwnerId, or fetch one catalog page when pageSize is given
+app.MapGet("/api/items", async (
+    [FromQuery] string? ownerId,
+    [FromQuery] int? pageSize,
+    [FromQuery] string? cursor,
+    [FromQuery] string? q,
+    [FromQuery] double? minPrice,
+    [FromQuery] double? maxPrice,
+    [FromQuery] string? condition,
+    [FromQuery] bool? available,
+    [FromQuery] string? sort,
+    HttpContext http,
+    FsItems items,
+    FsProfiles profiles,
+    CancellationToken cancellationToken) =>
 {
     if (!string.IsNullOrWhiteSpace(ownerId))
     {
@@ -238,6 +603,31 @@ app.MapGet("/api/items", async ([FromQuery] string? ownerId, FsItems items, FsPr
         return Results.Ok(filtered);
     }
 
+    if (pageSize is not null)
+    {
+        var query = new ItemQuery
+        {
+            Search = q,
+            MinPrice = minPrice,
+            MaxPrice = maxPrice,
+            Condition = condition,
+            AvailableOnly = available ?? false,
+            Sort = sort,
+            PageSize = pageSize.Value,
+            Cursor = cursor
+        };
+
+        // Catalog cards show how far away each item's owner is from the caller
+        var caller = await profiles.ReadAsync(TokenService.CurrentOwnerId(http) ?? string.Empty, cancellationToken);
+        var origin = caller?.Coordinates;
+        var page = sort == "nearest"
+            ? await items.ListNearestPageAsync(query, origin, cancellationToken)
+            : await items.ListPageAsync(query, cancellationToken);
+
+        var pageItems = await InventoryItemMapper.ToViewListAsync(page.Items, profiles, origin, cancellationToken);
+        return Results.Ok(new { items = pageItems, nextCursor = page.NextCursor });
+    }
+
     var all = await items.ListAsync(cancellationToken);
     var response = await InventoryItemMapper.ToViewListAsync(all, profiles, cancellationToken);
     return Results.Ok(response);
@@ -256,49 +646,74 @@ app.MapGet("/api/items/{itemId}", async (string itemId, FsItems items, FsProfile
     return Results.Ok(response);
 });
 
-// Update existing item
-app.MapPut("/api/items/{itemId}", async (string itemId, InventoryItemRequest item, FsItems items, FirestoreDb db, CancellationToken cancellationToken) =>
+// Dates already booked for an item, so the request calendar can grey them out
+app.MapGet("/api/items/{itemId}/availability", async (string itemId, FsItems items, FsRequests requests, CancellationToken ct) =>
 {
-    var existing = await items.ReadAsync(itemId, cancellationToken);
-    if (existing is null)
+    var item = await items.ReadAsync(itemId, ct);
+    if (item is null)
     {
         return Results.NotFound();
     }
 
-    // Manual field-by-field patching to avoid overwriting with defaults
-    if (!string.IsNullOrWhiteSpace(item.OwnerId))
+    var booked = await requests.ListBookedRangesAsync(item, ct);
+    return Results.Ok(booked.Select(range => new BookedRangeView(range.Start, range.End)));
+});
+
+// Price for borrowing an item over a date range, as it would be stored on the request
+app.MapGet("/api/items/{itemId}/quote", async (string itemId, [FromQuery] DateTime? startAt, [FromQuery] DateTime? dueAt, FsItems items, CancellationToken ct) =>
+{
+    if (startAt is null || dueAt is null || dueAt.Value.Date < startAt.Value.Date)
     {
-        existing.OwnerRef = db.Collection("profiles").Document(item.OwnerId.Trim());
+        return Results.BadRequest("startAt and dueAt are required, and dueAt can't be before startAt.");
     }
 
-    existing.Name = string.IsNullOrWhiteSpace(item.Name) ? existing.Name : item.Name;
-    existing.Picture = string.IsNullOrWhiteSpace(item.Picture) ? existing.Picture : item.Picture;
-    existing.Location = string.IsNullOrWhiteSpace(item.Location) ? existing.Location : item.Location;
-    existing.Condition = string.IsNullOrWhiteSpace(item.Condition) ? existing.Condition : item.Condition;
-    existing.PricePerDay = Math.Abs(item.PricePerDay) < double.Epsilon ? existing.PricePerDay : item.PricePerDay;
-    existing.IsLent = item.IsLent;
+    var item = await items.ReadAsync(itemId, ct);
+    if (item is null)
+    {
+        return Results.NotFound();
+    }
 
-    if (!string.IsNullOrWhiteSpace(item.BorrowerId))
+    return Results.Ok(RentalQuote.For(item.PricePerDay, startAt.Value, dueAt.Value, serviceFeeRate));
+});
+
+// Update existing item. Only the owner may edit, and never while the item is out on loan.
+// Only the listing itself changes: owner and loan fields in the body are ignored, since
+// loans start through requests and /borrow.
+app.MapPut("/api/items/{itemId}", async (string itemId, InventoryItemRequest item, FsItems items, HttpContext http, CancellationToken cancellationToken) =>
+{
+    var existing = await items.ReadAsync(itemId, cancellationToken);
+    if (existing is null)
     {
-        existing.BorrowerRef = db.Collection("profiles").Document(item.BorrowerId.Trim());
+        return Results.NotFound();
     }
 
-    existing.BorrowedOn = item.BorrowedOn ?? existing.BorrowedOn;
-    existing.DueAt = item.DueAt ?? existing.DueAt;
+    if (existing.OwnerRef?.Id != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("Only the owner can edit this item.", statusCode: StatusCodes.Status403Forbidden);
+    }
 
-    if (!existing.IsLent)
+    if (existing.IsLent)
     {
-        existing.BorrowerRef = null;
-        existing.BorrowedOn = null;
-        existing.DueAt = null;
+        return Results.Conflict("Item is currently loaned and cannot be edited.");
     }
 
+    // Manual field-by-field patching to avoid overwriting with defaults
+    existing.Name = string.IsNullOrWhiteSpace(item.Name) ? existing.Name : item.Name;
+    if (item.Pictures is not null || !string.IsNullOrWhiteSpace(item.Picture))
+    {
+        ItemPhotos.Apply(existing, item.Pictures, string.IsNullOrWhiteSpace(item.Picture) ? existing.Picture : item.Picture);
+    }
+
+    existing.Location = string.IsNullOrWhiteSpace(item.Location) ? existing.Location : item.Location;
+    existing.Condition = string.IsNullOrWhiteSpace(item.Condition) ? existing.Condition : item.Condition;
+    existing.PricePerDay = Math.Abs(item.PricePerDay) < double.Epsilon ? existing.PricePerDay : item.PricePerDay;
+
     var updated = await items.UpdateAsync(existing, cancellationToken);
     return updated ? Results.NoContent() : Results.Problem("Unable to update item.");
 });
 
 // Mark an item as borrowed
-app.MapPost("/api/items/{itemId}/borrow", async (string itemId, BorrowRequest request, FsItems items, FsProfiles profiles, FirestoreDb db, CancellationToken cancellationToken) =>
+app.MapPost("/api/items/{itemId}/borrow", async (string itemId, BorrowRequest request, HttpContext http, FsItems items, FsProfiles profiles, FirestoreDb db, CancellationToken cancellationToken) =>
 {
     if (request is null || string.IsNullOrWhiteSpace(request.BorrowerId))
     {
@@ -311,6 +726,11 @@ app.MapPost("/api/items/{itemId}/borrow", async (string itemId, BorrowRequest re
         return Results.NotFound();
     }
 
+    if (item.OwnerRef?.Id != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("Only the owner can lend this item.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
     if (item.IsLent)
     {
         return Results.Conflict("Item is already borrowed.");
@@ -333,21 +753,57 @@ app.MapPost("/api/items/{itemId}/borrow", async (string itemId, BorrowRequest re
     return Results.Ok(response);
 });
 
-// Mark an item as returned
-app.MapPost("/api/items/{itemId}/return", async (string itemId, FsItems items) =>
+// Mark an item as returned, by its owner or its current borrower. If an accepted booking
+// has already started, the item goes straight out to that borrower; otherwise everyone
+// who favorited it is told it's back.
+app.MapPost("/api/items/{itemId}/return", async (string itemId, HttpContext http, FsItems items, FsRequests requests, FsFavorites favorites, FsAlerts alerts, CancellationToken ct) =>
 {
-    var success = await items.ReturnItemAsync(itemId);
-    if (!success)
+    var item = await items.ReadAsync(itemId, ct);
+    var callerId = TokenService.CurrentOwnerId(http);
+    if (item is not null && callerId != item.OwnerRef?.Id && callerId != item.BorrowerRef?.Id)
+        return Results.Json("Only the owner or the borrower can return this item.", statusCode: StatusCodes.Status403Forbidden);
+
+    var success = await items.ReturnItemAsync(itemId, ct);
+    if (!success || item is null)
         return Results.NotFound(new { message = "Item not found or already available." });
 
+    if (item.BorrowerRef is not null)
+    {
+        await requests.CompleteStartedAsync(itemId, item.BorrowerRef.Id, ct);
+    }
+
+    var wasLent = item.IsLent;
+    var next = BookingSchedule.DueToStart(await requests.ListAcceptedForItemAsync(itemId, ct), DateTime.UtcNow);
+    if (next is not null)
+    {
+        await items.LendAsync(item, next.BorrowerId, next.DueAt, ct);
+        return Results.Ok(new { message = "Item returned and handed to the next booked borrower.", borrowerId = next.BorrowerId });
+    }
+
+    // An item that was already back has nothing new to announce
+    if (wasLent)
+    {
+        await AlertFavoritersAsync(item, favorites, alerts, ct);
+    }
+
     return Results.Ok(new { message = "Item returned successfully." });
 });
 
 
 // Delete an item
-app.MapDelete("/api/items/{itemId}", async (string itemId, FsItems items, CancellationToken cancellationToken) =>
+app.MapDelete("/api/items/{itemId}", async (string itemId, HttpContext http, FsItems items, CancellationToken cancellationToken) =>
 {
-    // Fire-and-forget deletion
+    var item = await items.ReadAsync(itemId, cancellationToken);
+    if (item is null)
+    {
+        return Results.NotFound();
+    }
+
+    if (item.OwnerRef?.Id != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("Only the owner can delete this item.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
     var deleted = await items.DeleteAsync(itemId, cancellationToken);
     return deleted ? Results.NoContent() : Results.NotFound();
 });
@@ -359,14 +815,18 @@ app.MapDelete("/api/items/{itemId}", async (string itemId, FsItems items, Cancel
 // Create a borrow request (borrower asks owner)
 app.MapPost("/api/requests", async (
     CreateRequestDto dto,
+    HttpContext http,
     FsItems items,
     FsRequests requests,
     FsProfiles profiles,
     FirestoreDb db,
     CancellationToken ct) =>
 {
-    if (dto is null || string.IsNullOrWhiteSpace(dto.ItemId) || string.IsNullOrWhiteSpace(dto.BorrowerId))
-        return Results.BadRequest("ItemId and BorrowerId are required.");
+    if (dto is null || string.IsNullOrWhiteSpace(dto.ItemId))
+        return Results.BadRequest("ItemId is required.");
+
+    // The borrower is always the caller; a borrowerId in the body is ignored
+    var borrowerId = TokenService.CurrentOwnerId(http)!;
 
     var item = await items.ReadAsync(dto.ItemId, ct);
     if (item is null) return Results.NotFound("Item not found.");
@@ -375,17 +835,35 @@ app.MapPost("/api/requests", async (
     if (string.IsNullOrWhiteSpace(ownerId))
         return Results.BadRequest("Item has no owner.");
 
-    if (ownerId == dto.BorrowerId)
+    if (ownerId == borrowerId)
         return Results.BadRequest("You cannot request your own item.");
 
-    if (item.IsLent) return Results.Conflict("Item is currently loaned.");
+    // Older clients only send a return date; their loans start today
+    var startAt = dto.StartAt ?? DateTime.UtcNow.Date;
+    if (dto.DueAt is null)
+        return Results.BadRequest("A return date is required.");
+
+    if (dto.DueAt.Value.Date < startAt.Date)
+        return Results.BadRequest("The return date must be on or after the start date.");
+
+    // One day of slack so borrowers west of UTC can still pick their "today"
+    if (startAt.Date < DateTime.UtcNow.Date.AddDays(-1))
+        return Results.BadRequest("Bookings can't start in the past.");
+
+    // Items already out on loan can still be reserved for later dates
+    var requested = new BookingRange(startAt, dto.DueAt);
+    var booked = await requests.ListBookedRangesAsync(item, ct);
+    if (booked.Any(range => range.Overlaps(requested)))
+        return Results.Conflict("Those dates overlap an existing booking.");
 
     var entity = new BorrowRequestEntity
     {
         ItemId = item.ItemId,
         ItemName = item.Name,
         OwnerId = ownerId,
-        BorrowerId = dto.BorrowerId,
+        BorrowerId = borrowerId,
+        StartAt = startAt,
+        Quote = RentalQuote.For(item.PricePerDay, startAt, dto.DueAt.Value, serviceFeeRate),
         DueAt = dto.DueAt,
         Status = "pending"
     };
@@ -395,50 +873,506 @@ app.MapPost("/api/requests", async (
 });
 
 // Get pending requests for an owner (for bell dropdown)
-app.MapGet("/api/requests/owner/{ownerId}", async (string ownerId, FsRequests requests, CancellationToken ct) =>
+app.MapGet("/api/requests/owner/{ownerId}", async (string ownerId, HttpContext http, FsRequests requests, CancellationToken ct) =>
 {
+    if (ownerId != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("You can only view requests for your own items.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
     var list = await requests.ListForOwnerAsync(ownerId, ct);
     return Results.Ok(list);
 });
 
+// Answered, withdrawn and finished requests for the owner's history tab
+app.MapGet("/api/requests/owner/{ownerId}/history", async (string ownerId, HttpContext http, FsRequests requests, CancellationToken ct) =>
+{
+    if (ownerId != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("You can only view your own request history.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    var list = await requests.ListHistoryForOwnerAsync(ownerId, ct: ct);
+    return Results.Ok(list);
+});
+
+// Name, photo and borrowing record of someone who has asked the caller for an item
+app.MapGet("/api/users/{borrowerId}/borrower-summary", async (string borrowerId, HttpContext http, FsRequests requests, FsProfiles profiles, CancellationToken ct) =>
+{
+    var ownerId = TokenService.CurrentOwnerId(http);
+    var history = await requests.ListForBorrowerAsync(borrowerId, ct);
+    if (!history.Any(r => r.OwnerId == ownerId))
+    {
+        return Results.Json("You can only view borrowers who have requested your items.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    var profile = await profiles.ReadAsync(borrowerId, ct);
+    if (profile is null) return Results.NotFound();
+
+    int Count(params string[] statuses) => history.Count(r => statuses.Contains(r.Status));
+    return Results.Ok(new BorrowerSummaryView(
+        profile.OwnerId,
+        $"{profile.FirstName} {profile.LastName}".Trim(),
+        profile.Pfp,
+        Completed: Count("returned"),
+        Active: Count("accepted"),
+        Declined: Count("denied"),
+        Cancelled: Count("cancelled"),
+        WithYou: history.Count(r => r.OwnerId == ownerId && r.Status is "accepted" or "returned"),
+        Rating: RatingSummary.From(profile.BorrowerRating)));
+});
+
+// Every request the caller has made, newest first, for the profile's "My requests"
+app.MapGet("/api/requests/borrower/{borrowerId}", async (string borrowerId, HttpContext http, FsRequests requests, CancellationToken ct) =>
+{
+    if (borrowerId != TokenService.CurrentOwnerId(http))
+    {
+        return Results.Json("You can only view your own requests.", statusCode: StatusCodes.Status403Forbidden);
+    }
+
+    var list = await requests.ListForBorrowerAsync(borrowerId, ct);
+    return Results.Ok(list);
+});
+
+// Borrower withdraws a request the owner hasn't answered yet
+app.MapPost("/api/requests/{requestId}/cancel", async (string requestId, HttpContext http, FsRequests requests, CancellationToken ct) =>
+{
+    var req = await requests.ReadAsync(requestId, ct);
+    if (req is null) return Results.NotFound();
+
+    if (req.BorrowerId != TokenService.CurrentOwnerId(http))
+        return Results.Json("Only the borrower can cancel this request.", statusCode: StatusCodes.Status403Forbidden);
+
+    // Checked again as it's written, in case the owner answers in the meantime
+    if (!await requests.CancelAsync(requestId, "pending", ct))
+        return Results.Conflict("Only pending requests can be cancelled.");
+
+    return Results.Ok(new { status = "cancelled" });
+});
+
+// Live feed for the bell as Server-Sent Events. `requests` carries the caller's
+// pending incoming requests; `responses` carries owner answers to the caller's own
+// requests that they haven't read yet; `messages` summarizes the threads with
+// messages the caller hasn't read; `alerts` carries unread favorite and saved
+// search alerts. Each event holds the full current list; a
+// comment line every 25s keeps proxies from closing an idle connection.
+app.MapGet("/api/requests/stream", async (HttpContext http, FsRequests requests, FsMessages messages, FsAlerts alerts, CancellationToken ct) =>
+{
+    var ownerId = TokenService.CurrentOwnerId(http);
+    if (string.IsNullOrWhiteSpace(ownerId))
+    {
+        return Results.Unauthorized();
+    }
+
+    http.Response.Headers.ContentType = "text/event-stream";
+    http.Response.Headers.CacheControl = "no-cache";
+    http.Response.Headers["X-Accel-Buffering"] = "no"; // stop nginx buffering the stream
+
+    var updates = Channel.CreateUnbounded<(string Event, object List)>();
+    var incoming = requests.ListenForOwner(ownerId, list => updates.Writer.TryWrite(("requests", list)));
+    var responses = requests.ListenForBorrowerResponses(ownerId, list => updates.Writer.TryWrite(("responses", list)));
+    var threads = messages.ListenForUnread(ownerId, list => updates.Writer.TryWrite(("messages", FsMessages.Summarize(list))));
+    var watched = alerts.ListenForUnread(ownerId, list => updates.Writer.TryWrite(("alerts", list)));
+
+    try
+    {
+        while (!ct.IsCancellationRequested)
+        {
+            using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(ct);
+            heartbeat.CancelAfter(TimeSpan.FromSeconds(25));
+
+            string frame;
+            try
+            {
+                var update = await updates.Reader.ReadAsync(heartbeat.Token);
+                frame = $"event: {update.Event}\ndata: {JsonSerializer.Serialize(update.List, JsonSerializerOptions.Web)}\n\n";
+            }
+            catch (OperationCanceledException) when (!ct.IsCancellationRequested)
+            {
+                frame = ": ping\n\n";
+            }
+
+            await http.Response.WriteAsync(frame, ct);
+            await http.Response.Body.FlushAsync(ct);
+        }
+    }
+    catch (OperationCanceledException)
+    {
+        // Client went away
+    }
+    finally
+    {
+        await incoming.StopAsync();
+        await responses.StopAsync();
+        await threads.StopAsync();
+        await watched.StopAsync();
+    }
+
+    return Results.Empty;
+});
+
+// Mark request notifications as read: incoming requests for owners, answers for borrowers
+app.MapPost("/api/requests/read", async (MarkReadDto body, HttpContext http, FsRequests requests, CancellationToken ct) =>
+{
+    var ownerId = TokenService.CurrentOwnerId(http);
+    if (string.IsNullOrWhiteSpace(ownerId))
+    {
+        return Results.Unauthorized();
+    }
+
+    var marked = await requests.MarkReadAsync(ownerId, body?.RequestIds ?? Array.Empty<string>(), ct);
+    return Results.Ok(new { marked });
+});
+
 // Respond to a borrow request (accept or deny)
 app.MapPost("/api/requests/{requestId}/respond", async (
     string requestId,
     RespondRequestDto body,
+    HttpContext http,
     FsRequests requests,
     FsItems items,
-    FirestoreDb db,
     CancellationToken ct) =>
 {
     var req = await requests.ReadAsync(requestId, ct);
     if (req is null) return Results.NotFound();
 
+    if (req.OwnerId != TokenService.CurrentOwnerId(http))
+        return Results.Json("Only the item's owner can respond to this request.", statusCode: StatusCodes.Status403Forbidden);
+
     if (!string.Equals(req.Status, "pending", StringComparison.OrdinalIgnoreCase))
         return Results.Conflict("Request is not pending.");
 
     if (!body.Accepted)
     {
-        await requests.UpdateStatusAsync(requestId, "denied", ct);
-        return Results.Ok(new { status = "denied" });
+        return await requests.RecordResponseAsync(requestId, "denied", ct)
+            ? Results.Ok(new { status = "denied" })
+            : Results.Conflict("Request is not pending.");
     }
 
+    var failed = await StartBookingAsync(req, () => requests.RecordResponseAsync(requestId, "accepted", ct), requests, items, ct);
+    return failed ?? Results.Ok(new { status = "accepted" });
+});
+
+// Owner answers a pending request with a different return date instead of accepting it
+app.MapPost("/api/requests/{requestId}/counter", async (
+    string requestId,
+    CounterRequestDto body,
+    HttpContext http,
+    FsRequests requests,
+    FsItems items,
+    CancellationToken ct) =>
+{
+    var req = await requests.ReadAsync(requestId, ct);
+    if (req is null) return Results.NotFound();
+
+    if (req.OwnerId != TokenService.CurrentOwnerId(http))
+        return Results.Json("Only the item's owner can counter this request.", statusCode: StatusCodes.Status403Forbidden);
+
+    if (!string.Equals(req.Status, "pending", StringComparison.OrdinalIgnoreCase))
+        return Results.Conflict("Request is not pending.");
+
+    var start = req.ToRange().Start;
+    if (body?.DueAt is not { } dueAt || dueAt.Date < start.Date)
+        return Results.BadRequest("Propose a return date on or after the start date.");
+
+    if (dueAt.Date == req.DueAt?.Date)
+        return Results.BadRequest("That is the return date the borrower asked for; accept the request instead.");
+
     var item = await items.ReadAsync(req.ItemId, ct);
     if (item is null) return Results.NotFound("Item not found.");
-    if (item.IsLent) return Results.Conflict("Item already loaned.");
 
-    var borrowerRef = db.Collection("profiles").Document(req.BorrowerId);
-    item.IsLent = true;
-    item.BorrowerRef = borrowerRef;
-    item.BorrowedOn = DateTime.UtcNow;
-    item.DueAt = req.DueAt;
+    var booked = await requests.ListBookedRangesAsync(item, ct);
+    if (booked.Any(range => range.Overlaps(new BookingRange(start, dueAt))))
+        return Results.Conflict("Those dates overlap a booking you already accepted.");
+
+    return await requests.RecordCounterAsync(requestId, dueAt.Date, ct)
+        ? Results.Ok(new { status = "countered" })
+        : Results.Conflict("Request is not pending.");
+});
+
+// Borrower takes or turns down the owner's proposed return date
+app.MapPost("/api/requests/{requestId}/counter/respond", async (
+    string requestId,
+    RespondRequestDto body,
+    HttpContext http,
+    FsRequests requests,
+    FsItems items,
+    CancellationToken ct) =>
+{
+    var req = await requests.ReadAsync(requestId, ct);
+    if (req is null) return Results.NotFound();
+
+    if (req.BorrowerId != TokenService.CurrentOwnerId(http))
+        return Results.Json("Only the borrower can answer this counter-offer.", statusCode: StatusCodes.Status403Forbidden);
+
+    if (req.Status != "countered" || req.CounterDueAt is null)
+        return Results.Conflict("There is no counter-offer to answer.");
+
+    if (!body.Accepted)
+    {
+        return await requests.CancelAsync(requestId, "countered", ct)
+            ? Results.Ok(new { status = "cancelled" })
+            : Results.Conflict("There is no counter-offer to answer.");
+    }
+
+    req.DueAt = req.CounterDueAt;
+
+    // Same daily price as the original request, over the new dates
+    var quote = req.Quote is { } original
+        ? RentalQuote.For(original.PricePerDay, req.ToRange().Start, req.CounterDueAt.Value, serviceFeeRate)
+        : null;
+    var failed = await StartBookingAsync(req, () => requests.AcceptCounterAsync(requestId, req.CounterDueAt.Value, quote, ct), requests, items, ct);
+    return failed ?? Results.Ok(new { status = "accepted" });
+});
+
+// ===============================
+// REVIEW ROUTES
+// ===============================
+
+// Owner and borrower each rate the other once the item is back. Borrowers can also rate the item.
+app.MapPost("/api/requests/{requestId}/review", async (string requestId, ReviewDto body, HttpContext http, FsRequests requests, FsReviews reviews, CancellationToken ct) =>
+{
+    var req = await requests.ReadAsync(requestId, ct);
+    if (req is null) return Results.NotFound();
+
+    var callerId = TokenService.CurrentOwnerId(http);
+    var role = callerId == req.OwnerId ? "owner" : callerId == req.BorrowerId ? "borrower" : null;
+    if (role is null)
+        return Results.Json("Only the owner and borrower can review this loan.", statusCode: StatusCodes.Status403Forbidden);
+
+    if (req.Status != "returned")
+        return Results.Conflict("Loans can only be reviewed once the item is returned.");
+
+    if (body is null || body.Rating is < 1 or > 5 || body.ItemRating is < 1 or > 5)
+        return Results.BadRequest("Ratings must be between 1 and 5 stars.");
+
+    var comment = (body.Comment ?? string.Empty).Trim();
+    if (comment.Length > 500)
+        return Results.BadRequest("Comments can be at most 500 characters.");
+
+    var created = await reviews.CreateAsync(new ReviewEntity
+    {
+        RequestId = requestId,
+        ItemId = req.ItemId,
+        ItemName = req.ItemName,
+        ReviewerId = callerId!,
+        RevieweeId = role == "owner" ? req.BorrowerId : req.OwnerId,
+        Role = role,
+        Rating = body.Rating,
+        // Owners know their own item; only the borrower's view of it counts
+        ItemRating = role == "borrower" ? body.ItemRating : null,
+        Comment = comment
+    }, ct);
+
+    return created ? Results.NoContent() : Results.Conflict("You've already reviewed this loan.");
+});
+
+// Finished loans on either side that the caller still owes a review, most recent first
+app.MapGet("/api/reviews/pending", async (HttpContext http, FsRequests requests, FsReviews reviews, FsProfiles profiles, CancellationToken ct) =>
+{
+    var callerId = TokenService.CurrentOwnerId(http)!;
+    var written = await reviews.ListIdsByReviewerAsync(callerId, ct);
+
+    var lent = (await requests.ListCompletedForOwnerAsync(callerId, ct)).Select(r => (Request: r, Role: "owner"));
+    var borrowed = (await requests.ListForBorrowerAsync(callerId, ct))
+        .Where(r => r.Status == "returned")
+        .Select(r => (Request: r, Role: "borrower"));
+
+    var due = lent.Concat(borrowed)
+        .Where(loan => !written.Contains(FsReviews.ReviewIdFor(loan.Request.RequestId, loan.Role)))
+        .OrderByDescending(loan => loan.Request.CompletedAt ?? loan.Request.CreatedAt)
+        .ToList();
+
+    string OtherParty(BorrowRequestEntity r, string role) => role == "owner" ? r.BorrowerId : r.OwnerId;
+    var names = await profiles.GetProfilesByIdsAsync(due.Select(loan => OtherParty(loan.Request, loan.Role)), ct);
+
+    return Results.Ok(due.Select(loan =>
+    {
+        var otherId = OtherParty(loan.Request, loan.Role);
+        var name = names.TryGetValue(otherId, out var other) ? $"{other.FirstName} {other.LastName}".Trim() : string.Empty;
+        return new PendingReviewView(loan.Request.RequestId, loan.Request.ItemId, loan.Request.ItemName, loan.Role, otherId, name, loan.Request.CompletedAt);
+    }));
+});
+
+// Latest reviews a user has received, for their profile
+app.MapGet("/api/users/{userId}/reviews", async (string userId, FsReviews reviews, FsProfiles profiles, CancellationToken ct) =>
+{
+    var list = await reviews.ListForRevieweeAsync(userId, ct: ct);
+    var names = await profiles.GetProfilesByIdsAsync(list.Select(r => r.ReviewerId), ct);
+
+    return Results.Ok(list.Select(r => new ReviewView(
+        r.ReviewId,
+        r.ItemName,
+        r.Role,
+        r.ReviewerId,
+        names.TryGetValue(r.ReviewerId, out var reviewer) ? $"{reviewer.FirstName} {reviewer.LastName}".Trim() : string.Empty,
+        r.Rating,
+        r.Comment,
+        r.CreatedAt)));
+});
+
+
+// ===============================
+// MESSAGE ROUTES
+// ===============================
+// Each borrow request carries one thread between its owner and borrower
+
+// The thread plus what the page needs to title it. Opening it marks the caller's unread messages read.
+app.MapGet("/api/requests/{requestId}/messages", async (string requestId, HttpContext http, FsRequests requests, FsMessages messages, FsProfiles profiles, CancellationToken ct) =>
+{
+    var req = await requests.ReadAsync(requestId, ct);
+    if (req is null) return Results.NotFound();
+
+    var callerId = TokenService.CurrentOwnerId(http);
+    if (callerId != req.OwnerId && callerId != req.BorrowerId)
+        return Results.Json("Only the owner and borrower can read this conversation.", statusCode: StatusCodes.Status403Forbidden);
+
+    await messages.MarkThreadReadAsync(requestId, callerId!, ct);
+    var list = await messages.ListForRequestAsync(requestId, ct);
+
+    var otherId = callerId == req.OwnerId ? req.BorrowerId : req.OwnerId;
+    var other = await profiles.ReadAsync(otherId, ct);
+    return Results.Ok(new MessageThreadView(
+        req.RequestId,
+        req.ItemId,
+        req.ItemName,
+        req.Status,
+        otherId,
+        other is null ? string.Empty : $"{other.FirstName} {other.LastName}".Trim(),
+        list));
+});
+
+// Photos are uploaded first through /api/uploads/items; only the returned URLs are sent here
+app.MapPost("/api/requests/{requestId}/messages", async (string requestId, SendMessageDto body, HttpContext http, FsRequests requests, FsMessages messages, FirebaseStorageService storage, CancellationToken ct) =>
+{
+    var req = await requests.ReadAsync(requestId, ct);
+    if (req is null) return Results.NotFound();
+
+    var callerId = TokenService.CurrentOwnerId(http);
+    if (callerId != req.OwnerId && callerId != req.BorrowerId)
+        return Results.Json("Only the owner and borrower can write in this conversation.", statusCode: StatusCodes.Status403Forbidden);
+
+    var text = (body?.Text ?? string.Empty).Trim();
+    var attachments = (body?.Attachments ?? Array.Empty<string>()).Select(url => (url ?? string.Empty).Trim()).ToList();
+    if (text.Length == 0 && attachments.Count == 0)
+        return Results.BadRequest("Write a message or attach a photo.");
 
-    var ok = await items.UpdateAsync(item, ct);
-    if (!ok) return Results.Problem("Failed to update item.");
+    if (text.Length > 2000)
+        return Results.BadRequest("Messages can be at most 2000 characters.");
 
-    await requests.UpdateStatusAsync(requestId, "accepted", ct);
-    return Results.Ok(new { status = "accepted" });
+    if (attachments.Count > 4 || !attachments.All(storage.IsUploadedUrl))
+        return Results.BadRequest("Attach up to 4 photos uploaded through the app.");
+
+    var created = await messages.CreateAsync(new MessageEntity
+    {
+        RequestId = requestId,
+        ItemName = req.ItemName,
+        SenderId = callerId!,
+        RecipientId = callerId == req.OwnerId ? req.BorrowerId : req.OwnerId,
+        Text = text,
+        Attachments = attachments
+    }, ct);
+
+    return Results.Created($"/api/requests/{requestId}/messages", created);
 });
 
+// Threads with messages the caller hasn't read, newest first, for the bell's polling fallback
+app.MapGet("/api/messages/unread", async (HttpContext http, FsMessages messages, CancellationToken ct) =>
+{
+    var list = await messages.ListUnreadAsync(TokenService.CurrentOwnerId(http)!, ct);
+    return Results.Ok(FsMessages.Summarize(list));
+});
+
+// ===============================
+// FAVORITES + SAVED SEARCH ROUTES
+// ===============================
+// Both belong to the signed-in caller. The bell is told when a favorited item is
+// returned and nobody else has it booked, or when a new listing matches a saved search.
+
+// The caller's favorite items as catalog cards; items deleted since are left out
+app.MapGet("/api/favorites", async (HttpContext http, FsFavorites favorites, FsItems items, FsProfiles profiles, CancellationToken ct) =>
+{
+    var itemIds = await favorites.ListItemIdsForUserAsync(TokenService.CurrentOwnerId(http)!, ct);
+
+    var list = new List<InventoryItem>(itemIds.Count);
+    foreach (var itemId in itemIds)
+    {
+        var item = await items.ReadAsync(itemId, ct);
+        if (item is not null) list.Add(item);
+    }
+
+    return Results.Ok(await InventoryItemMapper.ToViewListAsync(list, profiles, ct));
+});
+
+app.MapPut("/api/favorites/{itemId}", async (string itemId, HttpContext http, FsFavorites favorites, FsItems items, CancellationToken ct) =>
+{
+    var item = await items.ReadAsync(itemId, ct);
+    if (item is null) return Results.NotFound();
+
+    var callerId = TokenService.CurrentOwnerId(http)!;
+    if (item.OwnerRef?.Id == callerId)
+        return Results.BadRequest("You can't favorite your own item.");
+
+    await favorites.AddAsync(callerId, itemId, ct);
+    return Results.NoContent();
+});
+
+app.MapDelete("/api/favorites/{itemId}", async (string itemId, HttpContext http, FsFavorites favorites, CancellationToken ct) =>
+{
+    await favorites.RemoveAsync(TokenService.CurrentOwnerId(http)!, itemId, ct);
+    return Results.NoContent();
+});
+
+app.MapGet("/api/saved-searches", async (HttpContext http, FsSavedSearches savedSearches, CancellationToken ct) =>
+{
+    return Results.Ok(await savedSearches.ListForUserAsync(TokenService.CurrentOwnerId(http)!, ct));
+});
+
+app.MapPost("/api/saved-searches", async (SaveSearchDto body, HttpContext http, FsSavedSearches savedSearches, CancellationToken ct) =>
+{
+    var callerId = TokenService.CurrentOwnerId(http)!;
+    var search = new SavedSearchEntity
+    {
+        UserId = callerId,
+        Name = (body?.Name ?? string.Empty).Trim(),
+        Q = (body?.Q ?? string.Empty).Trim(),
+        MinPrice = body?.MinPrice,
+        MaxPrice = body?.MaxPrice,
+        Condition = (body?.Condition ?? string.Empty).Trim(),
+        Available = body?.Available ?? false
+    };
+
+    if (search.Name.Length == 0 || search.Name.Length > 60)
+        return Results.BadRequest("Give the search a name of at most 60 characters.");
+
+    // A search with no filters would match every new listing
+    if (!search.HasFilters)
+        return Results.BadRequest("Pick at least one filter before saving a search.");
+
+    if ((await savedSearches.ListForUserAsync(callerId, ct)).Count >= 20)
+        return Results.BadRequest("You can keep at most 20 saved searches.");
+
+    var created = await savedSearches.CreateAsync(search, ct);
+    return Results.Created($"/api/saved-searches/{created.SearchId}", created);
+});
+
+app.MapDelete("/api/saved-searches/{searchId}", async (string searchId, HttpContext http, FsSavedSearches savedSearches, CancellationToken ct) =>
+{
+    var deleted = await savedSearches.DeleteAsync(searchId, TokenService.CurrentOwnerId(http)!, ct);
+    return deleted ? Results.NoContent() : Results.NotFound();
+});
+
+// Unread alerts, newest first, for the bell's polling fallback
+app.MapGet("/api/alerts/unread", async (HttpContext http, FsAlerts alerts, CancellationToken ct) =>
+{
+    return Results.Ok(await alerts.ListUnreadAsync(TokenService.CurrentOwnerId(http)!, ct));
+});
+
+app.MapPost("/api/alerts/read", async (MarkAlertsReadDto body, HttpContext http, FsAlerts alerts, CancellationToken ct) =>
+{
+    var marked = await alerts.MarkReadAsync(TokenService.CurrentOwnerId(http)!, body?.AlertIds ?? Array.Empty<string>(), ct);
+    return Results.Ok(new { marked });
+});
 
 // ===============================
 // FRONTEND ROUTES
@@ -461,3 +1395,63 @@ app.MapFallback(async context =>
 
 app.Run();
 
+// Checks a booking against the item's other bookings, records it as accepted through
+// `accept`, and hands the item over if the booking has already started. Returns the
+// error to send, or null on success.
+static async Task<IResult?> StartBookingAsync(BorrowRequestEntity req, Func<Task<bool>> accept, FsRequests requests, FsItems items, CancellationToken ct)
+{
+    var item = await items.ReadAsync(req.ItemId, ct);
+    if (item is null) return Results.NotFound("Item not found.");
+
+    // Another booking may have been accepted since this request was made
+    var requested = req.ToRange();
+    var booked = await requests.ListBookedRangesAsync(item, ct);
+    if (booked.Any(range => range.Overlaps(requested)))
+        return Results.Conflict("Those dates overlap a booking you already accepted.");
+
+    // The acceptance is recorded before the item changes hands, and only if nobody answered
+    // the request first. Should the hand-over then fail, BookingStarter retries it.
+    if (!await accept()) return Results.Conflict("This request has already been answered.");
+
+    // Bookings that start later stay reserved; BookingStarter hands the item over on the
+    // start date, or the return route does when the loan before it comes back
+    if (!item.IsLent && requested.Start.Date <= DateTime.UtcNow.Date)
+    {
+        var ok = await items.LendAsync(item, req.BorrowerId, req.DueAt, ct);
+        if (!ok) return Results.Problem("Failed to update item.");
+    }
+
+    return null;
+}
+
+// Tells everyone who favorited the item, except its owner, that it can be borrowed again
+static async Task AlertFavoritersAsync(InventoryItem item, FsFavorites favorites, FsAlerts alerts, CancellationToken ct)
+{
+    var userIds = await favorites.ListUserIdsForItemAsync(item.ItemId, ct);
+    await alerts.CreateManyAsync(userIds
+        .Where(userId => userId != item.OwnerRef?.Id)
+        .Select(userId => new AlertEntity
+        {
+            UserId = userId,
+            Kind = "available",
+            ItemId = item.ItemId,
+            ItemName = item.Name
+        }), ct);
+}
+
+// Tells other users whose saved searches match a new listing; one alert per search
+static async Task AlertSavedSearchesAsync(InventoryItem item, FsSavedSearches savedSearches, FsAlerts alerts, CancellationToken ct)
+{
+    var searches = await savedSearches.ListCandidatesAsync(item, ct);
+    await alerts.CreateManyAsync(searches
+        .Where(search => search.UserId != item.OwnerRef?.Id && search.ToQuery().MatchesAll(item))
+        .Select(search => new AlertEntity
+        {
+            UserId = search.UserId,
+            Kind = "new-listing",
+            ItemId = item.ItemId,
+            ItemName = item.Name,
+            SearchId = search.SearchId,
+            SearchName = search.Name
+        }), ct);
+}
@@ -76,6 +76,12 @@ public sealed class FirebaseStorageService
     public Task<UploadResult> UploadProfileImageAsync(IFormFile file, string? ownerId, CancellationToken cancellationToken = default)
         => UploadAsync(file, ownerId, ProfilePrefix, cancellationToken);
 
+    // True only for URLs this service hands back from an upload, so clients can't
+    // attach links to arbitrary sites where only our photos are expected
+    public bool IsUploadedUrl(string? url)
+        => !string.IsNullOrWhiteSpace(url) &&
+           url.StartsWith($"https://storage.googleapis.com/{_options.Bucket}/", StringComparison.Ordinal);
+
     private async Task<UploadResult> UploadAsync(IFormFile file, string? ownerId, string prefix, CancellationToken cancellationToken)
     {
         if (file is null || file.Length == 0)
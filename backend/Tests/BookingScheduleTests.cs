@@ -0,0 +1,61 @@
+using Data.Firestore;
+using Xunit;
+
+namespace Backend.Tests;
+
+public class BookingScheduleTests
+{
+    private static readonly DateTime Today = new(2026, 10, 19, 0, 0, 0, DateTimeKind.Utc);
+
+    private static BorrowRequestEntity Booking(string id, DateTime startAt, int days = 3) => new()
+    {
+        RequestId = id,
+        ItemId = "item-1",
+        BorrowerId = $"borrower-{id}",
+        Status = "accepted",
+        StartAt = startAt,
+        DueAt = startAt.AddDays(days)
+    };
+
+    [Fact]
+    public void AcceptedFutureBookingBecomesAnActiveLoanOnItsStartDate()
+    {
+        var booking = Booking("later", Today.AddDays(2));
+
+        Assert.Null(BookingSchedule.DueToStart(new[] { booking }, Today));
+        Assert.Null(BookingSchedule.DueToStart(new[] { booking }, Today.AddDays(1)));
+        Assert.Same(booking, BookingSchedule.DueToStart(new[] { booking }, Today.AddDays(2)));
+    }
+
+    [Fact]
+    public void StartDateCountsWholeDaysNotTimeOfDay()
+    {
+        var booking = Booking("afternoon", Today.AddHours(15));
+
+        Assert.Same(booking, BookingSchedule.DueToStart(new[] { booking }, Today.AddHours(1)));
+    }
+
+    [Fact]
+    public void BookingMissedWhileTheItemWasOutIsStillDue()
+    {
+        var booking = Booking("missed", Today.AddDays(-2));
+
+        Assert.Same(booking, BookingSchedule.DueToStart(new[] { booking }, Today));
+    }
+
+    [Fact]
+    public void EarliestStartedBookingGoesFirst()
+    {
+        var first = Booking("first", Today.AddDays(-1));
+        var second = Booking("second", Today);
+        var future = Booking("future", Today.AddDays(5));
+
+        Assert.Same(first, BookingSchedule.DueToStart(new[] { future, second, first }, Today));
+    }
+
+    [Fact]
+    public void NothingIsDueWithoutBookings()
+    {
+        Assert.Null(BookingSchedule.DueToStart(Array.Empty<BorrowRequestEntity>(), Today));
+    }
+}
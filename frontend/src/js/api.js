@@ -0,0 +1,260 @@
+// ===============================
+// Shared API client
+// ===============================
+// Every page module talks to the backend through this file instead of calling
+// fetch directly. The base URL comes from runtime config so the same static
+// build works behind nginx (same-origin /api proxy) and against a local backend.
+// Requests carry the session's bearer token, and a 401 ends the session here
+// rather than in each page module. Writes that pass `offline: { label, targetId }`
+// are queued by offline-queue.js when there's no connection and resolve to
+// { queued: true } instead of failing.
+
+import { getToken, logout } from "./session.js";
+import { enqueue, noteResponseSource, startOfflineSupport } from "./offline-queue.js";
+import { t } from "./i18n.js";
+
+const CONFIG_URL = "config.json";
+const META_NAME = "hippo-api-base";
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_DELAY_MS = 400;
+const RETRYABLE_STATUS = new Set([502, 503, 504]);
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, body = null, url = "" } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+    this.url = url;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  get isConflict() {
+    return this.status === 409;
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(url, timeout) {
+    super(t("api.timeout"), { url });
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(url, cause) {
+    super(t("api.network"), { url });
+    this.name = "NetworkError";
+    this.cause = cause;
+  }
+}
+
+// ==========================
+// Runtime config
+// ==========================
+let basePromise = null;
+
+export function getApiBase() {
+  if (!basePromise) {
+    basePromise = resolveApiBase();
+  }
+  return basePromise;
+}
+
+async function resolveApiBase() {
+  // A <meta name="hippo-api-base"> tag wins so a single page can be pointed elsewhere
+  const meta = document.querySelector(`meta[name="${META_NAME}"]`);
+  if (meta) {
+    return normalizeBase(meta.getAttribute("content"));
+  }
+
+  try {
+    const res = await fetch(CONFIG_URL, { cache: "no-store" });
+    if (res.ok) {
+      const config = await res.json();
+      return normalizeBase(config?.apiBase);
+    }
+  } catch (err) {
+    console.warn("Unable to read config.json, using same-origin API.", err);
+  }
+
+  return "";
+}
+
+function normalizeBase(value) {
+  return (value ?? "").toString().trim().replace(/\/+$/, "");
+}
+
+// ==========================
+// Requests
+// ==========================
+export async function apiRequest(path, {
+  method = "GET",
+  body,
+  headers = {},
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries = method === "GET" ? DEFAULT_GET_RETRIES : 0,
+  errorMessage,
+  signal,
+  auth = true,
+  onUploadProgress,
+  offline
+} = {}) {
+  const url = `${await getApiBase()}${path}`;
+  const init = { method, headers: { ...headers } };
+
+  const token = auth ? getToken() : null;
+  if (token) {
+    init.headers.Authorization = `Bearer ${token}`;
+  }
+
+  if (body instanceof FormData) {
+    init.body = body; // browser sets the multipart boundary
+  } else if (body !== undefined) {
+    init.headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+
+  // fetch can't report upload progress, so progress-tracked uploads go through XHR
+  const transport = onUploadProgress ? sendWithProgress : send;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await transport(url, init, { timeout, errorMessage, signal, onUploadProgress });
+    } catch (err) {
+      if (auth && err instanceof ApiError && err.status === 401) {
+        logout();
+        throw new ApiError(t("api.sessionExpired"), { status: 401, url });
+      }
+      if (offline && err instanceof NetworkError) {
+        enqueue({ method, path, body, ...offline });
+        return { queued: true };
+      }
+      if (attempt >= retries || !isRetryable(err)) {
+        throw err;
+      }
+      await delay(RETRY_DELAY_MS * 2 ** attempt);
+    }
+  }
+}
+
+async function send(url, init, { timeout, errorMessage, signal }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener("abort", forwardAbort);
+
+  let res;
+  try {
+    res = await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    if (controller.signal.aborted) throw new TimeoutError(url, timeout);
+    throw new NetworkError(url, err);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", forwardAbort);
+  }
+
+  if (init.method === "GET") {
+    noteResponseSource(res.headers.get("X-Hippo-Saved-At")); // set when the service worker answered from its cache
+  }
+
+  const payload = res.status === 204 ? null : parseBody(await res.text(), res.headers.get("Content-Type"));
+  return checkResponse(res.status, payload, { url, errorMessage });
+}
+
+function sendWithProgress(url, init, { timeout, errorMessage, signal, onUploadProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(init.method, url);
+    Object.entries(init.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.timeout = timeout;
+
+    const forwardAbort = () => xhr.abort();
+    signal?.addEventListener("abort", forwardAbort);
+    const settle = (fn) => (value) => {
+      signal?.removeEventListener("abort", forwardAbort);
+      fn(value);
+    };
+    const done = settle(resolve);
+    const fail = settle(reject);
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onUploadProgress(event.loaded / event.total);
+    };
+    xhr.onload = () => {
+      try {
+        const payload = xhr.status === 204 ? null : parseBody(xhr.responseText, xhr.getResponseHeader("Content-Type"));
+        done(checkResponse(xhr.status, payload, { url, errorMessage }));
+      } catch (err) {
+        fail(err);
+      }
+    };
+    xhr.onerror = () => fail(new NetworkError(url));
+    xhr.ontimeout = () => fail(new TimeoutError(url, timeout));
+    xhr.onabort = () => fail(new DOMException(t("api.uploadAborted"), "AbortError"));
+
+    xhr.send(init.body ?? null);
+  });
+}
+
+function checkResponse(status, payload, { url, errorMessage }) {
+  if (status < 200 || status >= 300) {
+    const message = extractMessage(payload) || errorMessage || t("api.failedStatus", { status });
+    throw new ApiError(message, { status, body: payload, url });
+  }
+
+  return payload;
+}
+
+function parseBody(text, contentType) {
+  if (!text) {
+    return null;
+  }
+
+  if ((contentType ?? "").includes("json")) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  return text;
+}
+
+// Minimal API results come back as a bare JSON string, a ProblemDetails object,
+// or an anonymous { message } object depending on the endpoint.
+function extractMessage(payload) {
+  if (!payload) return "";
+  if (typeof payload === "string") return payload.trim();
+  return (payload.detail ?? payload.message ?? payload.title ?? "").toString().trim();
+}
+
+function isRetryable(err) {
+  if (err instanceof TimeoutError || err instanceof NetworkError) return true;
+  return err instanceof ApiError && RETRYABLE_STATUS.has(err.status);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ==========================
+// Verb helpers
+// ==========================
+export const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: "GET" }),
+  post: (path, body, options) => apiRequest(path, { ...options, method: "POST", body }),
+  put: (path, body, options) => apiRequest(path, { ...options, method: "PUT", body }),
+  delete: (path, options) => apiRequest(path, { ...options, method: "DELETE" }),
+  upload: (path, formData, options) => apiRequest(path, { timeout: 60000, ...options, method: "POST", body: formData })
+};
+
+startOfflineSupport(apiRequest);
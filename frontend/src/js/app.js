@@ -0,0 +1,111 @@
+// ===============================
+// App shell
+// ===============================
+// Every signed-in page (home.html, items.html, item.html, ...) is the same
+// empty document that loads this module. It renders the header, sidebar and
+// notification bell once, then hands <main> to the router, which swaps views
+// as links are followed. The bell keeps its live feed across views.
+import { requireSession } from "./session.js";
+import { html, render } from "./dom.js";
+import { startRouter, routeName } from "./router.js";
+import { mountNotifications, closeNotifications } from "./notifications.js";
+import { t, mountLanguageSwitchers } from "./i18n.js";
+
+const ROUTES = {
+  "home.html": () => import("./home-items.js").then(module => module.default),
+  "items.html": () => import("./items.js").then(module => module.default),
+  "item.html": () => import("./item-detail.js").then(module => module.default),
+  "profile.html": () => import("./profile.js").then(module => module.default),
+  "about.html": () => import("./info-pages.js").then(module => module.aboutView),
+  "contact.html": () => import("./info-pages.js").then(module => module.contactView)
+};
+
+const NAV_LINKS = [
+  { href: "home.html", key: "nav.home" },
+  { href: "items.html", key: "nav.items", icon: "fa-box" },
+  { href: "profile.html", key: "nav.profile", icon: "fa-user" },
+  { href: "about.html", key: "nav.about", icon: "fa-info-circle" },
+  { href: "contact.html", key: "nav.contact", icon: "fa-envelope" }
+];
+
+// ==========================
+// Layout
+// ==========================
+// Prepended rather than rendered into <body>, which may already hold the
+// offline status banner
+function renderShell() {
+  const shell = document.createElement("div");
+  render(shell, html`
+    <header>
+      <nav class="navbar container" aria-label="Primary navigation">
+        <button id="sidebar-toggle" type="button" aria-controls="sidebar" aria-expanded="false" aria-label="${t("nav.menu")}"><i class="fas fa-bars"></i></button>
+        <a href="home.html" class="nav-logo">Hippo <span>Exchange</span></a>
+        <ul class="nav-menu">
+          ${NAV_LINKS.map(link => html`<li><a class="nav-link" href="${link.href}">${t(link.key)}</a></li>`)}
+          <li><button class="nav-link logout-button" type="button" data-action="logout">${t("nav.logout")}</button></li>
+          <li><select class="language-switcher" data-language-switcher></select></li>
+          <li>
+            <button id="notification-bell" class="bell-btn" type="button">
+              <i class="fas fa-bell"></i>
+              <span id="notification-badge" class="bell-badge" style="display:none;"></span>
+            </button>
+            <div id="notifications-dropdown" aria-label="${t("notifications.dropdownLabel")}"></div>
+          </li>
+        </ul>
+      </nav>
+    </header>
+
+    <aside id="sidebar" aria-label="Sidebar">
+      <nav class="sidebar-nav">
+        <ul>
+          ${NAV_LINKS.filter(link => link.icon).map(link => html`
+            <li><a class="sidebar-link" href="${link.href}"><i class="fas ${link.icon}"></i> <span>${t(link.key)}</span></a></li>`)}
+          <li><button class="sidebar-link logout-button" type="button" data-action="logout"><i class="fas fa-sign-out-alt"></i> <span>${t("nav.logout")}</span></button></li>
+        </ul>
+      </nav>
+    </aside>
+
+    <main id="app-view" tabindex="-1"></main>
+  `);
+  document.body.prepend(...shell.children);
+}
+
+function bindSidebarToggle() {
+  const sidebar = document.getElementById("sidebar");
+  const toggle = document.getElementById("sidebar-toggle");
+  toggle.addEventListener("click", () => {
+    const open = sidebar.classList.toggle("open");
+    toggle.setAttribute("aria-expanded", String(open));
+  });
+}
+
+// Highlights the links for the view on screen and tidies up anything left open
+function handleNavigate(route) {
+  document.querySelectorAll(".nav-link[href], .sidebar-link[href]").forEach(link => {
+    if (routeName(link.href) === route.name) {
+      link.setAttribute("aria-current", "page");
+    } else {
+      link.removeAttribute("aria-current");
+    }
+  });
+
+  document.getElementById("sidebar").classList.remove("open");
+  document.getElementById("sidebar-toggle").setAttribute("aria-expanded", "false");
+  closeNotifications();
+}
+
+// ==========================
+// Startup
+// ==========================
+if (requireSession()) {
+  renderShell();
+  bindSidebarToggle();
+  mountLanguageSwitchers();
+  mountNotifications();
+  startRouter({
+    outlet: document.getElementById("app-view"),
+    routes: ROUTES,
+    fallback: "home.html",
+    onNavigate: handleNavigate
+  });
+}
@@ -1,34 +1,82 @@
 import { showMessage } from "./utils.js";
+import { api } from "./api.js";
+import { login } from "./session.js";
+import { attachImagePipeline, getProcessedImage, resetProcessedImage } from "./image-cropper.js";
+import { t } from "./i18n.js";
+import { createValidator, required, emailAddress, strongPassword, matches, postalCode, stateCode } from "./form-validation.js";
 
-const API_BASE = "http://localhost:8000";
 const messagesId = "auth-messages";
 const MAX_PROFILE_IMAGE_BYTES = 5 * 1024 * 1024;
 
-const loginPanel = document.getElementById("login-panel");
-const registerPanel = document.getElementById("register-panel");
-const showLoginBtn = document.getElementById("show-login");
-const showRegisterBtn = document.getElementById("show-register");
 const loginForm = document.getElementById("login-form");
 const registerForm = document.getElementById("register-form");
+const forgotForm = document.getElementById("forgot-form");
+const resetForm = document.getElementById("reset-form");
 
-showLoginBtn?.addEventListener("click", () => togglePanel("login"));
-showRegisterBtn?.addEventListener("click", () => togglePanel("register"));
+// Token from the emailed reset link (index.html?reset=...)
+const resetToken = new URLSearchParams(window.location.search).get("reset");
 
+document.addEventListener("click", handlePanelLinkClick);
 loginForm?.addEventListener("submit", handleLogin);
 registerForm?.addEventListener("submit", handleRegister);
+forgotForm?.addEventListener("submit", handleForgotPassword);
+resetForm?.addEventListener("submit", handleResetPassword);
+
+const loginValidator = loginForm && createValidator(loginForm, {
+  "login-email": [required(), emailAddress()],
+  "login-password": [required()]
+});
+
+const registerValidator = registerForm && createValidator(registerForm, {
+  "reg-first-name": [required()],
+  "reg-email": [required(), emailAddress()],
+  "reg-street": [required()],
+  "reg-city": [required()],
+  "reg-state": [required(), stateCode()],
+  "reg-postal-code": [required(), postalCode()],
+  "reg-password": [required(), strongPassword()],
+  "agree-terms": [required(t("auth.agreeRequired"))]
+});
+
+const forgotValidator = forgotForm && createValidator(forgotForm, {
+  "forgot-email": [required(), emailAddress()]
+});
+
+const resetValidator = resetForm && createValidator(resetForm, {
+  "reset-password": [required(), strongPassword()],
+  "reset-confirm": [required(), matches("reset-password", t("validation.passwordMismatch"))]
+});
+
+if (resetToken) showPanel("reset");
+
+// Profile photos are square; the cropper locks the aspect ratio
+attachImagePipeline(document.getElementById("reg-pfp"), {
+  aspect: 1,
+  maxDimension: 512,
+  onError: (err) => showMessage(messagesId, err.message ?? t("auth.photoProcessFailed"), "error", { autoHide: false })
+});
 
 // ==========================
 // Panel Switching
 // ==========================
-function togglePanel(kind) {
-  const loginActive = kind === "login";
-  loginPanel?.classList.toggle("active", loginActive);
-  registerPanel?.classList.toggle("active", !loginActive);
-  showLoginBtn?.classList.toggle("active", loginActive);
-  showRegisterBtn?.classList.toggle("active", !loginActive);
+// Panels are login, register, forgot and reset. Both footers stay in the page
+// (so they can be translated); the login one only shows under the login form.
+function showPanel(name) {
+  document.querySelectorAll(".tab-content > .panel").forEach(panel => {
+    panel.classList.toggle("active", panel.id === `${name}-panel`);
+  });
+  document.getElementById("auth-footer-login").hidden = name !== "login";
+  document.getElementById("auth-footer-register").hidden = name === "login";
   clearMessages();
 }
 
+function handlePanelLinkClick(event) {
+  const link = event.target.closest("[data-show-panel]");
+  if (!link) return;
+  event.preventDefault();
+  showPanel(link.dataset.showPanel);
+}
+
 // ==========================
 // Helpers
 // ==========================
@@ -37,105 +85,92 @@ function clearMessages() {
   if (container) container.innerHTML = "";
 }
 
-function validateEmail(email) {
-  return email.includes("@") && email.includes(".");
-}
-
-async function hashPassword(password) {
-  const msgUint8 = new TextEncoder().encode(password);
-  const hashBuffer = await crypto.subtle.digest("SHA-256", msgUint8);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, "0")).join("");
-}
-
-// Attach native constraint to the registration password field
-const regPasswordInput = document.getElementById("reg-password");
-const PASSWORD_MSG =
-  "Password requires 5 characters, 1 number, and 1 special character.";
-const PASSWORD_PATTERN = "^(?=.*[0-9])(?=.*[!@#$%^&*]).{5,}$";
-
-if (regPasswordInput) {
-  // Make the browser aware of the rule
-  regPasswordInput.setAttribute("pattern", PASSWORD_PATTERN);
-  regPasswordInput.setAttribute("title", PASSWORD_MSG);
-
-  // Real-time validation with a tiny debounce so it feels native
-  let t;
-  const validateNow = () => {
-    // Clear any previous custom message before using native pattern
-    regPasswordInput.setCustomValidity("");
-    // Force browser to show/hide its native tooltip state
-    regPasswordInput.checkValidity();
-  };
-
-  regPasswordInput.addEventListener("input", () => {
-    clearTimeout(t);
-    t = setTimeout(() => {
-      validateNow();
-      if (!regPasswordInput.checkValidity()) {
-        regPasswordInput.reportValidity(); // pop tooltip while typing if invalid
-      }
-    }, 250);
-  });
-
-  // Also show tooltip on blur if invalid
-  regPasswordInput.addEventListener("blur", () => {
-    validateNow();
-    if (!regPasswordInput.checkValidity()) {
-      regPasswordInput.reportValidity();
-    }
-  });
-}
-
 // ==========================
 // Login
 // ==========================
 async function handleLogin(event) {
   event.preventDefault();
   clearMessages();
+  if (!loginValidator.validate()) {
+    return;
+  }
 
   const email = document.getElementById("login-email")?.value.trim();
   const password = document.getElementById("login-password")?.value.trim() ?? "";
 
-  if (!email || !password) {
-    showMessage(messagesId, "Please fill in both email and password.", "error", { autoHide: false });
-    return;
+  try {
+    let session;
+    try {
+      session = await api.post("/api/auth/login", { email, password }, { auth: false });
+    } catch (err) {
+      if (err.status === 401) {
+        showMessage(messagesId, t("auth.wrongCredentials"), "error", { autoHide: false });
+        return;
+      }
+      throw err;
+    }
+
+    login(session);
+    showMessage(messagesId, t("auth.loginSuccess"), "success");
+    setTimeout(() => (window.location.href = "home.html"), 700);
+  } catch (err) {
+    console.error(err);
+    showMessage(messagesId, err.message ?? t("auth.loginFailed"), "error", { autoHide: false });
   }
+}
 
-  if (!validateEmail(email)) {
-    showMessage(messagesId, "Please enter a valid email address.", "error", { autoHide: false });
+// ==========================
+// Forgotten password
+// ==========================
+// The reply is the same whether or not the email has an account, so the form
+// can't be used to find out who is registered
+async function handleForgotPassword(event) {
+  event.preventDefault();
+  clearMessages();
+  if (!forgotValidator.validate()) {
     return;
   }
 
-  try {
-    const res = await fetch(`${API_BASE}/api/users?email=${encodeURIComponent(email)}`);
-    if (res.status === 404) {
-      showMessage(messagesId, "No user found with that email.", "error", { autoHide: false });
-      return;
-    }
-    if (!res.ok) throw new Error("Unable to connect to the server.");
+  const email = document.getElementById("forgot-email")?.value.trim() ?? "";
 
-    const foundUser = await res.json();
+  try {
+    await api.post("/api/auth/forgot-password", { email }, { auth: false, errorMessage: t("auth.resetRequestFailed") });
+    forgotForm.reset();
+    forgotValidator.reset();
+    showMessage(messagesId, t("auth.resetSent"), "success", { autoHide: false });
+  } catch (err) {
+    console.error(err);
+    showMessage(messagesId, err.message ?? t("auth.resetRequestFailed"), "error", { autoHide: false });
+  }
+}
 
-    if (!foundUser.password) {
-      showMessage(messagesId, "This account does not have a password set. Please re-register.", "error", { autoHide: false });
-      return;
-    }
+async function handleResetPassword(event) {
+  event.preventDefault();
+  clearMessages();
+  if (!resetToken) {
+    showMessage(messagesId, t("auth.resetLinkMissing"), "error", { autoHide: false });
+    return;
+  }
+  if (!resetValidator.validate()) {
+    return;
+  }
 
-    const hashedInput = await hashPassword(password);
-    if (hashedInput !== foundUser.password) {
-      showMessage(messagesId, "Incorrect password.", "error", { autoHide: false });
-      return;
-    }
+  const newPassword = document.getElementById("reset-password")?.value.trim() ?? "";
 
-    localStorage.setItem("hippo-owner-id", foundUser.ownerId);
-    localStorage.removeItem("hippo-user-id");
-    showMessage(messagesId, "Login successful! Redirecting...", "success");
-    setTimeout(() => (window.location.href = "home.html"), 700);
+  try {
+    await api.post("/api/auth/reset-password", { token: resetToken, newPassword }, { auth: false, errorMessage: t("auth.resetFailed") });
   } catch (err) {
     console.error(err);
-    showMessage(messagesId, err.message ?? "Unable to log in.", "error", { autoHide: false });
+    showMessage(messagesId, err.message ?? t("auth.resetFailed"), "error", { autoHide: false });
+    return;
   }
+
+  // The token is spent; keep it out of the address bar and history
+  history.replaceState(null, "", window.location.pathname);
+  resetForm.reset();
+  resetValidator.reset();
+  showPanel("login");
+  showMessage(messagesId, t("auth.resetDone"), "success", { autoHide: false });
 }
 
 // ==========================
@@ -144,42 +179,37 @@ async function handleLogin(event) {
 async function handleRegister(event) {
   event.preventDefault();
   clearMessages();
+  if (!registerValidator.validate()) {
+    return;
+  }
 
   const firstName = document.getElementById("reg-first-name")?.value.trim() ?? "";
   const lastName = document.getElementById("reg-last-name")?.value.trim() ?? "";
   const email = document.getElementById("reg-email")?.value.trim() ?? "";
   const role = document.getElementById("reg-role")?.value.trim() || "owner";
-  const address = document.getElementById("reg-address")?.value.trim() ?? "";
+  const street = document.getElementById("reg-street")?.value.trim() ?? "";
+  const city = document.getElementById("reg-city")?.value.trim() ?? "";
+  const state = document.getElementById("reg-state")?.value.trim().toUpperCase() ?? "";
+  const postalCode = document.getElementById("reg-postal-code")?.value.trim() ?? "";
   const pfpInput = document.getElementById("reg-pfp");
-  const pfpFile = pfpInput?.files?.[0] ?? null;
-
-  const passwordInput = regPasswordInput; // reuse
-  const password = passwordInput?.value.trim() ?? "";
-
-  if (!firstName || !email || !password || !address) {
-    showMessage(messagesId, "First name, email, home address, and password are required.", "error", { autoHide: false });
-    return;
-  }
-
-  if (!validateEmail(email)) {
-    showMessage(messagesId, "Please enter a valid email address.", "error", { autoHide: false });
-    return;
-  }
+  const password = document.getElementById("reg-password")?.value.trim() ?? "";
 
-  // Let the browser enforce the pattern & show the native tooltip
-  if (passwordInput && !passwordInput.checkValidity()) {
-    passwordInput.reportValidity(); // shows “Password requires…”
+  let pfpFile;
+  try {
+    pfpFile = await getProcessedImage(pfpInput);
+  } catch (err) {
+    showMessage(messagesId, err.message ?? t("auth.photoProcessFailed"), "error", { autoHide: false });
     return;
   }
 
   let pfpUrl = "";
   if (pfpFile) {
     if (!pfpFile.type.startsWith("image/")) {
-      showMessage(messagesId, "Profile photo must be an image file.", "error", { autoHide: false });
+      showMessage(messagesId, t("auth.photoNotImage"), "error", { autoHide: false });
       return;
     }
     if (pfpFile.size > MAX_PROFILE_IMAGE_BYTES) {
-      showMessage(messagesId, "Profile photo must be smaller than 5MB.", "error", { autoHide: false });
+      showMessage(messagesId, t("auth.photoTooLarge"), "error", { autoHide: false });
       return;
     }
 
@@ -187,35 +217,23 @@ async function handleRegister(event) {
     uploadData.append("file", pfpFile);
     if (email) uploadData.append("ownerId", email);
 
-    showMessage(messagesId, "Uploading profile photo...", "info", { autoHide: true, timeout: 1500 });
-
-    const uploadRes = await fetch(`${API_BASE}/api/uploads/profiles`, { method: "POST", body: uploadData });
-    if (!uploadRes.ok) throw new Error(await uploadRes.text() || "Unable to upload profile photo.");
+    showMessage(messagesId, t("auth.photoUploading"), "info", { autoHide: true, timeout: 1500 });
 
-    const uploadPayload = await uploadRes.json();
+    const uploadPayload = await api.upload("/api/uploads/profiles", uploadData, { auth: false, errorMessage: t("auth.photoUploadFailed") });
     pfpUrl = (uploadPayload?.url ?? "").toString().trim();
-    if (!pfpUrl) throw new Error("Profile photo upload did not return a download URL.");
+    if (!pfpUrl) throw new Error(t("auth.photoNoUrl"));
   }
 
-  const hashedPassword = await hashPassword(password);
-  const payload = { firstName, lastName, email, role, address, pfp: pfpUrl, password: hashedPassword };
+  const payload = { firstName, lastName, email, role, street, city, state, postalCode, pfp: pfpUrl, password };
 
   try {
-    const res = await fetch(`${API_BASE}/api/users`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
-    });
-    if (!res.ok) throw new Error(await res.text() || "Registration failed.");
-
-    const created = await res.json();
-    localStorage.setItem("hippo-owner-id", created.ownerId);
-    localStorage.removeItem("hippo-user-id");
-    showMessage(messagesId, "Account created! Redirecting to your profile...", "success");
-    if (pfpInput) pfpInput.value = "";
+    await api.post("/api/users", payload, { auth: false, errorMessage: t("auth.registerFailed") });
+    login(await api.post("/api/auth/login", { email, password }, { auth: false }));
+    showMessage(messagesId, t("auth.registerSuccess"), "success");
+    resetProcessedImage(pfpInput);
     setTimeout(() => (window.location.href = "profile.html"), 700);
   } catch (err) {
     console.error(err);
-    showMessage(messagesId, err.message ?? "Unable to register.", "error", { autoHide: false });
+    showMessage(messagesId, err.message ?? t("auth.registerUnable"), "error", { autoHide: false });
   }
 }
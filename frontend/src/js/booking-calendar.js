@@ -0,0 +1,155 @@
+// ===============================
+// Booking calendar (request modal)
+// ===============================
+// Month grid for picking a loan's start and return dates. Days are handled as
+// "YYYY-MM-DD" keys, which compare correctly as plain strings. Booked ranges
+// come from GET /api/items/{itemId}/availability; an `end` of null means the
+// current loan has no return date yet, so everything after its start is taken.
+
+import { html, render } from "./dom.js";
+import { t, formatDate, formatMonth, weekdayNames } from "./i18n.js";
+
+const WEEKDAYS = weekdayNames();
+
+// ==========================
+// Date keys
+// ==========================
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// The API stores whole days as UTC midnight
+export function toApiDate(key) {
+  return new Date(`${key}T00:00:00Z`).toISOString();
+}
+
+export function fromApiRange(range) {
+  return {
+    start: new Date(range.startAt).toISOString().slice(0, 10),
+    end: range.dueAt ? new Date(range.dueAt).toISOString().slice(0, 10) : null
+  };
+}
+
+export function findOverlap({ start, end }, booked) {
+  return booked.find(range => start <= (range.end ?? "9999-12-31") && range.start <= end) ?? null;
+}
+
+function parseKey(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// ==========================
+// Calendar widget
+// ==========================
+export function createBookingCalendar(container, { booked = [], onChange = () => {} } = {}) {
+  const today = toDateKey(new Date());
+  let bookedRanges = booked;
+  let start = null;
+  let end = null;
+  let month = new Date();
+  month.setDate(1);
+
+  const isBooked = (key) => bookedRanges.some(range => key >= range.start && key <= (range.end ?? "9999-12-31"));
+
+  const draw = () => {
+    const year = month.getFullYear();
+    const first = new Date(year, month.getMonth(), 1);
+    const daysInMonth = new Date(year, month.getMonth() + 1, 0).getDate();
+    const atCurrentMonth = toDateKey(first) <= today.slice(0, 8) + "01";
+
+    const blanks = Array.from({ length: first.getDay() }, () => html`<span class="cal-day blank"></span>`);
+    const days = Array.from({ length: daysInMonth }, (_, i) => {
+      const key = toDateKey(new Date(year, month.getMonth(), i + 1));
+      const unavailable = key < today || isBooked(key);
+      const classes = ["cal-day"];
+      if (isBooked(key)) classes.push("booked");
+      if (key === start) classes.push("range-start");
+      if (key === end) classes.push("range-end");
+      if (start && end && key > start && key < end) classes.push("in-range");
+      if (key === today) classes.push("today");
+
+      return html`<button type="button" class="${classes.join(" ")}" data-date="${key}" ${unavailable ? html`disabled` : ""}>${i + 1}</button>`;
+    });
+
+    render(container, html`
+      <div class="cal-header">
+        <button type="button" class="cal-nav" data-step="-1" aria-label="${t("calendar.previousMonth")}" ${atCurrentMonth ? html`disabled` : ""}>‹</button>
+        <span class="cal-title">${formatMonth(toDateKey(first).slice(0, 7))}</span>
+        <button type="button" class="cal-nav" data-step="1" aria-label="${t("calendar.nextMonth")}">›</button>
+      </div>
+      <div class="cal-grid">
+        ${WEEKDAYS.map(day => html`<span class="cal-weekday">${day}</span>`)}
+        ${blanks}
+        ${days}
+      </div>`);
+  };
+
+  const select = (key) => {
+    let conflict = null;
+    if (!start || end || key < start) {
+      start = key;
+      end = null;
+    } else {
+      conflict = findOverlap({ start, end: key }, bookedRanges);
+      if (conflict) {
+        // Keep the start so the borrower can pick an earlier return date
+        end = null;
+      } else {
+        end = key;
+      }
+    }
+
+    draw();
+    onChange({ start, end, conflict });
+  };
+
+  container.addEventListener("click", (event) => {
+    const day = event.target.closest("[data-date]");
+    const nav = event.target.closest("[data-step]");
+    if (day && !day.disabled) {
+      select(day.dataset.date);
+    } else if (nav && !nav.disabled) {
+      month = new Date(month.getFullYear(), month.getMonth() + Number(nav.dataset.step), 1);
+      draw();
+    }
+  });
+
+  draw();
+
+  return {
+    get range() {
+      return { start, end };
+    },
+    get booked() {
+      return bookedRanges;
+    },
+    setBooked(ranges) {
+      bookedRanges = ranges;
+      if (start && isBooked(start)) {
+        start = end = null;
+      } else if (start && end && findOverlap({ start, end }, bookedRanges)) {
+        end = null;
+      }
+      draw();
+      onChange({ start, end, conflict: null });
+    },
+    reset() {
+      start = end = null;
+      month = new Date();
+      month.setDate(1);
+      draw();
+      onChange({ start, end, conflict: null });
+    }
+  };
+}
+
+export function describeRange({ start, end }) {
+  if (!start) return t("calendar.pickStart");
+  const format = (key) => formatDate(parseKey(key), { month: "short", day: "numeric", year: "numeric" });
+  if (!end) return t("calendar.pickEnd", { start: format(start) });
+  const days = Math.round((parseKey(end) - parseKey(start)) / 86400000) + 1;
+  return t("calendar.range", { start: format(start), end: format(end), count: days });
+}
@@ -0,0 +1,104 @@
+// ===============================
+// Catalog filters (home view)
+// ===============================
+// Filter state lives in the URL query string so a filtered catalog view can be
+// bookmarked and shared. Everything here is pure except readFilters/writeFilters.
+
+import { t } from "./i18n.js";
+import { replaceUrl } from "./router.js";
+
+export const CONDITIONS = ["New", "Used", "Old", "Decrepit"];
+export const SORTS = ["", "price-asc", "price-desc", "newest", "nearest"];
+
+const DEFAULT_FILTERS = {
+  q: "",
+  minPrice: null,
+  maxPrice: null,
+  condition: "",
+  available: false,
+  sort: "",
+  page: 1
+};
+
+// ==========================
+// URL <-> state
+// ==========================
+export function readFilters(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const condition = params.get("condition") ?? "";
+  const sort = params.get("sort") ?? "";
+  const page = Number.parseInt(params.get("page") ?? "", 10);
+
+  return {
+    q: (params.get("q") ?? "").trim(),
+    minPrice: parsePrice(params.get("minPrice")),
+    maxPrice: parsePrice(params.get("maxPrice")),
+    condition: CONDITIONS.includes(condition) ? condition : "",
+    available: params.get("available") === "1",
+    sort: SORTS.includes(sort) ? sort : "",
+    page: Number.isFinite(page) && page > 0 ? page : 1
+  };
+}
+
+export function toQueryString(filters) {
+  const params = new URLSearchParams();
+  if (filters.q) params.set("q", filters.q);
+  if (filters.minPrice !== null) params.set("minPrice", String(filters.minPrice));
+  if (filters.maxPrice !== null) params.set("maxPrice", String(filters.maxPrice));
+  if (filters.condition) params.set("condition", filters.condition);
+  if (filters.available) params.set("available", "1");
+  if (filters.sort) params.set("sort", filters.sort);
+  if (filters.page > 1) params.set("page", String(filters.page));
+
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+// Replacing the entry keeps typing in the search box from flooding the back
+// button; the router skips the address bar if the catalog is off screen
+export function writeFilters(filters) {
+  replaceUrl(`home.html${toQueryString(filters)}`);
+}
+
+// Conditions are stored in English; this is what the user sees
+export function conditionLabel(condition) {
+  if (!condition) return t("common.notAvailable");
+  return CONDITIONS.includes(condition) ? t(`condition.${condition.toLowerCase()}`) : condition;
+}
+
+export function defaultFilters() {
+  return { ...DEFAULT_FILTERS };
+}
+
+export function hasActiveFilters(filters) {
+  return Boolean(
+    filters.q ||
+    filters.minPrice !== null ||
+    filters.maxPrice !== null ||
+    filters.condition ||
+    filters.available
+  );
+}
+
+function parsePrice(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// ==========================
+// API query
+// ==========================
+// Filtering and sorting run on the server (GET /api/items?pageSize=...)
+export function toApiParams(filters, { pageSize, cursor } = {}) {
+  const params = new URLSearchParams();
+  if (pageSize) params.set("pageSize", String(pageSize));
+  if (cursor) params.set("cursor", cursor);
+  if (filters.q) params.set("q", filters.q);
+  if (filters.minPrice !== null) params.set("minPrice", String(filters.minPrice));
+  if (filters.maxPrice !== null) params.set("maxPrice", String(filters.maxPrice));
+  if (filters.condition) params.set("condition", filters.condition);
+  if (filters.available) params.set("available", "true");
+  if (filters.sort) params.set("sort", filters.sort);
+  return params.toString();
+}
@@ -0,0 +1,63 @@
+// ===============================
+// Safe DOM rendering
+// ===============================
+// Card renderers build markup with the `html` tagged template. Every
+// interpolated value is escaped unless it is itself an `html` fragment, so
+// user data (item names, conditions, borrower IDs) always renders as text.
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+  "`": "&#96;"
+};
+
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"'`]/g, ch => ESCAPES[ch]);
+}
+
+function toMarkup(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(toMarkup).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += toMarkup(value) + strings[i + 1];
+  });
+  return new SafeHtml(markup);
+}
+
+// Only http(s), relative and data:image URLs may end up in src/href attributes
+export function safeUrl(value, fallback = "") {
+  const url = (value ?? "").toString().trim();
+  if (!url) return fallback;
+  if (/^(https?:|data:image\/|blob:)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+    return url;
+  }
+  return fallback;
+}
+
+// Replaces the container's children with a trusted fragment built by `html`
+export function render(container, fragment) {
+  if (!container) return;
+  if (!(fragment instanceof SafeHtml)) {
+    throw new TypeError("render() only accepts markup built with the html tag.");
+  }
+  container.innerHTML = fragment.markup;
+}
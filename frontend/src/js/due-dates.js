@@ -0,0 +1,115 @@
+// ===============================
+// Due dates (loan countdowns + reminders)
+// ===============================
+// Loans are due on a calendar day. Booked loans store that day as UTC midnight and
+// are read as that date; due dates typed in with a time use the viewer's local date.
+// Reminders are worked out in the browser from the same item lists the cards
+// use; dismissing one is remembered per device until the loan changes state.
+
+import { api } from "./api.js";
+import { html } from "./dom.js";
+import { toDateKey } from "./booking-calendar.js";
+import { t, formatDate, formatDateTime } from "./i18n.js";
+
+export const DUE_SOON_DAYS = 2; // reminders start this many days before the due date
+const DAY_MS = 86400000;
+const DISMISSED_KEY = "hippo-dismissed-reminders";
+
+// ==========================
+// Countdown
+// ==========================
+// state: "none" (no due date) | "ok" | "soon" | "today" | "overdue"
+export function dueStatus(dueAt, now = new Date()) {
+  const due = dueAt ? new Date(dueAt) : null;
+  if (!due || Number.isNaN(due.getTime())) {
+    return { state: "none", days: null, label: t("due.none") };
+  }
+
+  const days = Math.round((Date.parse(dueDayKey(due)) - Date.parse(toDateKey(now))) / DAY_MS);
+  if (days < 0) {
+    return { state: "overdue", days, label: t("due.overdue", { count: -days }) };
+  }
+  if (days === 0) return { state: "today", days, label: t("due.today") };
+  if (days === 1) return { state: "soon", days, label: t("due.tomorrow") };
+  return { state: days <= DUE_SOON_DAYS ? "soon" : "ok", days, label: t("due.inDays", { count: days }) };
+}
+
+function isWholeDay(date) {
+  return date.getTime() % DAY_MS === 0;
+}
+
+function dueDayKey(date) {
+  return isWholeDay(date) ? date.toISOString().slice(0, 10) : toDateKey(date);
+}
+
+export function isOverdue(item) {
+  return Boolean(item?.isLent) && dueStatus(item.dueAt).state === "overdue";
+}
+
+export function formatDueDate(dueAt) {
+  const date = dueAt ? new Date(dueAt) : null;
+  if (!date || Number.isNaN(date.getTime())) return t("common.notSet");
+  return isWholeDay(date) ? formatDate(date, { utc: true }) : formatDateTime(date);
+}
+
+// "Due: 3/14/2026 [2 days overdue]" line for item cards
+export function dueLine(dueAt) {
+  const status = dueStatus(dueAt);
+  return html`
+    <div class="mine-meta subtle due-line">
+      ${t("due.line", { date: formatDueDate(dueAt) })}
+      ${status.state !== "none" && html`<span class="due-badge ${status.state}">${status.label}</span>`}
+    </div>`;
+}
+
+// ==========================
+// Reminders
+// ==========================
+// Items I'm borrowing that are due soon or late, and my own items that are overdue
+export async function fetchDueReminders(ownerId) {
+  const id = encodeURIComponent(ownerId);
+  const [borrowing, owned] = await Promise.all([
+    api.get(`/api/users/${id}/borrowing`),
+    api.get(`/api/users/${id}/items`)
+  ]);
+
+  const reminders = [
+    ...(borrowing ?? []).map(item => toReminder(item, "borrower")).filter(r => r.status.state !== "ok"),
+    ...(owned ?? []).filter(isOverdue).map(item => toReminder(item, "owner"))
+  ].filter(r => r.status.state !== "none");
+
+  return reminders.sort((a, b) => a.status.days - b.status.days);
+}
+
+function toReminder(item, role) {
+  const status = dueStatus(item.dueAt);
+  return {
+    // A new key per state, so a dismissed "due tomorrow" still comes back once it's overdue
+    key: `${role}:${item.itemId}:${item.dueAt}:${status.state}`,
+    role,
+    itemId: item.itemId,
+    itemName: item.name ?? t("common.item"),
+    borrowerName: item.borrowerName ?? "",
+    dueAt: item.dueAt,
+    status
+  };
+}
+
+export function isDismissed(reminder) {
+  return readDismissed().includes(reminder.key);
+}
+
+export function dismissReminders(reminders) {
+  // Newest first and capped, so keys for long-finished loans eventually drop off
+  const keys = [...new Set([...reminders.map(r => r.key), ...readDismissed()])].slice(0, 200);
+  localStorage.setItem(DISMISSED_KEY, JSON.stringify(keys));
+}
+
+function readDismissed() {
+  try {
+    const keys = JSON.parse(localStorage.getItem(DISMISSED_KEY) ?? "[]");
+    return Array.isArray(keys) ? keys : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,49 @@
+// ===============================
+// Earnings ledger (items.html)
+// ===============================
+// Totals from the owner's completed loans, using the quote stored on each
+// request when it was made. See GET /api/users/{ownerId}/earnings.
+
+import { api } from "./api.js";
+import { html, render } from "./dom.js";
+import { t, formatMoney, formatMonth } from "./i18n.js";
+
+export async function loadEarnings(container, ownerId) {
+  if (!container) return;
+
+  try {
+    const earnings = await api.get(`/api/users/${encodeURIComponent(ownerId)}/earnings`, { errorMessage: t("earnings.loadFailed") });
+    renderEarnings(container, earnings);
+  } catch (err) {
+    console.error(err);
+    render(container, html`<p class="empty-state">${err.message ?? t("earnings.loadFailed")}</p>`);
+  }
+}
+
+function renderEarnings(container, { total, loans, byItem, byMonth }) {
+  if (!loans) {
+    render(container, html`<p class="empty-state">${t("earnings.empty")}</p>`);
+    return;
+  }
+
+  render(container, html`
+    <p class="earnings-total">
+      <strong>${formatMoney(total)}</strong> ${t("earnings.from", { count: loans })}
+    </p>
+    <div class="earnings-tables">
+      ${ledgerTable(t("earnings.byItem"), t("earnings.item"), byItem.map(line => ({ ...line, label: line.label || t("common.item") })))}
+      ${ledgerTable(t("earnings.byMonth"), t("earnings.month"), byMonth.map(line => ({ ...line, label: formatMonth(line.key) })))}
+    </div>`);
+}
+
+function ledgerTable(caption, heading, lines) {
+  return html`
+    <table class="earnings-table">
+      <caption>${caption}</caption>
+      <thead><tr><th scope="col">${heading}</th><th scope="col">${t("earnings.loans")}</th><th scope="col">${t("earnings.earned")}</th></tr></thead>
+      <tbody>
+        ${lines.map(line => html`
+          <tr><th scope="row">${line.label}</th><td>${line.loans}</td><td>${formatMoney(line.total)}</td></tr>`)}
+      </tbody>
+    </table>`;
+}
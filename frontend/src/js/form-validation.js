@@ -0,0 +1,178 @@
+// ===============================
+// Form validation
+// ===============================
+// Forms declare their rules per field and this module does the rest: each
+// field is checked when it loses focus and again on submit, and its error is
+// shown right under it (linked with aria-describedby). Once a field has shown
+// an error it re-checks while the user types, so the message clears as soon
+// as the value is fixed.
+//
+//   const validator = createValidator(form, {
+//     email: [required(), emailAddress()],
+//     password: [required(), strongPassword()]
+//   });
+//   if (!validator.validate()) return;
+//
+// Fields are found by name or id inside the root, which doesn't have to be a
+// <form>. A field can also be given as { element, value, rules } for things
+// that aren't inputs, such as a photo list.
+//
+// A rule takes the field's value (trimmed text, or `checked` for checkboxes)
+// plus all values, and returns an error message or null.
+
+import { t } from "./i18n.js";
+
+const PASSWORD_PATTERN = /^(?=.*[0-9])(?=.*[!@#$%^&*]).{5,}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const POSTAL_CODE_PATTERN = /^\d{5}(-\d{4})?$/;
+const STATE_PATTERN = /^[A-Za-z]{2}$/;
+
+// ==========================
+// Rules
+// ==========================
+// 0 counts as empty so count-valued fields (files, photos) work with required()
+function isEmpty(value) {
+  return value === "" || value === null || value === undefined || value === false || value === 0;
+}
+
+export function required(message = t("validation.required")) {
+  return (value) => (isEmpty(value) ? message : null);
+}
+
+// Empty values pass the rules below; pair them with required() when needed
+export function emailAddress(message = t("auth.invalidEmail")) {
+  return (value) => (!value || EMAIL_PATTERN.test(value) ? null : message);
+}
+
+export function pattern(regex, message) {
+  return (value) => (!value || regex.test(value) ? null : message);
+}
+
+export function strongPassword(message = t("auth.passwordRule")) {
+  return pattern(PASSWORD_PATTERN, message);
+}
+
+// US addresses: 5-digit ZIP (ZIP+4 allowed) and two-letter state abbreviation
+export function postalCode(message = t("validation.postalCode")) {
+  return pattern(POSTAL_CODE_PATTERN, message);
+}
+
+export function stateCode(message = t("validation.stateCode")) {
+  return pattern(STATE_PATTERN, message);
+}
+
+// Confirmation fields: must equal another field's value
+export function matches(otherKey, message = t("validation.mismatch")) {
+  return (value, allValues) => (!value || value === allValues[otherKey] ? null : message);
+}
+
+export function number({ min = -Infinity, max = Infinity } = {}, message = t("validation.number")) {
+  return (value) => {
+    if (value === "") return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= min && parsed <= max ? null : message;
+  };
+}
+
+// ==========================
+// Validator
+// ==========================
+export function createValidator(root, fieldSpecs) {
+  const fields = Object.entries(fieldSpecs).map(([key, spec]) => {
+    const rules = Array.isArray(spec) ? spec : spec.rules;
+    const element = spec.element ?? root.querySelector(`[name="${key}"], #${CSS.escape(key)}`);
+    const read = spec.value ?? (() => readValue(element));
+    return { key, rules, element, read, touched: false, errorEl: null };
+  });
+
+  const values = () => Object.fromEntries(fields.map(field => [field.key, field.read()]));
+
+  const check = (field, allValues = values()) => {
+    const value = field.read();
+    const error = field.rules.map(rule => rule(value, allValues)).find(Boolean) ?? null;
+    showError(field, error);
+    return !error;
+  };
+
+  fields.forEach(field => {
+    if (!field.element) return;
+    field.element.addEventListener("blur", () => {
+      field.touched = true;
+      check(field);
+    });
+    field.element.addEventListener(isToggle(field.element) ? "change" : "input", () => {
+      if (field.touched) check(field);
+    });
+  });
+
+  return {
+    // Checks every field; focuses the first invalid one
+    validate() {
+      const allValues = values();
+      const invalid = fields.filter(field => {
+        field.touched = true;
+        return !check(field, allValues);
+      });
+      invalid[0]?.element?.focus?.();
+      return invalid.length === 0;
+    },
+    // Re-checks a field the user has already been shown, e.g. after a photo
+    // list changes; untouched fields stay quiet
+    refresh(key) {
+      const field = fields.find(candidate => candidate.key === key);
+      if (field?.touched) check(field);
+    },
+    reset() {
+      fields.forEach(field => {
+        field.touched = false;
+        showError(field, null);
+      });
+    }
+  };
+}
+
+function isToggle(element) {
+  return element.type === "checkbox" || element.type === "radio" || element.tagName === "SELECT";
+}
+
+function readValue(element) {
+  if (!element) return "";
+  if (element.type === "checkbox") return element.checked;
+  if (element.type === "file") return element.files?.length ?? 0;
+  return (element.value ?? "").trim();
+}
+
+// ==========================
+// Inline errors
+// ==========================
+let nextErrorId = 1;
+
+function showError(field, message) {
+  const { element } = field;
+  if (!element) return;
+
+  if (!field.errorEl) {
+    field.errorEl = document.createElement("p");
+    field.errorEl.className = "field-error";
+    field.errorEl.id = `${element.id || field.key}-error-${nextErrorId++}`;
+    field.errorEl.setAttribute("aria-live", "polite");
+    // Inputs wrapped in a <label> get the message under the whole label, and
+    // checkboxes under the row they sit in with their label
+    const anchor = element.closest("label") ?? (element.type === "checkbox" ? element.parentElement : element);
+    anchor.after(field.errorEl);
+  }
+
+  field.errorEl.textContent = message ?? "";
+  field.errorEl.hidden = !message;
+  element.classList.toggle("invalid", Boolean(message));
+
+  const describedBy = (element.getAttribute("aria-describedby") ?? "").split(" ").filter(id => id && id !== field.errorEl.id);
+  if (message) {
+    element.setAttribute("aria-invalid", "true");
+    element.setAttribute("aria-describedby", [...describedBy, field.errorEl.id].join(" "));
+  } else {
+    element.removeAttribute("aria-invalid");
+    if (describedBy.length) element.setAttribute("aria-describedby", describedBy.join(" "));
+    else element.removeAttribute("aria-describedby");
+  }
+}
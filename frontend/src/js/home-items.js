@@ -1,186 +1,317 @@
 import { showMessage } from "./utils.js";
-
-const API_BASE = "http://localhost:8000";
-const itemsList = document.getElementById("items-list");
-const itemTemplate = document.querySelector(".item-card.template");
-
-const prevBtn = document.getElementById("prev-page");
-const nextBtn = document.getElementById("next-page");
-const pageIndicator = document.getElementById("page-indicator");
+import { api } from "./api.js";
+import { requireSession } from "./session.js";
+import { html, render } from "./dom.js";
+import { openRequestModal } from "./request-modal.js";
+import { describeRating } from "./reviews.js";
+import { bindFavoriteButton, loadFavoriteIds, saveSearch, suggestSearchName } from "./watchlist.js";
+import { galleryPhotos, mountGallery } from "./photo-gallery.js";
+import { CONDITIONS, conditionLabel, readFilters, writeFilters, defaultFilters, hasActiveFilters, toApiParams } from "./catalog-filters.js";
+import { t, formatPricePerDay, formatDistance } from "./i18n.js";
 
 const HOME_MESSAGES_ID = "home-messages";
-const currentOwnerId =
-  window.localStorage.getItem("hippo-owner-id") ??
-  window.localStorage.getItem("hippo-user-id");
-
-let items = [];
+const SCROLL_MODE_KEY = "hippo-catalog-infinite";
+const SORT_OPTIONS = [
+  ["", "home.sortDefault"],
+  ["price-asc", "home.sortPriceAsc"],
+  ["price-desc", "home.sortPriceDesc"],
+  ["newest", "home.sortNewest"],
+  ["nearest", "home.sortNearest"]
+];
+const currentOwnerId = requireSession();
+
+let itemsList;
+let itemTemplate;
+let prevBtn;
+let nextBtn;
+let pageIndicator;
+let toolbar;
+let emptyState;
+let infiniteToggle;
+let scrollSentinel;
+let saveSearchBtn;
+let favoritesReady = Promise.resolve();
+
+let filters = defaultFilters();
 let currentPage = 1;
+let infiniteMode = localStorage.getItem(SCROLL_MODE_KEY) === "true";
+let renderedPages = 0; // infinite mode: how many pages are already on screen
 const itemsPerPage = 6; // number of cards to show per page
+const SEARCH_DEBOUNCE_MS = 250;
 
 // ==========================
-// Load all items from backend
+// Page cache
 // ==========================
+// Pages are fetched from the API by cursor. Page N's cursor comes from page N-1,
+// so the cache also remembers each page's nextCursor. Changing filters starts over.
+let pageCache = new Map();   // page number -> { items, nextCursor }
+let inflight = new Map();    // page number -> Promise
+let generation = 0;          // bumps on filter change so stale responses are dropped
+
+function resetPageCache() {
+  pageCache = new Map();
+  inflight = new Map();
+  generation++;
+}
+
+async function fetchPage(page) {
+  if (pageCache.has(page)) return pageCache.get(page);
+  if (inflight.has(page)) return inflight.get(page);
+
+  const requestGeneration = generation;
+  const promise = (async () => {
+    let cursor = null;
+    if (page > 1) {
+      cursor = (await fetchPage(page - 1)).nextCursor;
+      if (!cursor) return { items: [], nextCursor: null };
+    }
+
+    const params = toApiParams(filters, { pageSize: itemsPerPage, cursor });
+    const result = await api.get(`/api/items?${params}`, { errorMessage: t("home.loadFailed") });
+    const data = { items: result?.items ?? [], nextCursor: result?.nextCursor ?? null };
+
+    if (requestGeneration === generation) {
+      pageCache.set(page, data);
+    }
+    return data;
+  })();
+
+  inflight.set(page, promise);
+  try {
+    return await promise;
+  } finally {
+    if (requestGeneration === generation) inflight.delete(page);
+  }
+}
+
+// Warm the cache for the next page so "next" feels instant
+function prefetchNext(page, data) {
+  if (!data.nextCursor) return;
+  fetchPage(page + 1).catch(err => console.warn("Prefetch failed:", err));
+}
+
+// ==========================
+// Load the current page from backend
+// ==========================
+let loading = false;
+
 async function loadItems() {
+  const requestGeneration = generation;
+  loading = true;
   try {
-    const res = await fetch(`${API_BASE}/api/items`);
-    if (!res.ok) throw new Error(await res.text() || "Failed to load items.");
+    const [data] = await Promise.all([fetchPage(currentPage), favoritesReady]);
+    if (requestGeneration !== generation) return;
 
-    items = await res.json();
-    currentPage = 1;
-    renderItems();
+    // A deep link past the end (e.g. ?page=9 after items were removed) falls back to page 1
+    if (!data.items.length && currentPage > 1) {
+      currentPage = 1;
+      return loadItems();
+    }
+
+    syncUrl();
+    renderItems(data.items, { append: infiniteMode && renderedPages > 0 });
+    renderedPages = infiniteMode ? currentPage : 0;
+    updatePagination(Boolean(data.nextCursor));
+    prefetchNext(currentPage, data);
   } catch (err) {
     console.error("Error loading items:", err);
     showMessage(
       HOME_MESSAGES_ID,
-      err.message || "Unable to load items.",
+      err.message || t("home.loadUnable"),
       "error",
       { autoHide: false }
     );
+  } finally {
+    loading = false;
+  }
+}
+
+// ==========================
+// Search / filter / sort toolbar
+// ==========================
+function applyCatalogFilters() {
+  updateSaveSearchButton();
+  resetPageCache();
+  currentPage = 1;
+  renderedPages = 0;
+  loadItems();
+}
+
+function syncUrl() {
+  filters.page = infiniteMode ? 1 : currentPage;
+  writeFilters(filters);
+}
+
+function fillToolbar() {
+  if (!toolbar) return;
+  toolbar.elements.q.value = filters.q;
+  toolbar.elements.minPrice.value = filters.minPrice ?? "";
+  toolbar.elements.maxPrice.value = filters.maxPrice ?? "";
+  toolbar.elements.condition.value = filters.condition;
+  toolbar.elements.sort.value = filters.sort;
+  toolbar.elements.available.checked = filters.available;
+  if (infiniteToggle) infiniteToggle.checked = infiniteMode;
+  updateSaveSearchButton();
+}
+
+// Saving only makes sense once something narrows the catalog
+function updateSaveSearchButton() {
+  if (saveSearchBtn) saveSearchBtn.disabled = !hasActiveFilters(filters);
+}
+
+async function saveCurrentSearch() {
+  const name = window.prompt(t("watchlist.namePrompt"), suggestSearchName(filters))?.trim();
+  if (!name) return;
+
+  saveSearchBtn.disabled = true;
+  try {
+    await saveSearch(filters, name);
+    showMessage(HOME_MESSAGES_ID, t("watchlist.searchSaved", { name }), "success");
+  } catch (err) {
+    console.error("Error saving search:", err);
+    showMessage(HOME_MESSAGES_ID, err.message || t("watchlist.saveSearchFailed"), "error");
+  } finally {
+    updateSaveSearchButton();
   }
 }
 
+function readToolbar() {
+  const form = new FormData(toolbar);
+  const params = new URLSearchParams();
+  ["q", "minPrice", "maxPrice", "condition", "sort"].forEach(key => {
+    const value = (form.get(key) ?? "").toString().trim();
+    if (value) params.set(key, value);
+  });
+  if (form.get("available")) params.set("available", "1");
+  return readFilters(`?${params}`);
+}
+
+let searchTimer;
+
+function bindToolbar() {
+  toolbar.addEventListener("input", (e) => {
+    clearTimeout(searchTimer);
+    const delay = e.target.name === "q" ? SEARCH_DEBOUNCE_MS : 0;
+    searchTimer = setTimeout(() => {
+      filters = readToolbar();
+      applyCatalogFilters();
+    }, delay);
+  });
+
+  toolbar.addEventListener("submit", (e) => e.preventDefault());
+  saveSearchBtn.addEventListener("click", saveCurrentSearch);
+
+  toolbar.addEventListener("reset", () => {
+    clearTimeout(searchTimer);
+    filters = defaultFilters();
+    // Form fields reset after this handler runs; reload on the next tick
+    setTimeout(applyCatalogFilters, 0);
+  });
+}
+
 // ==========================
-// Render items with pagination
+// Render items
 // ==========================
-function renderItems() {
+function renderItems(pageItems, { append = false } = {}) {
   if (!itemsList || !itemTemplate) return;
 
-  // Clear old cards
-  itemsList.querySelectorAll(".item-card:not(.template)").forEach(el => el.remove());
+  // Clear old cards unless infinite scroll is adding to them
+  if (!append) {
+    itemsList.querySelectorAll(".item-card:not(.template)").forEach(el => el.remove());
+  }
 
-  const totalPages = Math.max(1, Math.ceil(items.length / itemsPerPage));
-  const start = (currentPage - 1) * itemsPerPage;
-  const end = start + itemsPerPage;
-  const currentItems = items.slice(start, end);
+  if (emptyState) {
+    emptyState.hidden = pageItems.length > 0 || append || !hasActiveFilters(filters);
+  }
 
   // Populate visible cards
-  currentItems.forEach(item => {
+  pageItems.forEach(item => {
     const card = itemTemplate.cloneNode(true);
     card.classList.remove("template");
     card.style.display = "";
 
-    const img = card.querySelector(".item-image");
+    const link = card.querySelector(".item-link");
+    const gallery = card.querySelector(".item-gallery");
     const name = card.querySelector(".item-name");
     const price = card.querySelector(".item-price");
+    const distance = card.querySelector(".item-distance");
+    const rating = card.querySelector(".item-rating");
     const button = card.querySelector(".item-button");
+    const favorite = card.querySelector(".favorite-btn");
 
-    img.src =
-      item.picture?.trim() ||
-      "https://via.placeholder.com/320x200?text=Hippo+Exchange";
-    img.alt = item.name || "Item";
-    name.textContent = item.name || "Unnamed Item";
-    price.textContent = `$${Number(item.pricePerDay || 0).toFixed(2)}/day`;
-
-    if (item.isLent) {
-      button.textContent = "Borrowed";
-      button.disabled = true;
-    } else {
-      button.textContent = "Request";
-      button.disabled = false;
-      button.onclick = () => openRequestModal(item);
-    }
+    link.href = `item.html?id=${encodeURIComponent(item.itemId)}`;
+    mountGallery(gallery, galleryPhotos(item), {
+      alt: item.name || t("common.item"),
+      href: link.href,
+      imageClass: "item-image"
+    });
+    name.textContent = item.name || t("common.unnamedItem");
+    price.textContent = formatPricePerDay(item.pricePerDay);
+
+    // Only known when both the viewer and the owner have a postal code on file
+    distance.hidden = item.distanceMiles == null;
+    distance.textContent = distance.hidden ? "" : t("home.distanceAway", { distance: formatDistance(item.distanceMiles) });
+
+    const ownerScore = describeRating(item.ownerRating);
+    rating.hidden = !ownerScore;
+    rating.textContent = ownerScore && t("home.ownerRating", { score: ownerScore });
+
+    // Lent items can still be reserved for later dates
+    button.textContent = item.isLent ? t("home.reserve") : t("home.request");
+    button.disabled = false;
+    button.onclick = () => openRequestModal(item);
+    bindFavoriteButton(favorite, item, currentOwnerId);
 
     itemsList.appendChild(card);
   });
 
-  updatePagination(totalPages);
+  if (filters.sort === "nearest" && !append && pageItems.length && pageItems.every(item => item.distanceMiles == null)) {
+    showMessage(HOME_MESSAGES_ID, t("home.nearestNeedsLocation"), "info", { autoHide: false });
+  }
 }
 
 // ==========================
 // Update pagination controls
 // ==========================
-function updatePagination(totalPages) {
-  pageIndicator.textContent = `Page ${currentPage} of ${totalPages}`;
+let hasNextPage = false;
+
+function updatePagination(hasNext) {
+  hasNextPage = hasNext;
+  pageIndicator.textContent = infiniteMode
+    ? (hasNext ? t("home.scrollForMore") : t("home.endOfCatalog"))
+    : t("home.page", { page: currentPage });
+  prevBtn.hidden = nextBtn.hidden = infiniteMode;
   prevBtn.disabled = currentPage === 1;
-  nextBtn.disabled = currentPage === totalPages;
+  nextBtn.disabled = !hasNext;
 }
 
 // ==========================
-// Modal Logic (Borrow Request)
+// Infinite scroll
 // ==========================
-const modal = document.getElementById("request-modal");
-const closeModal = document.querySelector(".close-modal");
-const sendRequestBtn = document.getElementById("send-request-btn");
-const returnDateInput = document.getElementById("return-date");
-const modalItemName = document.getElementById("modal-item-name");
-
-let selectedItem = null;
-
-// Open modal for the selected item
-function openRequestModal(item) {
-  selectedItem = item;
-  modalItemName.textContent = `Requesting: ${item.name}`;
-  const today = new Date().toISOString().split("T")[0];
-  returnDateInput.min = today;
-  returnDateInput.value = today;
-  modal.style.display = "flex";
-}
-
-// Close modal helper
-function closeRequestModal() {
-  modal.style.display = "none";
-  returnDateInput.value = "";
-  selectedItem = null;
-}
-
-closeModal?.addEventListener("click", closeRequestModal);
-window.addEventListener("click", (e) => {
-  if (e.target === modal) closeRequestModal();
-});
-
-// Handle sending the borrow request
-sendRequestBtn?.addEventListener("click", async () => {
-  if (!selectedItem) return;
-
-  const dueStr = returnDateInput.value;
-  if (!dueStr) {
-    alert("Please select a return date.");
-    return;
-  }
-
-  const borrowerId =
-    localStorage.getItem("hippo-owner-id") ||
-    localStorage.getItem("hippo-user-id");
-
-  if (!borrowerId) {
-    alert("Please log in to request items.");
-    return;
-  }
-
-  try {
-    // Support both item.itemId or item.id, depending on API mapping
-    const itemId = selectedItem.itemId || selectedItem.id;
-    if (!itemId) {
-      console.error("Item missing ID:", selectedItem);
-      alert("Unable to identify this item. Try reloading.");
-      return;
+const scrollObserver = "IntersectionObserver" in window
+  ? new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting) && infiniteMode && hasNextPage && !loading) {
+      currentPage++;
+      loadItems();
     }
+  }, { rootMargin: "200px" })
+  : null;
 
-    const body = {
-      itemId,
-      borrowerId,
-      dueAt: new Date(dueStr).toISOString()
-    };
-
-    const res = await fetch(`${API_BASE}/api/requests`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body)
-    });
-
-    const text = await res.text(); // read response before checking ok
-    if (!res.ok) {
-      console.error("Backend error:", text);
-      throw new Error(text || "Failed to send request.");
-    }
+function setInfiniteMode(enabled) {
+  infiniteMode = enabled && Boolean(scrollObserver);
+  localStorage.setItem(SCROLL_MODE_KEY, String(infiniteMode));
 
-    alert(`Request sent for ${selectedItem.name}`);
-    closeRequestModal();
-  } catch (err) {
-    console.error("Request error:", err);
-    alert("Unable to send request. Check console for details.");
+  if (infiniteMode) {
+    scrollObserver.observe(scrollSentinel);
+  } else {
+    scrollObserver?.unobserve(scrollSentinel);
   }
-});
+
+  // Pages stay cached, so switching modes only re-renders from the first page
+  currentPage = 1;
+  renderedPages = 0;
+  loadItems();
+}
 
 // ==========================
 // Scroll to top on pagination
@@ -193,24 +324,132 @@ function scrollToItemsTop() {
 // ==========================
 // Pagination buttons
 // ==========================
-prevBtn?.addEventListener("click", () => {
-  if (currentPage > 1) {
-    currentPage--;
-    renderItems();
-    scrollToItemsTop();
-  }
-});
-
-nextBtn?.addEventListener("click", () => {
-  const totalPages = Math.max(1, Math.ceil(items.length / itemsPerPage));
-  if (currentPage < totalPages) {
-    currentPage++;
-    renderItems();
-    scrollToItemsTop();
-  }
-});
+function bindPagination() {
+  prevBtn.addEventListener("click", async () => {
+    if (currentPage > 1) {
+      currentPage--;
+      await loadItems();
+      scrollToItemsTop();
+    }
+  });
+
+  nextBtn.addEventListener("click", async () => {
+    if (hasNextPage) {
+      currentPage++;
+      await loadItems();
+      scrollToItemsTop();
+    }
+  });
+
+  infiniteToggle.addEventListener("change", () => setInfiniteMode(infiniteToggle.checked));
+}
 
 // ==========================
-// Initial load
+// Markup
 // ==========================
-loadItems();
+function homeMarkup() {
+  return html`
+    <section id="home" class="hero">
+      <div class="hero-inner">
+        <h1>${t("home.heroTitle")}</h1>
+        <p>${t("home.heroTagline")}</p>
+        <a class="btn" href="#items">${t("home.borrowItem")}</a>
+        <a class="btn" href="items.html">${t("home.addItem")}</a>
+      </div>
+    </section>
+
+    <section id="items" class="container" aria-label="${t("home.available")}">
+      <h2 class="section-title">${t("home.available")}</h2>
+
+      <form id="catalog-toolbar" class="catalog-toolbar" role="search" aria-label="${t("home.searchLabel")}">
+        <input type="search" name="q" placeholder="${t("home.searchPlaceholder")}" aria-label="${t("home.searchLabel")}" />
+        <input type="number" name="minPrice" placeholder="${t("home.minPrice")}" min="0" step="0.01" aria-label="${t("home.minPriceLabel")}" />
+        <input type="number" name="maxPrice" placeholder="${t("home.maxPrice")}" min="0" step="0.01" aria-label="${t("home.maxPriceLabel")}" />
+        <select name="condition" aria-label="${t("items.conditionLabel")}">
+          <option value="">${t("home.anyCondition")}</option>
+          ${CONDITIONS.map(condition => html`<option value="${condition}">${conditionLabel(condition)}</option>`)}
+        </select>
+        <select name="sort" aria-label="${t("home.sortLabel")}">
+          ${SORT_OPTIONS.map(([value, key]) => html`<option value="${value}">${t(key)}</option>`)}
+        </select>
+        <label class="toolbar-toggle"><input type="checkbox" name="available" /> <span>${t("home.availableOnly")}</span></label>
+        <button type="reset" class="page-btn">${t("home.clear")}</button>
+        <button type="button" id="save-search" class="page-btn" disabled title="${t("watchlist.saveSearchHint")}">${t("watchlist.saveSearch")}</button>
+      </form>
+
+      <div id="home-messages" class="messages"></div>
+      <p id="catalog-empty" class="empty-state" hidden>${t("home.noMatches")}</p>
+
+      <ul class="items-list" id="catalog-list">
+        <!-- Hidden template for cloning -->
+        <li class="item-card template" style="display: none;">
+          <div class="item-gallery"></div>
+          <button type="button" class="favorite-btn" hidden></button>
+          <a class="item-link" href="item.html">
+            <h3 class="item-name"></h3>
+          </a>
+          <p class="item-price"></p>
+          <p class="item-distance" hidden></p>
+          <p class="item-rating" hidden></p>
+          <button class="item-button"></button>
+        </li>
+      </ul>
+
+      <!-- Infinite scroll loads the next page when this comes into view -->
+      <div id="catalog-sentinel" aria-hidden="true"></div>
+
+      <!-- Pagination Controls -->
+      <div class="pagination-controls">
+        <button id="prev-page" class="page-btn" aria-label="${t("home.previousPage")}">←</button>
+        <span id="page-indicator" class="page-indicator"></span>
+        <button id="next-page" class="page-btn" aria-label="${t("home.nextPage")}">→</button>
+        <label class="toolbar-toggle"><input type="checkbox" id="infinite-scroll-toggle" /> <span>${t("home.infiniteScroll")}</span></label>
+      </div>
+    </section>`;
+}
+
+// ==========================
+// View
+// ==========================
+export default {
+  className: "", // the hero runs edge to edge
+  title: () => t("nav.home"),
+
+  mount(container, route) {
+    render(container, homeMarkup());
+    itemsList = container.querySelector("#catalog-list");
+    itemTemplate = container.querySelector(".item-card.template");
+    prevBtn = container.querySelector("#prev-page");
+    nextBtn = container.querySelector("#next-page");
+    pageIndicator = container.querySelector("#page-indicator");
+    toolbar = container.querySelector("#catalog-toolbar");
+    emptyState = container.querySelector("#catalog-empty");
+    infiniteToggle = container.querySelector("#infinite-scroll-toggle");
+    scrollSentinel = container.querySelector("#catalog-sentinel");
+    saveSearchBtn = container.querySelector("#save-search");
+    bindToolbar();
+    bindPagination();
+
+    if (!currentOwnerId) return;
+    // Hearts are a nice-to-have; cards still render if favorites can't load
+    favoritesReady = loadFavoriteIds().catch(err => console.warn("Unable to load favorites:", err));
+    filters = readFilters(`?${route.params}`);
+    currentPage = filters.page;
+    fillToolbar();
+    if (infiniteMode && scrollObserver) {
+      scrollObserver.observe(scrollSentinel);
+      currentPage = 1;
+    }
+    loadItems();
+  },
+
+  // Back/forward onto a catalog entry with other filters
+  update(route) {
+    filters = readFilters(`?${route.params}`);
+    fillToolbar();
+    resetPageCache();
+    currentPage = infiniteMode ? 1 : filters.page;
+    renderedPages = 0;
+    loadItems();
+  }
+};
@@ -0,0 +1,165 @@
+// ===============================
+// Internationalization
+// ===============================
+// Message catalogs live in js/locales/<code>.js as flat "area.key" maps. Page
+// modules call t() for every user-facing string and the format* helpers for
+// money and dates, so switching language only needs a reload. Messages use
+// {name} placeholders; a message written as { one, other } picks its plural
+// form from params.count. Missing keys fall back to English, then to the key.
+//
+// Static page text opts in with data-i18n (textContent), data-i18n-placeholder,
+// data-i18n-title, data-i18n-aria-label and data-i18n-alt attributes, applied on load.
+
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+
+export const LOCALES = {
+  en: { label: "English", messages: en },
+  es: { label: "Español", messages: es }
+};
+
+const DEFAULT_LOCALE = "en";
+const LOCALE_KEY = "hippo-locale";
+const CURRENCY = "USD"; // prices are stored in dollars whatever the language
+
+const locale = resolveLocale();
+const pluralRules = new Intl.PluralRules(locale);
+const moneyFormat = new Intl.NumberFormat(locale, { style: "currency", currency: CURRENCY });
+
+// ==========================
+// Locale selection
+// ==========================
+function resolveLocale() {
+  const saved = localStorage.getItem(LOCALE_KEY);
+  if (saved && LOCALES[saved]) return saved;
+
+  const preferred = (navigator.languages ?? [navigator.language])
+    .map(tag => (tag ?? "").toLowerCase().split("-")[0])
+    .find(code => LOCALES[code]);
+  return preferred ?? DEFAULT_LOCALE;
+}
+
+export function getLocale() {
+  return locale;
+}
+
+export function setLocale(code) {
+  if (!LOCALES[code] || code === locale) return;
+  localStorage.setItem(LOCALE_KEY, code);
+  window.location.reload();
+}
+
+// ==========================
+// Messages
+// ==========================
+export function t(key, params = {}) {
+  let message = LOCALES[locale].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+  if (message === undefined) {
+    console.warn(`Missing translation: ${key}`);
+    return key;
+  }
+
+  if (typeof message === "object") {
+    message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// ==========================
+// Formatting
+// ==========================
+export function formatMoney(amount) {
+  return moneyFormat.format(Number(amount || 0));
+}
+
+export function formatPricePerDay(amount) {
+  return t("common.perDay", { price: formatMoney(amount) });
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Whole-day dates (bookings, due dates) are stored as UTC midnight; pass { utc: true } to show that day
+export function formatDate(value, { utc = false, fallback = t("common.notSet"), ...options } = {}) {
+  const date = toDate(value);
+  if (!date) return fallback;
+  return date.toLocaleDateString(locale, { ...options, ...(utc ? { timeZone: "UTC" } : {}) });
+}
+
+export function formatDateTime(value, { fallback = t("common.notSet") } = {}) {
+  const date = toDate(value);
+  return date ? date.toLocaleString(locale) : fallback;
+}
+
+// Distances are in miles: postal codes (and the lookup table) are US ZIP codes
+export function formatDistance(miles) {
+  return new Intl.NumberFormat(locale, {
+    style: "unit",
+    unit: "mile",
+    maximumFractionDigits: miles < 10 ? 1 : 0
+  }).format(miles);
+}
+
+// Star averages always show one decimal: 4.0, 4.5
+export function formatRating(average) {
+  return new Intl.NumberFormat(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(average);
+}
+
+// "2026-03" -> "March 2026" / "marzo de 2026"
+export function formatMonth(key) {
+  const [year, month] = key.split("-").map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(locale, { month: "long", year: "numeric" });
+}
+
+// Two-letter weekday names starting on Sunday, matching Date#getDay()
+export function weekdayNames() {
+  // 7 January 2024 was a Sunday
+  return Array.from({ length: 7 }, (_, i) =>
+    new Date(2024, 0, 7 + i).toLocaleDateString(locale, { weekday: "short" }).slice(0, 2));
+}
+
+// ==========================
+// Static page text + switcher
+// ==========================
+const ATTRIBUTE_BINDINGS = [
+  ["data-i18n-placeholder", "placeholder"],
+  ["data-i18n-title", "title"],
+  ["data-i18n-aria-label", "aria-label"],
+  ["data-i18n-alt", "alt"]
+];
+
+export function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+
+  ATTRIBUTE_BINDINGS.forEach(([source, target]) => {
+    root.querySelectorAll(`[${source}]`).forEach(el => el.setAttribute(target, t(el.getAttribute(source))));
+  });
+}
+
+// Fills every <select data-language-switcher> on the page. The app shell calls
+// it again once its header is rendered; switchers already filled are skipped.
+export function mountLanguageSwitchers(root = document) {
+  root.querySelectorAll("select[data-language-switcher]:not([aria-label])").forEach(select => {
+    select.replaceChildren(...Object.entries(LOCALES).map(([code, { label }]) => new Option(label, code, false, code === locale)));
+    select.setAttribute("aria-label", t("common.language"));
+    select.addEventListener("change", () => setLocale(select.value));
+  });
+}
+
+function start() {
+  document.documentElement.lang = locale;
+  applyTranslations();
+  mountLanguageSwitchers();
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", start, { once: true });
+} else {
+  start();
+}
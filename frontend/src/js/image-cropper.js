@@ -0,0 +1,193 @@
+// ===============================
+// Photo preview + crop tool
+// ===============================
+// attachImagePipeline(input) runs every file chosen in an <input type="file">
+// through a crop/preview dialog and the image pipeline. Form handlers then call
+// getProcessedImage(input) instead of reading input.files directly.
+
+import { html, render } from "./dom.js";
+import { decodeImage, encodeImage } from "./image-pipeline.js";
+import { t } from "./i18n.js";
+
+const VIEW_SIZE = 360;     // max on-screen size of the preview, in CSS pixels
+const HANDLE_SIZE = 14;
+const MIN_CROP = 32;       // smallest crop edge, in source pixels
+
+const processed = new WeakMap(); // input -> Promise<File|null>
+
+// ==========================
+// File input glue
+// ==========================
+export function attachImagePipeline(input, { aspect = null, maxDimension, onChange, onError } = {}) {
+  if (!input) return;
+
+  input.addEventListener("change", () => {
+    const file = input.files?.[0];
+    if (!file) {
+      processed.delete(input);
+      onChange?.(null);
+      return;
+    }
+
+    const result = cropImage(file, { aspect, maxDimension }).then((output) => {
+      if (!output) input.value = ""; // cancelled: behave as if nothing was picked
+      onChange?.(output);
+      return output;
+    });
+    // The rejection is reported again when the form is submitted
+    result.catch(err => onError?.(err));
+    processed.set(input, result);
+  });
+}
+
+// Resolves to the cropped, re-encoded File, or null if nothing is selected
+export async function getProcessedImage(input) {
+  if (!input?.files?.length) return null;
+  return (await processed.get(input)) ?? null;
+}
+
+export function resetProcessedImage(input) {
+  if (!input) return;
+  processed.delete(input);
+  input.value = "";
+}
+
+// ==========================
+// Crop dialog
+// ==========================
+export async function cropImage(file, { aspect = null, maxDimension } = {}) {
+  const source = await decodeImage(file);
+  const crop = await openCropDialog(source, aspect);
+  if (!crop) return null;
+  return encodeImage(source, { crop, maxDimension, fileName: file.name });
+}
+
+function openCropDialog(source, aspect) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.className = "modal cropper-modal";
+    overlay.style.display = "flex";
+    render(overlay, html`
+      <div class="modal-content cropper-content" role="dialog" aria-modal="true" aria-label="${t("cropper.title")}">
+        <h2>${t("cropper.title")}</h2>
+        <canvas class="cropper-canvas"></canvas>
+        <p class="helper">${t("cropper.help")}</p>
+        <div class="cropper-actions">
+          <button type="button" class="item-button delete" data-role="cancel">${t("common.cancel")}</button>
+          <button type="button" class="item-button" data-role="confirm">${t("cropper.confirm")}</button>
+        </div>
+      </div>`);
+    document.body.appendChild(overlay);
+
+    const canvas = overlay.querySelector("canvas");
+    const scale = Math.min(1, VIEW_SIZE / Math.max(source.width, source.height));
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    const ctx = canvas.getContext("2d");
+
+    const crop = initialCrop(source, aspect);
+    let drag = null;
+
+    const draw = () => {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+      const x = crop.x * scale, y = crop.y * scale, w = crop.width * scale, h = crop.height * scale;
+      ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+      ctx.fillRect(0, 0, canvas.width, y);
+      ctx.fillRect(0, y + h, canvas.width, canvas.height - y - h);
+      ctx.fillRect(0, y, x, h);
+      ctx.fillRect(x + w, y, canvas.width - x - w, h);
+      ctx.strokeStyle = "#fff";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x, y, w, h);
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(x + w - HANDLE_SIZE / 2, y + h - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+    };
+
+    const toSource = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: ((event.clientX - rect.left) / rect.width) * source.width,
+        y: ((event.clientY - rect.top) / rect.height) * source.height
+      };
+    };
+
+    canvas.addEventListener("pointerdown", (event) => {
+      const point = toSource(event);
+      const handleReach = HANDLE_SIZE / scale;
+      const onHandle = Math.abs(point.x - (crop.x + crop.width)) <= handleReach &&
+        Math.abs(point.y - (crop.y + crop.height)) <= handleReach;
+      const inside = point.x >= crop.x && point.x <= crop.x + crop.width &&
+        point.y >= crop.y && point.y <= crop.y + crop.height;
+
+      if (!onHandle && !inside) return;
+      drag = { mode: onHandle ? "resize" : "move", start: point, origin: { ...crop } };
+      canvas.setPointerCapture(event.pointerId);
+    });
+
+    canvas.addEventListener("pointermove", (event) => {
+      if (!drag) return;
+      const point = toSource(event);
+      const dx = point.x - drag.start.x;
+      const dy = point.y - drag.start.y;
+
+      if (drag.mode === "move") {
+        crop.x = clamp(drag.origin.x + dx, 0, source.width - crop.width);
+        crop.y = clamp(drag.origin.y + dy, 0, source.height - crop.height);
+      } else {
+        let width = clamp(drag.origin.width + dx, MIN_CROP, source.width - crop.x);
+        let height = clamp(drag.origin.height + dy, MIN_CROP, source.height - crop.y);
+        if (aspect) {
+          width = Math.min(width, height * aspect);
+          height = width / aspect;
+        }
+        crop.width = width;
+        crop.height = height;
+      }
+      draw();
+    });
+
+    canvas.addEventListener("pointerup", () => { drag = null; });
+
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+
+    overlay.querySelector('[data-role="cancel"]').addEventListener("click", () => close(null));
+    overlay.querySelector('[data-role="confirm"]').addEventListener("click", () => close({
+      x: Math.round(crop.x),
+      y: Math.round(crop.y),
+      width: Math.round(crop.width),
+      height: Math.round(crop.height)
+    }));
+
+    draw();
+  });
+}
+
+// Largest centered box with the requested aspect ratio (or the whole image)
+function initialCrop(source, aspect) {
+  if (!aspect) {
+    return { x: 0, y: 0, width: source.width, height: source.height };
+  }
+
+  let width = source.width;
+  let height = width / aspect;
+  if (height > source.height) {
+    height = source.height;
+    width = height * aspect;
+  }
+
+  return {
+    x: (source.width - width) / 2,
+    y: (source.height - height) / 2,
+    width,
+    height
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), Math.max(min, max));
+}
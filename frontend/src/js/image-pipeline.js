@@ -0,0 +1,154 @@
+// ===============================
+// Client-side image pipeline
+// ===============================
+// Runs before every upload to /api/uploads/items and /api/uploads/profiles:
+// decode -> fix EXIF orientation -> crop -> downscale -> re-encode as WebP
+// (JPEG where WebP encoding is unsupported). Re-encoding through a canvas drops
+// all EXIF metadata, GPS included.
+
+import { t } from "./i18n.js";
+
+export const MAX_SOURCE_BYTES = 40 * 1024 * 1024; // refuse to decode anything bigger
+const DEFAULT_MAX_DIMENSION = 1600;
+const OUTPUT_QUALITY = 0.85;
+
+// ==========================
+// JPEG metadata
+// ==========================
+// Reads the EXIF orientation tag and the raw SOF dimensions so we can tell
+// whether the browser already applied the rotation while decoding.
+async function readJpegMeta(file) {
+  const meta = { orientation: 1, width: 0, height: 0 };
+  if (!/jpe?g/i.test(file.type)) {
+    return meta;
+  }
+
+  const view = new DataView(await file.slice(0, 256 * 1024).arrayBuffer());
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+    return meta;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if ((marker & 0xff00) !== 0xff00) break;
+
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      meta.orientation = readOrientation(view, offset + 10) ?? 1;
+    } else if (marker >= 0xffc0 && marker <= 0xffc3 && offset + 9 <= view.byteLength) {
+      meta.height = view.getUint16(offset + 5);
+      meta.width = view.getUint16(offset + 7);
+      break;
+    }
+
+    offset += 2 + length;
+  }
+
+  return meta;
+}
+
+function readOrientation(view, tiffStart) {
+  if (tiffStart + 8 > view.byteLength) return null;
+  const little = view.getUint16(tiffStart) === 0x4949;
+  const ifdOffset = view.getUint32(tiffStart + 4, little);
+  const ifdStart = tiffStart + ifdOffset;
+  if (ifdStart + 2 > view.byteLength) return null;
+
+  const entries = view.getUint16(ifdStart, little);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdStart + 2 + i * 12;
+    if (entry + 12 > view.byteLength) return null;
+    if (view.getUint16(entry, little) === 0x0112) {
+      return view.getUint16(entry + 8, little);
+    }
+  }
+  return null;
+}
+
+// ==========================
+// Decode
+// ==========================
+export async function decodeImage(file) {
+  if (!file?.type?.startsWith("image/")) {
+    throw new Error(t("items.imageNotImage"));
+  }
+  if (file.size > MAX_SOURCE_BYTES) {
+    throw new Error(t("image.tooLargeToProcess"));
+  }
+
+  const meta = await readJpegMeta(file);
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  } catch {
+    throw new Error(t("image.unsupportedFormat"));
+  }
+
+  // Orientations 5-8 swap width and height. If the decoded bitmap isn't swapped
+  // relative to the raw JPEG frame, the browser ignored the tag and we rotate ourselves.
+  const swaps = meta.orientation >= 5 && meta.orientation <= 8;
+  const browserRotated = swaps
+    ? bitmap.width === meta.height && bitmap.height === meta.width
+    : true; // 2-4 can't be detected by size; every browser that decodes to bitmap honours them
+  const orientation = browserRotated ? 1 : meta.orientation;
+
+  return orient(bitmap, orientation);
+}
+
+// Returns a canvas holding the upright image
+function orient(bitmap, orientation) {
+  const swap = orientation >= 5 && orientation <= 8;
+  const canvas = document.createElement("canvas");
+  canvas.width = swap ? bitmap.height : bitmap.width;
+  canvas.height = swap ? bitmap.width : bitmap.height;
+  const ctx = canvas.getContext("2d");
+  const { width: w, height: h } = bitmap;
+
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, w, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, w, h); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, h); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, h, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, h, w); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, w); break;
+    default: break;
+  }
+
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  return canvas;
+}
+
+// ==========================
+// Crop + downscale + encode
+// ==========================
+// `crop` is in source pixels: { x, y, width, height }. Omit it to keep the whole image.
+export async function encodeImage(source, { crop, maxDimension = DEFAULT_MAX_DIMENSION, fileName = "photo" } = {}) {
+  const area = crop ?? { x: 0, y: 0, width: source.width, height: source.height };
+  const scale = Math.min(1, maxDimension / Math.max(area.width, area.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(area.width * scale));
+  canvas.height = Math.max(1, Math.round(area.height * scale));
+
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, area.x, area.y, area.width, area.height, 0, 0, canvas.width, canvas.height);
+
+  let blob = await toBlob(canvas, "image/webp");
+  if (!blob || blob.type !== "image/webp") {
+    blob = await toBlob(canvas, "image/jpeg");
+  }
+  if (!blob) {
+    throw new Error(t("image.encodeFailed"));
+  }
+
+  const extension = blob.type === "image/webp" ? "webp" : "jpg";
+  const baseName = fileName.replace(/\.[^.]+$/, "") || "photo";
+  return new File([blob], `${baseName}.${extension}`, { type: blob.type, lastModified: Date.now() });
+}
+
+function toBlob(canvas, type) {
+  return new Promise(resolve => canvas.toBlob(resolve, type, OUTPUT_QUALITY));
+}
@@ -0,0 +1,46 @@
+// ===============================
+// About + Contact views
+// ===============================
+// Static text only; these views have nothing to load.
+import { html, render } from "./dom.js";
+import { t } from "./i18n.js";
+
+export const aboutView = {
+  title: () => t("nav.about"),
+
+  mount(container) {
+    render(container, html`
+      <h2 class="section-title">About Hippo Exchange</h2>
+      <div class="about">
+        <img src="images/BernardDaHippo.png" alt="Hippo Logo">
+        <div class="text">
+          <p>Hippo Exchange is a peer-to-peer platform where users can easily borrow and loan items.
+          Our mission is to make everyday resources more accessible, reduce waste, and foster community sharing.</p>
+          <p>Whether you’re lending tools, borrowing equipment, or finding temporary items, Hippo Exchange
+          connects people with the things they need, when they need them.</p>
+        </div>
+      </div>`);
+  }
+};
+
+export const contactView = {
+  title: () => t("nav.contact"),
+
+  mount(container) {
+    render(container, html`
+      <h2 class="section-title">Contact Us</h2>
+
+      <ul class="contact-info-list">
+        <li class="contact-info"><i class="fas fa-envelope"></i> support@hippoexchange.com</li>
+        <li class="contact-info"><i class="fas fa-phone"></i> +1 (555) 123-4567</li>
+        <li class="contact-info"><i class="fas fa-map-marker-alt"></i> 123 Borrow Lane, Community City</li>
+      </ul>
+
+      <form class="contact-form">
+        <input type="text" class="form-input" placeholder="Your Name" required />
+        <input type="email" class="form-input" placeholder="Your Email" required />
+        <textarea class="form-textarea" placeholder="Your Message" required></textarea>
+        <button type="submit" class="submit-button">Send Message</button>
+      </form>`);
+  }
+};
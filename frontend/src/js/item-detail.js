@@ -0,0 +1,231 @@
+import { showMessage } from "./utils.js";
+import { api } from "./api.js";
+import { requireSession } from "./session.js";
+import { html, render, safeUrl } from "./dom.js";
+import { openRequestModal } from "./request-modal.js";
+import { describeRating } from "./reviews.js";
+import { bindFavoriteButton, loadFavoriteIds } from "./watchlist.js";
+import { PLACEHOLDER_IMAGE, galleryPhotos, mountGallery } from "./photo-gallery.js";
+import { conditionLabel } from "./catalog-filters.js";
+import { t, formatDate, formatPricePerDay } from "./i18n.js";
+
+const MESSAGES_ID = "item-messages";
+const DEFAULT_PFP = "images/BernardDaHippo.png";
+const MAX_OWNER_LISTINGS = 6;
+
+const currentOwnerId = requireSession();
+let itemId = null;
+
+// ==========================
+// View
+// ==========================
+// One view serves every item; following a link to another listing swaps its contents
+export default {
+  title: () => t("nav.item"),
+
+  mount(container, route) {
+    render(container, itemMarkup());
+    showItem(route.params.get("id"));
+  },
+
+  update(route) {
+    showItem(route.params.get("id"));
+  }
+};
+
+function showItem(id) {
+  itemId = id;
+  document.getElementById("item-detail").hidden = true;
+  document.getElementById("owner-listings").hidden = true;
+  document.getElementById("detail-favorite").hidden = true;
+  document.getElementById(MESSAGES_ID).innerHTML = "";
+  if (currentOwnerId) {
+    loadItem();
+  }
+}
+
+function itemMarkup() {
+  return html`
+    <div id="item-messages" class="messages"></div>
+
+    <article id="item-detail" class="item-detail" hidden>
+      <div class="thumb-wrap item-detail-media">
+        <div id="detail-gallery"></div>
+        <span id="detail-badge" class="badge listed">${t("status.listed")}</span>
+      </div>
+
+      <div class="item-detail-body">
+        <h2 id="detail-name" class="item-detail-title"></h2>
+        <p id="detail-price" class="item-detail-price"></p>
+
+        <dl class="item-detail-facts">
+          <dt>${t("items.conditionLabel")}</dt><dd id="detail-condition"></dd>
+          <dt>${t("item.location")}</dt><dd id="detail-location"></dd>
+          <dt>${t("item.status")}</dt><dd id="detail-status"></dd>
+          <dt>${t("item.listedOn")}</dt><dd id="detail-created"></dd>
+          <dt>${t("item.rating")}</dt><dd id="detail-rating"></dd>
+        </dl>
+
+        <div class="owner-card">
+          <img id="owner-pfp" class="owner-pfp" src="${DEFAULT_PFP}" alt="${t("item.ownerPhotoAlt")}" referrerpolicy="no-referrer" />
+          <div>
+            <div class="mine-meta subtle">${t("item.listedBy")}</div>
+            <div id="owner-name" class="mine-title"></div>
+            <div id="owner-rating" class="mine-meta subtle"></div>
+          </div>
+        </div>
+
+        <div class="item-detail-actions">
+          <button id="detail-request" class="item-button" type="button"></button>
+          <button id="detail-favorite" class="favorite-btn" type="button" hidden></button>
+        </div>
+      </div>
+    </article>
+
+    <section id="owner-listings" class="owner-listings" hidden>
+      <h3 class="center-subtitle items">${t("item.moreFromOwner")}</h3>
+      <div id="owner-items" class="items-grid"></div>
+    </section>`;
+}
+
+// ==========================
+// Load item + owner
+// ==========================
+async function loadItem() {
+  if (!itemId) {
+    showMessage(MESSAGES_ID, t("item.noneSelected"), "error", { autoHide: false });
+    return;
+  }
+
+  const requestedId = itemId;
+  let item;
+  try {
+    item = await api.get(`/api/items/${encodeURIComponent(itemId)}`, { errorMessage: t("item.loadFailed") });
+  } catch (err) {
+    if (requestedId !== itemId) return;
+    console.error("Error loading item:", err);
+    const message = err.isNotFound ? t("item.notFound") : err.message || t("item.loadFailed");
+    showMessage(MESSAGES_ID, message, "error", { autoHide: false });
+    return;
+  }
+
+  // Another listing was opened while this one loaded
+  if (requestedId !== itemId) return;
+  renderItem(item);
+  loadFavorite(item);
+
+  // Owner details are a nice-to-have; the listing stays usable if they fail
+  if (item.ownerId) {
+    await Promise.all([loadOwner(item.ownerId), loadOwnerListings(item.ownerId)]);
+  }
+}
+
+async function loadFavorite(item) {
+  try {
+    await loadFavoriteIds();
+    if (item.itemId !== itemId) return;
+    bindFavoriteButton(document.getElementById("detail-favorite"), item, currentOwnerId);
+  } catch (err) {
+    console.warn("Unable to load favorites:", err);
+  }
+}
+
+async function loadOwner(ownerId) {
+  try {
+    const forItem = itemId;
+    const owner = await api.get(`/api/users/${encodeURIComponent(ownerId)}`);
+    if (forItem !== itemId) return;
+    setOwnerPicture(owner?.pfp);
+  } catch (err) {
+    console.warn("Unable to load owner profile:", err);
+    setOwnerPicture();
+  }
+}
+
+async function loadOwnerListings(ownerId) {
+  try {
+    const forItem = itemId;
+    const listings = await api.get(`/api/users/${encodeURIComponent(ownerId)}/items`);
+    if (forItem !== itemId) return;
+    renderOwnerListings(listings.filter(other => other.itemId !== itemId));
+  } catch (err) {
+    console.warn("Unable to load owner's other listings:", err);
+  }
+}
+
+// ==========================
+// Rendering
+// ==========================
+function renderItem(item) {
+  const name = item.name || t("common.unnamedItem");
+  document.title = `Hippo Exchange - ${name}`;
+
+  mountGallery(document.getElementById("detail-gallery"), galleryPhotos(item), { alt: name });
+
+  setText("detail-name", name);
+  setText("detail-price", formatPricePerDay(item.pricePerDay));
+  setText("detail-condition", conditionLabel(item.condition));
+  setText("detail-location", item.location || t("common.unknown"));
+  setText("detail-status", describeStatus(item));
+  setText("detail-created", formatDate(item.createdAt, { fallback: t("common.unknown") }));
+  setText("detail-rating", describeRating(item.itemRating) || t("reviews.none"));
+  setText("owner-name", item.ownerName || item.ownerId || t("common.unknown"));
+  setText("owner-rating", describeRating(item.ownerRating) || t("reviews.none"));
+
+  const badge = document.getElementById("detail-badge");
+  badge.textContent = item.isLent ? t("status.loaned") : t("status.listed");
+  badge.className = `badge ${item.isLent ? "loaned" : "listed"}`;
+
+  const requestBtn = document.getElementById("detail-request");
+  if (item.ownerId === currentOwnerId) {
+    requestBtn.textContent = t("item.yourListing");
+    requestBtn.disabled = true;
+  } else {
+    requestBtn.textContent = item.isLent ? t("item.reserveLater") : t("home.request");
+    requestBtn.disabled = false;
+    requestBtn.onclick = () => openRequestModal(item);
+  }
+
+  document.getElementById("item-detail").hidden = false;
+}
+
+function describeStatus(item) {
+  if (!item.isLent) {
+    return t("item.available");
+  }
+
+  return item.dueAt
+    ? t("item.lentUntil", { date: formatDate(item.dueAt) })
+    : t("item.lentNoDate");
+}
+
+function renderOwnerListings(listings) {
+  const section = document.getElementById("owner-listings");
+  const container = document.getElementById("owner-items");
+  if (!section || !container || !listings.length) return;
+
+  render(container, html`${listings.slice(0, MAX_OWNER_LISTINGS).map(other => html`
+    <a class="mine-card item-link" href="item.html?id=${encodeURIComponent(other.itemId)}">
+      <div class="thumb-wrap">
+        <img class="thumb" src="${safeUrl(other.picture, PLACEHOLDER_IMAGE)}" alt="${other.name}" referrerpolicy="no-referrer" loading="lazy">
+        <span class="badge ${other.isLent ? "loaned" : "listed"}">${other.isLent ? t("status.loaned") : t("status.listed")}</span>
+      </div>
+      <div class="mine-body">
+        <div class="mine-title">${other.name || t("common.unnamedItem")}</div>
+        <div class="mine-meta">${formatPricePerDay(other.pricePerDay)}</div>
+      </div>
+    </a>`)}`);
+
+  section.hidden = false;
+}
+
+function setOwnerPicture(src) {
+  const img = document.getElementById("owner-pfp");
+  if (img) img.src = safeUrl(src, DEFAULT_PFP);
+}
+
+function setText(id, value) {
+  const el = document.getElementById(id);
+  if (el) el.textContent = value;
+}
+
@@ -1,44 +1,110 @@
 import { showMessage } from "./utils.js";
+import { api } from "./api.js";
+import { requireSession } from "./session.js";
+import { html, render, safeUrl } from "./dom.js";
+import { createPhotoManager } from "./photo-manager.js";
+import { dueLine, isOverdue } from "./due-dates.js";
+import { loadEarnings } from "./earnings.js";
+import { promptReviewForItem } from "./reviews.js";
+import { isPending, onQueueChange } from "./offline-queue.js";
+import { CONDITIONS, conditionLabel } from "./catalog-filters.js";
+import { t, formatDateTime, formatPricePerDay } from "./i18n.js";
+import { createValidator, required, number } from "./form-validation.js";
+import { replaceUrl } from "./router.js";
 
-const API_BASE = "http://localhost:8000";
 const MESSAGE_CONTAINER_ID = "items-messages";
 const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // 5MB upload ceiling
+const LIST_FILTERS = {
+  "": () => true,
+  loaned: item => Boolean(item?.isLent),
+  overdue: isOverdue
+};
 
 let itemsList;
 let addItemForm;
 let currentOwnerId;
-
-document.addEventListener("DOMContentLoaded", () => {
-  itemsList = document.getElementById("items-list");
-  addItemForm = document.getElementById("add-item-form");
-  currentOwnerId = window.localStorage.getItem("hippo-owner-id");
-
-  if (!currentOwnerId) {
-    const legacyId = window.localStorage.getItem("hippo-user-id");
-    if (legacyId) {
-      currentOwnerId = legacyId;
-      window.localStorage.setItem("hippo-owner-id", legacyId);
-      window.localStorage.removeItem("hippo-user-id");
+let addItemPhotos;
+let addItemValidator;
+let itemsById = new Map();
+let allItems = [];
+let listFilter = "";
+
+export default {
+  title: () => t("nav.items"),
+
+  mount(container, route) {
+    render(container, itemsMarkup());
+    itemsList = container.querySelector("#items-list");
+    addItemForm = container.querySelector("#add-item-form");
+    currentOwnerId = requireSession();
+    if (!currentOwnerId) {
+      return;
     }
-  }
 
-  if (!currentOwnerId) {
-    showMessage(MESSAGE_CONTAINER_ID, "Please log in before managing items.", "error", { autoHide: false });
-    disableForm();
-    return;
+    listFilter = readListFilter(route.params);
+    loadItems();
+    loadEarnings(container.querySelector("#earnings-ledger"), currentOwnerId);
+    onQueueChange(loadItems); // queued edits/returns sync in the background
+    container.querySelector("#items-filter").addEventListener("click", handleFilterClick);
+    addItemForm.addEventListener("submit", handleAddItem);
+    addItemPhotos = createPhotoManager({
+      input: container.querySelector("#item-picture"),
+      container: container.querySelector("#item-photos"),
+      onError: showImageError,
+      onChange: () => addItemValidator?.refresh("photos")
+    });
+    addItemValidator = createValidator(addItemForm, itemFieldRules(addItemPhotos, addItemForm.querySelector("#item-photos")));
+  },
+
+  // The bell's overdue reminders link here with ?filter=overdue
+  update(route) {
+    listFilter = readListFilter(route.params);
+    renderItems(allItems);
   }
+};
 
-  loadItems();
-  addItemForm?.addEventListener("submit", handleAddItem);
-});
+function itemsMarkup() {
+  return html`
+    <h2 class="section-title">${t("items.heading")}</h2>
 
-function disableForm() {
-  if (!addItemForm) {
-    return;
-  }
+    <div id="items-messages" class="messages"></div>
+
+    <form id="add-item-form" class="add-item-form" novalidate>
+      <input type="text" id="item-name" name="name" placeholder="${t("items.namePlaceholder")}" required />
+      <input type="number" id="item-price" name="pricePerDay" placeholder="${t("items.priceLabel")}" min="0" step="0.01" required />
+      <label class="photo-picker"><span>${t("items.photos")}</span> <input type="file" id="item-picture" name="picture" accept="image/*" multiple /></label>
+      <ol id="item-photos" class="photo-manager" aria-label="${t("items.photosLabel")}"></ol>
+
+      <select id="item-condition" name="condition" required>
+        <option value="">${t("items.selectCondition")}</option>
+        ${CONDITIONS.map(condition => html`<option value="${condition}">${conditionLabel(condition)}</option>`)}
+      </select>
+
+      <button type="submit" class="submit-button">${t("home.addItem")}</button>
+    </form>
+
+    <div id="items-filter" class="items-filter" role="group" aria-label="${t("items.filterLabel")}">
+      <button type="button" data-filter="" aria-pressed="true">${t("items.filterAll")}</button>
+      <button type="button" data-filter="loaned" aria-pressed="false">${t("items.filterLoaned")}</button>
+      <button type="button" data-filter="overdue" aria-pressed="false">${t("items.filterOverdue")} <span id="overdue-count" class="filter-count" hidden></span></button>
+    </div>
+
+    <section aria-label="${t("items.listLabel")}" class="items-grid" id="items-list"></section>
+
+    <section class="earnings" aria-labelledby="earnings-title">
+      <h3 id="earnings-title">${t("earnings.heading")}</h3>
+      <div id="earnings-ledger"></div>
+    </section>`;
+}
 
-  addItemForm.querySelectorAll("input, select, button").forEach(el => el.disabled = true);
-  addItemForm.setAttribute("aria-disabled", "true");
+// Shared by the add form and the inline edit form
+function itemFieldRules(photos, photoList) {
+  return {
+    name: [required(t("items.nameRequired"))],
+    pricePerDay: [required(t("items.priceInvalid")), number({ min: 0 }, t("items.priceInvalid"))],
+    condition: [required(t("items.conditionRequired"))],
+    photos: { element: photoList, value: () => photos.count, rules: [required(t("items.photoRequired"))] }
+  };
 }
 
 async function loadItems() {
@@ -47,16 +113,11 @@ async function loadItems() {
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/users/${currentOwnerId}/items`);
-    if (!res.ok) {
-      throw new Error(await res.text() || "Failed to load items.");
-    }
-
-    const items = await res.json();
-    renderItems(items);
+    allItems = await api.get(`/api/users/${currentOwnerId}/items`, { errorMessage: t("items.loadFailed") }) ?? [];
+    renderItems(allItems);
   } catch (err) {
     console.error(err);
-    showMessage(MESSAGE_CONTAINER_ID, err.message ?? "Unable to load items.", "error", { autoHide: false });
+    showMessage(MESSAGE_CONTAINER_ID, err.message ?? t("items.loadUnable"), "error", { autoHide: false });
   }
 }
 
@@ -66,161 +127,298 @@ function renderItems(items) {
   }
 
   itemsList.innerHTML = "";
+  itemsById = new Map((items ?? []).map(item => [item.itemId, item]));
+  updateFilterBar(items ?? []);
 
   if (!items?.length) {
-    itemsList.innerHTML = '<p class="empty-state">No items yet. Add your first listing above.</p>';
+    render(itemsList, html`<p class="empty-state">${t("items.empty")}</p>`);
     return;
   }
 
-  items.forEach(item => {
+  const shown = items.filter(LIST_FILTERS[listFilter]);
+  if (!shown.length) {
+    render(itemsList, html`<p class="empty-state">${listFilter === "overdue" ? t("items.noOverdue") : t("items.noneOnLoan")}</p>`);
+    return;
+  }
+
+  shown.forEach(item => {
     const isLent = Boolean(item?.isLent);
     const borrowerId = (item?.borrowerId ?? "").trim();
     const borrowerName = (item?.borrowerName ?? "").trim();
     const borrowerText = borrowerName && borrowerId
       ? `${borrowerName} (${borrowerId})`
-      : borrowerName || borrowerId || "Unknown";
+      : borrowerName || borrowerId || t("common.unknown");
     const borrowedOn = formatDateTime(item?.borrowedOn);
-    const dueAt = formatDateTime(item?.dueAt);
-    const statusLabel = isLent ? "Loaned" : "Listed";
-    const statusClass = isLent ? "loaned" : "listed";
-    const pictureSrc = typeof item.picture === "string" && item.picture.trim()
-      ? item.picture.trim()
-      : "https://via.placeholder.com/320x200?text=Hippo+Exchange";
-    const itemName = (item?.name ?? "Item").toString();
+    const overdue = isOverdue(item);
+    const statusLabel = overdue ? t("status.overdue") : isLent ? t("status.loaned") : t("status.listed");
+    const statusClass = overdue ? "overdue" : isLent ? "loaned" : "listed";
+    const pictureSrc = safeUrl(item.picture, "https://via.placeholder.com/320x200?text=Hippo+Exchange");
+    const itemName = (item?.name ?? t("common.item")).toString();
 
     const borrowerDetails = isLent
-      ? `
-        <div class="mine-meta subtle">Borrower: ${borrowerText}</div>
-        <div class="mine-meta subtle">Borrowed on: ${borrowedOn}</div>
-        <div class="mine-meta subtle">Due: ${dueAt}</div>`
-      : '<div class="mine-meta subtle">Borrower: —</div>';
+      ? html`
+        <div class="mine-meta subtle">${t("items.borrower", { name: borrowerText })}</div>
+        <div class="mine-meta subtle">${t("items.borrowedOn", { date: borrowedOn })}</div>
+        ${dueLine(item?.dueAt)}`
+      : html`<div class="mine-meta subtle">${t("items.borrower", { name: "—" })}</div>`;
 
     const primaryAction = isLent
-      ? `<button class="item-button" data-action="return" data-id="${item.itemId}">Mark as Returned</button>`
+      ? html`<button class="item-button" data-action="return" data-id="${item.itemId}">${t("items.markReturned")}</button>`
+      : "";
+
+    const syncPill = isPending(item.itemId)
+      ? html`<span class="sync-pill" title="${t("sync.pendingTitle")}">${t("sync.pending")}</span>`
+      : "";
+
+    const editLock = isLent
+      ? html`disabled title="${t("items.editLockedTitle")}"`
       : "";
 
     const card = document.createElement("article");
-    card.className = "mine-card";
-    card.innerHTML = `
+    card.className = overdue ? "mine-card overdue" : "mine-card";
+    card.dataset.id = item.itemId;
+    render(card, html`
       <div class="thumb-wrap">
         <img class="thumb" src="${pictureSrc}" alt="${itemName}" referrerpolicy="no-referrer" loading="lazy">
         <span class="badge ${statusClass}">${statusLabel}</span>
       </div>
       <div class="mine-body">
-        <div class="mine-title">${itemName}</div>
-        <div class="mine-meta">$${Number(item.pricePerDay || 0).toFixed(2)}/day - ${item.location || "Unknown"}</div>
-        <div class="mine-meta subtle">Condition: ${item.condition || "N/A"}</div>
+        <div class="mine-title">${itemName} ${syncPill}</div>
+        <div class="mine-meta">${formatPricePerDay(item.pricePerDay)} - ${item.location || t("common.unknown")}</div>
+        <div class="mine-meta subtle">${t("items.condition", { condition: conditionLabel(item.condition) })}</div>
         ${borrowerDetails}
       </div>
       <div class="mine-actions">
         ${primaryAction}
-        <button class="item-button delete" data-action="delete" data-id="${item.itemId}">Delete</button>
-      </div>`;
+        <button class="item-button" data-action="edit" data-id="${item.itemId}" ${editLock}>${t("common.edit")}</button>
+        <button class="item-button delete" data-action="delete" data-id="${item.itemId}">${t("common.delete")}</button>
+      </div>`);
 
+    bindCardActions(card);
     itemsList.appendChild(card);
   });
+}
 
-  itemsList.querySelectorAll("button[data-action]").forEach(button =>
-    button.addEventListener("click", handleItemAction)
-  );
+// ==========================
+// List filter (All / On loan / Overdue)
+// ==========================
+// Kept in ?filter= so the bell's overdue reminders can link straight to it
+function readListFilter(params) {
+  const value = params.get("filter") ?? "";
+  return value in LIST_FILTERS ? value : "";
 }
 
-async function handleAddItem(event) {
-  event.preventDefault();
-  if (!addItemForm) {
+function handleFilterClick(event) {
+  const button = event.target.closest("[data-filter]");
+  if (!button) {
     return;
   }
 
-  const formData = new FormData(addItemForm);
-  const name = (formData.get("name") ?? "").trim();
-  const pricePerDay = Number(formData.get("pricePerDay") ?? 0);
-  const condition = (formData.get("condition") ?? "").toString().trim();
+  listFilter = button.dataset.filter;
+  const url = new URL(window.location.href);
+  if (listFilter) {
+    url.searchParams.set("filter", listFilter);
+  } else {
+    url.searchParams.delete("filter");
+  }
+  replaceUrl(url);
+  renderItems(allItems);
+}
 
-  // Defaults
-  const location = "Listed";   // all new items are automatically listed
-  const isLentValue = "false"; // no more dropdown
+function updateFilterBar(items) {
+  document.querySelectorAll("#items-filter [data-filter]").forEach(button => {
+    button.setAttribute("aria-pressed", String(button.dataset.filter === listFilter));
+  });
+
+  const count = document.getElementById("overdue-count");
+  if (count) {
+    const overdue = items.filter(isOverdue).length;
+    count.textContent = overdue ? String(overdue) : "";
+    count.hidden = !overdue;
+  }
+}
 
-  if (!name) {
-    showMessage(MESSAGE_CONTAINER_ID, "Item name is required.", "error");
+function bindCardActions(card) {
+  card.querySelectorAll("button[data-action]").forEach(button =>
+    button.addEventListener("click", handleItemAction)
+  );
+}
+
+// ==========================
+// Edit listing
+// ==========================
+function openEditForm(itemId) {
+  const item = itemsById.get(itemId);
+  const card = itemsList?.querySelector(`.mine-card[data-id="${CSS.escape(itemId)}"]`);
+  if (!item || !card) {
     return;
   }
 
-  if (!Number.isFinite(pricePerDay) || pricePerDay < 0) {
-    showMessage(MESSAGE_CONTAINER_ID, "Price per day must be zero or greater.", "error");
+  if (item.isLent) {
+    showMessage(MESSAGE_CONTAINER_ID, t("items.editLocked"), "error");
     return;
   }
 
-  const imageInput = addItemForm.querySelector("#item-picture");
-  const imageFile = imageInput?.files?.[0] ?? null;
+  const conditionOptions = CONDITIONS.map(condition => html`
+    <option value="${condition}" ${condition === item.condition ? html`selected` : ""}>${conditionLabel(condition)}</option>`);
+
+  render(card, html`
+    <form class="edit-item-form" novalidate>
+      <label>${t("items.nameLabel")} <input type="text" name="name" value="${item.name}" required></label>
+      <label>${t("items.priceLabel")} <input type="number" name="pricePerDay" value="${Number(item.pricePerDay || 0)}" min="0" step="0.01" required></label>
+      <label>${t("items.conditionLabel")}
+        <select name="condition" required>${conditionOptions}</select>
+      </label>
+      <label>${t("items.addPhotos")} <input type="file" name="picture" accept="image/*" multiple></label>
+      <ol class="photo-manager" aria-label="${t("items.photosLabel")}"></ol>
+      <div class="mine-actions">
+        <button type="submit" class="item-button">${t("common.save")}</button>
+        <button type="button" class="item-button delete" data-role="cancel">${t("common.cancel")}</button>
+      </div>
+    </form>`);
+
+  const form = card.querySelector("form");
+  let validator = null; // the photo manager reports changes before this is created
+  const photos = createPhotoManager({
+    input: form.elements.picture,
+    container: form.querySelector(".photo-manager"),
+    pictures: item.pictures?.length ? item.pictures : [item.picture],
+    cover: item.picture,
+    onError: showImageError,
+    onChange: () => validator?.refresh("photos")
+  });
+  validator = createValidator(form, itemFieldRules(photos, form.querySelector(".photo-manager")));
+  form.addEventListener("submit", (event) => saveItemEdits(event, item, photos, validator));
+  form.querySelector('[data-role="cancel"]').addEventListener("click", () => renderItems(allItems));
+  form.elements.name.focus();
+}
 
-  if (!imageFile) {
-    showMessage(MESSAGE_CONTAINER_ID, "Please select an image to upload.", "error");
+async function saveItemEdits(event, item, photos, validator) {
+  event.preventDefault();
+  if (!validator.validate()) {
     return;
   }
 
-  if (!imageFile.type.startsWith("image/")) {
-    showMessage(MESSAGE_CONTAINER_ID, "Only image files can be uploaded.", "error");
-    return;
+  const form = event.currentTarget;
+  const formData = new FormData(form);
+  const name = (formData.get("name") ?? "").toString().trim();
+  const pricePerDay = Number(formData.get("pricePerDay") ?? 0);
+  const condition = (formData.get("condition") ?? "").toString().trim();
+
+  form.querySelectorAll("input, select, button").forEach(el => el.disabled = true);
+
+  try {
+    const { pictures, cover } = await uploadPhotos(photos);
+
+    const result = await api.put(`/api/items/${item.itemId}`, {
+      itemId: item.itemId,
+      name,
+      pricePerDay,
+      picture: cover,
+      pictures,
+      location: item.location,
+      condition
+    }, {
+      errorMessage: t("items.saveFailed"),
+      offline: { label: t("sync.editItem", { name }), targetId: item.itemId }
+    });
+
+    showMessage(MESSAGE_CONTAINER_ID, result?.queued
+      ? t("items.savedOffline", { name })
+      : t("items.saved", { name }), "success");
+    await loadItems();
+  } catch (err) {
+    console.error(err);
+    showMessage(MESSAGE_CONTAINER_ID, err.message ?? t("items.saveUnable"), "error", { autoHide: false });
+    form.querySelectorAll("input, select, button").forEach(el => el.disabled = false);
   }
+}
 
-  if (imageFile.size > MAX_IMAGE_BYTES) {
-    showMessage(MESSAGE_CONTAINER_ID, "Images must be smaller than 5MB.", "error");
-    return;
+// ==========================
+// Image upload
+// ==========================
+// Files reaching here have already been re-encoded by the photo manager
+function validateImageFile(file) {
+  if (!file.type.startsWith("image/")) {
+    return t("items.imageNotImage");
   }
 
-  let pictureUrl = "";
+  if (file.size > MAX_IMAGE_BYTES) {
+    return t("items.imageTooLarge");
+  }
 
-  try {
-    showMessage(MESSAGE_CONTAINER_ID, "Uploading image...", "info", { autoHide: true, timeout: 1500 });
+  return null;
+}
 
-    const uploadData = new FormData();
-    uploadData.append("file", imageFile);
-    if (currentOwnerId) {
-      uploadData.append("ownerId", currentOwnerId);
-    }
+function showImageError(err) {
+  console.error(err);
+  showMessage(MESSAGE_CONTAINER_ID, err.message ?? t("items.imageProcessFailed"), "error");
+}
 
-    const uploadRes = await fetch(`${API_BASE}/api/uploads/items`, {
-      method: "POST",
-      body: uploadData
-    });
+function uploadPhotos(photos) {
+  showMessage(MESSAGE_CONTAINER_ID, t("items.photosUploading"), "info", { autoHide: true, timeout: 1500 });
+  return photos.upload(uploadItemImage);
+}
 
-    if (!uploadRes.ok) {
-      throw new Error(await uploadRes.text() || "Unable to upload image.");
-    }
+async function uploadItemImage(file, onProgress) {
+  const imageError = validateImageFile(file);
+  if (imageError) {
+    throw new Error(imageError);
+  }
 
-    const uploadPayload = await uploadRes.json();
-    pictureUrl = (uploadPayload?.url ?? "").toString().trim();
+  const uploadData = new FormData();
+  uploadData.append("file", file);
+  uploadData.append("ownerId", currentOwnerId);
 
-    if (!pictureUrl) {
-      throw new Error("Image upload did not return a download URL.");
-    }
+  const uploadPayload = await api.upload("/api/uploads/items", uploadData, { errorMessage: t("items.imageUploadFailed"), onUploadProgress: onProgress });
+  const url = (uploadPayload?.url ?? "").toString().trim();
+
+  if (!url) {
+    throw new Error(t("items.imageNoUrl"));
+  }
+
+  return url;
+}
+
+async function handleAddItem(event) {
+  event.preventDefault();
+  if (!addItemForm || !addItemValidator.validate()) {
+    return;
+  }
+
+  const formData = new FormData(addItemForm);
+  const name = (formData.get("name") ?? "").trim();
+  const pricePerDay = Number(formData.get("pricePerDay") ?? 0);
+  const condition = (formData.get("condition") ?? "").toString().trim();
+
+  // Defaults
+  const location = "Listed";   // all new items are automatically listed
+  const isLentValue = "false"; // no more dropdown
+
+  try {
+    const { pictures, cover } = await uploadPhotos(addItemPhotos);
 
     const payload = {
       name,
       pricePerDay,
-      picture: pictureUrl,
+      picture: cover,
+      pictures,
       location,
       condition,
       isLent: isLentValue === "true",
       ownerId: currentOwnerId
     };
 
-    const res = await fetch(`${API_BASE}/api/items`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
-    });
-
-    if (!res.ok) {
-      throw new Error(await res.text() || "Failed to add item.");
-    }
+    await api.post("/api/items", payload, { errorMessage: t("items.addFailed") });
 
     addItemForm.reset();
-    showMessage(MESSAGE_CONTAINER_ID, `Added "${payload.name}".`, "success");
+    addItemPhotos.clear();
+    addItemValidator.reset();
+    showMessage(MESSAGE_CONTAINER_ID, t("items.added", { name: payload.name }), "success");
     await loadItems();
   } catch (err) {
     console.error(err);
-    showMessage(MESSAGE_CONTAINER_ID, err.message ?? "Unable to add item.", "error", { autoHide: false });
+    showMessage(MESSAGE_CONTAINER_ID, err.message ?? t("items.addUnable"), "error", { autoHide: false });
   }
 }
 
@@ -233,7 +431,9 @@ async function handleItemAction(event) {
     return;
   }
 
-  if (action === "delete") {
+  if (action === "edit") {
+    openEditForm(itemId);
+  } else if (action === "delete") {
     await deleteItem(itemId);
   } else if (action === "loan") {
     await loanItem(itemId);
@@ -243,87 +443,67 @@ async function handleItemAction(event) {
 }
 
 async function loanItem(itemId) {
-  const borrowerIdInput = window.prompt("Enter the borrower's owner ID:");
+  const borrowerIdInput = window.prompt(t("items.loanPromptBorrower"));
   if (!borrowerIdInput) {
-    showMessage(MESSAGE_CONTAINER_ID, "Borrower ID is required to loan an item.", "error");
+    showMessage(MESSAGE_CONTAINER_ID, t("items.loanBorrowerRequired"), "error");
     return;
   }
 
   const borrowerId = borrowerIdInput.trim();
   if (!borrowerId) {
-    showMessage(MESSAGE_CONTAINER_ID, "Borrower ID cannot be blank.", "error");
+    showMessage(MESSAGE_CONTAINER_ID, t("items.loanBorrowerBlank"), "error");
     return;
   }
 
-  const dueAtInput = window.prompt("Enter the due date (YYYY-MM-DD or ISO 8601). Leave blank if undecided.");
+  const dueAtInput = window.prompt(t("items.loanPromptDue"));
   let dueAt = null;
   if (dueAtInput) {
     const dueDate = new Date(dueAtInput);
     if (Number.isNaN(dueDate.getTime())) {
-      showMessage(MESSAGE_CONTAINER_ID, "Please enter a valid due date.", "error");
+      showMessage(MESSAGE_CONTAINER_ID, t("items.loanDueInvalid"), "error");
       return;
     }
     dueAt = dueDate.toISOString();
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/items/${itemId}/borrow`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ borrowerId, dueAt })
-    });
+    await api.post(`/api/items/${itemId}/borrow`, { borrowerId, dueAt }, { errorMessage: t("items.loanFailed") });
 
-    if (!res.ok) {
-      throw new Error(await res.text() || "Unable to loan item.");
-    }
-
-    showMessage(MESSAGE_CONTAINER_ID, "Item loaned.", "success");
+    showMessage(MESSAGE_CONTAINER_ID, t("items.loaned"), "success");
     await loadItems();
   } catch (err) {
     console.error(err);
-    showMessage(MESSAGE_CONTAINER_ID, err.message ?? "Unable to loan item.", "error", { autoHide: false });
+    showMessage(MESSAGE_CONTAINER_ID, err.message ?? t("items.loanFailed"), "error", { autoHide: false });
   }
 }
 
 async function returnItem(itemId) {
   try {
-    const res = await fetch(`${API_BASE}/api/items/${itemId}/return`, { method: "POST" });
-    if (!res.ok) {
-      throw new Error(await res.text() || "Unable to mark item as returned.");
-    }
+    const result = await api.post(`/api/items/${itemId}/return`, undefined, {
+      errorMessage: t("items.returnFailed"),
+      offline: { label: t("sync.returnItem", { name: itemsById.get(itemId)?.name ?? t("common.item") }), targetId: itemId }
+    });
 
-    showMessage(MESSAGE_CONTAINER_ID, "Item marked as returned.", "success");
+    showMessage(MESSAGE_CONTAINER_ID, result?.queued
+      ? t("items.returnedOffline")
+      : t("items.returned"), "success");
     await loadItems();
+    loadEarnings(document.getElementById("earnings-ledger"), currentOwnerId);
+    if (!result?.queued) promptReviewForItem(itemId);
   } catch (err) {
     console.error(err);
-    showMessage(MESSAGE_CONTAINER_ID, err.message ?? "Unable to mark item as returned.", "error", { autoHide: false });
+    showMessage(MESSAGE_CONTAINER_ID, err.message ?? t("items.returnFailed"), "error", { autoHide: false });
   }
 }
 
 async function deleteItem(itemId) {
   try {
-    const res = await fetch(`${API_BASE}/api/items/${itemId}`, { method: "DELETE" });
-    if (!res.ok) {
-      throw new Error(await res.text() || "Failed to delete item.");
-    }
+    await api.delete(`/api/items/${itemId}`, { errorMessage: t("items.deleteFailed") });
 
-    showMessage(MESSAGE_CONTAINER_ID, "Item deleted.", "success");
+    showMessage(MESSAGE_CONTAINER_ID, t("items.deleted"), "success");
     await loadItems();
   } catch (err) {
     console.error(err);
-    showMessage(MESSAGE_CONTAINER_ID, err.message ?? "Unable to delete item.", "error", { autoHide: false });
-  }
-}
-
-function formatDateTime(value) {
-  if (!value) {
-    return "Not set";
+    showMessage(MESSAGE_CONTAINER_ID, err.message ?? t("items.deleteFailed"), "error", { autoHide: false });
   }
-
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return "Not set";
-  }
-
-  return date.toLocaleString();
 }
@@ -0,0 +1,503 @@
+// ===============================
+// English messages (default locale)
+// ===============================
+// Every key used by the app must exist here; other locales fall back to it.
+
+export default {
+  // Shared
+  "common.accept": "Accept",
+  "common.cancel": "Cancel",
+  "common.decline": "Decline",
+  "common.delete": "Delete",
+  "common.deny": "Deny",
+  "common.dismiss": "Dismiss",
+  "common.edit": "Edit",
+  "common.item": "Item",
+  "common.language": "Language",
+  "common.loading": "Loading…",
+  "common.notAvailable": "N/A",
+  "common.notSet": "Not set",
+  "common.perDay": "{price}/day",
+  "common.save": "Save",
+  "common.send": "Send",
+  "common.unknown": "Unknown",
+  "common.unnamedItem": "Unnamed Item",
+
+  "nav.home": "Home",
+  "nav.items": "Items",
+  "nav.profile": "Profile",
+  "nav.about": "About",
+  "nav.contact": "Contact",
+  "nav.logout": "Log out",
+  "nav.menu": "Menu",
+  "nav.item": "Item",
+
+  "condition.new": "New",
+  "condition.used": "Used",
+  "condition.old": "Old",
+  "condition.decrepit": "Decrepit",
+
+  "status.listed": "Listed",
+  "status.loaned": "Loaned",
+  "status.overdue": "Overdue",
+
+  "requestStatus.pending": "Pending",
+  "requestStatus.countered": "New date proposed",
+  "requestStatus.accepted": "Accepted",
+  "requestStatus.denied": "Declined",
+  "requestStatus.cancelled": "Cancelled",
+  "requestStatus.returned": "Completed",
+
+  // API client
+  "api.timeout": "The server took too long to respond.",
+  "api.network": "Unable to connect to the server.",
+  "api.sessionExpired": "Your session has expired. Please log in again.",
+  "api.uploadAborted": "The upload was aborted.",
+  "api.failedStatus": "Request failed with status {status}.",
+
+  // Form validation
+  "validation.required": "This field is required.",
+  "validation.number": "Enter a valid number.",
+  "validation.postalCode": "Enter a 5-digit ZIP code.",
+  "validation.stateCode": "Use the two-letter state abbreviation.",
+  "validation.mismatch": "The values don't match.",
+  "validation.passwordMismatch": "Passwords don't match.",
+
+  // Login + registration (index.html)
+  "auth.tagline": "Borrow. Lend. Connect.",
+  "auth.password": "Password",
+  "auth.passwordPlaceholder": "Enter password",
+  "auth.createPassword": "Create a password",
+  "auth.login": "Login",
+  "auth.firstName": "First name",
+  "auth.lastName": "Last name",
+  "auth.roleOwner": "Owner",
+  "auth.roleBorrower": "Borrower",
+  "auth.roleBoth": "Both",
+  "auth.photoHelp": "Optional — upload a photo to personalize your profile.",
+  "auth.agreePrefix": "I have read and agree to the",
+  "auth.terms": "Terms & Conditions",
+  "auth.and": "and",
+  "auth.privacy": "Privacy Policy",
+  "auth.createAccount": "Create Account",
+  "auth.needAccount": "Need to create an account?",
+  "auth.clickHere": "Click Here",
+  "auth.haveAccount": "Already have an account?",
+  "auth.loginHere": "Log in here",
+  "auth.passwordRule": "Password requires 5 characters, 1 number, and 1 special character.",
+  "auth.agreeRequired": "Please accept the terms and privacy policy.",
+  "auth.invalidEmail": "Please enter a valid email address.",
+  "auth.wrongCredentials": "Incorrect email or password.",
+  "auth.loginSuccess": "Login successful! Redirecting...",
+  "auth.loginFailed": "Unable to log in.",
+  "auth.photoProcessFailed": "Unable to process photo.",
+  "auth.photoNotImage": "Profile photo must be an image file.",
+  "auth.photoTooLarge": "Profile photo must be smaller than 5MB.",
+  "auth.photoUploading": "Uploading profile photo...",
+  "auth.photoUploadFailed": "Unable to upload profile photo.",
+  "auth.photoNoUrl": "Profile photo upload did not return a download URL.",
+  "auth.registerFailed": "Registration failed.",
+  "auth.registerSuccess": "Account created! Redirecting to your profile...",
+  "auth.registerUnable": "Unable to register.",
+  "auth.forgotPassword": "Forgot your password?",
+  "auth.forgotHelp": "Enter your account email and we'll send you a link to choose a new password.",
+  "auth.sendResetLink": "Send reset link",
+  "auth.resetSent": "If that email has an account, a reset link is on its way. It expires in one hour.",
+  "auth.resetRequestFailed": "Unable to send a reset link.",
+  "auth.newPassword": "New password",
+  "auth.confirmPassword": "Confirm new password",
+  "auth.resetPassword": "Reset password",
+  "auth.resetLinkMissing": "This page needs the link from your reset email. Ask for a new one.",
+  "auth.resetFailed": "Unable to reset your password.",
+  "auth.resetDone": "Your password has been reset. Log in with the new one.",
+
+  // Addresses (registration and profile)
+  "address.street": "Street address",
+  "address.city": "City",
+  "address.state": "State",
+  "address.postalCode": "ZIP code",
+  "address.postalCodeHelp": "Used to show how far away items are. Only the distance is shared, never your address.",
+
+  // Catalog (home.html)
+  "home.heroTitle": "Reliable Borrow & Loan",
+  "home.heroTagline": "Where Every Item Finds a New Home",
+  "home.borrowItem": "Borrow Item",
+  "home.addItem": "Add Item",
+  "home.available": "Available Items to Borrow",
+  "home.searchPlaceholder": "Search name or condition",
+  "home.searchLabel": "Search items",
+  "home.minPrice": "Min $/day",
+  "home.minPriceLabel": "Minimum price per day",
+  "home.maxPrice": "Max $/day",
+  "home.maxPriceLabel": "Maximum price per day",
+  "home.anyCondition": "Any condition",
+  "home.sortLabel": "Sort by",
+  "home.sortDefault": "Default order",
+  "home.sortPriceAsc": "Price: low to high",
+  "home.sortPriceDesc": "Price: high to low",
+  "home.sortNewest": "Newest first",
+  "home.sortNearest": "Nearest first",
+  "home.availableOnly": "Available only",
+  "home.clear": "Clear",
+  "home.noMatches": "No items match your filters.",
+  "home.previousPage": "Previous page",
+  "home.nextPage": "Next page",
+  "home.infiniteScroll": "Infinite scroll",
+  "home.loadFailed": "Failed to load items.",
+  "home.loadUnable": "Unable to load items.",
+  "home.reserve": "Reserve",
+  "home.request": "Request",
+  "home.scrollForMore": "Scroll for more",
+  "home.endOfCatalog": "End of catalog",
+  "home.page": "Page {page}",
+  "home.distanceAway": "{distance} away",
+  "home.nearestNeedsLocation": "Add your ZIP code on your profile to see how far away items are.",
+  "home.ownerRating": "Owner {score}",
+
+  // Item detail (item.html)
+  "item.location": "Location",
+  "item.status": "Status",
+  "item.listedOn": "Listed on",
+  "item.listedBy": "Listed by",
+  "item.ownerPhotoAlt": "Owner profile picture",
+  "item.moreFromOwner": "More from this owner",
+  "item.noneSelected": "No item selected.",
+  "item.loadFailed": "Unable to load item.",
+  "item.notFound": "This item no longer exists.",
+  "item.yourListing": "This is your listing",
+  "item.reserveLater": "Reserve later dates",
+  "item.available": "Available",
+  "item.lentUntil": "Lent out until {date}",
+  "item.lentNoDate": "Lent out (no return date set)",
+  "item.rating": "Rating",
+
+  // My items (items.html)
+  "items.heading": "My Items",
+  "items.namePlaceholder": "Item Name",
+  "items.photos": "Photos",
+  "items.selectCondition": "Select condition",
+  "items.filterLabel": "Show",
+  "items.filterAll": "All items",
+  "items.filterLoaned": "On loan",
+  "items.filterOverdue": "Overdue loans",
+  "items.listLabel": "Your items",
+  "items.loadFailed": "Failed to load items.",
+  "items.loadUnable": "Unable to load items.",
+  "items.empty": "No items yet. Add your first listing above.",
+  "items.noOverdue": "No overdue loans. Nice!",
+  "items.noneOnLoan": "None of your items are on loan.",
+  "items.borrower": "Borrower: {name}",
+  "items.borrowedOn": "Borrowed on: {date}",
+  "items.condition": "Condition: {condition}",
+  "items.markReturned": "Mark as Returned",
+  "items.editLocked": "Items can't be edited while they are loaned out.",
+  "items.editLockedTitle": "Editing is unavailable while this item is loaned out.",
+  "items.nameLabel": "Name",
+  "items.priceLabel": "Price per day ($)",
+  "items.conditionLabel": "Condition",
+  "items.addPhotos": "Add photos",
+  "items.photosLabel": "Photos (drag to reorder)",
+  "items.nameRequired": "Item name is required.",
+  "items.conditionRequired": "Choose the item's condition.",
+  "items.priceInvalid": "Price per day must be zero or greater.",
+  "items.photoRequired": "Listings need at least one photo.",
+  "items.saveFailed": "Failed to save changes.",
+  "items.saveUnable": "Unable to save changes.",
+  "items.saved": "Saved \"{name}\".",
+  "items.savedOffline": "You're offline. Changes to \"{name}\" will be saved when you reconnect.",
+  "items.imageNotImage": "Only image files can be uploaded.",
+  "items.imageTooLarge": "Images must be smaller than 5MB.",
+  "items.imageProcessFailed": "Unable to process image.",
+  "items.photosUploading": "Uploading photos...",
+  "items.imageUploadFailed": "Unable to upload image.",
+  "items.imageNoUrl": "Image upload did not return a download URL.",
+  "items.addFailed": "Failed to add item.",
+  "items.addUnable": "Unable to add item.",
+  "items.added": "Added \"{name}\".",
+  "items.loanPromptBorrower": "Enter the borrower's owner ID:",
+  "items.loanBorrowerRequired": "Borrower ID is required to loan an item.",
+  "items.loanBorrowerBlank": "Borrower ID cannot be blank.",
+  "items.loanPromptDue": "Enter the due date (YYYY-MM-DD or ISO 8601). Leave blank if undecided.",
+  "items.loanDueInvalid": "Please enter a valid due date.",
+  "items.loanFailed": "Unable to loan item.",
+  "items.loaned": "Item loaned.",
+  "items.returnFailed": "Unable to mark item as returned.",
+  "items.returned": "Item marked as returned.",
+  "items.returnedOffline": "You're offline. The return will be recorded when you reconnect.",
+  "items.deleteFailed": "Unable to delete item.",
+  "items.deleted": "Item deleted.",
+
+  // Earnings ledger (items.html)
+  "earnings.heading": "Earnings",
+  "earnings.loadFailed": "Unable to load earnings.",
+  "earnings.empty": "No completed loans yet. Earnings show up here once borrowed items are returned.",
+  "earnings.from": { one: "from {count} completed loan", other: "from {count} completed loans" },
+  "earnings.byItem": "By item",
+  "earnings.byMonth": "By month",
+  "earnings.item": "Item",
+  "earnings.month": "Month",
+  "earnings.loans": "Loans",
+  "earnings.earned": "Earned",
+
+  // Profile (profile.html)
+  "profile.heading": "My Profile",
+  "profile.email": "Email",
+  "profile.address": "Home address",
+  "profile.role": "Role",
+  "profile.photo": "Profile picture",
+  "profile.emailPassword": "Current password (needed to change your email)",
+  "profile.emailPasswordRequired": "Enter your current password to change your email.",
+  "profile.borrowingHeading": "Items I’m Borrowing",
+  "profile.requestsHeading": "My Requests",
+  "profile.loadFailed": "Failed to load profile.",
+  "profile.loadUnable": "Unable to load profile. Check your connection and try again.",
+  "profile.nameRequired": "Name is required.",
+  "profile.notFound": "We couldn't find your profile. Create one below.",
+  "profile.imageProcessFailed": "Unable to process image.",
+  "profile.photoNotImage": "Profile picture must be an image file.",
+  "profile.photoTooLarge": "Profile picture must be smaller than 5MB.",
+  "profile.photoUploading": "Uploading profile image...",
+  "profile.photoUploadFailed": "Unable to upload profile image.",
+  "profile.photoNoUrl": "Profile image upload did not return a download URL.",
+  "profile.saveFailed": "Failed to update profile.",
+  "profile.saveUnable": "Unable to save profile.",
+  "profile.saved": "Profile updated!",
+  "profile.deleteFailed": "Failed to delete account.",
+  "profile.deleteUnable": "Unable to delete account.",
+  "profile.deleted": "Account deleted.",
+  "profile.securityHeading": "Account security",
+  "profile.changePassword": "Change password",
+  "profile.currentPassword": "Current password",
+  "profile.passwordChanged": "Password changed.",
+  "profile.passwordChangeFailed": "Unable to change password.",
+  "profile.deleteAccount": "Delete account",
+  "profile.deleteAccountHelp": "This permanently removes your profile. Return anything you're borrowing and get your lent items back first.",
+  "profile.deleteConfirmLabel": "Type your account email to confirm",
+  "profile.deleteAccountConfirm": "Delete your account permanently? This can't be undone.",
+  "profile.photoAlt": "Profile picture",
+  "profile.defaultPhotoAlt": "Default profile picture",
+  "profile.viewPhoto": "View",
+  "profile.currentPhoto": "Current image:",
+  "profile.noPhoto": "No image uploaded.",
+  "profile.borrowedLoadFailed": "Unable to load borrowed items.",
+  "profile.borrowedUnavailable": "Unable to load borrowed items right now.",
+  "profile.noBorrowed": "You are not borrowing any items right now.",
+  "profile.invalidItem": "Invalid item ID.",
+  "profile.returnConfirm": "Are you sure you want to return this item?",
+  "profile.returnFailed": "Failed to return item.",
+  "profile.returnUnable": "Unable to return item. Please try again.",
+  "profile.returned": "Item returned successfully!",
+  "profile.returnedOffline": "You're offline. The return will be sent when you reconnect.",
+  "profile.returnItem": "Return Item",
+  "profile.returnQueued": "Return queued",
+  "profile.lender": "Lender: {name}",
+  "profile.requestsLoadFailed": "Unable to load your requests.",
+  "profile.noRequests": "You haven't requested any items yet.",
+  "profile.quoteTotal": { one: "Total: {total} for {count} day", other: "Total: {total} for {count} days" },
+  "profile.requestedAt": "Requested {date}",
+  "profile.cancelRequest": "Cancel request",
+  "profile.cancelConfirm": "Cancel this request?",
+  "profile.cancelFailed": "Unable to cancel request.",
+  "profile.requestCancelled": "Request cancelled.",
+  "profile.counterOffer": "The owner can lend it until {date} instead.",
+  "profile.acceptCounter": "Accept new date",
+  "profile.declineCounterConfirm": "Decline the new date? This cancels your request.",
+  "profile.counterFailed": "Unable to answer the counter-offer.",
+  "profile.counterAccepted": "New return date accepted.",
+  "profile.reputationHeading": "Reputation",
+  "profile.asLender": "As a lender",
+  "profile.asBorrower": "As a borrower",
+  "profile.pendingReviewsHeading": "Waiting for your review",
+  "profile.noPendingReviews": "You're all caught up.",
+  "profile.writeReview": "Leave a review",
+  "profile.lentTo": "You lent it to {name}",
+  "profile.borrowedFrom": "You borrowed it from {name}",
+  "profile.returnedOn": "Returned {date}",
+  "profile.reviewsHeading": "Reviews you've received",
+  "profile.noReviews": "No reviews yet.",
+  "profile.reviewFromOwner": "{name} lent you {item}",
+  "profile.reviewFromBorrower": "{name} borrowed your {item}",
+  "profile.reviewsLoadFailed": "Unable to load reviews.",
+  "profile.favoritesHeading": "Favorites",
+  "profile.favoritesHelp": "We'll let you know in the notifications when a favorite comes back from a loan.",
+  "profile.noFavorites": "No favorites yet. Tap the heart on any listing to add it.",
+  "profile.favoriteLent": "Out on loan",
+  "profile.removeFavorite": "Remove",
+  "profile.savedSearchesHeading": "Saved searches",
+  "profile.savedSearchesHelp": "New listings that match a saved search show up in your notifications.",
+  "profile.noSavedSearches": "No saved searches yet. Filter the catalog and choose \"Save search\".",
+  "profile.runSearch": "Show matches",
+  "profile.deleteSearchConfirm": "Delete this saved search?",
+
+  // Due dates
+  "due.none": "No due date",
+  "due.today": "Due today",
+  "due.tomorrow": "Due tomorrow",
+  "due.inDays": { one: "Due in {count} day", other: "Due in {count} days" },
+  "due.overdue": { one: "{count} day overdue", other: "{count} days overdue" },
+  "due.line": "Due: {date}",
+
+  // Ratings and reviews
+  "reviews.heading": "How did it go?",
+  "reviews.subject": "Your loan of {name} is complete.",
+  "reviews.rateLender": "Rate {name} as a lender",
+  "reviews.rateBorrower": "Rate {name} as a borrower",
+  "reviews.itemLegend": "Rate the item (optional)",
+  "reviews.stars": { one: "{count} star", other: "{count} stars" },
+  "reviews.commentLabel": "Comment (optional)",
+  "reviews.commentPlaceholder": "What should others know?",
+  "reviews.submit": "Submit review",
+  "reviews.pickRating": "Choose a star rating first.",
+  "reviews.sent": "Thanks for your review!",
+  "reviews.sendFailed": "Unable to submit your review.",
+  "reviews.score": { one: "★ {average} ({count} review)", other: "★ {average} ({count} reviews)" },
+  "reviews.none": "No reviews yet",
+
+  // Borrow request modal + calendar
+  "request.heading": "Request Item",
+  "request.help": "Pick a start date, then a return date. Greyed-out days are already booked.",
+  "request.send": "Send Request",
+  "request.title": "Requesting: {name}",
+  "request.overlap": "Those dates overlap an existing booking. Pick an earlier return date.",
+  "request.quote": { one: "{count} day × {price}{fee} = {total}", other: "{count} days × {price}{fee} = {total}" },
+  "request.serviceFee": " + {fee} service fee",
+  "request.rental": "Rental {subtotal}",
+  "request.availabilityFailed": "Unable to load availability.",
+  "request.availabilityUnknown": "Couldn't load booked dates; the owner will confirm availability.",
+  "request.pickDates": "Please select a start date and a return date.",
+  "request.unknownItem": "Unable to identify this item. Try reloading.",
+  "request.justBooked": "Those dates were just booked by someone else. Please pick new dates.",
+  "request.sendFailed": "Unable to send request.",
+  "request.sent": "Request sent for {name}",
+  "request.sentOffline": "You're offline. Your request for {name} will be sent when you reconnect.",
+  "calendar.previousMonth": "Previous month",
+  "calendar.nextMonth": "Next month",
+  "calendar.pickStart": "Pick a start date.",
+  "calendar.pickEnd": "From {start} — now pick a return date.",
+  "calendar.range": { one: "{start} – {end} ({count} day)", other: "{start} – {end} ({count} days)" },
+
+  // Notifications dropdown
+  "notifications.title": "Notifications",
+  "notifications.dropdownLabel": "Borrow Requests",
+  "notifications.unread": { one: "{count} unread notification", other: "{count} unread notifications" },
+  "notifications.loginRequired": "Please log in.",
+  "notifications.loadFailed": "Failed to load requests.",
+  "notifications.historyLoadFailed": "Unable to load request history.",
+  "notifications.markAllRead": "Mark all as read",
+  "notifications.markRead": "Mark read",
+  "notifications.pendingTab": "Pending",
+  "notifications.historyTab": "History",
+  "notifications.empty": "No new requests",
+  "notifications.historyEmpty": "No answered requests yet",
+  "notifications.selectAll": "Select all",
+  "notifications.selectRequest": "Select request",
+  "notifications.acceptSelected": "Accept selected",
+  "notifications.denySelected": "Deny selected",
+  "notifications.bulkAcceptConfirm": { one: "Accept {count} request?", other: "Accept {count} requests?" },
+  "notifications.bulkDenyConfirm": { one: "Deny {count} request?", other: "Deny {count} requests?" },
+  "notifications.bulkAcceptFailed": "Couldn't accept: {list}. They may overlap a booking you just accepted.",
+  "notifications.bulkDenyFailed": "Couldn't deny: {list}. They may overlap a booking you just accepted.",
+  "notifications.unknownBorrower": "Unknown borrower",
+  "notifications.theBorrower": "The borrower",
+  "notifications.historyUnavailable": "Borrowing history unavailable",
+  "notifications.historyLoading": "Loading borrowing history…",
+  "notifications.firstRequest": "First request on Hippo Exchange",
+  "notifications.loans": { one: "{count} loan", other: "{count} loans" },
+  "notifications.withYou": "{count} with you",
+  "notifications.active": "{count} active",
+  "notifications.declined": "{count} declined",
+  "notifications.reminderOwner": "{name} hasn't returned it yet.",
+  "notifications.reminderOverdue": "Please return it as soon as you can.",
+  "notifications.reminderSoon": "Remember to return it on time.",
+  "notifications.viewOverdue": "View overdue loans",
+  "notifications.viewBorrowed": "View borrowed items",
+  "notifications.counterReceived": "The owner suggested returning it by {date}.",
+  "notifications.requestAccepted": "Your request was accepted.",
+  "notifications.requestDeclined": "Your request was declined.",
+  "notifications.viewMyRequests": "View my requests",
+  "notifications.item": "Item:",
+  "notifications.from": "From: {date}",
+  "notifications.returnBy": "Return by: {date}",
+  "notifications.returnByLabel": "Return by",
+  "notifications.quoteTotal": { one: "Total: {total} ({count} day)", other: "Total: {total} ({count} days)" },
+  "notifications.suggestDate": "Suggest date",
+  "notifications.newMessages": { one: "{count} new message", other: "{count} new messages" },
+  "notifications.openConversation": "Open conversation",
+  "notifications.favoriteAvailable": "A favorite of yours is available again.",
+  "notifications.searchMatched": "New listing matching \"{name}\".",
+  "notifications.viewItem": "View item",
+  "notifications.counterFailed": "Unable to send counter-offer.",
+  "notifications.respondFailed": "Unable to respond to request.",
+  "notifications.status.countered": "Counter-offered",
+  "notifications.status.accepted": "Accepted",
+  "notifications.status.denied": "Denied",
+  "notifications.status.cancelled": "Cancelled",
+  "notifications.status.returned": "Returned",
+
+  // Request message threads
+  "messages.open": "Messages",
+  "messages.openUnread": "Messages ({count})",
+  "messages.heading": "Messages",
+  "messages.headingFor": "Messages about {name}",
+  "messages.with": "With {name}",
+  "messages.empty": "No messages yet. Use this thread to arrange pickup and return.",
+  "messages.loadFailed": "Unable to load messages.",
+  "messages.label": "Message",
+  "messages.placeholder": "Write a message…",
+  "messages.attach": "Add photos",
+  "messages.photosChosen": { one: "{count} photo attached", other: "{count} photos attached" },
+  "messages.tooManyPhotos": "Attach at most {count} photos.",
+  "messages.photoAlt": "Photo attached to the message",
+  "messages.photoOnly": "Sent a photo",
+  "messages.photoUploadFailed": "Unable to upload the photo.",
+  "messages.send": "Send",
+  "messages.sendFailed": "Unable to send your message.",
+
+  // Favorites, saved searches and alerts
+  "watchlist.favorite": "Add to favorites",
+  "watchlist.favoriteWhenBack": "Add to favorites to hear when it's back",
+  "watchlist.unfavorite": "Remove from favorites",
+  "watchlist.favoriteFailed": "Unable to add the favorite.",
+  "watchlist.unfavoriteFailed": "Unable to remove the favorite.",
+  "watchlist.favoritesLoadFailed": "Unable to load your favorites.",
+  "watchlist.saveSearch": "Save search",
+  "watchlist.saveSearchHint": "Get notified about new listings that match these filters",
+  "watchlist.namePrompt": "Name this search:",
+  "watchlist.defaultSearchName": "My search",
+  "watchlist.searchSaved": "Saved \"{name}\". New matching listings will show up in your notifications.",
+  "watchlist.saveSearchFailed": "Unable to save the search.",
+  "watchlist.searchesLoadFailed": "Unable to load your saved searches.",
+  "watchlist.deleteSearchFailed": "Unable to delete the search.",
+  "watchlist.searchText": "\"{text}\"",
+  "watchlist.priceBetween": "{min}–{max}",
+  "watchlist.priceFrom": "From {min}",
+  "watchlist.priceUpTo": "Up to {max}",
+
+  // Photos
+  "photos.cover": "Cover",
+  "photos.crop": "Crop",
+  "photos.remove": "Remove photo",
+  "photos.tooMany": "Listings can have up to {count} photos.",
+  "photos.galleryAlt": "{alt} (photo {index} of {total})",
+  "photos.previous": "Previous photo",
+  "photos.next": "Next photo",
+  "cropper.title": "Adjust photo",
+  "cropper.help": "Drag the box to move it, or drag its corner to resize.",
+  "cropper.confirm": "Use photo",
+  "image.tooLargeToProcess": "That image is too large to process. Please choose one under 40MB.",
+  "image.unsupportedFormat": "Your browser can't read this image format. Try a JPEG, PNG or WebP photo.",
+  "image.encodeFailed": "Unable to process this image.",
+
+  // Offline sync
+  "sync.pending": "Pending sync",
+  "sync.pendingTitle": "Saved on this device; it will be sent when you're back online.",
+  "sync.offline": "You're offline.",
+  "sync.savedData": "Showing data saved {date}.",
+  "sync.waiting": { one: "{count} change waiting to sync", other: "{count} changes waiting to sync" },
+  "sync.failed": "Couldn't sync:",
+  "sync.rejected": "Rejected by the server.",
+  "sync.request": "Request \"{name}\" ({range})",
+  "sync.editItem": "Edit \"{name}\"",
+  "sync.returnItem": "Mark \"{name}\" as returned",
+  "sync.returnBorrowed": "Return a borrowed item"
+};
@@ -0,0 +1,503 @@
+// ===============================
+// Spanish messages
+// ===============================
+// Keys mirror locales/en.js; anything missing here shows in English.
+
+export default {
+  // Shared
+  "common.accept": "Aceptar",
+  "common.cancel": "Cancelar",
+  "common.decline": "Rechazar",
+  "common.delete": "Eliminar",
+  "common.deny": "Denegar",
+  "common.dismiss": "Descartar",
+  "common.edit": "Editar",
+  "common.item": "Artículo",
+  "common.language": "Idioma",
+  "common.loading": "Cargando…",
+  "common.notAvailable": "N/D",
+  "common.notSet": "Sin definir",
+  "common.perDay": "{price}/día",
+  "common.save": "Guardar",
+  "common.send": "Enviar",
+  "common.unknown": "Desconocido",
+  "common.unnamedItem": "Artículo sin nombre",
+
+  "nav.home": "Inicio",
+  "nav.items": "Artículos",
+  "nav.profile": "Perfil",
+  "nav.about": "Acerca de",
+  "nav.contact": "Contacto",
+  "nav.logout": "Cerrar sesión",
+  "nav.menu": "Menú",
+  "nav.item": "Artículo",
+
+  "condition.new": "Nuevo",
+  "condition.used": "Usado",
+  "condition.old": "Viejo",
+  "condition.decrepit": "Deteriorado",
+
+  "status.listed": "Publicado",
+  "status.loaned": "Prestado",
+  "status.overdue": "Atrasado",
+
+  "requestStatus.pending": "Pendiente",
+  "requestStatus.countered": "Nueva fecha propuesta",
+  "requestStatus.accepted": "Aceptada",
+  "requestStatus.denied": "Rechazada",
+  "requestStatus.cancelled": "Cancelada",
+  "requestStatus.returned": "Completada",
+
+  // API client
+  "api.timeout": "El servidor tardó demasiado en responder.",
+  "api.network": "No se pudo conectar con el servidor.",
+  "api.sessionExpired": "Tu sesión ha caducado. Vuelve a iniciar sesión.",
+  "api.uploadAborted": "Se canceló la subida.",
+  "api.failedStatus": "La solicitud falló con el estado {status}.",
+
+  // Form validation
+  "validation.required": "Este campo es obligatorio.",
+  "validation.number": "Introduce un número válido.",
+  "validation.postalCode": "Introduce un código postal de 5 dígitos.",
+  "validation.stateCode": "Usa la abreviatura de dos letras del estado.",
+  "validation.mismatch": "Los valores no coinciden.",
+  "validation.passwordMismatch": "Las contraseñas no coinciden.",
+
+  // Login + registration (index.html)
+  "auth.tagline": "Presta. Pide prestado. Conecta.",
+  "auth.password": "Contraseña",
+  "auth.passwordPlaceholder": "Escribe tu contraseña",
+  "auth.createPassword": "Crea una contraseña",
+  "auth.login": "Iniciar sesión",
+  "auth.firstName": "Nombre",
+  "auth.lastName": "Apellido",
+  "auth.roleOwner": "Propietario",
+  "auth.roleBorrower": "Prestatario",
+  "auth.roleBoth": "Ambos",
+  "auth.photoHelp": "Opcional: sube una foto para personalizar tu perfil.",
+  "auth.agreePrefix": "He leído y acepto los",
+  "auth.terms": "Términos y condiciones",
+  "auth.and": "y la",
+  "auth.privacy": "Política de privacidad",
+  "auth.createAccount": "Crear cuenta",
+  "auth.needAccount": "¿Necesitas una cuenta?",
+  "auth.clickHere": "Haz clic aquí",
+  "auth.haveAccount": "¿Ya tienes una cuenta?",
+  "auth.loginHere": "Inicia sesión aquí",
+  "auth.passwordRule": "La contraseña necesita 5 caracteres, 1 número y 1 carácter especial.",
+  "auth.agreeRequired": "Acepta los términos y la política de privacidad.",
+  "auth.invalidEmail": "Introduce un correo electrónico válido.",
+  "auth.wrongCredentials": "Correo o contraseña incorrectos.",
+  "auth.loginSuccess": "¡Sesión iniciada! Redirigiendo...",
+  "auth.loginFailed": "No se pudo iniciar sesión.",
+  "auth.photoProcessFailed": "No se pudo procesar la foto.",
+  "auth.photoNotImage": "La foto de perfil debe ser una imagen.",
+  "auth.photoTooLarge": "La foto de perfil debe pesar menos de 5 MB.",
+  "auth.photoUploading": "Subiendo la foto de perfil...",
+  "auth.photoUploadFailed": "No se pudo subir la foto de perfil.",
+  "auth.photoNoUrl": "La subida de la foto de perfil no devolvió una URL de descarga.",
+  "auth.registerFailed": "Falló el registro.",
+  "auth.registerSuccess": "¡Cuenta creada! Redirigiendo a tu perfil...",
+  "auth.registerUnable": "No se pudo completar el registro.",
+  "auth.forgotPassword": "¿Olvidaste tu contraseña?",
+  "auth.forgotHelp": "Introduce el correo de tu cuenta y te enviaremos un enlace para elegir una contraseña nueva.",
+  "auth.sendResetLink": "Enviar enlace",
+  "auth.resetSent": "Si ese correo tiene una cuenta, te llegará un enlace para restablecerla. Caduca en una hora.",
+  "auth.resetRequestFailed": "No se pudo enviar el enlace.",
+  "auth.newPassword": "Contraseña nueva",
+  "auth.confirmPassword": "Confirma la contraseña nueva",
+  "auth.resetPassword": "Restablecer contraseña",
+  "auth.resetLinkMissing": "Esta página necesita el enlace del correo de restablecimiento. Pide uno nuevo.",
+  "auth.resetFailed": "No se pudo restablecer la contraseña.",
+  "auth.resetDone": "Tu contraseña se ha restablecido. Inicia sesión con la nueva.",
+
+  // Addresses (registration and profile)
+  "address.street": "Dirección",
+  "address.city": "Ciudad",
+  "address.state": "Estado",
+  "address.postalCode": "Código postal",
+  "address.postalCodeHelp": "Sirve para mostrar a qué distancia están los artículos. Solo se comparte la distancia, nunca tu dirección.",
+
+  // Catalog (home.html)
+  "home.heroTitle": "Préstamos fiables",
+  "home.heroTagline": "Donde cada artículo encuentra un nuevo hogar",
+  "home.borrowItem": "Pedir prestado",
+  "home.addItem": "Añadir artículo",
+  "home.available": "Artículos disponibles para pedir prestados",
+  "home.searchPlaceholder": "Buscar por nombre o estado",
+  "home.searchLabel": "Buscar artículos",
+  "home.minPrice": "Mín. $/día",
+  "home.minPriceLabel": "Precio mínimo por día",
+  "home.maxPrice": "Máx. $/día",
+  "home.maxPriceLabel": "Precio máximo por día",
+  "home.anyCondition": "Cualquier estado",
+  "home.sortLabel": "Ordenar por",
+  "home.sortDefault": "Orden predeterminado",
+  "home.sortPriceAsc": "Precio: de menor a mayor",
+  "home.sortPriceDesc": "Precio: de mayor a menor",
+  "home.sortNewest": "Más recientes primero",
+  "home.sortNearest": "Más cercanos primero",
+  "home.availableOnly": "Solo disponibles",
+  "home.clear": "Limpiar",
+  "home.noMatches": "Ningún artículo coincide con tus filtros.",
+  "home.previousPage": "Página anterior",
+  "home.nextPage": "Página siguiente",
+  "home.infiniteScroll": "Desplazamiento infinito",
+  "home.loadFailed": "No se pudieron cargar los artículos.",
+  "home.loadUnable": "No se pudieron cargar los artículos.",
+  "home.reserve": "Reservar",
+  "home.request": "Solicitar",
+  "home.scrollForMore": "Desplázate para ver más",
+  "home.endOfCatalog": "Fin del catálogo",
+  "home.page": "Página {page}",
+  "home.distanceAway": "A {distance}",
+  "home.nearestNeedsLocation": "Añade tu código postal en tu perfil para ver a qué distancia están los artículos.",
+  "home.ownerRating": "Propietario {score}",
+
+  // Item detail (item.html)
+  "item.location": "Ubicación",
+  "item.status": "Estado",
+  "item.listedOn": "Publicado el",
+  "item.listedBy": "Publicado por",
+  "item.ownerPhotoAlt": "Foto de perfil del propietario",
+  "item.moreFromOwner": "Más de este propietario",
+  "item.noneSelected": "No se seleccionó ningún artículo.",
+  "item.loadFailed": "No se pudo cargar el artículo.",
+  "item.notFound": "Este artículo ya no existe.",
+  "item.yourListing": "Este artículo es tuyo",
+  "item.reserveLater": "Reservar fechas posteriores",
+  "item.available": "Disponible",
+  "item.lentUntil": "Prestado hasta el {date}",
+  "item.lentNoDate": "Prestado (sin fecha de devolución)",
+  "item.rating": "Valoración",
+
+  // My items (items.html)
+  "items.heading": "Mis artículos",
+  "items.namePlaceholder": "Nombre del artículo",
+  "items.photos": "Fotos",
+  "items.selectCondition": "Selecciona el estado",
+  "items.filterLabel": "Mostrar",
+  "items.filterAll": "Todos",
+  "items.filterLoaned": "Prestados",
+  "items.filterOverdue": "Préstamos atrasados",
+  "items.listLabel": "Tus artículos",
+  "items.loadFailed": "No se pudieron cargar los artículos.",
+  "items.loadUnable": "No se pudieron cargar los artículos.",
+  "items.empty": "Todavía no tienes artículos. Añade el primero arriba.",
+  "items.noOverdue": "No hay préstamos atrasados. ¡Bien!",
+  "items.noneOnLoan": "Ninguno de tus artículos está prestado.",
+  "items.borrower": "Prestatario: {name}",
+  "items.borrowedOn": "Prestado el: {date}",
+  "items.condition": "Estado: {condition}",
+  "items.markReturned": "Marcar como devuelto",
+  "items.editLocked": "Los artículos no se pueden editar mientras están prestados.",
+  "items.editLockedTitle": "No se puede editar mientras el artículo está prestado.",
+  "items.nameLabel": "Nombre",
+  "items.priceLabel": "Precio por día ($)",
+  "items.conditionLabel": "Estado",
+  "items.addPhotos": "Añadir fotos",
+  "items.photosLabel": "Fotos (arrastra para reordenar)",
+  "items.nameRequired": "El nombre del artículo es obligatorio.",
+  "items.conditionRequired": "Elige el estado del artículo.",
+  "items.priceInvalid": "El precio por día debe ser cero o mayor.",
+  "items.photoRequired": "Los artículos necesitan al menos una foto.",
+  "items.saveFailed": "No se pudieron guardar los cambios.",
+  "items.saveUnable": "No se pudieron guardar los cambios.",
+  "items.saved": "Se guardó «{name}».",
+  "items.savedOffline": "Estás sin conexión. Los cambios en «{name}» se guardarán cuando vuelvas a conectarte.",
+  "items.imageNotImage": "Solo se pueden subir imágenes.",
+  "items.imageTooLarge": "Las imágenes deben pesar menos de 5 MB.",
+  "items.imageProcessFailed": "No se pudo procesar la imagen.",
+  "items.photosUploading": "Subiendo fotos...",
+  "items.imageUploadFailed": "No se pudo subir la imagen.",
+  "items.imageNoUrl": "La subida de la imagen no devolvió una URL de descarga.",
+  "items.addFailed": "No se pudo añadir el artículo.",
+  "items.addUnable": "No se pudo añadir el artículo.",
+  "items.added": "Se añadió «{name}».",
+  "items.loanPromptBorrower": "Introduce el ID del prestatario:",
+  "items.loanBorrowerRequired": "Se necesita el ID del prestatario para prestar un artículo.",
+  "items.loanBorrowerBlank": "El ID del prestatario no puede estar vacío.",
+  "items.loanPromptDue": "Introduce la fecha de devolución (AAAA-MM-DD o ISO 8601). Déjala vacía si aún no está decidida.",
+  "items.loanDueInvalid": "Introduce una fecha de devolución válida.",
+  "items.loanFailed": "No se pudo prestar el artículo.",
+  "items.loaned": "Artículo prestado.",
+  "items.returnFailed": "No se pudo marcar el artículo como devuelto.",
+  "items.returned": "Artículo marcado como devuelto.",
+  "items.returnedOffline": "Estás sin conexión. La devolución se registrará cuando vuelvas a conectarte.",
+  "items.deleteFailed": "No se pudo eliminar el artículo.",
+  "items.deleted": "Artículo eliminado.",
+
+  // Earnings ledger (items.html)
+  "earnings.heading": "Ganancias",
+  "earnings.loadFailed": "No se pudieron cargar las ganancias.",
+  "earnings.empty": "Aún no hay préstamos completados. Las ganancias aparecerán aquí cuando te devuelvan los artículos.",
+  "earnings.from": { one: "de {count} préstamo completado", other: "de {count} préstamos completados" },
+  "earnings.byItem": "Por artículo",
+  "earnings.byMonth": "Por mes",
+  "earnings.item": "Artículo",
+  "earnings.month": "Mes",
+  "earnings.loans": "Préstamos",
+  "earnings.earned": "Ganado",
+
+  // Profile (profile.html)
+  "profile.heading": "Mi perfil",
+  "profile.email": "Correo electrónico",
+  "profile.address": "Dirección",
+  "profile.role": "Rol",
+  "profile.emailPassword": "Contraseña actual (necesaria para cambiar tu correo)",
+  "profile.emailPasswordRequired": "Ingresa tu contraseña actual para cambiar tu correo.",
+  "profile.photo": "Foto de perfil",
+  "profile.borrowingHeading": "Artículos que tengo prestados",
+  "profile.requestsHeading": "Mis solicitudes",
+  "profile.loadFailed": "No se pudo cargar el perfil.",
+  "profile.loadUnable": "No se pudo cargar el perfil. Revisa tu conexión e inténtalo de nuevo.",
+  "profile.nameRequired": "El nombre es obligatorio.",
+  "profile.notFound": "No encontramos tu perfil. Crea uno a continuación.",
+  "profile.imageProcessFailed": "No se pudo procesar la imagen.",
+  "profile.photoNotImage": "La foto de perfil debe ser una imagen.",
+  "profile.photoTooLarge": "La foto de perfil debe pesar menos de 5 MB.",
+  "profile.photoUploading": "Subiendo la imagen de perfil...",
+  "profile.photoUploadFailed": "No se pudo subir la imagen de perfil.",
+  "profile.photoNoUrl": "La subida de la imagen de perfil no devolvió una URL de descarga.",
+  "profile.saveFailed": "No se pudo actualizar el perfil.",
+  "profile.saveUnable": "No se pudo guardar el perfil.",
+  "profile.saved": "¡Perfil actualizado!",
+  "profile.deleteFailed": "No se pudo eliminar la cuenta.",
+  "profile.deleteUnable": "No se pudo eliminar la cuenta.",
+  "profile.deleted": "Cuenta eliminada.",
+  "profile.securityHeading": "Seguridad de la cuenta",
+  "profile.changePassword": "Cambiar contraseña",
+  "profile.currentPassword": "Contraseña actual",
+  "profile.passwordChanged": "Contraseña cambiada.",
+  "profile.passwordChangeFailed": "No se pudo cambiar la contraseña.",
+  "profile.deleteAccount": "Eliminar cuenta",
+  "profile.deleteAccountHelp": "Esto elimina tu perfil para siempre. Antes, devuelve lo que tengas prestado y recupera los artículos que hayas prestado.",
+  "profile.deleteConfirmLabel": "Escribe el correo de tu cuenta para confirmar",
+  "profile.deleteAccountConfirm": "¿Eliminar tu cuenta para siempre? No se puede deshacer.",
+  "profile.photoAlt": "Foto de perfil",
+  "profile.defaultPhotoAlt": "Foto de perfil predeterminada",
+  "profile.viewPhoto": "Ver",
+  "profile.currentPhoto": "Imagen actual:",
+  "profile.noPhoto": "No se ha subido ninguna imagen.",
+  "profile.borrowedLoadFailed": "No se pudieron cargar los artículos prestados.",
+  "profile.borrowedUnavailable": "No se pueden cargar los artículos prestados en este momento.",
+  "profile.noBorrowed": "Ahora mismo no tienes ningún artículo prestado.",
+  "profile.invalidItem": "ID de artículo no válido.",
+  "profile.returnConfirm": "¿Seguro que quieres devolver este artículo?",
+  "profile.returnFailed": "No se pudo devolver el artículo.",
+  "profile.returnUnable": "No se pudo devolver el artículo. Inténtalo de nuevo.",
+  "profile.returned": "¡Artículo devuelto!",
+  "profile.returnedOffline": "Estás sin conexión. La devolución se enviará cuando vuelvas a conectarte.",
+  "profile.returnItem": "Devolver",
+  "profile.returnQueued": "Devolución en cola",
+  "profile.lender": "Prestador: {name}",
+  "profile.requestsLoadFailed": "No se pudieron cargar tus solicitudes.",
+  "profile.noRequests": "Todavía no has solicitado ningún artículo.",
+  "profile.quoteTotal": { one: "Total: {total} por {count} día", other: "Total: {total} por {count} días" },
+  "profile.requestedAt": "Solicitado el {date}",
+  "profile.cancelRequest": "Cancelar solicitud",
+  "profile.cancelConfirm": "¿Cancelar esta solicitud?",
+  "profile.cancelFailed": "No se pudo cancelar la solicitud.",
+  "profile.requestCancelled": "Solicitud cancelada.",
+  "profile.counterOffer": "El propietario puede prestarlo hasta el {date}.",
+  "profile.acceptCounter": "Aceptar la nueva fecha",
+  "profile.declineCounterConfirm": "¿Rechazar la nueva fecha? Tu solicitud se cancelará.",
+  "profile.counterFailed": "No se pudo responder a la contraoferta.",
+  "profile.counterAccepted": "Nueva fecha de devolución aceptada.",
+  "profile.reputationHeading": "Reputación",
+  "profile.asLender": "Como prestador",
+  "profile.asBorrower": "Como prestatario",
+  "profile.pendingReviewsHeading": "Pendientes de tu reseña",
+  "profile.noPendingReviews": "No tienes reseñas pendientes.",
+  "profile.writeReview": "Dejar una reseña",
+  "profile.lentTo": "Se lo prestaste a {name}",
+  "profile.borrowedFrom": "Te lo prestó {name}",
+  "profile.returnedOn": "Devuelto el {date}",
+  "profile.reviewsHeading": "Reseñas que has recibido",
+  "profile.noReviews": "Aún no hay reseñas.",
+  "profile.reviewFromOwner": "{name} te prestó {item}",
+  "profile.reviewFromBorrower": "{name} tomó prestado tu {item}",
+  "profile.reviewsLoadFailed": "No se pudieron cargar las reseñas.",
+  "profile.favoritesHeading": "Favoritos",
+  "profile.favoritesHelp": "Te avisaremos en las notificaciones cuando un favorito vuelva de un préstamo.",
+  "profile.noFavorites": "Aún no tienes favoritos. Toca el corazón de cualquier artículo para añadirlo.",
+  "profile.favoriteLent": "Prestado",
+  "profile.removeFavorite": "Quitar",
+  "profile.savedSearchesHeading": "Búsquedas guardadas",
+  "profile.savedSearchesHelp": "Los artículos nuevos que coincidan con una búsqueda guardada aparecerán en tus notificaciones.",
+  "profile.noSavedSearches": "Aún no tienes búsquedas guardadas. Filtra el catálogo y elige «Guardar búsqueda».",
+  "profile.runSearch": "Ver resultados",
+  "profile.deleteSearchConfirm": "¿Eliminar esta búsqueda guardada?",
+
+  // Due dates
+  "due.none": "Sin fecha de devolución",
+  "due.today": "Vence hoy",
+  "due.tomorrow": "Vence mañana",
+  "due.inDays": { one: "Vence en {count} día", other: "Vence en {count} días" },
+  "due.overdue": { one: "{count} día de retraso", other: "{count} días de retraso" },
+  "due.line": "Devolución: {date}",
+
+  // Ratings and reviews
+  "reviews.heading": "¿Qué tal fue?",
+  "reviews.subject": "Tu préstamo de {name} ha terminado.",
+  "reviews.rateLender": "Valora a {name} como prestador",
+  "reviews.rateBorrower": "Valora a {name} como prestatario",
+  "reviews.itemLegend": "Valora el artículo (opcional)",
+  "reviews.stars": { one: "{count} estrella", other: "{count} estrellas" },
+  "reviews.commentLabel": "Comentario (opcional)",
+  "reviews.commentPlaceholder": "¿Qué deberían saber los demás?",
+  "reviews.submit": "Enviar reseña",
+  "reviews.pickRating": "Elige primero una valoración.",
+  "reviews.sent": "¡Gracias por tu reseña!",
+  "reviews.sendFailed": "No se pudo enviar tu reseña.",
+  "reviews.score": { one: "★ {average} ({count} reseña)", other: "★ {average} ({count} reseñas)" },
+  "reviews.none": "Aún no hay reseñas",
+
+  // Borrow request modal + calendar
+  "request.heading": "Solicitar artículo",
+  "request.help": "Elige una fecha de inicio y luego una de devolución. Los días en gris ya están reservados.",
+  "request.send": "Enviar solicitud",
+  "request.title": "Solicitando: {name}",
+  "request.overlap": "Esas fechas se solapan con una reserva. Elige una fecha de devolución anterior.",
+  "request.quote": { one: "{count} día × {price}{fee} = {total}", other: "{count} días × {price}{fee} = {total}" },
+  "request.serviceFee": " + {fee} de comisión de servicio",
+  "request.rental": "Alquiler {subtotal}",
+  "request.availabilityFailed": "No se pudo cargar la disponibilidad.",
+  "request.availabilityUnknown": "No se pudieron cargar las fechas reservadas; el propietario confirmará la disponibilidad.",
+  "request.pickDates": "Selecciona una fecha de inicio y una de devolución.",
+  "request.unknownItem": "No se pudo identificar este artículo. Recarga la página.",
+  "request.justBooked": "Alguien acaba de reservar esas fechas. Elige otras.",
+  "request.sendFailed": "No se pudo enviar la solicitud.",
+  "request.sent": "Solicitud enviada para {name}",
+  "request.sentOffline": "Estás sin conexión. Tu solicitud para {name} se enviará cuando vuelvas a conectarte.",
+  "calendar.previousMonth": "Mes anterior",
+  "calendar.nextMonth": "Mes siguiente",
+  "calendar.pickStart": "Elige una fecha de inicio.",
+  "calendar.pickEnd": "Desde el {start}: ahora elige una fecha de devolución.",
+  "calendar.range": { one: "{start} – {end} ({count} día)", other: "{start} – {end} ({count} días)" },
+
+  // Notifications dropdown
+  "notifications.title": "Notificaciones",
+  "notifications.dropdownLabel": "Solicitudes de préstamo",
+  "notifications.unread": { one: "{count} notificación sin leer", other: "{count} notificaciones sin leer" },
+  "notifications.loginRequired": "Inicia sesión.",
+  "notifications.loadFailed": "No se pudieron cargar las solicitudes.",
+  "notifications.historyLoadFailed": "No se pudo cargar el historial de solicitudes.",
+  "notifications.markAllRead": "Marcar todo como leído",
+  "notifications.markRead": "Marcar como leída",
+  "notifications.pendingTab": "Pendientes",
+  "notifications.historyTab": "Historial",
+  "notifications.empty": "No hay solicitudes nuevas",
+  "notifications.historyEmpty": "Todavía no has respondido ninguna solicitud",
+  "notifications.selectAll": "Seleccionar todo",
+  "notifications.selectRequest": "Seleccionar solicitud",
+  "notifications.acceptSelected": "Aceptar seleccionadas",
+  "notifications.denySelected": "Denegar seleccionadas",
+  "notifications.bulkAcceptConfirm": { one: "¿Aceptar {count} solicitud?", other: "¿Aceptar {count} solicitudes?" },
+  "notifications.bulkDenyConfirm": { one: "¿Denegar {count} solicitud?", other: "¿Denegar {count} solicitudes?" },
+  "notifications.bulkAcceptFailed": "No se pudieron aceptar: {list}. Puede que se solapen con una reserva que acabas de aceptar.",
+  "notifications.bulkDenyFailed": "No se pudieron denegar: {list}. Puede que se solapen con una reserva que acabas de aceptar.",
+  "notifications.unknownBorrower": "Prestatario desconocido",
+  "notifications.theBorrower": "El prestatario",
+  "notifications.historyUnavailable": "Historial de préstamos no disponible",
+  "notifications.historyLoading": "Cargando el historial de préstamos…",
+  "notifications.firstRequest": "Primera solicitud en Hippo Exchange",
+  "notifications.loans": { one: "{count} préstamo", other: "{count} préstamos" },
+  "notifications.withYou": "{count} contigo",
+  "notifications.active": { one: "{count} activo", other: "{count} activos" },
+  "notifications.declined": { one: "{count} rechazado", other: "{count} rechazados" },
+  "notifications.reminderOwner": "{name} todavía no lo ha devuelto.",
+  "notifications.reminderOverdue": "Devuélvelo lo antes posible.",
+  "notifications.reminderSoon": "Recuerda devolverlo a tiempo.",
+  "notifications.viewOverdue": "Ver préstamos atrasados",
+  "notifications.viewBorrowed": "Ver artículos prestados",
+  "notifications.counterReceived": "El propietario propuso devolverlo el {date}.",
+  "notifications.requestAccepted": "Tu solicitud fue aceptada.",
+  "notifications.requestDeclined": "Tu solicitud fue rechazada.",
+  "notifications.viewMyRequests": "Ver mis solicitudes",
+  "notifications.item": "Artículo:",
+  "notifications.from": "Desde: {date}",
+  "notifications.returnBy": "Devolver el: {date}",
+  "notifications.returnByLabel": "Devolver el",
+  "notifications.quoteTotal": { one: "Total: {total} ({count} día)", other: "Total: {total} ({count} días)" },
+  "notifications.suggestDate": "Proponer fecha",
+  "notifications.newMessages": { one: "{count} mensaje nuevo", other: "{count} mensajes nuevos" },
+  "notifications.openConversation": "Abrir conversación",
+  "notifications.favoriteAvailable": "Uno de tus favoritos vuelve a estar disponible.",
+  "notifications.searchMatched": "Nuevo artículo que coincide con «{name}».",
+  "notifications.viewItem": "Ver artículo",
+  "notifications.counterFailed": "No se pudo enviar la contraoferta.",
+  "notifications.respondFailed": "No se pudo responder a la solicitud.",
+  "notifications.status.countered": "Contraoferta enviada",
+  "notifications.status.accepted": "Aceptada",
+  "notifications.status.denied": "Denegada",
+  "notifications.status.cancelled": "Cancelada",
+  "notifications.status.returned": "Devuelta",
+
+  // Request message threads
+  "messages.open": "Mensajes",
+  "messages.openUnread": "Mensajes ({count})",
+  "messages.heading": "Mensajes",
+  "messages.headingFor": "Mensajes sobre {name}",
+  "messages.with": "Con {name}",
+  "messages.empty": "Aún no hay mensajes. Usa esta conversación para acordar la recogida y la devolución.",
+  "messages.loadFailed": "No se pudieron cargar los mensajes.",
+  "messages.label": "Mensaje",
+  "messages.placeholder": "Escribe un mensaje…",
+  "messages.attach": "Añadir fotos",
+  "messages.photosChosen": { one: "{count} foto adjunta", other: "{count} fotos adjuntas" },
+  "messages.tooManyPhotos": "Adjunta como máximo {count} fotos.",
+  "messages.photoAlt": "Foto adjunta al mensaje",
+  "messages.photoOnly": "Envió una foto",
+  "messages.photoUploadFailed": "No se pudo subir la foto.",
+  "messages.send": "Enviar",
+  "messages.sendFailed": "No se pudo enviar tu mensaje.",
+
+  // Favorites, saved searches and alerts
+  "watchlist.favorite": "Añadir a favoritos",
+  "watchlist.favoriteWhenBack": "Añádelo a favoritos para saber cuándo vuelve",
+  "watchlist.unfavorite": "Quitar de favoritos",
+  "watchlist.favoriteFailed": "No se pudo añadir el favorito.",
+  "watchlist.unfavoriteFailed": "No se pudo quitar el favorito.",
+  "watchlist.favoritesLoadFailed": "No se pudieron cargar tus favoritos.",
+  "watchlist.saveSearch": "Guardar búsqueda",
+  "watchlist.saveSearchHint": "Recibe avisos de artículos nuevos que coincidan con estos filtros",
+  "watchlist.namePrompt": "Ponle nombre a esta búsqueda:",
+  "watchlist.defaultSearchName": "Mi búsqueda",
+  "watchlist.searchSaved": "Se guardó «{name}». Los artículos nuevos que coincidan aparecerán en tus notificaciones.",
+  "watchlist.saveSearchFailed": "No se pudo guardar la búsqueda.",
+  "watchlist.searchesLoadFailed": "No se pudieron cargar tus búsquedas guardadas.",
+  "watchlist.deleteSearchFailed": "No se pudo eliminar la búsqueda.",
+  "watchlist.searchText": "«{text}»",
+  "watchlist.priceBetween": "{min}–{max}",
+  "watchlist.priceFrom": "Desde {min}",
+  "watchlist.priceUpTo": "Hasta {max}",
+
+  // Photos
+  "photos.cover": "Portada",
+  "photos.crop": "Recortar",
+  "photos.remove": "Quitar foto",
+  "photos.tooMany": "Los artículos pueden tener hasta {count} fotos.",
+  "photos.galleryAlt": "{alt} (foto {index} de {total})",
+  "photos.previous": "Foto anterior",
+  "photos.next": "Foto siguiente",
+  "cropper.title": "Ajustar foto",
+  "cropper.help": "Arrastra el recuadro para moverlo o su esquina para cambiar el tamaño.",
+  "cropper.confirm": "Usar foto",
+  "image.tooLargeToProcess": "La imagen es demasiado grande para procesarla. Elige una de menos de 40 MB.",
+  "image.unsupportedFormat": "Tu navegador no puede leer este formato de imagen. Prueba con una foto JPEG, PNG o WebP.",
+  "image.encodeFailed": "No se pudo procesar esta imagen.",
+
+  // Offline sync
+  "sync.pending": "Pendiente de sincronizar",
+  "sync.pendingTitle": "Guardado en este dispositivo; se enviará cuando vuelvas a tener conexión.",
+  "sync.offline": "Estás sin conexión.",
+  "sync.savedData": "Mostrando datos guardados el {date}.",
+  "sync.waiting": { one: "{count} cambio pendiente de sincronizar", other: "{count} cambios pendientes de sincronizar" },
+  "sync.failed": "No se pudo sincronizar:",
+  "sync.rejected": "El servidor lo rechazó.",
+  "sync.request": "Solicitar «{name}» ({range})",
+  "sync.editItem": "Editar «{name}»",
+  "sync.returnItem": "Marcar «{name}» como devuelto",
+  "sync.returnBorrowed": "Devolver un artículo prestado"
+};
@@ -0,0 +1,243 @@
+// ===============================
+// Request message threads
+// ===============================
+// Every borrow request has one conversation between its owner and borrower, for
+// sorting out pickup and return. The bell's live feed (request-feed.js) reports
+// which threads have unread messages; notifications.js hands that list to
+// setUnreadThreads() and anything showing thread buttons listens with
+// onUnreadChange(). The thread itself opens in a modal that renders into <body>
+// like the borrow request modal, and reloads whenever the feed says the other
+// person wrote. Photos go through the image pipeline and /api/uploads/items,
+// the same as item photos, and only their URLs are sent with the message.
+import { api } from "./api.js";
+import { getOwnerId } from "./session.js";
+import { html, render, safeUrl } from "./dom.js";
+import { decodeImage, encodeImage } from "./image-pipeline.js";
+import { t, formatDateTime } from "./i18n.js";
+
+const MAX_ATTACHMENTS = 4;
+const MAX_TEXT_LENGTH = 2000;
+
+let unreadThreads = [];
+const listeners = new Set();
+
+let modal = null;
+let heading;
+let withLine;
+let list;
+let form;
+let photoInput;
+let photoLine;
+let status;
+let sendBtn;
+
+let openRequestId = null;
+let loadSeq = 0; // ignores threads that come back after another one was opened
+
+// ==========================
+// Unread state
+// ==========================
+export function setUnreadThreads(threads) {
+  unreadThreads = threads ?? [];
+  listeners.forEach(listener => listener(unreadThreads));
+
+  // The other person just wrote in the thread that's open: show it (which also marks it read)
+  if (openRequestId && unreadThreads.some(thread => thread.requestId === openRequestId)) {
+    loadThread(openRequestId);
+  }
+}
+
+export function unreadThreadList() {
+  return unreadThreads;
+}
+
+export function unreadFor(requestId) {
+  return unreadThreads.find(thread => thread.requestId === requestId)?.count ?? 0;
+}
+
+export function onUnreadChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export async function fetchUnreadThreads() {
+  return (await api.get("/api/messages/unread")) ?? [];
+}
+
+// "Messages" or "Messages (3)", for thread buttons on request rows
+export function threadButtonLabel(requestId) {
+  const count = unreadFor(requestId);
+  return count ? t("messages.openUnread", { count }) : t("messages.open");
+}
+
+// ==========================
+// Modal
+// ==========================
+function ensureModal() {
+  if (modal) return;
+
+  modal = document.createElement("div");
+  modal.id = "thread-modal";
+  modal.className = "modal thread-modal";
+  render(modal, html`
+    <div class="modal-content">
+      <span class="close-modal">&times;</span>
+      <h2 id="thread-heading"></h2>
+      <p id="thread-with" class="subtle"></p>
+
+      <div id="thread-messages" class="thread-messages" aria-live="polite"></div>
+
+      <form id="thread-form" class="thread-form">
+        <label for="thread-text" class="visually-hidden">${t("messages.label")}</label>
+        <textarea id="thread-text" class="form-textarea" maxlength="${MAX_TEXT_LENGTH}" placeholder="${t("messages.placeholder")}"></textarea>
+        <div class="thread-actions">
+          <label class="thread-attach">
+            <input id="thread-photos" type="file" accept="image/*" multiple>
+            <span>${t("messages.attach")}</span>
+          </label>
+          <span id="thread-photo-line" class="subtle"></span>
+          <button id="send-message-btn" type="submit">${t("messages.send")}</button>
+        </div>
+        <p id="thread-status" class="booking-summary error" aria-live="polite" hidden></p>
+      </form>
+    </div>`);
+  document.body.appendChild(modal);
+
+  heading = modal.querySelector("#thread-heading");
+  withLine = modal.querySelector("#thread-with");
+  list = modal.querySelector("#thread-messages");
+  form = modal.querySelector("#thread-form");
+  photoInput = modal.querySelector("#thread-photos");
+  photoLine = modal.querySelector("#thread-photo-line");
+  status = modal.querySelector("#thread-status");
+  sendBtn = modal.querySelector("#send-message-btn");
+
+  modal.querySelector(".close-modal").addEventListener("click", closeThread);
+  window.addEventListener("click", (e) => {
+    if (e.target === modal) closeThread();
+  });
+  photoInput.addEventListener("change", describePhotos);
+  form.addEventListener("submit", sendMessage);
+}
+
+export async function openThread(requestId) {
+  if (!requestId) return;
+  ensureModal();
+  openRequestId = requestId;
+
+  heading.textContent = t("messages.heading");
+  withLine.textContent = "";
+  render(list, html`<p class="empty-state">${t("common.loading")}</p>`);
+  form.reset();
+  describePhotos();
+  status.hidden = true;
+  sendBtn.disabled = false;
+  modal.style.display = "flex";
+
+  await loadThread(requestId);
+}
+
+function closeThread() {
+  modal.style.display = "none";
+  openRequestId = null;
+}
+
+async function loadThread(requestId) {
+  const seq = ++loadSeq;
+  try {
+    const thread = await api.get(`/api/requests/${encodeURIComponent(requestId)}/messages`, { errorMessage: t("messages.loadFailed") });
+    if (seq !== loadSeq || requestId !== openRequestId) return;
+    renderThread(thread);
+
+    // Opening the thread read it; drop it from the badge without waiting for the feed
+    if (unreadFor(requestId)) {
+      setUnreadThreads(unreadThreads.filter(entry => entry.requestId !== requestId));
+    }
+  } catch (err) {
+    if (seq !== loadSeq) return;
+    console.error("Unable to load messages:", err);
+    render(list, html`<p class="empty-state">${err.message || t("messages.loadFailed")}</p>`);
+  }
+}
+
+function renderThread(thread) {
+  const me = getOwnerId();
+  heading.textContent = t("messages.headingFor", { name: thread.itemName || t("common.item") });
+  withLine.textContent = t("messages.with", { name: thread.otherPartyName || t("common.unknown") });
+
+  if (!thread.messages?.length) {
+    render(list, html`<p class="empty-state">${t("messages.empty")}</p>`);
+    return;
+  }
+
+  render(list, html`${thread.messages.map(message => html`
+    <div class="message ${message.senderId === me ? "mine" : "theirs"}">
+      ${message.text && html`<p class="message-text">${message.text}</p>`}
+      ${message.attachments?.length > 0 && html`
+        <div class="message-photos">
+          ${message.attachments.map(url => html`
+            <a href="${safeUrl(url, "#")}" target="_blank" rel="noopener">
+              <img src="${safeUrl(url)}" alt="${t("messages.photoAlt")}" referrerpolicy="no-referrer" loading="lazy">
+            </a>`)}
+        </div>`}
+      <span class="message-time">${formatDateTime(message.createdAt)}</span>
+    </div>`)}`);
+  list.scrollTop = list.scrollHeight;
+}
+
+function describePhotos() {
+  const count = photoInput.files?.length ?? 0;
+  photoLine.textContent = count ? t("messages.photosChosen", { count }) : "";
+}
+
+// ==========================
+// Sending
+// ==========================
+// Re-encoded like item photos (downscaled, EXIF and GPS stripped) before upload
+async function uploadPhoto(file) {
+  const processed = await encodeImage(await decodeImage(file), { fileName: file.name });
+  const uploadData = new FormData();
+  uploadData.append("file", processed);
+  uploadData.append("ownerId", getOwnerId());
+
+  const payload = await api.upload("/api/uploads/items", uploadData, { errorMessage: t("messages.photoUploadFailed") });
+  const url = (payload?.url ?? "").toString().trim();
+  if (!url) throw new Error(t("messages.photoUploadFailed"));
+  return url;
+}
+
+async function sendMessage(event) {
+  event.preventDefault();
+  if (!openRequestId) return;
+
+  const requestId = openRequestId;
+  const text = form.querySelector("#thread-text").value.trim();
+  const files = [...(photoInput.files ?? [])];
+  if (!text && !files.length) return;
+
+  if (files.length > MAX_ATTACHMENTS) {
+    status.textContent = t("messages.tooManyPhotos", { count: MAX_ATTACHMENTS });
+    status.hidden = false;
+    return;
+  }
+
+  sendBtn.disabled = true;
+  status.hidden = true;
+  try {
+    const attachments = [];
+    for (const file of files) {
+      attachments.push(await uploadPhoto(file));
+    }
+
+    await api.post(`/api/requests/${encodeURIComponent(requestId)}/messages`, { text, attachments }, { errorMessage: t("messages.sendFailed") });
+    form.reset();
+    describePhotos();
+    await loadThread(requestId);
+  } catch (err) {
+    console.error("Message error:", err);
+    status.textContent = err.message || t("messages.sendFailed");
+    status.hidden = false;
+  } finally {
+    sendBtn.disabled = false;
+  }
+}
@@ -1,144 +1,563 @@
 // ===============================
 // Notifications (Borrow Requests)
 // ===============================
-const API_BASE = "http://localhost:8000";
-const bell = document.getElementById("notification-bell");
-const dropdown = document.getElementById("notifications-dropdown");
-const badge = document.getElementById("notification-badge");
+// Both lists arrive live from request-feed.js: pending requests for the user's
+// items, and owners' answers to requests the user made. A notification stays
+// unread until it is marked read (stored server-side as ownerReadAt or
+// borrowerReadAt), and the badge shows how many unread ones are waiting.
+// Requests the owner has already answered live under the History tab, which is
+// fetched when opened. Due-date reminders (see due-dates.js) sit on top of the
+// Pending tab; they're recomputed on open and every few minutes, not streamed.
+// Threads with unread messages (messages.js) are streamed too, listed above the
+// requests and counted in the badge until the thread is opened. Favorite and
+// saved search alerts (watchlist.js) are streamed as well and clear like requests.
+//
+// The app shell calls mountNotifications() once; the bell then stays live
+// while the router swaps views underneath it.
+import { api } from "./api.js";
+import { getOwnerId } from "./session.js";
+import { html, render, safeUrl } from "./dom.js";
+import { subscribeToFeed, fetchPending, fetchResponses, fetchOwnerHistory } from "./request-feed.js";
+import { toApiDate } from "./booking-calendar.js";
+import { fetchDueReminders, isDismissed, dismissReminders } from "./due-dates.js";
+import { describeRating } from "./reviews.js";
+import { fetchUnreadThreads, onUnreadChange, openThread, setUnreadThreads, threadButtonLabel, unreadThreadList } from "./messages.js";
+import { fetchAlerts, markAlertsRead } from "./watchlist.js";
+import { t, formatDate, formatMoney } from "./i18n.js";
 
-// Helper: current user ID
-function me() {
-  return (
-    localStorage.getItem("hippo-owner-id") ||
-    localStorage.getItem("hippo-user-id")
-  );
-}
+const DEFAULT_PFP = "images/BernardDaHippo.png";
+const REMINDER_REFRESH_MS = 10 * 60 * 1000;
+const HISTORY_STATUSES = ["countered", "accepted", "denied", "cancelled", "returned"];
+
+let pending = [];
+let responses = []; // answers to my own requests; every entry is unread
+let reminders = []; // undismissed due-soon / overdue loans
+let alerts = []; // favorites back from a loan, new listings matching saved searches; all unread
+let history = null; // loaded on first visit to the History tab
+let activeTab = "pending";
+let counterFor = null; // request whose counter-offer form is open
+let counterDraft = ""; // what's typed in it so far; live updates redraw the form
+const selected = new Set();
+const borrowers = new Map(); // borrowerId -> summary; null while loading, false if it couldn't be loaded
+
+let bell = null;
+let dropdown = null;
+let badge = null;
 
 // Toggle dropdown visibility
-bell?.addEventListener("click", async (e) => {
+async function toggleDropdown(e) {
   e.stopPropagation();
   const visible = dropdown.style.display === "block";
   dropdown.style.display = visible ? "none" : "block";
 
   if (!visible) {
-    await refreshRequests(); // refresh only when opening
+    refreshReminders();
+    await refreshRequests(); // catch up in case the feed is between reconnects
   }
-});
+}
 
-// Close dropdown if clicking outside
-document.addEventListener("click", (e) => {
-  if (!dropdown.contains(e.target) && e.target !== bell) {
-    dropdown.style.display = "none";
-  }
-});
+export function closeNotifications() {
+  if (dropdown) dropdown.style.display = "none";
+}
 
 // ===============================
 // Refresh requests + badge
 // ===============================
+function updateRequests(list) {
+  pending = [...list].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  // Drop selections for requests that were answered elsewhere
+  const ids = new Set(pending.map((req) => req.requestId));
+  [...selected].forEach((id) => ids.has(id) || selected.delete(id));
+  if (counterFor && !ids.has(counterFor)) closeCounterForm();
+
+  loadBorrowers(pending.map((req) => req.borrowerId));
+  updateBadge();
+  renderDropdown();
+}
+
+function updateResponses(list) {
+  responses = [...list].sort((a, b) => new Date(b.respondedAt) - new Date(a.respondedAt));
+  updateBadge();
+  renderDropdown();
+}
+
+function updateAlerts(list) {
+  alerts = list;
+  updateBadge();
+  renderDropdown();
+}
+
 async function refreshRequests() {
-  const ownerId = me();
-  if (!ownerId) {
-    dropdown.innerHTML = "<p>Please log in.</p>";
-    hideBadge();
-    return;
+  try {
+    const [requests, answers, threads, unreadAlerts] = await Promise.all([fetchPending(), fetchResponses(), fetchUnreadThreads(), fetchAlerts()]);
+    responses = answers;
+    alerts = unreadAlerts;
+    setUnreadThreads(threads);
+    updateRequests(requests);
+    if (activeTab === "history") await loadHistory();
+  } catch (err) {
+    console.error("Failed to refresh requests:", err);
+    render(dropdown, html`<p style="padding:8px;color:#b91c1c;">${t("notifications.loadFailed")}</p>`);
   }
+}
 
+async function refreshReminders() {
   try {
-    const res = await fetch(`${API_BASE}/api/requests/owner/${ownerId}`);
-    if (!res.ok) throw new Error(await res.text());
-    const list = await res.json();
+    reminders = (await fetchDueReminders(getOwnerId())).filter((r) => !isDismissed(r));
+  } catch (err) {
+    console.warn("Unable to load due-date reminders:", err);
+    return;
+  }
+  updateBadge();
+  renderDropdown();
+}
 
-    // Filter only pending requests
-    const pending = list.filter((r) => r.status === "pending");
+async function loadHistory() {
+  try {
+    history = await fetchOwnerHistory();
+    loadBorrowers(history.map((req) => req.borrowerId));
+  } catch (err) {
+    console.error("Failed to load request history:", err);
+    history = [];
+  }
+  renderDropdown();
+}
 
-    // Update badge visibility
-    if (pending.length > 0) {
-      showBadge();
-    } else {
-      hideBadge();
+// ===============================
+// Borrower details
+// ===============================
+function loadBorrowers(ids) {
+  const missing = [...new Set(ids)].filter((id) => id && !borrowers.has(id));
+  missing.forEach(async (id) => {
+    borrowers.set(id, null);
+    try {
+      borrowers.set(id, await api.get(`/api/users/${encodeURIComponent(id)}/borrower-summary`));
+      renderDropdown();
+    } catch (err) {
+      console.warn(`Unable to load borrower ${id}:`, err);
+      borrowers.set(id, false);
+      renderDropdown();
     }
+  });
+}
 
-    if (!list.length) {
-      dropdown.innerHTML = `<p style="padding:8px;">No new requests</p>`;
-      return;
-    }
+function borrowerName(id) {
+  return borrowers.get(id)?.name || t("notifications.unknownBorrower");
+}
 
-    dropdown.innerHTML = "";
-    list.forEach((req) => {
-      const row = document.createElement("div");
-      row.className = "request-row";
-      row.innerHTML = `
-        <div><strong>${req.itemName}</strong></div>
-        <div>Borrower: ${req.borrowerId}</div>
-        <div>Return by: ${
-          req.dueAt ? new Date(req.dueAt).toLocaleDateString() : "Not set"
-        }</div>
-        <div class="row-actions">
-          <button class="accept" data-id="${req.requestId}">Accept</button>
-          <button class="deny" data-id="${req.requestId}">Deny</button>
+function describeHistory(summary) {
+  if (summary === false) return t("notifications.historyUnavailable");
+  if (!summary) return t("notifications.historyLoading");
+  const loans = summary.completed + summary.active;
+  if (!loans && !summary.declined && !summary.cancelled) return t("notifications.firstRequest");
+
+  const parts = [t("notifications.loans", { count: loans })];
+  if (summary.withYou) parts.push(t("notifications.withYou", { count: summary.withYou }));
+  if (summary.active) parts.push(t("notifications.active", { count: summary.active }));
+  if (summary.declined) parts.push(t("notifications.declined", { count: summary.declined }));
+  if (summary.rating?.count) parts.push(describeRating(summary.rating));
+  return parts.join(" · ");
+}
+
+// ===============================
+// Rendering
+// ===============================
+function renderDropdown() {
+  if (!dropdown) return;
+
+  // The feed can push while the owner is typing a counter-offer; put the cursor back afterwards
+  const typingCounter = dropdown.contains(document.activeElement) && Boolean(document.activeElement.closest(".counter-form"));
+
+  const unread = unreadCount();
+  render(dropdown, html`
+    <div class="notifications-header">
+      <span>${t("notifications.title")}</span>
+      ${unread > 0 && html`<button type="button" data-action="read-all">${t("notifications.markAllRead")}</button>`}
+    </div>
+    <div class="notifications-tabs" role="tablist">
+      <button type="button" role="tab" data-tab="pending" aria-selected="${String(activeTab === "pending")}">
+        ${t("notifications.pendingTab")}${pending.length ? ` (${pending.length})` : ""}
+      </button>
+      <button type="button" role="tab" data-tab="history" aria-selected="${String(activeTab === "history")}">${t("notifications.historyTab")}</button>
+    </div>
+    ${activeTab === "pending" ? pendingTab() : historyTab()}
+  `);
+
+  if (typingCounter) dropdown.querySelector(".counter-form input")?.focus();
+}
+
+function pendingTab() {
+  const threads = unreadThreadList();
+  if (!pending.length && !responses.length && !reminders.length && !threads.length && !alerts.length) {
+    return html`<p class="notifications-empty">${t("notifications.empty")}</p>`;
+  }
+
+  const allSelected = pending.length > 0 && selected.size === pending.length;
+  return html`
+    ${threads.map(threadRow)}
+    ${reminders.map(reminderRow)}
+    ${alerts.map(alertRow)}
+    ${responses.map(responseRow)}
+    ${pending.length > 1 && html`
+      <div class="bulk-actions">
+        <label><input type="checkbox" data-action="select-all" ${allSelected ? html`checked` : ""}> ${t("notifications.selectAll")}</label>
+        <button type="button" class="accept" data-action="bulk-accept" ${selected.size ? "" : html`disabled`}>${t("notifications.acceptSelected")}</button>
+        <button type="button" class="deny" data-action="bulk-deny" ${selected.size ? "" : html`disabled`}>${t("notifications.denySelected")}</button>
+      </div>`}
+    ${pending.map(pendingRow)}
+  `;
+}
+
+function reminderRow(reminder) {
+  const { role, status } = reminder;
+  return html`
+    <div class="request-row unread reminder ${status.state}">
+      <div><strong>${reminder.itemName}</strong> · <span class="due-badge ${status.state}">${status.label}</span></div>
+      <div>${role === "owner"
+        ? t("notifications.reminderOwner", { name: reminder.borrowerName || t("notifications.theBorrower") })
+        : status.state === "overdue" ? t("notifications.reminderOverdue") : t("notifications.reminderSoon")}</div>
+      <div class="row-actions">
+        <a class="view-link" href="${role === "owner" ? "items.html?filter=overdue" : "profile.html#borrowed-items"}">
+          ${role === "owner" ? t("notifications.viewOverdue") : t("notifications.viewBorrowed")}
+        </a>
+        <button class="mark-read" data-reminder="${reminder.key}">${t("common.dismiss")}</button>
+      </div>
+    </div>`;
+}
+
+function threadRow(thread) {
+  return html`
+    <div class="request-row unread thread">
+      <div><strong>${thread.itemName}</strong> · ${t("notifications.newMessages", { count: thread.count })}</div>
+      <div class="subtle">${thread.preview || t("messages.photoOnly")}</div>
+      <div class="row-actions">
+        <button class="message" data-thread="${thread.requestId}">${t("notifications.openConversation")}</button>
+      </div>
+    </div>`;
+}
+
+function alertRow(alert) {
+  return html`
+    <div class="request-row unread watch-alert ${alert.kind}">
+      <div><strong>${alert.itemName || t("common.item")}</strong></div>
+      <div>${alert.kind === "available"
+        ? t("notifications.favoriteAvailable")
+        : t("notifications.searchMatched", { name: alert.searchName || t("watchlist.defaultSearchName") })}</div>
+      <div class="row-actions">
+        <a class="view-link" href="item.html?id=${encodeURIComponent(alert.itemId)}" data-alert-link="${alert.alertId}">${t("notifications.viewItem")}</a>
+        <button class="mark-read" data-alert="${alert.alertId}">${t("notifications.markRead")}</button>
+      </div>
+    </div>`;
+}
+
+function responseRow(req) {
+  return html`
+    <div class="request-row unread response ${req.status}">
+      <div><strong>${req.itemName}</strong></div>
+      <div>${req.status === "countered"
+        ? t("notifications.counterReceived", { date: formatDate(req.counterDueAt, { utc: true }) })
+        : req.status === "accepted" ? t("notifications.requestAccepted") : t("notifications.requestDeclined")}</div>
+      <div class="row-actions">
+        <a class="view-link" href="profile.html#my-requests">${t("notifications.viewMyRequests")}</a>
+        <button class="message" data-thread="${req.requestId}">${threadButtonLabel(req.requestId)}</button>
+        <button class="mark-read" data-id="${req.requestId}">${t("notifications.markRead")}</button>
+      </div>
+    </div>`;
+}
+
+function pendingRow(req) {
+  const summary = borrowers.get(req.borrowerId);
+  return html`
+    <div class="request-row${isUnread(req) ? " unread" : ""}">
+      <div class="request-borrower">
+        ${pending.length > 1 && html`
+          <input type="checkbox" data-action="select" data-id="${req.requestId}" aria-label="${t("notifications.selectRequest")}"
+            ${selected.has(req.requestId) ? html`checked` : ""}>`}
+        <img class="borrower-pfp" src="${safeUrl(summary?.pfp, DEFAULT_PFP)}" alt="" referrerpolicy="no-referrer">
+        <div>
+          <strong>${borrowerName(req.borrowerId)}</strong>
+          <div class="subtle">${describeHistory(summary)}</div>
         </div>
-      `;
-      dropdown.appendChild(row);
-    });
-
-    // Bind Accept / Deny buttons
-    dropdown.querySelectorAll(".accept,.deny").forEach((btn) => {
-      btn.addEventListener("click", async (ev) => {
-        const id = ev.currentTarget.getAttribute("data-id");
-        const accepted = ev.currentTarget.classList.contains("accept");
-        await respond(id, accepted);
-        await refreshRequests();
-      });
-    });
+      </div>
+      <div>${t("notifications.item")} <strong>${req.itemName}</strong></div>
+      ${req.startAt && html`<div>${t("notifications.from", { date: formatDate(req.startAt, { utc: true }) })}</div>`}
+      <div>${t("notifications.returnBy", { date: formatDate(req.dueAt, { utc: true }) })}</div>
+      ${req.quote && html`<div>${t("notifications.quoteTotal", { total: formatMoney(req.quote.total), count: req.quote.days })}</div>`}
+      ${counterFor === req.requestId ? counterForm(req) : html`
+        <div class="row-actions">
+          <button class="accept" data-id="${req.requestId}">${t("common.accept")}</button>
+          <button class="deny" data-id="${req.requestId}">${t("common.deny")}</button>
+          <button class="counter" data-id="${req.requestId}">${t("notifications.suggestDate")}</button>
+          <button class="message" data-thread="${req.requestId}">${threadButtonLabel(req.requestId)}</button>
+          ${isUnread(req) && html`<button class="mark-read" data-id="${req.requestId}">${t("notifications.markRead")}</button>`}
+        </div>`}
+    </div>`;
+}
+
+function counterForm(req) {
+  const min = new Date(req.startAt ?? req.createdAt).toISOString().slice(0, 10);
+  return html`
+    <form class="counter-form" data-id="${req.requestId}">
+      <label>${t("notifications.returnByLabel")} <input type="date" name="dueAt" min="${min}" value="${counterDraft}" required></label>
+      <button type="submit" class="send-counter">${t("common.send")}</button>
+      <button type="button" data-action="counter-cancel">${t("common.cancel")}</button>
+    </form>`;
+}
+
+function historyTab() {
+  if (!history) return html`<p class="notifications-empty">${t("common.loading")}</p>`;
+  if (!history.length) return html`<p class="notifications-empty">${t("notifications.historyEmpty")}</p>`;
+
+  return html`${history.map((req) => html`
+    <div class="request-row history ${req.status}">
+      <div class="request-borrower">
+        <strong>${req.itemName}</strong>
+        <span class="status-pill ${req.status}">${HISTORY_STATUSES.includes(req.status) ? t(`notifications.status.${req.status}`) : req.status}</span>
+      </div>
+      <div>${t("items.borrower", { name: borrowerName(req.borrowerId) })}</div>
+      <div class="subtle">${formatDate(req.startAt ?? req.createdAt, { utc: true })} – ${formatDate(req.counterDueAt ?? req.dueAt, { utc: true })}</div>
+      <div class="row-actions">
+        <button class="message" data-thread="${req.requestId}">${threadButtonLabel(req.requestId)}</button>
+      </div>
+    </div>`)}`;
+}
+
+// ===============================
+// Events
+// ===============================
+// Rows are re-rendered on every update, so controls are handled by delegation
+async function handleDropdownClick(ev) {
+  // Following an alert's link reads it; the router handles the navigation
+  const alertLink = ev.target.closest("a[data-alert-link]");
+  if (alertLink) {
+    readAlerts([alertLink.dataset.alertLink]);
+    return;
+  }
+
+  const btn = ev.target.closest("button");
+  if (!btn || btn.type === "submit") return;
+  ev.stopPropagation(); // the row is re-rendered, so the outside-click check would misfire
+
+  const id = btn.getAttribute("data-id");
+  if (btn.dataset.tab) {
+    activeTab = btn.dataset.tab;
+    renderDropdown();
+    if (activeTab === "history") await loadHistory();
+  } else if (btn.dataset.reminder) {
+    dismiss(reminders.filter((r) => r.key === btn.dataset.reminder));
+  } else if (btn.dataset.alert) {
+    await readAlerts([btn.dataset.alert]);
+  } else if (btn.dataset.thread) {
+    closeNotifications();
+    await openThread(btn.dataset.thread);
+  } else if (btn.dataset.action === "read-all") {
+    dismiss(reminders);
+    await Promise.all([
+      readAlerts(alerts.map((alert) => alert.alertId)),
+      markRead([...responses, ...pending.filter(isUnread)].map((req) => req.requestId))
+    ]);
+  } else if (btn.dataset.action === "bulk-accept" || btn.dataset.action === "bulk-deny") {
+    await respondToSelected(btn.dataset.action === "bulk-accept");
+  } else if (btn.dataset.action === "counter-cancel") {
+    closeCounterForm();
+    renderDropdown();
+  } else if (btn.classList.contains("mark-read")) {
+    await markRead([id]);
+  } else if (btn.classList.contains("counter")) {
+    counterFor = id;
+    counterDraft = "";
+    renderDropdown();
+    dropdown.querySelector(".counter-form input")?.focus();
+  } else if (btn.classList.contains("accept") || btn.classList.contains("deny")) {
+    await respond(id, btn.classList.contains("accept"));
+    await refreshRequests();
+  }
+}
+
+function handleDropdownInput(ev) {
+  if (ev.target.name === "dueAt" && ev.target.closest(".counter-form")) {
+    counterDraft = ev.target.value;
+  }
+}
+
+function closeCounterForm() {
+  counterFor = null;
+  counterDraft = "";
+}
+
+function handleDropdownChange(ev) {
+  const box = ev.target;
+  if (box.dataset.action === "select-all") {
+    selected.clear();
+    if (box.checked) pending.forEach((req) => selected.add(req.requestId));
+  } else if (box.dataset.action === "select") {
+    if (box.checked) selected.add(box.dataset.id);
+    else selected.delete(box.dataset.id);
+  } else {
+    return;
+  }
+  renderDropdown();
+}
+
+async function handleCounterSubmit(ev) {
+  ev.preventDefault();
+  const form = ev.target;
+  const dueAt = form.elements.dueAt.value;
+  if (!dueAt) return;
+
+  try {
+    await api.post(`/api/requests/${form.dataset.id}/counter`, { dueAt: toApiDate(dueAt) }, { errorMessage: t("notifications.counterFailed") });
+    closeCounterForm();
+    history = null; // the countered request now belongs in History
   } catch (err) {
-    console.error("Failed to refresh requests:", err);
-    dropdown.innerHTML = `<p style="padding:8px;color:#b91c1c;">Failed to load requests.</p>`;
-    hideBadge();
+    console.error("Error sending counter-offer:", err);
+    alert(err.message || t("notifications.counterFailed"));
+  }
+  await refreshRequests();
+}
+
+function isUnread(req) {
+  return !req.ownerReadAt;
+}
+
+// ===============================
+// Read state
+// ===============================
+function dismiss(list) {
+  if (!list.length) return;
+  dismissReminders(list);
+  reminders = reminders.filter((r) => !list.includes(r));
+  updateBadge();
+  renderDropdown();
+}
+
+async function markRead(requestIds) {
+  if (!requestIds.length) return;
+
+  // Optimistic; the feed pushes the stored state right after
+  const now = new Date().toISOString();
+  responses = responses.filter((req) => !requestIds.includes(req.requestId));
+  updateRequests(pending.map((req) => requestIds.includes(req.requestId) ? { ...req, ownerReadAt: now } : req));
+
+  try {
+    await api.post("/api/requests/read", { requestIds });
+  } catch (err) {
+    console.error("Unable to mark requests read:", err);
+    await refreshRequests();
+  }
+}
+
+async function readAlerts(alertIds) {
+  if (!alertIds.length) return;
+
+  // Optimistic, like markRead
+  alerts = alerts.filter((alert) => !alertIds.includes(alert.alertId));
+  updateBadge();
+  renderDropdown();
+
+  try {
+    await markAlertsRead(alertIds);
+  } catch (err) {
+    console.error("Unable to mark alerts read:", err);
+    await refreshRequests();
   }
 }
 
 // ===============================
 // Respond to a request (Accept / Deny)
 // ===============================
-async function respond(requestId, accepted) {
+async function respond(requestId, accepted, { quiet = false } = {}) {
   try {
-    const res = await fetch(`${API_BASE}/api/requests/${requestId}/respond`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ accepted }),
-    });
-
-    if (!res.ok) {
-      const msg = await res.text();
-      alert(msg || "Unable to respond to request.");
-      return;
-    }
+    await api.post(`/api/requests/${requestId}/respond`, { accepted }, { errorMessage: t("notifications.respondFailed") });
+    history = null;
 
     if (accepted) {
       console.log("Request accepted. Item marked as borrowed.");
     } else {
       console.log("Request denied.");
     }
+    return true;
   } catch (err) {
     console.error("Error responding to request:", err);
-    alert("Failed to send response.");
+    if (!quiet) alert(err.message || t("notifications.respondFailed"));
+    return false;
+  }
+}
+
+// One at a time: accepting one booking can make the next overlap, which the
+// server rejects, so the owner is told which ones didn't go through.
+async function respondToSelected(accepted) {
+  const chosen = pending.filter((req) => selected.has(req.requestId));
+  if (!chosen.length) return;
+  if (!confirm(t(accepted ? "notifications.bulkAcceptConfirm" : "notifications.bulkDenyConfirm", { count: chosen.length }))) return;
+
+  const failed = [];
+  for (const req of chosen) {
+    if (!(await respond(req.requestId, accepted, { quiet: true }))) failed.push(req);
+  }
+
+  selected.clear();
+  await refreshRequests();
+
+  if (failed.length) {
+    const list = failed.map((req) => `${req.itemName} (${borrowerName(req.borrowerId)})`).join(", ");
+    alert(t(accepted ? "notifications.bulkAcceptFailed" : "notifications.bulkDenyFailed", { list }));
   }
 }
 
 // ===============================
 // Badge control helpers
 // ===============================
-function showBadge() {
-  if (badge) badge.style.display = "block";
+function updateBadge() {
+  if (!badge) return;
+  const unread = unreadCount() + unreadMessageCount();
+  badge.textContent = unread > 99 ? "99+" : String(unread);
+  badge.style.display = unread > 0 ? "block" : "none";
+  bell?.setAttribute("aria-label", unread ? t("notifications.unread", { count: unread }) : t("notifications.title"));
+}
+
+// Notifications "Mark all read" can clear; messages only clear by opening their thread
+function unreadCount() {
+  return reminders.length + responses.length + alerts.length + pending.filter(isUnread).length;
 }
 
-function hideBadge() {
-  if (badge) badge.style.display = "none";
+function unreadMessageCount() {
+  return unreadThreadList().reduce((sum, thread) => sum + thread.count, 0);
 }
 
 // ===============================
-// Auto-load badge on page load
+// Mounting + live updates
 // ===============================
-window.addEventListener("DOMContentLoaded", () => {
-  refreshRequests(); // check for pending requests immediately
-});
+export function mountNotifications(root = document) {
+  bell = root.querySelector("#notification-bell");
+  dropdown = root.querySelector("#notifications-dropdown");
+  badge = root.querySelector("#notification-badge");
+  if (!bell || !dropdown) return;
+
+  bell.addEventListener("click", toggleDropdown);
+  dropdown.addEventListener("click", handleDropdownClick);
+  dropdown.addEventListener("input", handleDropdownInput);
+  dropdown.addEventListener("change", handleDropdownChange);
+  dropdown.addEventListener("submit", handleCounterSubmit);
+
+  // Close dropdown if clicking outside
+  document.addEventListener("click", (e) => {
+    if (!dropdown.contains(e.target) && !bell.contains(e.target)) {
+      closeNotifications();
+    }
+  });
+
+  if (!getOwnerId()) {
+    render(dropdown, html`<p>${t("notifications.loginRequired")}</p>`);
+    return;
+  }
+
+  onUnreadChange(() => {
+    updateBadge();
+    renderDropdown();
+  });
+  subscribeToFeed({ onRequests: updateRequests, onResponses: updateResponses, onMessages: setUnreadThreads, onAlerts: updateAlerts });
+  refreshReminders();
+  setInterval(refreshReminders, REMINDER_REFRESH_MS);
+}
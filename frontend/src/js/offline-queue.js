@@ -0,0 +1,181 @@
+// ===============================
+// Offline mutation queue
+// ===============================
+// Writes that can safely wait (borrow requests, returns, item edits) opt in via
+// apiRequest's `offline` option. If the network is down they're stored here
+// instead of failing, shown as "pending sync", and replayed in order once the
+// browser is back online. Entries remember who queued them and only replay for
+// that user. The queue lives in localStorage so it survives reloads.
+//
+// api.js wires this up with startOfflineSupport(apiRequest); page modules only
+// read the queue (isPending, onQueueChange) to mark what hasn't synced yet.
+
+import { html, render } from "./dom.js";
+import { getOwnerId } from "./session.js";
+import { t, formatDateTime } from "./i18n.js";
+
+const QUEUE_KEY = "hippo-offline-queue";
+const CHANGE_EVENT = "hippo-queue-change";
+const SERVICE_WORKER_URL = "sw.js";
+
+let send = null; // apiRequest, handed over by api.js to avoid an import cycle
+let flushing = false;
+let savedAt = null; // set while pages are showing data the service worker saved earlier
+let lastFailures = [];
+
+// ==========================
+// Storage
+// ==========================
+function readQueue() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(QUEUE_KEY) ?? "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue(entries) {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(entries));
+  window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+}
+
+function myEntries() {
+  const ownerId = getOwnerId();
+  return readQueue().filter(entry => entry.ownerId === ownerId);
+}
+
+export function enqueue({ method, path, body, label, targetId }) {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    ownerId: getOwnerId(),
+    method,
+    path,
+    body,
+    label,
+    targetId: targetId ?? null,
+    queuedAt: new Date().toISOString()
+  };
+  writeQueue([...readQueue(), entry]);
+  return entry;
+}
+
+export function pendingEntries() {
+  return myEntries();
+}
+
+export function isPending(targetId) {
+  return Boolean(targetId) && myEntries().some(entry => entry.targetId === targetId);
+}
+
+// Fires after every queue change, including changes from other tabs
+export function onQueueChange(listener) {
+  window.addEventListener(CHANGE_EVENT, listener);
+  window.addEventListener("storage", (event) => {
+    if (event.key === QUEUE_KEY) listener();
+  });
+}
+
+// ==========================
+// Replay
+// ==========================
+// Sends my entries oldest first. A network failure stops the run and keeps the
+// rest for next time; a rejection from the server (e.g. the dates were booked
+// meanwhile) drops that entry and is reported in the status pill.
+export async function flushQueue() {
+  if (flushing || !send || !navigator.onLine) return;
+  flushing = true;
+  lastFailures = [];
+
+  try {
+    for (const entry of myEntries()) {
+      try {
+        await send(entry.path, { method: entry.method, body: entry.body ?? undefined, retries: 0 });
+      } catch (err) {
+        if (err?.name === "NetworkError" || err?.name === "TimeoutError") break;
+        lastFailures.push({ label: entry.label, message: err?.message ?? t("sync.rejected") });
+      }
+      writeQueue(readQueue().filter(other => other.id !== entry.id));
+    }
+  } finally {
+    flushing = false;
+    renderStatus();
+  }
+}
+
+// ==========================
+// Status pill
+// ==========================
+let statusEl = null;
+
+function renderStatus() {
+  if (!document.body) return;
+  if (!statusEl) {
+    statusEl = document.createElement("div");
+    statusEl.className = "sync-status";
+    statusEl.setAttribute("role", "status");
+    document.body.appendChild(statusEl);
+    statusEl.addEventListener("click", (event) => {
+      if (event.target.closest("[data-action='dismiss-sync']")) {
+        lastFailures = [];
+        renderStatus();
+      }
+    });
+  }
+
+  const pending = myEntries();
+  const offline = !navigator.onLine;
+  statusEl.hidden = !offline && !pending.length && !lastFailures.length && !savedAt;
+
+  render(statusEl, html`
+    ${offline && html`<strong>${t("sync.offline")}</strong>`}
+    ${savedAt && html`<span>${t("sync.savedData", { date: formatDateTime(savedAt) })}</span>`}
+    ${pending.length > 0 && html`
+      <details>
+        <summary>${t("sync.waiting", { count: pending.length })}</summary>
+        <ul>${pending.map(entry => html`<li>${entry.label}</li>`)}</ul>
+      </details>`}
+    ${lastFailures.length > 0 && html`
+      <div class="sync-failures">
+        <span>${t("sync.failed")}</span>
+        <ul>${lastFailures.map(failure => html`<li>${failure.label}: ${failure.message}</li>`)}</ul>
+        <button type="button" data-action="dismiss-sync">${t("common.dismiss")}</button>
+      </div>`}
+  `);
+}
+
+// api.js reports whether a read came from the network or the saved copy
+export function noteResponseSource(savedAtHeader) {
+  const next = savedAtHeader || null;
+  if (next === savedAt) return;
+  savedAt = next;
+  renderStatus();
+}
+
+// ==========================
+// Startup
+// ==========================
+export function startOfflineSupport(apiRequest) {
+  send = apiRequest;
+
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(err => console.warn("Service worker registration failed:", err));
+  }
+
+  window.addEventListener("online", () => {
+    savedAt = null;
+    flushQueue();
+  });
+  window.addEventListener("offline", renderStatus);
+  onQueueChange(renderStatus);
+
+  const start = () => {
+    renderStatus();
+    flushQueue();
+  };
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start, { once: true });
+  } else {
+    start();
+  }
+}
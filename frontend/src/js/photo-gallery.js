@@ -0,0 +1,62 @@
+// ===============================
+// Swipeable photo gallery
+// ===============================
+// Used by the home catalog cards and item.html. Slides sit in a horizontal
+// scroll-snap track, so touch swiping is native; the arrows and dots are only
+// a convenience for mouse users.
+
+import { html, render, safeUrl } from "./dom.js";
+import { t } from "./i18n.js";
+
+export const PLACEHOLDER_IMAGE = "https://via.placeholder.com/320x200?text=Hippo+Exchange";
+
+// Cover first, then the rest of the gallery in the owner's order
+export function galleryPhotos(item) {
+  const photos = [item?.picture, ...(item?.pictures ?? [])]
+    .map(url => safeUrl(url))
+    .filter(Boolean);
+  const unique = [...new Set(photos)];
+  return unique.length ? unique : [PLACEHOLDER_IMAGE];
+}
+
+export function mountGallery(container, photos, { alt = "", href = "", imageClass = "thumb" } = {}) {
+  if (!container) return;
+
+  const slides = photos.map((src, i) => {
+    const image = html`<img class="${imageClass}" src="${src}" alt="${photos.length > 1 ? t("photos.galleryAlt", { alt, index: i + 1, total: photos.length }) : alt}" referrerpolicy="no-referrer" loading="${i === 0 ? "eager" : "lazy"}" draggable="false">`;
+    return href
+      ? html`<a class="gallery-slide" href="${href}" tabindex="${i === 0 ? "0" : "-1"}">${image}</a>`
+      : html`<div class="gallery-slide">${image}</div>`;
+  });
+
+  const multiple = photos.length > 1;
+  render(container, html`
+    <div class="gallery-track">${slides}</div>
+    ${multiple && html`
+      <button type="button" class="gallery-nav prev" aria-label="${t("photos.previous")}">‹</button>
+      <button type="button" class="gallery-nav next" aria-label="${t("photos.next")}">›</button>
+      <div class="gallery-dots">${photos.map((_, i) => html`<span class="gallery-dot${i === 0 ? " active" : ""}"></span>`)}</div>`}`);
+  container.classList.add("gallery");
+
+  if (!multiple) return;
+
+  const track = container.querySelector(".gallery-track");
+  const dots = [...container.querySelectorAll(".gallery-dot")];
+  const currentIndex = () => Math.round(track.scrollLeft / Math.max(1, track.clientWidth));
+  const goTo = (index) => {
+    const target = (index + photos.length) % photos.length;
+    track.scrollTo({ left: target * track.clientWidth, behavior: "smooth" });
+  };
+
+  container.querySelector(".prev").addEventListener("click", () => goTo(currentIndex() - 1));
+  container.querySelector(".next").addEventListener("click", () => goTo(currentIndex() + 1));
+
+  let frame = 0;
+  track.addEventListener("scroll", () => {
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(() => {
+      const active = currentIndex();
+      dots.forEach((dot, i) => dot.classList.toggle("active", i === active));
+    });
+  }, { passive: true });
+}
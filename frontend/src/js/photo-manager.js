@@ -0,0 +1,205 @@
+// ===============================
+// Listing photo manager (items.html)
+// ===============================
+// Keeps the ordered photo set for the add-item form and the in-place edit form.
+// New files are reoriented, stripped and downscaled as soon as they're picked;
+// each tile can be re-cropped, dragged into a new position or made the cover.
+// Nothing is uploaded until upload() is called on submit.
+
+import { html, render } from "./dom.js";
+import { decodeImage, encodeImage } from "./image-pipeline.js";
+import { cropImage } from "./image-cropper.js";
+import { t } from "./i18n.js";
+
+export const MAX_PHOTOS = 10; // matches ItemPhotos.MaxPhotos on the backend
+const UPLOAD_CONCURRENCY = 3;
+
+let nextKey = 0;
+
+export function createPhotoManager({ input, container, pictures = [], cover = "", max = MAX_PHOTOS, onError = () => {}, onChange = () => {} }) {
+  let entries = pictures.filter(Boolean).map(url => ({ key: nextKey++, url, preview: url, file: null, original: null, progress: null }));
+  let coverKey = (entries.find(entry => entry.url === cover) ?? entries[0])?.key ?? null;
+  let dragKey = null;
+  const coverGroup = `photo-cover-${nextKey++}`;
+
+  // ==========================
+  // Rendering
+  // ==========================
+  const draw = () => {
+    render(container, html`${entries.map(entry => html`
+      <li class="photo-tile${entry.key === coverKey ? " cover" : ""}" draggable="true" data-key="${entry.key}">
+        <img src="${entry.preview}" alt="" referrerpolicy="no-referrer" draggable="false">
+        <label class="photo-cover"><input type="radio" name="${coverGroup}" data-role="cover" ${entry.key === coverKey ? html`checked` : ""}> ${t("photos.cover")}</label>
+        <div class="photo-actions">
+          ${entry.original && html`<button type="button" data-role="crop">${t("photos.crop")}</button>`}
+          <button type="button" data-role="remove" aria-label="${t("photos.remove")}">✕</button>
+        </div>
+        <progress max="1" value="${entry.progress ?? 0}" ${entry.progress === null ? html`hidden` : ""}></progress>
+      </li>`)}`);
+    onChange();
+  };
+
+  const find = (el) => {
+    const tile = el.closest(".photo-tile");
+    return tile ? entries.find(entry => entry.key === Number(tile.dataset.key)) : null;
+  };
+
+  const release = (entry) => {
+    if (entry.file) URL.revokeObjectURL(entry.preview);
+  };
+
+  // ==========================
+  // Adding + editing photos
+  // ==========================
+  async function addFiles(files) {
+    const room = max - entries.length;
+    const accepted = [...files].slice(0, Math.max(0, room));
+    if (accepted.length < files.length) {
+      onError(new Error(t("photos.tooMany", { count: max })));
+    }
+
+    for (const original of accepted) {
+      try {
+        const file = await encodeImage(await decodeImage(original), { fileName: original.name });
+        entries.push({ key: nextKey++, url: null, preview: URL.createObjectURL(file), file, original, progress: null });
+        coverKey ??= entries[0].key;
+        draw();
+      } catch (err) {
+        onError(err);
+      }
+    }
+  }
+
+  async function crop(entry) {
+    try {
+      const file = await cropImage(entry.original);
+      if (!file) return;
+      release(entry);
+      Object.assign(entry, { file, url: null, preview: URL.createObjectURL(file) });
+      draw();
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  function remove(entry) {
+    release(entry);
+    entries = entries.filter(other => other !== entry);
+    if (coverKey === entry.key) coverKey = entries[0]?.key ?? null;
+    draw();
+  }
+
+  function move(fromKey, toKey, after) {
+    const moving = entries.find(entry => entry.key === fromKey);
+    if (!moving || fromKey === toKey) return;
+    entries = entries.filter(entry => entry !== moving);
+    const index = entries.findIndex(entry => entry.key === toKey) + (after ? 1 : 0);
+    entries.splice(index, 0, moving);
+    draw();
+  }
+
+  // ==========================
+  // Events
+  // ==========================
+  input?.addEventListener("change", () => {
+    const files = [...(input.files ?? [])];
+    input.value = ""; // allow picking the same file again
+    addFiles(files);
+  });
+
+  container.addEventListener("click", (event) => {
+    const entry = find(event.target);
+    const role = event.target.dataset.role;
+    if (!entry) return;
+    if (role === "remove") remove(entry);
+    if (role === "crop") crop(entry);
+  });
+
+  container.addEventListener("change", (event) => {
+    const entry = find(event.target);
+    if (entry && event.target.dataset.role === "cover") {
+      coverKey = entry.key;
+      draw();
+    }
+  });
+
+  container.addEventListener("dragstart", (event) => {
+    dragKey = find(event.target)?.key ?? null;
+    event.dataTransfer.effectAllowed = "move";
+  });
+
+  container.addEventListener("dragover", (event) => {
+    if (dragKey !== null && find(event.target)) event.preventDefault();
+  });
+
+  container.addEventListener("drop", (event) => {
+    const target = find(event.target);
+    if (dragKey === null || !target) return;
+    event.preventDefault();
+    const rect = event.target.closest(".photo-tile").getBoundingClientRect();
+    move(dragKey, target.key, event.clientX > rect.left + rect.width / 2);
+    dragKey = null;
+  });
+
+  container.addEventListener("dragend", () => { dragKey = null; });
+
+  draw();
+
+  // ==========================
+  // Upload
+  // ==========================
+  // uploadFn(file, onProgress) resolves to the stored URL. Photos that uploaded
+  // before a failure keep their URL, so retrying only re-sends the rest.
+  async function upload(uploadFn) {
+    const pending = entries.filter(entry => !entry.url);
+    const failures = [];
+
+    const worker = async () => {
+      for (let entry = pending.shift(); entry; entry = pending.shift()) {
+        const bar = container.querySelector(`[data-key="${entry.key}"] progress`);
+        const setProgress = (value) => {
+          entry.progress = value;
+          if (bar) {
+            bar.hidden = false;
+            bar.value = value;
+          }
+        };
+
+        try {
+          setProgress(0);
+          entry.url = await uploadFn(entry.file, setProgress);
+        } catch (err) {
+          failures.push(err);
+        } finally {
+          entry.progress = null;
+          if (bar) bar.hidden = true;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: UPLOAD_CONCURRENCY }, worker));
+    if (failures.length) {
+      throw failures[0];
+    }
+
+    return {
+      pictures: entries.map(entry => entry.url),
+      cover: entries.find(entry => entry.key === coverKey)?.url ?? entries[0]?.url ?? ""
+    };
+  }
+
+  function clear() {
+    entries.forEach(release);
+    entries = [];
+    coverKey = null;
+    draw();
+  }
+
+  return {
+    upload,
+    clear,
+    get count() {
+      return entries.length;
+    }
+  };
+}
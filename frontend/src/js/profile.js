@@ -1,181 +1,391 @@
 import { showMessage } from "./utils.js";
+import { api } from "./api.js";
+import { requireSession, login, logout } from "./session.js";
+import { html, render, safeUrl } from "./dom.js";
+import { attachImagePipeline, getProcessedImage, resetProcessedImage } from "./image-cropper.js";
+import { fetchMyRequests } from "./request-feed.js";
+import { dueLine, dueStatus } from "./due-dates.js";
+import { isPending, onQueueChange } from "./offline-queue.js";
+import { onUnreadChange, openThread, threadButtonLabel } from "./messages.js";
+import { describeRating, fetchPendingReviews, fetchReviewsFor, openReviewModal, promptReviewForItem } from "./reviews.js";
+import { PLACEHOLDER_IMAGE } from "./photo-gallery.js";
+import { fetchFavorites, setFavorite, fetchSavedSearches, deleteSavedSearch, describeSearch, searchHref } from "./watchlist.js";
+import { t, formatDate, formatDateTime, formatMoney } from "./i18n.js";
+import { createValidator, required, emailAddress, strongPassword, matches, postalCode, stateCode } from "./form-validation.js";
 
-const API_BASE = "http://localhost:8000";
 const MESSAGES_ID = "profile-messages";
 const DEFAULT_PFP = "images/BernardDaHippo.png";
 const BORROWED_CONTAINER_ID = "borrowed-items";
+const MY_REQUESTS_CONTAINER_ID = "my-requests-list";
+const PENDING_REVIEWS_CONTAINER_ID = "pending-reviews";
+const REVIEWS_CONTAINER_ID = "reviews-received";
+const FAVORITES_CONTAINER_ID = "favorite-items";
+const SAVED_SEARCHES_CONTAINER_ID = "saved-searches";
+const REQUEST_STATUSES = ["pending", "countered", "accepted", "denied", "cancelled", "returned"];
 const MAX_PROFILE_IMAGE_BYTES = 5 * 1024 * 1024;
-let ownerId = localStorage.getItem("hippo-owner-id") ?? localStorage.getItem("hippo-user-id");
+const ownerId = requireSession();
 let currentProfileImageUrl = "";
+let savedEmail = "";
+let profileValidator;
+let passwordValidator;
+let deleteValidator;
 
-if (!localStorage.getItem("hippo-owner-id") && ownerId) {
-  localStorage.setItem("hippo-owner-id", ownerId);
-  localStorage.removeItem("hippo-user-id");
-}
+export default {
+  title: () => t("nav.profile"),
 
-document.addEventListener("DOMContentLoaded", () => {
-  loadProfile();
+  mount(container) {
+    render(container, profileMarkup());
+    if (!ownerId) {
+      return;
+    }
 
-  document.getElementById("save-profile")?.addEventListener("click", saveProfile);
-  document.getElementById("delete-profile")?.addEventListener("click", deleteProfile);
-});
+    loadProfile();
+    loadMyRequests();
+    loadWatchlist();
+    loadReviews();
+    onQueueChange(loadBorrowedItems); // a queued return synced (or was rejected)
+    onUnreadChange(updateThreadButtons);
+
+    profileValidator = createValidator(container.querySelector(".profile-info"), {
+      "profile-first-name": [required(t("profile.nameRequired"))],
+      "profile-email": [required(), emailAddress()],
+      "profile-state": [stateCode()],
+      "profile-postal-code": [postalCode()]
+    });
+    passwordValidator = createValidator(container.querySelector("#change-password-form"), {
+      "current-password": [required()],
+      "new-password": [required(), strongPassword()],
+      "confirm-password": [required(), matches("new-password", t("validation.passwordMismatch"))]
+    });
+    deleteValidator = createValidator(container.querySelector("#delete-account-form"), {
+      "delete-confirmation": [required(), emailAddress()],
+      "delete-password": [required()]
+    });
+    container.querySelector("#profile-email").addEventListener("input", toggleEmailPassword);
+    container.querySelector("#save-profile").addEventListener("click", saveProfile);
+    container.querySelector("#change-password-form").addEventListener("submit", changePassword);
+    container.querySelector("#delete-account-form").addEventListener("submit", deleteAccount);
+    attachImagePipeline(container.querySelector("#profile-pfp"), {
+      aspect: 1,
+      maxDimension: 512,
+      onError: (err) => showError(err.message ?? t("profile.imageProcessFailed"))
+    });
+  },
 
-async function loadProfile() {
-  if (!ownerId) {
-    showInfo("Welcome! Create your profile to get started.");
-    setProfileImage();
-    resetProfileImageInput();
-    renderBorrowedItems([]);
-    return;
+  // The bell links to #my-requests when an owner answers; show the latest
+  update() {
+    loadMyRequests();
   }
+};
+
+function profileMarkup() {
+  return html`
+    <h2 class="section-title">${t("profile.heading")}</h2>
+
+    <div id="profile-messages" class="messages"></div>
+
+    <div class="profile-card">
+      <img id="profile-image" class="profile-image" src="${DEFAULT_PFP}" alt="${t("profile.defaultPhotoAlt")}" />
+
+      <div class="profile-info">
+        <div class="field-row">
+          <div>
+            <label for="profile-first-name">${t("auth.firstName")}</label>
+            <input id="profile-first-name" type="text" autocomplete="given-name" />
+          </div>
+          <div>
+            <label for="profile-last-name">${t("auth.lastName")}</label>
+            <input id="profile-last-name" type="text" autocomplete="family-name" />
+          </div>
+        </div>
+
+        <label for="profile-email">${t("profile.email")}</label>
+        <input id="profile-email" type="email" placeholder="name@example.com" />
+        <div id="profile-email-password-field" hidden>
+          <label for="profile-email-password">${t("profile.emailPassword")}</label>
+          <input id="profile-email-password" type="password" autocomplete="current-password" />
+        </div>
+
+        <fieldset class="address-fields">
+          <legend>${t("profile.address")}</legend>
+          <label for="profile-street">${t("address.street")}</label>
+          <input id="profile-street" type="text" autocomplete="street-address" placeholder="123 Main St" />
+
+          <div class="field-row">
+            <div>
+              <label for="profile-city">${t("address.city")}</label>
+              <input id="profile-city" type="text" autocomplete="address-level2" />
+            </div>
+            <div class="field-narrow">
+              <label for="profile-state">${t("address.state")}</label>
+              <input id="profile-state" type="text" autocomplete="address-level1" maxlength="2" placeholder="ST" />
+            </div>
+            <div class="field-narrow">
+              <label for="profile-postal-code">${t("address.postalCode")}</label>
+              <input id="profile-postal-code" type="text" autocomplete="postal-code" inputmode="numeric" maxlength="10" />
+            </div>
+          </div>
+          <p class="helper">${t("address.postalCodeHelp")}</p>
+        </fieldset>
+
+        <label for="profile-role">${t("profile.role")}</label>
+        <input id="profile-role" type="text" placeholder="owner" />
+
+        <label for="profile-pfp">${t("profile.photo")}</label>
+        <input id="profile-pfp" type="file" accept="image/*" />
+        <p class="helper" id="profile-pfp-current">${t("profile.noPhoto")}</p>
+
+        <div class="profile-actions">
+          <button id="save-profile" class="edit-btn">${t("common.save")}</button>
+        </div>
+      </div>
+    </div>
+
+    <section class="borrowed-items">
+      <h3>${t("profile.borrowingHeading")}</h3>
+      <div id="borrowed-items" class="items-grid"></div>
+    </section>
+
+    <section id="my-requests" class="my-requests">
+      <h3>${t("profile.requestsHeading")}</h3>
+      <div id="my-requests-list" class="request-list"></div>
+    </section>
+
+    <section id="watchlist" class="watchlist">
+      <h3>${t("profile.favoritesHeading")}</h3>
+      <p class="helper">${t("profile.favoritesHelp")}</p>
+      <div id="favorite-items" class="items-grid"></div>
+
+      <h4>${t("profile.savedSearchesHeading")}</h4>
+      <p class="helper">${t("profile.savedSearchesHelp")}</p>
+      <div id="saved-searches" class="request-list"></div>
+    </section>
+
+    <section id="reputation" class="reputation">
+      <h3>${t("profile.reputationHeading")}</h3>
+      <dl class="reputation-scores">
+        <dt>${t("profile.asLender")}</dt><dd id="owner-score">${t("reviews.none")}</dd>
+        <dt>${t("profile.asBorrower")}</dt><dd id="borrower-score">${t("reviews.none")}</dd>
+      </dl>
+
+      <h4>${t("profile.pendingReviewsHeading")}</h4>
+      <div id="pending-reviews" class="request-list"></div>
+
+      <h4>${t("profile.reviewsHeading")}</h4>
+      <div id="reviews-received" class="request-list"></div>
+    </section>
+
+    <section id="account-security" class="account-security">
+      <h3>${t("profile.securityHeading")}</h3>
+
+      <form id="change-password-form" class="security-form" novalidate>
+        <h4>${t("profile.changePassword")}</h4>
+        <label for="current-password">${t("profile.currentPassword")}</label>
+        <input id="current-password" type="password" autocomplete="current-password" />
+
+        <label for="new-password">${t("auth.newPassword")}</label>
+        <input id="new-password" type="password" autocomplete="new-password" />
+        <p class="helper">${t("auth.passwordRule")}</p>
+
+        <label for="confirm-password">${t("auth.confirmPassword")}</label>
+        <input id="confirm-password" type="password" autocomplete="new-password" />
+
+        <button type="submit" class="edit-btn">${t("profile.changePassword")}</button>
+      </form>
+
+      <form id="delete-account-form" class="security-form danger-zone" novalidate>
+        <h4>${t("profile.deleteAccount")}</h4>
+        <p class="helper">${t("profile.deleteAccountHelp")}</p>
+        <label for="delete-confirmation">${t("profile.deleteConfirmLabel")}</label>
+        <input id="delete-confirmation" type="email" autocomplete="off" placeholder="name@example.com" />
+
+        <label for="delete-password">${t("auth.password")}</label>
+        <input id="delete-password" type="password" autocomplete="current-password" />
+
+        <button type="submit" class="edit-btn danger">${t("profile.deleteAccount")}</button>
+      </form>
+    </section>`;
+}
 
+async function loadProfile() {
   try {
-    const res = await fetch(`${API_BASE}/api/users/${ownerId}`);
-    if (res.status === 404) {
-      showInfo("We couldn\'t find your profile. Create one below.");
+    let profile;
+    try {
+      profile = await api.get(`/api/users/${ownerId}`, { errorMessage: t("profile.loadFailed") });
+    } catch (err) {
+      if (!err.isNotFound) throw err;
+      showInfo(t("profile.notFound"));
       setProfileImage();
       resetProfileImageInput();
       await loadBorrowedItems();
       return;
     }
 
-    if (!res.ok) {
-      throw new Error(await res.text() || "Failed to load profile.");
-    }
-
-    const profile = await res.json();
-    setInputValue("profile-name", `${profile.firstName} ${profile.lastName}`.trim());
+    setInputValue("profile-first-name", profile.firstName ?? "");
+    setInputValue("profile-last-name", profile.lastName ?? "");
     setInputValue("profile-email", profile.email);
-    setInputValue("profile-address", profile.address ?? "");
+    savedEmail = profile.email ?? "";
+    toggleEmailPassword();
+    // Profiles from before structured addresses only have the one-line version
+    const structured = profile.street || profile.city || profile.state || profile.postalCode;
+    setInputValue("profile-street", structured ? profile.street ?? "" : profile.address ?? "");
+    setInputValue("profile-city", profile.city ?? "");
+    setInputValue("profile-state", profile.state ?? "");
+    setInputValue("profile-postal-code", profile.postalCode ?? "");
     setInputValue("profile-role", profile.role ?? "owner");
+    setText("owner-score", describeRating(profile.ownerRating) || t("reviews.none"));
+    setText("borrower-score", describeRating(profile.borrowerRating) || t("reviews.none"));
     setProfileImage(profile.pfp);
     resetProfileImageInput();
     await loadBorrowedItems();
     clearMessages();
   } catch (err) {
-    showError(err.message ?? "Unable to load profile. Check your connection and try again.");
-    renderBorrowedItems([], "Unable to load borrowed items right now.");
+    showError(err.message ?? t("profile.loadUnable"));
+    renderBorrowedItems([], t("profile.borrowedUnavailable"));
   }
 }
 
 async function saveProfile() {
-  const [firstName, ...rest] = getInputValue("profile-name").trim().split(/\s+/);
+  if (!profileValidator.validate()) {
+    return;
+  }
+
+  const firstName = getInputValue("profile-first-name").trim();
+  const lastName = getInputValue("profile-last-name").trim();
   const email = getInputValue("profile-email").trim();
-  const address = getInputValue("profile-address").trim();
+  const street = getInputValue("profile-street").trim();
+  const city = getInputValue("profile-city").trim();
+  const state = getInputValue("profile-state").trim().toUpperCase();
+  const postalCode = getInputValue("profile-postal-code").trim();
   const role = getInputValue("profile-role").trim() || "owner";
-
-  if (!firstName || !email) {
-    showError("Name and email are required.");
+  const emailChanged = email !== savedEmail;
+  const currentPassword = getInputValue("profile-email-password").trim();
+  if (emailChanged && !currentPassword) {
+    showError(t("profile.emailPasswordRequired"));
+    document.getElementById("profile-email-password")?.focus();
     return;
   }
 
-  const imageInput = document.getElementById("profile-pfp");
-  const imageFile = imageInput?.files?.[0] ?? null;
+  let imageFile;
+  try {
+    imageFile = await getProcessedImage(document.getElementById("profile-pfp"));
+  } catch (err) {
+    showError(err.message ?? t("profile.imageProcessFailed"));
+    return;
+  }
   let profileImageUrl = currentProfileImageUrl;
 
   if (imageFile) {
     if (!imageFile.type.startsWith("image/")) {
-      showError("Profile picture must be an image file.");
+      showError(t("profile.photoNotImage"));
       return;
     }
 
     if (imageFile.size > MAX_PROFILE_IMAGE_BYTES) {
-      showError("Profile picture must be smaller than 5MB.");
+      showError(t("profile.photoTooLarge"));
       return;
     }
 
     const uploadData = new FormData();
     uploadData.append("file", imageFile);
-    const ownerHint = ownerId ?? email;
-    if (ownerHint) {
-      uploadData.append("ownerId", ownerHint);
-    }
-
-    showInfo("Uploading profile image...");
-    const uploadRes = await fetch(`${API_BASE}/api/uploads/profiles`, {
-      method: "POST",
-      body: uploadData
-    });
+    uploadData.append("ownerId", ownerId);
 
-    if (!uploadRes.ok) {
-      throw new Error(await uploadRes.text() || "Unable to upload profile image.");
-    }
-
-    const uploadPayload = await uploadRes.json();
+    showInfo(t("profile.photoUploading"));
+    const uploadPayload = await api.upload("/api/uploads/profiles", uploadData, { errorMessage: t("profile.photoUploadFailed") });
     profileImageUrl = (uploadPayload?.url ?? "").toString().trim();
     if (!profileImageUrl) {
-      throw new Error("Profile image upload did not return a download URL.");
+      throw new Error(t("profile.photoNoUrl"));
     }
   }
 
   const payload = {
-    firstName: firstName ?? "",
-    lastName: rest.join(" "),
+    firstName,
+    lastName,
     email,
-    address,
+    street,
+    city,
+    state,
+    postalCode,
     role,
     pfp: profileImageUrl
   };
+  if (emailChanged) {
+    payload.password = currentPassword;
+  }
 
   try {
-    if (!ownerId) {
-      const createRes = await fetch(`${API_BASE}/api/users`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload)
-      });
-      if (!createRes.ok) {
-        throw new Error(await createRes.text() || "Failed to create profile.");
-      }
-      const created = await createRes.json();
-      ownerId = created.ownerId;
-      localStorage.setItem("hippo-owner-id", ownerId);
-      showSuccess("Profile created!");
-    } else {
-      const updateRes = await fetch(`${API_BASE}/api/users/${ownerId}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload)
-      });
-      if (!updateRes.ok) {
-        throw new Error(await updateRes.text() || "Failed to update profile.");
-      }
-      showSuccess("Profile updated!");
-    }
+    await api.put(`/api/users/${ownerId}`, payload, { errorMessage: t("profile.saveFailed") });
+    showSuccess(t("profile.saved"));
+
+    savedEmail = email;
+    setInputValue("profile-email-password", "");
+    toggleEmailPassword();
 
     setProfileImage(profileImageUrl);
     resetProfileImageInput();
     await loadBorrowedItems();
   } catch (err) {
-    showError(err.message ?? "Unable to save profile.");
+    showError(err.message ?? t("profile.saveUnable"));
   }
 }
 
-async function deleteProfile() {
-  if (!ownerId) {
-    showInfo("No profile to delete.");
+// ==========================
+// Account security
+// ==========================
+async function changePassword(event) {
+  event.preventDefault();
+  if (!passwordValidator.validate()) {
     return;
   }
 
+  const form = event.currentTarget;
+  const payload = {
+    currentPassword: getInputValue("current-password").trim(),
+    newPassword: getInputValue("new-password").trim()
+  };
+
   try {
-    const res = await fetch(`${API_BASE}/api/users/${ownerId}`, { method: "DELETE" });
-    if (!res.ok) {
-      throw new Error(await res.text() || "Failed to delete profile.");
-    }
+    // Changing the password signs out every older token, this one included; carry on with the new one
+    login(await api.post(`/api/users/${ownerId}/password`, payload, { errorMessage: t("profile.passwordChangeFailed") }));
+    form.reset();
+    passwordValidator.reset();
+    showSuccess(t("profile.passwordChanged"));
+  } catch (err) {
+    showError(err.message ?? t("profile.passwordChangeFailed"));
+  }
+}
 
-    localStorage.removeItem("hippo-owner-id");
-    localStorage.removeItem("hippo-user-id");
-    ownerId = null;
-    setInputValue("profile-name", "");
-    setInputValue("profile-email", "");
-    setInputValue("profile-role", "");
-    setInputValue("profile-address", "");
-    setProfileImage();
-    resetProfileImageInput();
-    renderBorrowedItems([]);
-    showSuccess("Profile deleted.");
+// The server re-checks the password and refuses while any loan is still out,
+// in either direction
+async function deleteAccount(event) {
+  event.preventDefault();
+  if (!deleteValidator.validate()) {
+    return;
+  }
+  if (!confirm(t("profile.deleteAccountConfirm"))) {
+    return;
+  }
+
+  const body = {
+    confirmation: getInputValue("delete-confirmation").trim(),
+    password: getInputValue("delete-password").trim()
+  };
+
+  try {
+    await api.delete(`/api/users/${ownerId}`, { body, errorMessage: t("profile.deleteFailed") });
+
+    showSuccess(t("profile.deleted"));
+    setTimeout(() => logout(), 700);
   } catch (err) {
-    showError(err.message ?? "Unable to delete profile.");
+    showError(err.message ?? t("profile.deleteUnable"));
+  }
+}
+
+// The server wants the current password before the login email changes
+function toggleEmailPassword() {
+  const field = document.getElementById("profile-email-password-field");
+  if (field) {
+    field.hidden = getInputValue("profile-email").trim() === savedEmail;
   }
 }
 
@@ -210,7 +420,7 @@ function setProfileImage(src) {
   const trimmed = (src ?? "").trim();
   currentProfileImageUrl = trimmed;
   img.src = trimmed || DEFAULT_PFP;
-  img.alt = trimmed ? "Profile picture" : "Default profile picture";
+  img.alt = trimmed ? t("profile.photoAlt") : t("profile.defaultPhotoAlt");
   updateProfileImageHelper();
 }
 
@@ -226,67 +436,55 @@ function updateProfileImageHelper() {
     link.href = currentProfileImageUrl;
     link.target = "_blank";
     link.rel = "noopener";
-    link.textContent = "View";
-    helper.append("Current image: ");
+    link.textContent = t("profile.viewPhoto");
+    helper.append(t("profile.currentPhoto"), " ");
     helper.appendChild(link);
   } else {
-    helper.textContent = "No image uploaded.";
+    helper.textContent = t("profile.noPhoto");
   }
 }
 
 function resetProfileImageInput() {
-  const input = document.getElementById("profile-pfp");
-  if (input) {
-    input.value = "";
-  }
+  resetProcessedImage(document.getElementById("profile-pfp"));
 }
 
 async function loadBorrowedItems() {
-  if (!ownerId) {
-    renderBorrowedItems([]);
-    return;
-  }
-
   try {
-    const res = await fetch(`${API_BASE}/api/users/${ownerId}/borrowing`);
-    if (!res.ok) {
-      throw new Error(await res.text() || "Unable to load borrowed items.");
-    }
-
-    const items = await res.json();
+    const items = await api.get(`/api/users/${ownerId}/borrowing`, { errorMessage: t("profile.borrowedLoadFailed") });
     renderBorrowedItems(items);
   } catch (err) {
     console.error(err);
-    renderBorrowedItems([], err.message ?? "Unable to load borrowed items.");
+    renderBorrowedItems([], err.message ?? t("profile.borrowedLoadFailed"));
   }
 }
 
 async function returnItem(itemId) {
-  if (!ownerId || !itemId) {
-    showError("Invalid user or item ID.");
+  if (!itemId) {
+    showError(t("profile.invalidItem"));
     return;
   }
 
-  if (!confirm("Are you sure you want to return this item?")) {
+  if (!confirm(t("profile.returnConfirm"))) {
     return;
   }
 
   try {
     // tell backend to mark it as available again
-    const res = await fetch(`${API_BASE}/api/items/${itemId}/return`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ borrowerId: ownerId })
+    const result = await api.post(`/api/items/${itemId}/return`, { borrowerId: ownerId }, {
+      errorMessage: t("profile.returnFailed"),
+      offline: { label: t("sync.returnBorrowed"), targetId: itemId }
     });
 
-    if (!res.ok) {
-      throw new Error(await res.text() || "Failed to return item.");
-    }
-
-    showSuccess("Item returned successfully!");
+    showSuccess(result?.queued
+      ? t("profile.returnedOffline")
+      : t("profile.returned"));
 
     // Refresh borrowed items on profile
     await loadBorrowedItems();
+    if (!result?.queued) {
+      loadReviews();
+      promptReviewForItem(itemId, { onDone: loadReviews });
+    }
 
     // Optional: if you want to instantly refresh home page when it’s open in another tab,
     // you can store a flag in localStorage that home.html checks:
@@ -294,7 +492,7 @@ async function returnItem(itemId) {
 
   } catch (err) {
     console.error(err);
-    showError(err.message ?? "Unable to return item. Please try again.");
+    showError(err.message ?? t("profile.returnUnable"));
   }
 }
 
@@ -304,39 +502,39 @@ function renderBorrowedItems(items, message) {
   if (!container) return;
 
   if (message) {
-    container.innerHTML = `<p class="empty-state">${message}</p>`;
+    render(container, html`<p class="empty-state">${message}</p>`);
     return;
   }
 
   if (!items?.length) {
-    container.innerHTML = '<p class="empty-state">You are not borrowing any items right now.</p>';
+    render(container, html`<p class="empty-state">${t("profile.noBorrowed")}</p>`);
     return;
   }
 
-  container.innerHTML = items.map(item => {
-    const picture = (typeof item.picture === "string" && item.picture.trim())
-      ? item.picture.trim()
-      : "https://via.placeholder.com/320x200?text=Hippo+Exchange";
-    const name = (item.name ?? "Item").toString();
+  render(container, html`${items.map(item => {
+    const picture = safeUrl(item.picture, "https://via.placeholder.com/320x200?text=Hippo+Exchange");
+    const name = (item.name ?? t("common.item")).toString();
     const borrowedOn = formatDateTime(item.borrowedOn);
-    const dueAt = formatDateTime(item.dueAt);
-    const lender = (item.ownerName ?? item.ownerId ?? "Unknown").toString();
+    const overdue = dueStatus(item.dueAt).state === "overdue";
+    const lender = (item.ownerName ?? item.ownerId ?? t("common.unknown")).toString();
     const itemId = item.itemId ?? item.id; // handle both field names
+    const pending = isPending(itemId);
 
-    return `
-      <article class="mine-card">
+    return html`
+      <article class="mine-card${overdue ? " overdue" : ""}">
         <div class="thumb-wrap">
           <img class="thumb" src="${picture}" alt="${name}" referrerpolicy="no-referrer" loading="lazy">
+          ${overdue && html`<span class="badge overdue">${t("status.overdue")}</span>`}
         </div>
         <div class="mine-body">
-          <div class="mine-title">${name}</div>
-          <div class="mine-meta subtle">Lender: ${lender}</div>
-          <div class="mine-meta subtle">Borrowed on: ${borrowedOn}</div>
-          <div class="mine-meta subtle">Due: ${dueAt}</div>
-          <button class="return-btn" data-id="${itemId}">Return Item</button>
+          <div class="mine-title">${name} ${pending && html`<span class="sync-pill" title="${t("sync.pendingTitle")}">${t("sync.pending")}</span>`}</div>
+          <div class="mine-meta subtle">${t("profile.lender", { name: lender })}</div>
+          <div class="mine-meta subtle">${t("items.borrowedOn", { date: borrowedOn })}</div>
+          ${dueLine(item.dueAt)}
+          <button class="return-btn" data-id="${itemId}" ${pending ? html`disabled` : ""}>${pending ? t("profile.returnQueued") : t("profile.returnItem")}</button>
         </div>
       </article>`;
-  }).join("");
+  })}`);
 
   // Attach click handlers for the Return buttons
   container.querySelectorAll(".return-btn").forEach(btn => {
@@ -350,17 +548,269 @@ function renderBorrowedItems(items, message) {
 }
 
 
-function formatDateTime(value) {
-  if (!value) {
-    return "Not set";
+// ==========================
+// My requests (outgoing)
+// ==========================
+async function loadMyRequests() {
+  const container = document.getElementById(MY_REQUESTS_CONTAINER_ID);
+  if (!container) return;
+
+  try {
+    const requests = await fetchMyRequests();
+    renderMyRequests(container, requests);
+
+    // Seeing the answer here counts as reading the bell notification
+    const answered = requests.filter(req => req.isUnreadResponse).map(req => req.requestId);
+    if (answered.length) {
+      api.post("/api/requests/read", { requestIds: answered }).catch(err => console.warn("Unable to mark responses read:", err));
+    }
+  } catch (err) {
+    console.error(err);
+    render(container, html`<p class="empty-state">${err.message ?? t("profile.requestsLoadFailed")}</p>`);
   }
+}
 
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return "Not set";
+function renderMyRequests(container, requests) {
+  if (!requests?.length) {
+    render(container, html`<p class="empty-state">${t("profile.noRequests")}</p>`);
+    return;
   }
 
-  return date.toLocaleString();
+  render(container, html`${requests.map(req => html`
+    <article class="request-row my-request ${req.status}">
+      <div class="my-request-main">
+        <a class="item-link" href="item.html?id=${encodeURIComponent(req.itemId)}"><strong>${req.itemName || t("common.item")}</strong></a>
+        <span class="status-pill ${req.status}">${REQUEST_STATUSES.includes(req.status) ? t(`requestStatus.${req.status}`) : req.status}</span>
+      </div>
+      <div class="mine-meta subtle">${formatDate(req.startAt ?? req.createdAt, { utc: true })} – ${formatDate(req.dueAt, { utc: true })}</div>
+      ${req.quote && html`<div class="mine-meta subtle">${t("profile.quoteTotal", { total: formatMoney(req.quote.total), count: req.quote.days })}</div>`}
+      <div class="mine-meta subtle">${t("profile.requestedAt", { date: formatDateTime(req.createdAt) })}</div>
+      <div class="row-actions">
+        <button class="message" data-action="open-thread" data-id="${req.requestId}">${threadButtonLabel(req.requestId)}</button>
+        ${req.status === "pending" && html`
+          <button class="deny" data-action="cancel-request" data-id="${req.requestId}">${t("profile.cancelRequest")}</button>`}
+      </div>
+      ${req.status === "countered" && html`
+        <div class="counter-offer">${t("profile.counterOffer", { date: formatDate(req.counterDueAt, { utc: true }) })}</div>
+        <div class="row-actions">
+          <button class="accept" data-action="accept-counter" data-id="${req.requestId}">${t("profile.acceptCounter")}</button>
+          <button class="deny" data-action="decline-counter" data-id="${req.requestId}">${t("common.decline")}</button>
+        </div>`}
+    </article>`)}`);
+
+  container.querySelectorAll('[data-action="open-thread"]').forEach(btn => {
+    btn.addEventListener("click", () => openThread(btn.getAttribute("data-id")));
+  });
+  container.querySelectorAll('[data-action="cancel-request"]').forEach(btn => {
+    btn.addEventListener("click", () => cancelRequest(btn.getAttribute("data-id")));
+  });
+  container.querySelectorAll('[data-action="accept-counter"], [data-action="decline-counter"]').forEach(btn => {
+    btn.addEventListener("click", () => answerCounter(btn.getAttribute("data-id"), btn.dataset.action === "accept-counter"));
+  });
+}
+
+// Unread counts arrive with the bell's live feed
+function updateThreadButtons() {
+  document.querySelectorAll(`#${MY_REQUESTS_CONTAINER_ID} [data-action="open-thread"]`).forEach(btn => {
+    btn.textContent = threadButtonLabel(btn.getAttribute("data-id"));
+  });
+}
+
+async function answerCounter(requestId, accepted) {
+  if (!requestId || (!accepted && !confirm(t("profile.declineCounterConfirm")))) {
+    return;
+  }
+
+  try {
+    await api.post(`/api/requests/${requestId}/counter/respond`, { accepted }, { errorMessage: t("profile.counterFailed") });
+    showSuccess(accepted ? t("profile.counterAccepted") : t("profile.requestCancelled"));
+  } catch (err) {
+    console.error(err);
+    showError(err.message ?? t("profile.counterFailed"));
+  }
+
+  await loadMyRequests();
+}
+
+async function cancelRequest(requestId) {
+  if (!requestId || !confirm(t("profile.cancelConfirm"))) {
+    return;
+  }
+
+  try {
+    await api.post(`/api/requests/${requestId}/cancel`, undefined, { errorMessage: t("profile.cancelFailed") });
+    showSuccess(t("profile.requestCancelled"));
+  } catch (err) {
+    console.error(err);
+    showError(err.message ?? t("profile.cancelFailed"));
+  }
+
+  // Either way the list is stale: a conflict means the owner answered first
+  await loadMyRequests();
+}
+
+// ==========================
+// Favorites + saved searches
+// ==========================
+async function loadWatchlist() {
+  const favoritesContainer = document.getElementById(FAVORITES_CONTAINER_ID);
+  const searchesContainer = document.getElementById(SAVED_SEARCHES_CONTAINER_ID);
+  if (!favoritesContainer || !searchesContainer) return;
+
+  const [favorites, searches] = await Promise.allSettled([fetchFavorites(), fetchSavedSearches()]);
+  renderFavorites(favoritesContainer, favorites);
+  renderSavedSearches(searchesContainer, searches);
+}
+
+function renderFavorites(container, { status, value, reason }) {
+  if (status === "rejected") {
+    console.error(reason);
+    render(container, html`<p class="empty-state">${reason?.message ?? t("watchlist.favoritesLoadFailed")}</p>`);
+    return;
+  }
+
+  if (!value.length) {
+    render(container, html`<p class="empty-state">${t("profile.noFavorites")}</p>`);
+    return;
+  }
+
+  render(container, html`${value.map(item => html`
+    <article class="mine-card">
+      <a class="thumb-wrap item-link" href="item.html?id=${encodeURIComponent(item.itemId)}">
+        <img class="thumb" src="${safeUrl(item.picture, PLACEHOLDER_IMAGE)}" alt="${item.name}" referrerpolicy="no-referrer" loading="lazy">
+        <span class="badge ${item.isLent ? "loaned" : "listed"}">${item.isLent ? t("status.loaned") : t("status.listed")}</span>
+      </a>
+      <div class="mine-body">
+        <a class="mine-title item-link" href="item.html?id=${encodeURIComponent(item.itemId)}">${item.name || t("common.unnamedItem")}</a>
+        <div class="mine-meta subtle">${item.isLent ? t("profile.favoriteLent") : t("item.available")}</div>
+        <button class="deny" data-action="unfavorite" data-id="${item.itemId}">${t("profile.removeFavorite")}</button>
+      </div>
+    </article>`)}`);
+
+  container.querySelectorAll('[data-action="unfavorite"]').forEach(btn => {
+    btn.addEventListener("click", () => removeFavorite(btn.getAttribute("data-id")));
+  });
+}
+
+async function removeFavorite(itemId) {
+  try {
+    await setFavorite(itemId, false);
+  } catch (err) {
+    console.error(err);
+    showError(err.message ?? t("watchlist.unfavoriteFailed"));
+  }
+  await loadWatchlist();
+}
+
+function renderSavedSearches(container, { status, value, reason }) {
+  if (status === "rejected") {
+    console.error(reason);
+    render(container, html`<p class="empty-state">${reason?.message ?? t("watchlist.searchesLoadFailed")}</p>`);
+    return;
+  }
+
+  if (!value.length) {
+    render(container, html`<p class="empty-state">${t("profile.noSavedSearches")}</p>`);
+    return;
+  }
+
+  render(container, html`${value.map(search => html`
+    <article class="request-row saved-search">
+      <div class="my-request-main">
+        <strong>${search.name}</strong>
+      </div>
+      <div class="mine-meta subtle">${describeSearch(search)}</div>
+      <div class="row-actions">
+        <a class="view-link" href="${searchHref(search)}">${t("profile.runSearch")}</a>
+        <button class="deny" data-action="delete-search" data-id="${search.searchId}">${t("common.delete")}</button>
+      </div>
+    </article>`)}`);
+
+  container.querySelectorAll('[data-action="delete-search"]').forEach(btn => {
+    btn.addEventListener("click", () => removeSavedSearch(btn.getAttribute("data-id")));
+  });
+}
+
+async function removeSavedSearch(searchId) {
+  if (!searchId || !confirm(t("profile.deleteSearchConfirm"))) {
+    return;
+  }
+
+  try {
+    await deleteSavedSearch(searchId);
+  } catch (err) {
+    console.error(err);
+    showError(err.message ?? t("watchlist.deleteSearchFailed"));
+  }
+  await loadWatchlist();
+}
+
+// ==========================
+// Reviews
+// ==========================
+async function loadReviews() {
+  const pendingContainer = document.getElementById(PENDING_REVIEWS_CONTAINER_ID);
+  const receivedContainer = document.getElementById(REVIEWS_CONTAINER_ID);
+  if (!pendingContainer || !receivedContainer) return;
+
+  const [pending, received] = await Promise.allSettled([fetchPendingReviews(), fetchReviewsFor(ownerId)]);
+  renderPendingReviews(pendingContainer, pending);
+  renderReviewsReceived(receivedContainer, received);
+}
+
+function renderPendingReviews(container, { status, value, reason }) {
+  if (status === "rejected") {
+    console.error(reason);
+    render(container, html`<p class="empty-state">${reason?.message ?? t("profile.reviewsLoadFailed")}</p>`);
+    return;
+  }
+
+  if (!value.length) {
+    render(container, html`<p class="empty-state">${t("profile.noPendingReviews")}</p>`);
+    return;
+  }
+
+  render(container, html`${value.map(review => html`
+    <article class="request-row">
+      <div class="my-request-main">
+        <strong>${review.itemName || t("common.item")}</strong>
+        <button class="accept" data-action="write-review" data-id="${review.requestId}">${t("profile.writeReview")}</button>
+      </div>
+      <div class="mine-meta subtle">${review.role === "borrower"
+        ? t("profile.borrowedFrom", { name: review.otherPartyName || t("common.unknown") })
+        : t("profile.lentTo", { name: review.otherPartyName || t("common.unknown") })}</div>
+      ${review.completedAt && html`<div class="mine-meta subtle">${t("profile.returnedOn", { date: formatDate(review.completedAt) })}</div>`}
+    </article>`)}`);
+
+  container.querySelectorAll('[data-action="write-review"]').forEach(btn => {
+    const review = value.find(candidate => candidate.requestId === btn.getAttribute("data-id"));
+    btn.addEventListener("click", () => openReviewModal(review, { onDone: loadReviews }));
+  });
+}
+
+function renderReviewsReceived(container, { status, value, reason }) {
+  if (status === "rejected") {
+    console.error(reason);
+    render(container, html`<p class="empty-state">${reason?.message ?? t("profile.reviewsLoadFailed")}</p>`);
+    return;
+  }
+
+  if (!value.length) {
+    render(container, html`<p class="empty-state">${t("profile.noReviews")}</p>`);
+    return;
+  }
+
+  render(container, html`${value.map(review => html`
+    <article class="request-row review-row">
+      <div class="my-request-main">
+        <span class="review-stars" aria-label="${t("reviews.stars", { count: review.rating })}">${"★".repeat(review.rating)}${"☆".repeat(5 - review.rating)}</span>
+        <span class="mine-meta subtle">${formatDate(review.createdAt)}</span>
+      </div>
+      <div class="mine-meta subtle">${review.role === "owner"
+        ? t("profile.reviewFromOwner", { name: review.reviewerName || t("common.unknown"), item: review.itemName || t("common.item") })
+        : t("profile.reviewFromBorrower", { name: review.reviewerName || t("common.unknown"), item: review.itemName || t("common.item") })}</div>
+      ${review.comment && html`<p class="review-comment">${review.comment}</p>`}
+    </article>`)}`);
 }
 
 function getInputValue(id) {
@@ -373,3 +823,10 @@ function setInputValue(id, value) {
     input.value = value;
   }
 }
+
+function setText(id, value) {
+  const el = document.getElementById(id);
+  if (el) {
+    el.textContent = value;
+  }
+}
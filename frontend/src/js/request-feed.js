@@ -0,0 +1,169 @@
+// ===============================
+// Live request feed
+// ===============================
+// Keeps the bell current: pending requests for the user's items, owner
+// answers to the user's own requests, request threads with unread
+// messages (see messages.js), and favorite and saved search alerts (see
+// watchlist.js). The primary channel is the
+// Server-Sent Events stream at /api/requests/stream. EventSource can't send an
+// Authorization header, so the stream is read with fetch and parsed here.
+// If the stream keeps failing we fall back to polling, backing off on errors,
+// and try the stream again every few minutes.
+
+import { api, getApiBase } from "./api.js";
+import { getOwnerId, getToken, logout } from "./session.js";
+import { fetchUnreadThreads } from "./messages.js";
+import { fetchAlerts } from "./watchlist.js";
+import { t } from "./i18n.js";
+
+const STREAM_PATH = "/api/requests/stream";
+const STREAM_RETRY_BASE_MS = 1000;
+const STREAM_RETRY_MAX_MS = 30000;
+const STREAM_FAILURES_BEFORE_POLLING = 3;
+const POLL_INTERVAL_MS = 30000;
+const POLL_MAX_INTERVAL_MS = 5 * 60 * 1000;
+const STREAM_RETRY_WHILE_POLLING_MS = 5 * 60 * 1000;
+
+export function subscribeToFeed({ onRequests, onResponses, onMessages, onAlerts }) {
+  let stopped = false;
+  let streamFailures = 0;
+  let pollDelay = POLL_INTERVAL_MS;
+  let timer = null;
+  let controller = null;
+  let pollingSince = 0;
+
+  const schedule = (fn, ms) => {
+    clearTimeout(timer);
+    if (!stopped) timer = setTimeout(fn, ms);
+  };
+
+  // ==========================
+  // SSE stream
+  // ==========================
+  async function connect() {
+    if (stopped) return;
+    controller = new AbortController();
+
+    try {
+      const res = await fetch(`${await getApiBase()}${STREAM_PATH}`, {
+        headers: { Accept: "text/event-stream", Authorization: `Bearer ${getToken()}` },
+        cache: "no-store",
+        signal: controller.signal
+      });
+
+      if (res.status === 401) {
+        logout();
+        return;
+      }
+      if (!res.ok || !res.body) {
+        throw new Error(`Request stream unavailable (${res.status}).`);
+      }
+
+      await readEvents(res.body, (event, data) => {
+        const handler = { requests: onRequests, responses: onResponses, messages: onMessages, alerts: onAlerts }[event];
+        if (!handler) return;
+        streamFailures = 0;
+        handler(JSON.parse(data));
+      });
+      // The server only closes the stream on shutdown or deploys; reconnect
+      throw new Error("Request stream closed.");
+    } catch (err) {
+      if (stopped) return;
+      streamFailures++;
+      console.warn("Request stream interrupted:", err);
+
+      if (streamFailures >= STREAM_FAILURES_BEFORE_POLLING) {
+        pollingSince = Date.now();
+        poll();
+      } else {
+        schedule(connect, Math.min(STREAM_RETRY_BASE_MS * 2 ** streamFailures, STREAM_RETRY_MAX_MS));
+      }
+    }
+  }
+
+  // ==========================
+  // Polling fallback
+  // ==========================
+  async function poll() {
+    if (stopped) return;
+
+    if (Date.now() - pollingSince >= STREAM_RETRY_WHILE_POLLING_MS) {
+      streamFailures = STREAM_FAILURES_BEFORE_POLLING - 1; // one failed attempt drops straight back to polling
+      connect();
+      return;
+    }
+
+    try {
+      const [requests, responses, threads, alerts] = await Promise.all([fetchPending(), fetchResponses(), fetchUnreadThreads(), fetchAlerts()]);
+      onRequests(requests);
+      onResponses(responses);
+      onMessages?.(threads);
+      onAlerts?.(alerts);
+      pollDelay = POLL_INTERVAL_MS;
+    } catch (err) {
+      console.warn("Polling for requests failed:", err);
+      pollDelay = Math.min(pollDelay * 2, POLL_MAX_INTERVAL_MS);
+    }
+
+    schedule(poll, pollDelay);
+  }
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    controller?.abort();
+  };
+}
+
+export async function fetchPending() {
+  const list = await api.get(`/api/requests/owner/${encodeURIComponent(getOwnerId())}`);
+  return list.filter((r) => r.status === "pending");
+}
+
+export async function fetchMyRequests() {
+  return api.get(`/api/requests/borrower/${encodeURIComponent(getOwnerId())}`, { errorMessage: t("profile.requestsLoadFailed") });
+}
+
+// Requests the owner has answered, newest answer first, for the History tab
+export async function fetchOwnerHistory() {
+  return api.get(`/api/requests/owner/${encodeURIComponent(getOwnerId())}/history`, { errorMessage: t("notifications.historyLoadFailed") });
+}
+
+// Accepted/denied/countered answers the borrower hasn't read yet
+export async function fetchResponses() {
+  const list = await fetchMyRequests();
+  return list.filter((r) => r.isUnreadResponse);
+}
+
+// Minimal text/event-stream parser: blank-line separated frames of
+// `event:` / `data:` fields; lines starting with ":" are keep-alive comments.
+async function readEvents(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value.replace(/\r\n?/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const data = [];
+      frame.split("\n").forEach((line) => {
+        if (!line || line.startsWith(":")) return;
+        const [field, ...rest] = line.split(":");
+        const text = rest.join(":").replace(/^ /, "");
+        if (field === "event") event = text;
+        if (field === "data") data.push(text);
+      });
+
+      if (data.length) onEvent(event, data.join("\n"));
+    }
+  }
+}
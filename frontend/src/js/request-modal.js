@@ -0,0 +1,195 @@
+// ===============================
+// Borrow request modal
+// ===============================
+// Shared by the home catalog and the item detail view. The modal renders its
+// own markup into <body> the first time it's opened.
+import { api } from "./api.js";
+import { html, render } from "./dom.js";
+import { createBookingCalendar, describeRange, findOverlap, fromApiRange, toApiDate } from "./booking-calendar.js";
+import { t, formatMoney } from "./i18n.js";
+
+// ==========================
+// Modal Logic (Borrow Request)
+// ==========================
+let modal = null;
+let sendRequestBtn;
+let modalItemName;
+let summary;
+let quoteLine;
+let calendar;
+
+let selectedItem = null;
+let quoteSeq = 0; // ignores quotes that come back after the dates changed again
+
+function ensureModal() {
+  if (modal) return;
+
+  modal = document.createElement("div");
+  modal.id = "request-modal";
+  modal.className = "modal";
+  render(modal, html`
+    <div class="modal-content">
+      <span class="close-modal">&times;</span>
+      <h2>${t("request.heading")}</h2>
+      <p id="modal-item-name"></p>
+
+      <p class="helper">${t("request.help")}</p>
+      <div id="booking-calendar" class="booking-calendar"></div>
+      <p id="booking-summary" class="booking-summary" aria-live="polite">${t("calendar.pickStart")}</p>
+      <p id="booking-quote" class="booking-quote" aria-live="polite" hidden></p>
+
+      <button id="send-request-btn">${t("request.send")}</button>
+    </div>`);
+  document.body.appendChild(modal);
+
+  sendRequestBtn = modal.querySelector("#send-request-btn");
+  modalItemName = modal.querySelector("#modal-item-name");
+  summary = modal.querySelector("#booking-summary");
+  quoteLine = modal.querySelector("#booking-quote");
+
+  calendar = createBookingCalendar(modal.querySelector("#booking-calendar"), {
+    onChange: ({ start, end, conflict }) => {
+      summary.textContent = conflict
+        ? t("request.overlap")
+        : describeRange({ start, end });
+      summary.classList.toggle("error", Boolean(conflict));
+      sendRequestBtn.disabled = !(start && end) || Boolean(conflict);
+      showQuote(start, end);
+    }
+  });
+
+  modal.querySelector(".close-modal").addEventListener("click", closeRequestModal);
+  window.addEventListener("click", (e) => {
+    if (e.target === modal) closeRequestModal();
+  });
+  sendRequestBtn.addEventListener("click", sendRequest);
+}
+
+// ==========================
+// Cost quote
+// ==========================
+// Shows days × price straight away, then the server's figure (which adds any
+// service fee) once it arrives. The same quote is stored on the request.
+async function showQuote(start, end) {
+  const seq = ++quoteSeq;
+  if (!quoteLine) return;
+  if (!selectedItem || !start || !end) {
+    quoteLine.hidden = true;
+    return;
+  }
+
+  const price = Number(selectedItem.pricePerDay || 0);
+  const days = describeDays(start, end);
+  renderQuote({ days, pricePerDay: price, subtotal: days * price, serviceFee: 0, total: days * price });
+
+  try {
+    const params = new URLSearchParams({ startAt: toApiDate(start), dueAt: toApiDate(end) });
+    const quote = await api.get(`/api/items/${encodeURIComponent(selectedItem.itemId || selectedItem.id)}/quote?${params}`);
+    if (seq === quoteSeq) renderQuote(quote);
+  } catch (err) {
+    console.warn("Unable to load quote:", err);
+  }
+}
+
+function renderQuote({ days, pricePerDay, subtotal, serviceFee, total }) {
+  const fee = serviceFee > 0 ? t("request.serviceFee", { fee: formatMoney(serviceFee) }) : "";
+  quoteLine.textContent = t("request.quote", { count: days, price: formatMoney(pricePerDay), fee, total: formatMoney(total) });
+  quoteLine.title = t("request.rental", { subtotal: formatMoney(subtotal) });
+  quoteLine.hidden = false;
+}
+
+function describeDays(start, end) {
+  return Math.round((Date.parse(end) - Date.parse(start)) / 86400000) + 1;
+}
+
+async function loadAvailability(itemId) {
+  const ranges = await api.get(`/api/items/${encodeURIComponent(itemId)}/availability`, { errorMessage: t("request.availabilityFailed") });
+  return (ranges ?? []).map(fromApiRange);
+}
+
+// Open modal for the selected item
+export async function openRequestModal(item) {
+  ensureModal();
+  selectedItem = item;
+  modalItemName.textContent = t("request.title", { name: item.name });
+  calendar.reset();
+  modal.style.display = "flex";
+
+  try {
+    calendar.setBooked(await loadAvailability(item.itemId || item.id));
+  } catch (err) {
+    console.warn("Unable to load availability:", err);
+    summary.textContent = t("request.availabilityUnknown");
+  }
+}
+
+// Close modal helper
+function closeRequestModal() {
+  modal.style.display = "none";
+  calendar.reset();
+  selectedItem = null;
+}
+
+// Handle sending the borrow request
+async function sendRequest() {
+  if (!selectedItem) return;
+
+  const { start, end } = calendar.range;
+  if (!start || !end) {
+    alert(t("request.pickDates"));
+    return;
+  }
+
+  // Stays off while the availability re-check and the send are in flight, so one
+  // click can't send two requests; a conflict leaves it off until new dates are picked
+  sendRequestBtn.disabled = true;
+
+  try {
+    // Support both item.itemId or item.id, depending on API mapping
+    const itemId = selectedItem.itemId || selectedItem.id;
+    if (!itemId) {
+      console.error("Item missing ID:", selectedItem);
+      alert(t("request.unknownItem"));
+      return;
+    }
+
+    // Someone may have booked these dates since the modal opened. Only a courtesy: the
+    // server's 409 is the final word on overlaps, so offline (or if the check fails) the
+    // request still goes out, or into the offline queue.
+    const booked = navigator.onLine
+      ? await loadAvailability(itemId).catch(err => {
+        console.warn("Unable to re-check availability:", err);
+        return null;
+      })
+      : null;
+    if (booked && findOverlap({ start, end }, booked)) {
+      calendar.setBooked(booked);
+      alert(t("request.justBooked"));
+      return;
+    }
+
+    const body = {
+      itemId,
+      startAt: toApiDate(start),
+      dueAt: toApiDate(end)
+    };
+
+    const result = await api.post("/api/requests", body, {
+      errorMessage: t("request.sendFailed"),
+      offline: { label: t("sync.request", { name: selectedItem.name, range: describeRange({ start, end }) }), targetId: itemId }
+    });
+
+    alert(result?.queued
+      ? t("request.sentOffline", { name: selectedItem.name })
+      : t("request.sent", { name: selectedItem.name }));
+    closeRequestModal();
+  } catch (err) {
+    console.error("Request error:", err);
+    alert(err.message || t("request.sendFailed"));
+    if (err.isConflict && selectedItem) {
+      calendar.setBooked(await loadAvailability(selectedItem.itemId || selectedItem.id).catch(() => calendar.booked));
+    }
+  } finally {
+    sendRequestBtn.disabled = !(calendar.range.start && calendar.range.end);
+  }
+}
@@ -0,0 +1,174 @@
+// ===============================
+// Ratings and reviews
+// ===============================
+// Once a loan is returned the owner and the borrower each rate the other, and
+// the borrower can rate the item too. Like the borrow request modal, the review
+// modal renders its own markup into <body> the first time it's opened.
+import { api } from "./api.js";
+import { html, render } from "./dom.js";
+import { t, formatRating } from "./i18n.js";
+
+const MAX_COMMENT_LENGTH = 500;
+
+let modal = null;
+let form;
+let subject;
+let personLegend;
+let itemFieldset;
+let status;
+let submitBtn;
+
+let current = null; // the pending review being written
+let onReviewed = null;
+
+// ==========================
+// Scores
+// ==========================
+// "★ 4.6 (12 reviews)", or "" before the first review
+export function describeRating(summary) {
+  if (!summary?.count) return "";
+  return t("reviews.score", { average: formatRating(summary.average), count: summary.count });
+}
+
+export async function fetchPendingReviews() {
+  return (await api.get("/api/reviews/pending")) ?? [];
+}
+
+export async function fetchReviewsFor(userId) {
+  return (await api.get(`/api/users/${encodeURIComponent(userId)}/reviews`)) ?? [];
+}
+
+// Asks for a review of the loan that just ended on this item, if one is waiting.
+// Loans made without a request (lent by hand from My Items) have nothing to review.
+export async function promptReviewForItem(itemId, { onDone } = {}) {
+  try {
+    const pending = (await fetchPendingReviews()).find(review => review.itemId === itemId);
+    if (pending) openReviewModal(pending, { onDone });
+  } catch (err) {
+    console.warn("Unable to check for loans to review:", err);
+  }
+}
+
+// ==========================
+// Modal
+// ==========================
+// Radios run 5 -> 1 so CSS can light up a star and every star before it
+function starInputs(name) {
+  return html`
+    <div class="star-input">
+      ${[5, 4, 3, 2, 1].map(stars => html`
+        <input type="radio" id="${name}-${stars}" name="${name}" value="${stars}">
+        <label for="${name}-${stars}" title="${t("reviews.stars", { count: stars })}">
+          <span aria-hidden="true">★</span><span class="visually-hidden">${t("reviews.stars", { count: stars })}</span>
+        </label>`)}
+    </div>`;
+}
+
+function ensureModal() {
+  if (modal) return;
+
+  modal = document.createElement("div");
+  modal.id = "review-modal";
+  modal.className = "modal";
+  render(modal, html`
+    <div class="modal-content">
+      <span class="close-modal">&times;</span>
+      <h2>${t("reviews.heading")}</h2>
+      <p id="review-subject"></p>
+
+      <form id="review-form" class="review-form">
+        <fieldset>
+          <legend id="review-person-legend"></legend>
+          ${starInputs("rating")}
+        </fieldset>
+
+        <fieldset id="review-item-stars">
+          <legend>${t("reviews.itemLegend")}</legend>
+          ${starInputs("itemRating")}
+        </fieldset>
+
+        <label for="review-comment">${t("reviews.commentLabel")}</label>
+        <textarea id="review-comment" name="comment" class="form-textarea" maxlength="${MAX_COMMENT_LENGTH}"
+          placeholder="${t("reviews.commentPlaceholder")}"></textarea>
+
+        <p id="review-status" class="booking-summary error" aria-live="polite" hidden></p>
+        <button id="send-review-btn" type="submit">${t("reviews.submit")}</button>
+      </form>
+    </div>`);
+  document.body.appendChild(modal);
+
+  form = modal.querySelector("#review-form");
+  subject = modal.querySelector("#review-subject");
+  personLegend = modal.querySelector("#review-person-legend");
+  itemFieldset = modal.querySelector("#review-item-stars");
+  status = modal.querySelector("#review-status");
+  submitBtn = modal.querySelector("#send-review-btn");
+
+  modal.querySelector(".close-modal").addEventListener("click", closeReviewModal);
+  window.addEventListener("click", (e) => {
+    if (e.target === modal) closeReviewModal();
+  });
+  form.addEventListener("submit", sendReview);
+}
+
+export function openReviewModal(pending, { onDone } = {}) {
+  ensureModal();
+  current = pending;
+  onReviewed = onDone ?? null;
+
+  const name = pending.otherPartyName || t("common.unknown");
+  subject.textContent = t("reviews.subject", { name: pending.itemName || t("common.item") });
+  // Borrowers rate the owner as a lender; owners rate the borrower
+  personLegend.textContent = pending.role === "borrower"
+    ? t("reviews.rateLender", { name })
+    : t("reviews.rateBorrower", { name });
+  itemFieldset.hidden = pending.role !== "borrower";
+
+  form.reset();
+  status.hidden = true;
+  submitBtn.disabled = false;
+  modal.style.display = "flex";
+}
+
+function closeReviewModal() {
+  modal.style.display = "none";
+  current = null;
+  onReviewed = null;
+}
+
+function checkedStars(name) {
+  const value = form.querySelector(`input[name="${name}"]:checked`)?.value;
+  return value ? Number(value) : null;
+}
+
+async function sendReview(event) {
+  event.preventDefault();
+  if (!current) return;
+
+  const rating = checkedStars("rating");
+  if (!rating) {
+    status.textContent = t("reviews.pickRating");
+    status.hidden = false;
+    return;
+  }
+
+  const body = {
+    rating,
+    itemRating: current.role === "borrower" ? checkedStars("itemRating") : null,
+    comment: form.querySelector("#review-comment").value.trim()
+  };
+
+  submitBtn.disabled = true;
+  try {
+    await api.post(`/api/requests/${encodeURIComponent(current.requestId)}/review`, body, { errorMessage: t("reviews.sendFailed") });
+    const done = onReviewed;
+    closeReviewModal();
+    alert(t("reviews.sent"));
+    done?.();
+  } catch (err) {
+    console.error("Review error:", err);
+    status.textContent = err.message || t("reviews.sendFailed");
+    status.hidden = false;
+    submitBtn.disabled = false;
+  }
+}
@@ -0,0 +1,206 @@
+// ===============================
+// Client-side router
+// ===============================
+// The signed-in pages share one document: app.js mounts the header, sidebar
+// and bell once and this module swaps views inside <main> as the URL changes.
+// URLs keep the old page names (items.html?filter=overdue, item.html?id=...)
+// and every one of those files is the same shell, so deep links and reloads
+// land on the right view without a server-side rewrite.
+//
+// A route resolves to a view object:
+//
+//   export default {
+//     title: () => t("nav.items"),
+//     className: "container",           // optional, class for the view's wrapper
+//     mount(container, route) { ... },  // first visit: render markup, load data
+//     update(route) { ... }             // optional: shown again with a new URL
+//   };
+//
+// route is { name, params (URLSearchParams), hash }. Views are mounted once and
+// only hidden afterwards, so form input, loaded lists and scroll position
+// survive switching away and back. Views that keep state in the query string
+// write it with replaceUrl() rather than history.replaceState().
+
+const APP_NAME = "Hippo Exchange";
+
+let outlet = null;
+let routes = {};
+let onNavigate = () => {};
+let current = null;          // route name on screen
+let navigation = 0;          // bumps per navigation so slow view loads don't win
+const views = new Map();     // route name -> Promise<view>
+const mounted = new Map();   // route name -> { view, container, url, scrollY, title }
+
+// ==========================
+// Public API
+// ==========================
+export function startRouter(options) {
+  outlet = options.outlet;
+  routes = options.routes;
+  onNavigate = options.onNavigate ?? onNavigate;
+  history.scrollRestoration = "manual"; // each view restores its own position
+
+  // The shell opened under a name that isn't a view (e.g. "/")
+  if (!routeName(location.href)) history.replaceState(null, "", options.fallback);
+
+  document.addEventListener("click", handleLinkClick);
+  window.addEventListener("popstate", handlePopState);
+  return show(new URL(location.href), { initial: true });
+}
+
+export function routeName(url) {
+  const name = new URL(url, location.href).pathname.split("/").pop();
+  return Object.hasOwn(routes, name) ? name : null;
+}
+
+export async function navigate(href) {
+  let url = new URL(href, location.href);
+  const name = routeName(url);
+  if (!name || url.origin !== location.origin) {
+    location.assign(url);
+    return;
+  }
+
+  // In-page anchors change the URL without telling the router
+  const leaving = mounted.get(current);
+  if (leaving) leaving.url = location.href;
+
+  // A bare link to a view that's already open (the nav bar's "Items") returns
+  // to it as it was left, filters and all
+  const entry = mounted.get(name);
+  if (entry && !url.search && !url.hash) url = new URL(entry.url);
+  if (url.href === location.href) return;
+
+  history.replaceState({ ...history.state, scrollY: window.scrollY }, "");
+  history.pushState(null, "", url);
+  await show(url);
+}
+
+// Rewrites the current entry for a view that keeps state in its URL. A view
+// that isn't on screen (a slow load finishing late) only updates what the
+// router will restore next time.
+export function replaceUrl(href) {
+  const url = new URL(href, location.href);
+  const entry = mounted.get(routeName(url));
+  if (entry) entry.url = url.href;
+  if (routeName(url) === current) history.replaceState(history.state, "", url);
+}
+
+// ==========================
+// Showing views
+// ==========================
+async function show(url, { initial = false, scrollY = null } = {}) {
+  const name = routeName(url);
+  const seq = ++navigation;
+
+  let view;
+  try {
+    view = await loadView(name);
+  } catch (err) {
+    // Offline without the module cached, or a broken deploy: let the browser try
+    console.error(`Unable to load the ${name} view:`, err);
+    if (!initial) location.reload();
+    return;
+  }
+  if (seq !== navigation) return;
+
+  leaveCurrent();
+
+  const route = toRoute(url);
+  let entry = mounted.get(name);
+  const revisit = Boolean(entry);
+  if (!entry) {
+    const container = document.createElement("div");
+    container.className = `view ${view.className ?? "container"}`.trim();
+    container.dataset.view = name;
+    outlet.appendChild(container);
+    entry = { view, container, url: url.href, scrollY: 0, title: null };
+    mounted.set(name, entry);
+    view.mount(container, route);
+  } else if (entry.url !== url.href) {
+    entry.title = null;
+    view.update?.(route);
+  }
+
+  const sameUrl = revisit && entry.url === url.href;
+  entry.url = url.href;
+  entry.container.hidden = false;
+  current = name;
+  document.title = entry.title ?? `${APP_NAME} — ${view.title()}`;
+  onNavigate(route);
+
+  if (!initial) outlet.focus({ preventScroll: true });
+  restoreScroll(entry, route, scrollY ?? (sameUrl ? entry.scrollY : null));
+}
+
+function leaveCurrent() {
+  const entry = mounted.get(current);
+  if (!entry) return;
+  entry.scrollY = window.scrollY;
+  entry.title = document.title; // item pages name themselves once loaded
+  entry.container.hidden = true;
+}
+
+function loadView(name) {
+  if (!views.has(name)) {
+    const loading = routes[name]();
+    views.set(name, loading);
+    loading.catch(() => views.delete(name));
+  }
+  return views.get(name);
+}
+
+function restoreScroll(entry, route, scrollY) {
+  if (scrollY !== null) {
+    window.scrollTo(0, scrollY);
+    return;
+  }
+
+  const target = route.hash && entry.container.querySelector(route.hash);
+  if (target) {
+    target.scrollIntoView();
+  } else {
+    window.scrollTo(0, 0);
+  }
+}
+
+function toRoute(url) {
+  return { name: routeName(url), params: url.searchParams, hash: url.hash };
+}
+
+// ==========================
+// Events
+// ==========================
+function handleLinkClick(event) {
+  if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+    return;
+  }
+
+  const link = event.target.closest("a[href]");
+  if (!link || link.target || link.hasAttribute("download")) return;
+
+  const url = new URL(link.href);
+  if (url.origin !== location.origin || !routeName(url)) return;
+
+  // In-page anchors like "#items" scroll natively
+  if (url.pathname === location.pathname && url.search === location.search && url.hash) return;
+
+  event.preventDefault();
+  navigate(url.href);
+}
+
+function handlePopState(event) {
+  const url = new URL(location.href);
+  const entry = mounted.get(current);
+
+  // Back over an in-page anchor: the browser already moved within the view
+  if (routeName(url) === current && entry) {
+    const previous = new URL(entry.url);
+    if (previous.pathname === url.pathname && previous.search === url.search) {
+      entry.url = url.href;
+      return;
+    }
+  }
+
+  show(url, { scrollY: event.state?.scrollY ?? null });
+}
@@ -0,0 +1,141 @@
+// ===============================
+// Session management
+// ===============================
+// Single source of truth for "who is logged in". Page modules call
+// requireSession() instead of reading localStorage themselves. A session
+// holds the owner ID plus the signed bearer token issued by /api/auth/login.
+
+const SESSION_KEY = "hippo-session";
+const LEGACY_KEYS = ["hippo-owner-id", "hippo-user-id"];
+const LOGIN_PAGE = "index.html";
+
+let guarded = false;
+let expiryTimer = null;
+
+// ==========================
+// Storage helpers
+// ==========================
+function readSession() {
+  const raw = localStorage.getItem(SESSION_KEY);
+  if (raw) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      localStorage.removeItem(SESSION_KEY);
+      return null;
+    }
+  }
+
+  // Older builds stored a bare owner ID with no token; those can't call the API anymore
+  LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  return null;
+}
+
+function writeSession(ownerId, token, expiresAt) {
+  const session = {
+    ownerId,
+    token,
+    createdAt: Date.now(),
+    expiresAt: new Date(expiresAt).getTime()
+  };
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+function isExpired(session) {
+  return !session?.expiresAt || Date.now() >= session.expiresAt;
+}
+
+// ==========================
+// Public API
+// ==========================
+export function getSession() {
+  const session = readSession();
+  if (!session?.ownerId || !session.token) {
+    return null;
+  }
+
+  if (isExpired(session)) {
+    localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+
+  return session;
+}
+
+export function getOwnerId() {
+  return getSession()?.ownerId ?? null;
+}
+
+export function getToken() {
+  return getSession()?.token ?? null;
+}
+
+// Stores the result of POST /api/auth/login ({ ownerId, token, expiresAt })
+export function login({ ownerId, token, expiresAt }) {
+  if (!ownerId || !token) {
+    throw new Error("Cannot start a session without an owner ID and token.");
+  }
+
+  const session = writeSession(ownerId, token, expiresAt);
+  scheduleExpiry(session);
+  return session;
+}
+
+export function logout({ redirect = true } = {}) {
+  localStorage.removeItem(SESSION_KEY);
+  LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  clearTimeout(expiryTimer);
+  navigator.serviceWorker?.controller?.postMessage({ type: "logout" }); // drop the offline copy of their data
+
+  if (redirect) {
+    window.location.href = LOGIN_PAGE;
+  }
+}
+
+// Returns the current owner ID, or sends the visitor to the login page
+export function requireSession() {
+  guarded = true;
+  const session = getSession();
+  if (!session) {
+    window.location.replace(LOGIN_PAGE);
+    return null;
+  }
+
+  scheduleExpiry(session);
+  return session.ownerId;
+}
+
+function scheduleExpiry(session) {
+  clearTimeout(expiryTimer);
+  const remaining = session.expiresAt - Date.now();
+  expiryTimer = setTimeout(() => {
+    if (guarded) logout();
+  }, Math.min(Math.max(remaining, 0), 2 ** 31 - 1));
+}
+
+// ==========================
+// Cross-tab sync + logout buttons
+// ==========================
+window.addEventListener("storage", (event) => {
+  if (!guarded || event.key !== SESSION_KEY) {
+    return;
+  }
+
+  if (!event.newValue) {
+    window.location.replace(LOGIN_PAGE);
+    return;
+  }
+
+  // Someone else logged in from another tab; reload so the page reflects the new user
+  const previous = event.oldValue ? JSON.parse(event.oldValue)?.ownerId : null;
+  const next = JSON.parse(event.newValue)?.ownerId;
+  if (previous !== next) {
+    window.location.reload();
+  }
+});
+
+// Delegated so buttons rendered later (the app shell's header) work too
+document.addEventListener("click", (event) => {
+  if (event.target.closest('[data-action="logout"]')) logout();
+});
@@ -0,0 +1,128 @@
+// ===============================
+// Favorites, saved searches and alerts
+// ===============================
+// Users favorite items to hear when they come back from a loan, and save catalog
+// searches to hear about new listings that match. The server raises the alerts;
+// the bell's live feed (request-feed.js) streams the unread ones and
+// notifications.js lists them. Favorite IDs are cached here so catalog cards
+// can show their heart without asking per card. Saved searches use the same
+// filter shape as catalog-filters.js, minus sorting and paging.
+import { api } from "./api.js";
+import { conditionLabel, toQueryString, defaultFilters } from "./catalog-filters.js";
+import { t, formatMoney } from "./i18n.js";
+
+let favoriteIds = null; // Set once loaded
+
+// ==========================
+// Favorites
+// ==========================
+export async function fetchFavorites() {
+  const list = (await api.get("/api/favorites", { errorMessage: t("watchlist.favoritesLoadFailed") })) ?? [];
+  favoriteIds = new Set(list.map(item => item.itemId));
+  return list;
+}
+
+export async function loadFavoriteIds() {
+  if (!favoriteIds) await fetchFavorites();
+  return favoriteIds;
+}
+
+export function isFavorite(itemId) {
+  return favoriteIds?.has(itemId) ?? false;
+}
+
+export async function setFavorite(itemId, favorite) {
+  const path = `/api/favorites/${encodeURIComponent(itemId)}`;
+  if (favorite) {
+    await api.put(path, undefined, { errorMessage: t("watchlist.favoriteFailed") });
+    favoriteIds?.add(itemId);
+  } else {
+    await api.delete(path, { errorMessage: t("watchlist.unfavoriteFailed") });
+    favoriteIds?.delete(itemId);
+  }
+}
+
+// Heart toggle for cards and the item page; the owner's own items get none
+export function bindFavoriteButton(button, item, ownerId) {
+  if (!button) return;
+  button.hidden = item.ownerId === ownerId;
+
+  const paint = () => {
+    const on = isFavorite(item.itemId);
+    button.classList.toggle("on", on);
+    button.setAttribute("aria-pressed", String(on));
+    button.textContent = on ? "♥" : "♡";
+    // A borrowed item is exactly when favoriting pays off, so say so
+    const label = on ? t("watchlist.unfavorite") : item.isLent ? t("watchlist.favoriteWhenBack") : t("watchlist.favorite");
+    button.title = label;
+    button.setAttribute("aria-label", label);
+  };
+
+  paint();
+  button.onclick = async () => {
+    button.disabled = true;
+    try {
+      await setFavorite(item.itemId, !isFavorite(item.itemId));
+      paint();
+    } catch (err) {
+      console.error("Favorite error:", err);
+      alert(err.message || t("watchlist.favoriteFailed"));
+    } finally {
+      button.disabled = false;
+    }
+  };
+}
+
+// ==========================
+// Saved searches
+// ==========================
+export async function fetchSavedSearches() {
+  return (await api.get("/api/saved-searches", { errorMessage: t("watchlist.searchesLoadFailed") })) ?? [];
+}
+
+export async function saveSearch(filters, name) {
+  const { q, minPrice, maxPrice, condition, available } = filters;
+  return api.post("/api/saved-searches", { name, q, minPrice, maxPrice, condition, available }, { errorMessage: t("watchlist.saveSearchFailed") });
+}
+
+export async function deleteSavedSearch(searchId) {
+  await api.delete(`/api/saved-searches/${encodeURIComponent(searchId)}`, { errorMessage: t("watchlist.deleteSearchFailed") });
+}
+
+// Default name offered when saving: the search text, else the condition
+export function suggestSearchName(filters) {
+  return filters.q || (filters.condition && conditionLabel(filters.condition)) || t("watchlist.defaultSearchName");
+}
+
+// "“drill” · $5.00–$20.00 · Used · Available only"
+export function describeSearch(search) {
+  const parts = [];
+  if (search.q) parts.push(t("watchlist.searchText", { text: search.q }));
+  if (search.minPrice != null && search.maxPrice != null) {
+    parts.push(t("watchlist.priceBetween", { min: formatMoney(search.minPrice), max: formatMoney(search.maxPrice) }));
+  } else if (search.minPrice != null) {
+    parts.push(t("watchlist.priceFrom", { min: formatMoney(search.minPrice) }));
+  } else if (search.maxPrice != null) {
+    parts.push(t("watchlist.priceUpTo", { max: formatMoney(search.maxPrice) }));
+  }
+  if (search.condition) parts.push(conditionLabel(search.condition));
+  if (search.available) parts.push(t("home.availableOnly"));
+  return parts.join(" · ");
+}
+
+// The catalog with the search's filters applied
+export function searchHref(search) {
+  const { q, minPrice, maxPrice, condition, available } = search;
+  return `home.html${toQueryString({ ...defaultFilters(), q, minPrice, maxPrice, condition, available })}`;
+}
+
+// ==========================
+// Alerts
+// ==========================
+export async function fetchAlerts() {
+  return (await api.get("/api/alerts/unread")) ?? [];
+}
+
+export async function markAlertsRead(alertIds) {
+  return api.post("/api/alerts/read", { alertIds });
+}
@@ -0,0 +1,141 @@
+// ===============================
+// Service worker (offline support)
+// ===============================
+// The app shell is precached so every page opens without a connection. API
+// reads go to the network first and fall back to the last good copy, which is
+// stored with an X-Hippo-Saved-At header so pages can say the data may be stale.
+// Writes are never handled here; js/offline-queue.js queues and replays them.
+// Bump SHELL_VERSION whenever a file in SHELL_FILES changes.
+
+const SHELL_VERSION = "v9";
+const SHELL_CACHE = `hippo-shell-${SHELL_VERSION}`;
+const API_CACHE = "hippo-api";
+const UNCACHED_API = ["/api/requests/stream", "/api/auth/"];
+
+const SHELL_FILES = [
+  "index.html",
+  "home.html",
+  "item.html",
+  "items.html",
+  "profile.html",
+  "about.html",
+  "contact.html",
+  "privacy.html",
+  "terms.html",
+  "config.json",
+  "css/style.css",
+  "images/BernardDaHippo.png",
+  "js/api.js",
+  "js/app.js",
+  "js/auth.js",
+  "js/booking-calendar.js",
+  "js/catalog-filters.js",
+  "js/dom.js",
+  "js/due-dates.js",
+  "js/earnings.js",
+  "js/form-validation.js",
+  "js/home-items.js",
+  "js/i18n.js",
+  "js/image-cropper.js",
+  "js/image-pipeline.js",
+  "js/info-pages.js",
+  "js/item-detail.js",
+  "js/items.js",
+  "js/locales/en.js",
+  "js/locales/es.js",
+  "js/messages.js",
+  "js/notifications.js",
+  "js/offline-queue.js",
+  "js/photo-gallery.js",
+  "js/photo-manager.js",
+  "js/profile.js",
+  "js/request-feed.js",
+  "js/request-modal.js",
+  "js/reviews.js",
+  "js/router.js",
+  "js/session.js",
+  "js/utils.js",
+  "js/watchlist.js"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith("hippo-shell-") && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cached API responses belong to whoever was logged in; drop them on logout
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "logout") {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.pathname.includes("/api/")) {
+    if (!UNCACHED_API.some(path => url.pathname.includes(path))) {
+      event.respondWith(networkFirst(request));
+    }
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+// ==========================
+// Strategies
+// ==========================
+async function networkFirst(request) {
+  const cache = await caches.open(API_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      stampSavedAt(response.clone()).then(saved => cache.put(request, saved));
+    }
+    return response;
+  } catch (err) {
+    const saved = await cache.match(request);
+    if (!saved) throw err;
+    return saved;
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  // Pages like item.html?id=... share one cached copy
+  const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+  return (await refresh) ?? (request.mode === "navigate" ? cache.match("home.html") : Response.error());
+}
+
+// Cross-origin responses hide their Date header, so record the time ourselves
+async function stampSavedAt(response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Hippo-Saved-At", new Date().toISOString());
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
@@ -0,0 +1,106 @@
+// Date keys, overlap checks and range picking in booking-calendar.js. The
+// widget is given a stand-in container and driven with fake clicks.
+import "./browser-stubs.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBookingCalendar, describeRange, findOverlap, fromApiRange, toApiDate, toDateKey } from "../src/js/booking-calendar.js";
+
+function fakeContainer() {
+  const container = {
+    innerHTML: "",
+    addEventListener(type, listener) {
+      container.listener = listener;
+    },
+    clickDay(key) {
+      const day = { dataset: { date: key }, disabled: false };
+      container.listener({ target: { closest: (selector) => (selector === "[data-date]" ? day : null) } });
+    }
+  };
+  return container;
+}
+
+test("toDateKey uses the local calendar day, zero-padded", () => {
+  assert.equal(toDateKey(new Date(2026, 0, 5)), "2026-01-05");
+  assert.equal(toDateKey(new Date(2026, 11, 31, 23, 59)), "2026-12-31");
+});
+
+test("toApiDate sends the day as UTC midnight", () => {
+  assert.equal(toApiDate("2026-03-09"), "2026-03-09T00:00:00.000Z");
+  assert.equal(toApiDate("2024-02-29"), "2024-02-29T00:00:00.000Z");
+});
+
+test("fromApiRange reads UTC days and keeps an open end as null", () => {
+  assert.deepEqual(
+    fromApiRange({ startAt: "2026-03-09T00:00:00Z", dueAt: "2026-03-12T00:00:00Z" }),
+    { start: "2026-03-09", end: "2026-03-12" }
+  );
+  assert.deepEqual(fromApiRange({ startAt: "2026-03-09T00:00:00Z", dueAt: null }), { start: "2026-03-09", end: null });
+});
+
+test("toApiDate and fromApiRange round-trip a range", () => {
+  const range = { start: "2026-10-30", end: "2026-11-02" };
+  assert.deepEqual(fromApiRange({ startAt: toApiDate(range.start), dueAt: toApiDate(range.end) }), range);
+});
+
+test("findOverlap treats both ends as booked days", () => {
+  const booked = [{ start: "2026-05-10", end: "2026-05-12" }];
+
+  assert.equal(findOverlap({ start: "2026-05-01", end: "2026-05-09" }, booked), null);
+  assert.equal(findOverlap({ start: "2026-05-13", end: "2026-05-20" }, booked), null);
+  assert.equal(findOverlap({ start: "2026-05-01", end: "2026-05-10" }, booked), booked[0]);
+  assert.equal(findOverlap({ start: "2026-05-12", end: "2026-05-14" }, booked), booked[0]);
+  assert.equal(findOverlap({ start: "2026-05-11", end: "2026-05-11" }, booked), booked[0]);
+  assert.equal(findOverlap({ start: "2026-05-01", end: "2026-05-31" }, booked), booked[0]);
+});
+
+test("findOverlap blocks everything after a loan with no return date", () => {
+  const booked = [{ start: "2026-05-10", end: null }];
+
+  assert.equal(findOverlap({ start: "2026-05-01", end: "2026-05-09" }, booked), null);
+  assert.equal(findOverlap({ start: "2027-01-01", end: "2027-01-02" }, booked), booked[0]);
+});
+
+test("findOverlap returns the first clashing range", () => {
+  const booked = [{ start: "2026-05-01", end: "2026-05-02" }, { start: "2026-05-10", end: "2026-05-12" }, { start: "2026-05-14", end: "2026-05-15" }];
+  assert.equal(findOverlap({ start: "2026-05-11", end: "2026-05-20" }, booked), booked[1]);
+});
+
+test("describeRange counts days inclusively", () => {
+  assert.match(describeRange({ start: "2026-05-10", end: "2026-05-10" }), /\(1 day\)$/);
+  assert.match(describeRange({ start: "2026-05-10", end: "2026-05-12" }), /\(3 days\)$/);
+  assert.equal(describeRange({ start: "2026-05-10", end: null }), "From May 10, 2026 — now pick a return date.");
+  assert.equal(describeRange({ start: null, end: null }), "Pick a start date.");
+});
+
+test("picking a return date across a booking reports the conflict and keeps the start", () => {
+  const changes = [];
+  const container = fakeContainer();
+  createBookingCalendar(container, {
+    booked: [{ start: "2099-06-10", end: "2099-06-12" }],
+    onChange: (change) => changes.push(change)
+  });
+
+  container.clickDay("2099-06-05");
+  container.clickDay("2099-06-15");
+  assert.deepEqual(changes.at(-1), { start: "2099-06-05", end: null, conflict: { start: "2099-06-10", end: "2099-06-12" } });
+
+  container.clickDay("2099-06-09");
+  assert.deepEqual(changes.at(-1), { start: "2099-06-05", end: "2099-06-09", conflict: null });
+});
+
+test("new bookings drop a picked range they now overlap", () => {
+  const changes = [];
+  const container = fakeContainer();
+  const calendar = createBookingCalendar(container, { onChange: (change) => changes.push(change) });
+
+  container.clickDay("2099-06-05");
+  container.clickDay("2099-06-09");
+  assert.deepEqual(calendar.range, { start: "2099-06-05", end: "2099-06-09" });
+
+  calendar.setBooked([{ start: "2099-06-08", end: "2099-06-08" }]);
+  assert.deepEqual(calendar.range, { start: "2099-06-05", end: null });
+
+  calendar.setBooked([{ start: "2099-06-01", end: "2099-06-05" }]);
+  assert.deepEqual(calendar.range, { start: null, end: null });
+  assert.deepEqual(changes.at(-1), { start: null, end: null, conflict: null });
+});
@@ -0,0 +1,42 @@
+// Just enough of the browser for modules that touch localStorage, navigator,
+// window or document when they load. Import this before the module under test;
+// every test file runs in its own process, so the stand-ins don't leak.
+
+class MemoryStorage {
+  #items = new Map();
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+const stubs = {
+  localStorage: new MemoryStorage(),
+  navigator: { language: "en-US", languages: ["en-US"], onLine: true },
+  window: Object.assign(new EventTarget(), { location: { href: "", reload() {}, replace() {} } }),
+  document: {
+    readyState: "complete",
+    documentElement: {},
+    body: null,
+    querySelectorAll: () => [],
+    addEventListener() {}
+  },
+  CSS: { escape: (value) => String(value) }
+};
+
+// Newer Node versions define some of these (navigator) as read-only getters
+for (const [name, value] of Object.entries(stubs)) {
+  Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+}
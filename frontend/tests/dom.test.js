@@ -0,0 +1,87 @@
+// Hostile item names, descriptions and URLs must come out of dom.js as inert
+// text. render() is given a stand-in container: it only ever sets innerHTML.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { html, escapeHtml, safeUrl, render } from "../src/js/dom.js";
+
+const SCRIPT = `<script>alert("x")</script>`;
+const BREAKOUT = `" onmouseover="alert(1)`;
+
+test("escapeHtml escapes every markup character", () => {
+  assert.equal(escapeHtml(`<>&"'\``), "&lt;&gt;&amp;&quot;&#39;&#96;");
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(undefined), "");
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("a <script> name renders as text", () => {
+  const markup = html`<h3>${SCRIPT}</h3>`.toString();
+  assert.equal(markup, "<h3>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</h3>");
+  assert.ok(!markup.includes("<script"));
+});
+
+test("values can't break out of an attribute", () => {
+  const markup = html`<img alt="${BREAKOUT}">`.toString();
+  assert.equal(markup, `<img alt="&quot; onmouseover=&quot;alert(1)">`);
+
+  const singleQuoted = html`<img alt='${"' onerror='alert(1)"}'>`.toString();
+  assert.ok(!singleQuoted.includes("' onerror='"));
+});
+
+test("hostile values are escaped inside arrays and nested fragments", () => {
+  const names = [SCRIPT, BREAKOUT];
+  const markup = html`<ul>${names.map(name => html`<li title="${name}">${name}</li>`)}</ul>`.toString();
+  assert.ok(!markup.includes("<script"));
+  assert.ok(!markup.includes(`" onmouseover="`));
+  assert.equal((markup.match(/<li /g) ?? []).length, 2);
+});
+
+test("nested html fragments are kept as markup", () => {
+  const inner = html`<strong>${"bold"}</strong>`;
+  assert.equal(html`<p>${inner}</p>`.toString(), "<p><strong>bold</strong></p>");
+});
+
+test("false, null and undefined render as nothing", () => {
+  assert.equal(html`<p>${false}${null}${undefined}</p>`.toString(), "<p></p>");
+  assert.equal(html`<p>${0}</p>`.toString(), "<p>0</p>");
+});
+
+test("safeUrl rejects javascript: and other script URLs", () => {
+  assert.equal(safeUrl("javascript:alert(1)"), "");
+  assert.equal(safeUrl("  JavaScript:alert(1)", "#"), "#");
+  assert.equal(safeUrl("vbscript:msgbox(1)", "#"), "#");
+  assert.equal(safeUrl("data:text/html,<script>alert(1)</script>", "#"), "#");
+});
+
+test("safeUrl keeps web, relative, image data and blob URLs", () => {
+  assert.equal(safeUrl("https://storage.googleapis.com/bucket/a.png"), "https://storage.googleapis.com/bucket/a.png");
+  assert.equal(safeUrl("http://example.com/a.png"), "http://example.com/a.png");
+  assert.equal(safeUrl("images/BernardDaHippo.png"), "images/BernardDaHippo.png");
+  assert.equal(safeUrl("item.html?id=1"), "item.html?id=1");
+  assert.equal(safeUrl("data:image/png;base64,AAAA"), "data:image/png;base64,AAAA");
+  assert.equal(safeUrl("blob:https://example.com/1"), "blob:https://example.com/1");
+  assert.equal(safeUrl("", "fallback.png"), "fallback.png");
+  assert.equal(safeUrl(null, "fallback.png"), "fallback.png");
+});
+
+test("a javascript: URL can't reach an href through safeUrl + html", () => {
+  const markup = html`<a href="${safeUrl("javascript:alert(1)", "#")}">${SCRIPT}</a>`.toString();
+  assert.equal(markup, `<a href="#">&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</a>`);
+});
+
+test("render writes escaped markup into the container", () => {
+  const container = { innerHTML: "old" };
+  render(container, html`<p class="item-name">${SCRIPT}</p>`);
+  assert.equal(container.innerHTML, `<p class="item-name">&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>`);
+});
+
+test("render refuses plain strings", () => {
+  const container = { innerHTML: "" };
+  assert.throws(() => render(container, SCRIPT), TypeError);
+  assert.throws(() => render(container, `<p>${SCRIPT}</p>`), TypeError);
+  assert.equal(container.innerHTML, "");
+});
+
+test("render ignores a missing container", () => {
+  assert.doesNotThrow(() => render(null, html`<p></p>`));
+});
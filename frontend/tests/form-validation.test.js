@@ -0,0 +1,79 @@
+// Rules in form-validation.js, and a validator over fields that aren't inputs
+// (given as { element, value, rules }, so no DOM is needed).
+import "./browser-stubs.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createValidator, emailAddress, matches, number, postalCode, required, stateCode, strongPassword } from "../src/js/form-validation.js";
+
+test("required rejects empty text, unchecked boxes and zero counts", () => {
+  const rule = required("needed");
+  assert.equal(rule(""), "needed");
+  assert.equal(rule(false), "needed");
+  assert.equal(rule(0), "needed");
+  assert.equal(rule(null), "needed");
+  assert.equal(rule("x"), null);
+  assert.equal(rule(true), null);
+  assert.equal(rule(2), null);
+});
+
+test("format rules leave empty values to required", () => {
+  for (const rule of [emailAddress(), strongPassword(), postalCode(), stateCode(), matches("other"), number()]) {
+    assert.equal(rule("", { other: "x" }), null);
+  }
+});
+
+test("emailAddress wants a name, an @ and a domain with a real suffix", () => {
+  const rule = emailAddress("bad");
+  assert.equal(rule("ana@example.com"), null);
+  assert.equal(rule("ana@example"), "bad");
+  assert.equal(rule("ana@example.c"), "bad");
+  assert.equal(rule("ana example@site.com"), "bad");
+});
+
+test("strongPassword needs five characters, a number and a special character", () => {
+  const rule = strongPassword("weak");
+  assert.equal(rule("abc1!"), null);
+  assert.equal(rule("ab1!"), "weak");
+  assert.equal(rule("abcde!"), "weak");
+  assert.equal(rule("abcde1"), "weak");
+});
+
+test("postalCode and stateCode take US formats", () => {
+  assert.equal(postalCode("zip")("12345"), null);
+  assert.equal(postalCode("zip")("12345-6789"), null);
+  assert.equal(postalCode("zip")("1234"), "zip");
+  assert.equal(stateCode("state")("ca"), null);
+  assert.equal(stateCode("state")("CAL"), "state");
+});
+
+test("matches compares against another field's value", () => {
+  const rule = matches("password", "mismatch");
+  assert.equal(rule("same", { password: "same" }), null);
+  assert.equal(rule("other", { password: "same" }), "mismatch");
+});
+
+test("number checks the bounds it is given", () => {
+  const rule = number({ min: 0, max: 10 }, "range");
+  assert.equal(rule("0"), null);
+  assert.equal(rule("10"), null);
+  assert.equal(rule("-1"), "range");
+  assert.equal(rule("11"), "range");
+  assert.equal(rule("ten"), "range");
+});
+
+test("validate checks every field against all values", () => {
+  const values = { password: "abc1!", confirm: "abc2!", photos: 0 };
+  const validator = createValidator({ querySelector: () => null }, {
+    password: { element: null, value: () => values.password, rules: [required(), strongPassword()] },
+    confirm: { element: null, value: () => values.confirm, rules: [required(), matches("password")] },
+    photos: { element: null, value: () => values.photos, rules: [required()] }
+  });
+
+  assert.equal(validator.validate(), false);
+
+  values.confirm = "abc1!";
+  assert.equal(validator.validate(), false);
+
+  values.photos = 1;
+  assert.equal(validator.validate(), true);
+});
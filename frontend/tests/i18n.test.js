@@ -0,0 +1,31 @@
+// Message lookup in i18n.js: placeholders and plural forms, in English (the
+// stand-in navigator asks for en-US).
+import "./browser-stubs.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getLocale, t } from "../src/js/i18n.js";
+
+test("the browser's language picks the locale", () => {
+  assert.equal(getLocale(), "en");
+});
+
+test("plural messages pick their form from count", () => {
+  assert.equal(t("sync.waiting", { count: 1 }), "1 change waiting to sync");
+  assert.equal(t("sync.waiting", { count: 2 }), "2 changes waiting to sync");
+  assert.equal(t("sync.waiting", { count: 0 }), "0 changes waiting to sync");
+});
+
+test("a plural message without a count uses the other form", () => {
+  assert.equal(t("reviews.stars"), "{count} stars");
+});
+
+test("placeholders are filled and unknown ones left as written", () => {
+  assert.equal(t("calendar.pickEnd", { start: "May 10" }), "From May 10 — now pick a return date.");
+  assert.equal(t("calendar.pickEnd"), "From {start} — now pick a return date.");
+});
+
+test("a missing key comes back as the key itself", (context) => {
+  context.mock.method(console, "warn", () => {});
+  assert.equal(t("no.such.key"), "no.such.key");
+  assert.equal(console.warn.mock.callCount(), 1);
+});
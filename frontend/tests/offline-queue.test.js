@@ -0,0 +1,110 @@
+// Replay of queued offline writes in offline-queue.js: order, whose entries go,
+// and what a network failure or a server rejection does to the rest.
+import "./browser-stubs.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { enqueue, flushQueue, isPending, pendingEntries, startOfflineSupport } from "../src/js/offline-queue.js";
+
+const QUEUE_KEY = "hippo-offline-queue";
+const sent = [];
+let reply = async () => ({});
+
+startOfflineSupport(async (path, init) => {
+  sent.push({ path, ...init });
+  return reply(path);
+});
+
+function signIn(ownerId) {
+  localStorage.setItem("hippo-session", JSON.stringify({ ownerId, token: `token-${ownerId}`, expiresAt: Date.now() + 3600000 }));
+}
+
+function failure(name, message) {
+  return Object.assign(new Error(message), { name });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  sent.length = 0;
+  reply = async () => ({});
+  navigator.onLine = true;
+  signIn("me");
+});
+
+test("queued writes replay oldest first and leave the queue", async () => {
+  enqueue({ method: "POST", path: "/api/requests", body: { itemId: "a" }, label: "Borrow A", targetId: "a" });
+  enqueue({ method: "POST", path: "/api/items/b/return", label: "Return B", targetId: "b" });
+  assert.ok(isPending("a"));
+
+  await flushQueue();
+
+  assert.deepEqual(sent.map(({ method, path, body }) => ({ method, path, body })), [
+    { method: "POST", path: "/api/requests", body: { itemId: "a" } },
+    { method: "POST", path: "/api/items/b/return", body: undefined }
+  ]);
+  assert.ok(sent.every(request => request.retries === 0));
+  assert.deepEqual(pendingEntries(), []);
+  assert.equal(isPending("a"), false);
+});
+
+test("only the signed-in user's entries replay", async () => {
+  signIn("someone-else");
+  enqueue({ method: "POST", path: "/api/requests", body: { itemId: "theirs" }, label: "Theirs" });
+  signIn("me");
+  enqueue({ method: "POST", path: "/api/requests", body: { itemId: "mine" }, label: "Mine" });
+
+  await flushQueue();
+
+  assert.deepEqual(sent.map(request => request.body.itemId), ["mine"]);
+  const left = JSON.parse(localStorage.getItem(QUEUE_KEY));
+  assert.deepEqual(left.map(entry => entry.body.itemId), ["theirs"]);
+});
+
+test("a network failure stops the run and keeps that entry and the rest", async () => {
+  enqueue({ method: "POST", path: "/api/one", label: "One" });
+  enqueue({ method: "POST", path: "/api/two", label: "Two" });
+  enqueue({ method: "POST", path: "/api/three", label: "Three" });
+  reply = async (path) => {
+    if (path === "/api/two") throw failure("NetworkError", "offline");
+    return {};
+  };
+
+  await flushQueue();
+
+  assert.deepEqual(sent.map(request => request.path), ["/api/one", "/api/two"]);
+  assert.deepEqual(pendingEntries().map(entry => entry.path), ["/api/two", "/api/three"]);
+});
+
+test("a timeout counts as a network failure", async () => {
+  enqueue({ method: "POST", path: "/api/slow", label: "Slow" });
+  reply = async () => {
+    throw failure("TimeoutError", "timed out");
+  };
+
+  await flushQueue();
+
+  assert.deepEqual(pendingEntries().map(entry => entry.path), ["/api/slow"]);
+});
+
+test("an entry the server rejects is dropped and the run goes on", async () => {
+  enqueue({ method: "POST", path: "/api/booked", label: "Booked meanwhile" });
+  enqueue({ method: "POST", path: "/api/fine", label: "Fine" });
+  reply = async (path) => {
+    if (path === "/api/booked") throw failure("ApiError", "Those dates are taken.");
+    return {};
+  };
+
+  await flushQueue();
+
+  assert.deepEqual(sent.map(request => request.path), ["/api/booked", "/api/fine"]);
+  assert.deepEqual(pendingEntries(), []);
+});
+
+test("nothing replays while the browser is offline", async () => {
+  enqueue({ method: "POST", path: "/api/later", label: "Later" });
+  navigator.onLine = false;
+
+  await flushQueue();
+
+  assert.equal(sent.length, 0);
+  assert.equal(pendingEntries().length, 1);
+});